@@ -4,146 +4,120 @@ import InputPanel from './components/InputPanel';
 import VisualizationPanel from './components/VisualizationPanel';
 import { ThemeProvider } from './contexts/ThemeContext';
 import { UnitProvider } from './contexts/UnitContext';
-import { 
-  calculateReactions, 
-  calculateShearForce, 
-  calculateBendingMoment, 
-  calculateUnitLoadMoment, 
-  calculateDeflection 
-} from './utils/calculations';
+import { createEmptyResults } from './utils/analysis';
+import { createDefaultBeamData, DEFAULT_ANALYSIS_SETTINGS } from './utils/beamModel';
+import { needsLoadCaseResults } from './utils/serviceability';
+import { useHistory } from './hooks/useHistory';
+import { useWorkerTask } from './hooks/useWorkerTask';
 
-function App() {
-  const [beamData, setBeamData] = useState({
-    length: 10.0,
-    supports: [{ type: 'Fixed', position: 0.0 }],
-    pointLoads: [],
-    distributedLoads: [],
-    moments: [],
-    materialProperties: {
-      E: 2e8, // Young's modulus in kN/m²
-      I: 1e-4  // Moment of inertia in m⁴
-    },
-    section: {
-      type: 'rectangular',
-      width: 0.3,
-      height: 0.5
-    },
-    stressAnalysis: {
-      showBendingStress: true,
-      showShearStress: true,
-      showStressDistribution: true,
-      showStressDiagrams: true,
-      showStressValues: true
-    }
-  });
-
-  const [results, setResults] = useState({
-    reactions: [],
-    shearForce: { x: [], y: [] },
-    bendingMoment: { x: [], y: [] },
-    deflection: { x: [], y: [] }
-  });
+// Wait for typing to pause before starting a new analysis
+const ANALYSIS_DEBOUNCE_MS = 200;
 
-  const [resolution, setResolution] = useState(100);
+// Value edits to the same fields merge into one undo step; adding or
+// removing entries always starts a new one
+const getCoalesceKey = (current, newData) => {
+  const keys = Object.keys(newData);
+  const structural = keys.some(key => Array.isArray(newData[key]) && newData[key].length !== current[key]?.length);
+  return structural ? null : keys.sort().join(',');
+};
 
-  useEffect(() => {
-    const calculateResults = () => {
-      try {
-        const reactions = calculateReactions(
-          beamData.supports,
-          beamData.pointLoads,
-          beamData.distributedLoads,
-          beamData.moments,
-          beamData.length
-        );
+function App() {
+  const {
+    present: beamData,
+    set: setBeamData,
+    undo,
+    redo,
+    reset: resetBeamData,
+    canUndo,
+    canRedo
+  } = useHistory(createDefaultBeamData);
 
-        if (reactions && !reactions.error) {
-          const { x: xCoords, shear } = calculateShearForce(
-            reactions.supportReactions || [],
-            beamData.pointLoads,
-            beamData.distributedLoads,
-            beamData.length,
-            resolution
-          );
+  // Results of the latest analysis, kept while the next one runs
+  const [emptyResults] = useState(createEmptyResults);
+  const {
+    result: analysisResult,
+    isRunning: isCalculating,
+    stage,
+    run: startAnalysis
+  } = useWorkerTask('analysis', { debounceMs: ANALYSIS_DEBOUNCE_MS });
+  const results = analysisResult || emptyResults;
+  const analysisStatus = { isCalculating, stage };
 
-          const { x: xCoordsMoment, moment } = calculateBendingMoment(
-            beamData.supports,
-            reactions.supportReactions || [],
-            reactions.supportMoments || [],
-            beamData.pointLoads,
-            beamData.distributedLoads,
-            beamData.moments,
-            beamData.length,
-            resolution
-          );
+  const [resolution, setResolution] = useState(DEFAULT_ANALYSIS_SETTINGS.resolution);
+  const [crossCheckDeflection, setCrossCheckDeflection] = useState(DEFAULT_ANALYSIS_SETTINGS.crossCheckDeflection);
+  // Load case or combination the results are shown for
+  const [loadSet, setLoadSet] = useState(DEFAULT_ANALYSIS_SETTINGS.loadSet);
 
-          // Calculate deflection
-          const { unitWeightMoments } = calculateUnitLoadMoment(
-            beamData.supports,
-            beamData.length,
-            resolution
-          );
+  useEffect(() => {
+    // Timber checks superpose the load cases with their own kmod and creep
+    // factors, and so do deflection limits on another load set
+    const loadCaseResults = beamData.design?.mode === 'timber' || needsLoadCaseResults(beamData, loadSet);
+    startAnalysis({ beamData, options: { resolution, crossCheckDeflection, loadSet, loadCaseResults } });
+  }, [beamData, resolution, crossCheckDeflection, loadSet, startAnalysis]);
 
-          const EI = beamData.materialProperties.E * beamData.materialProperties.I;
-          const { deflections } = calculateDeflection(
-            xCoordsMoment,
-            moment,
-            unitWeightMoments,
-            beamData.length,
-            EI
-          );
+  // checkpoint: record a separate undo step even while typing
+  const updateBeamData = (newData, { checkpoint = false } = {}) => {
+    setBeamData(prev => ({ ...prev, ...newData }), checkpoint ? null : getCoalesceKey(beamData, newData));
+  };
 
-          setResults({
-            reactions: reactions.reactions || [],
-            shearForce: { x: xCoords, y: shear },
-            bendingMoment: { x: xCoordsMoment, y: moment },
-            deflection: { x: xCoordsMoment, y: deflections }
-          });
-        } else {
-          // Clear results if calculation failed
-          setResults({
-            reactions: [],
-            shearForce: { x: [], y: [] },
-            bendingMoment: { x: [], y: [] },
-            deflection: { x: [], y: [] }
-          });
-        }
-      } catch (error) {
-        console.error('Calculation error:', error);
-        setResults({
-          reactions: [],
-          shearForce: { x: [], y: [] },
-          bendingMoment: { x: [], y: [] },
-          deflection: { x: [], y: [] }
-        });
+  // Ctrl+Z / Ctrl+Shift+Z (Cmd on macOS), plus Ctrl+Y for redo
+  useEffect(() => {
+    const handleKeyDown = (e) => {
+      if (!(e.ctrlKey || e.metaKey) || e.altKey) return;
+      const key = e.key.toLowerCase();
+      if (key === 'z' && !e.shiftKey) {
+        e.preventDefault();
+        undo();
+      } else if ((key === 'z' && e.shiftKey) || key === 'y') {
+        e.preventDefault();
+        redo();
       }
     };
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  }, [undo, redo]);
 
-    calculateResults();
-  }, [beamData, resolution]);
-
-  const updateBeamData = (newData) => {
-    setBeamData(prev => ({ ...prev, ...newData }));
+  // Replace the whole model with a loaded project; the history starts afresh
+  const loadProject = ({ beamData: loadedBeamData, settings }) => {
+    resetBeamData(loadedBeamData);
+    setResolution(settings.resolution);
+    setCrossCheckDeflection(settings.crossCheckDeflection);
+    setLoadSet(settings.loadSet);
   };
 
   return (
     <ThemeProvider>
       <UnitProvider>
         <div className="min-h-screen bg-gray-50 dark:bg-gray-900 transition-colors">
-          <Header beamData={beamData} results={results} />
+          <Header 
+            beamData={beamData} 
+            results={results}
+            analysisSettings={{ resolution, crossCheckDeflection, loadSet }}
+            onLoadProject={loadProject}
+            onUndo={undo}
+            onRedo={redo}
+            canUndo={canUndo}
+            canRedo={canRedo}
+          />
           <div className="flex h-[calc(100vh-4rem)]">
             <div className="w-96 border-r border-gray-200 dark:border-gray-700 bg-white dark:bg-gray-800 overflow-y-auto transition-colors">
               <InputPanel 
                 beamData={beamData} 
                 updateBeamData={updateBeamData}
+                results={results}
                 resolution={resolution}
                 setResolution={setResolution}
+                crossCheckDeflection={crossCheckDeflection}
+                setCrossCheckDeflection={setCrossCheckDeflection}
               />
             </div>
             <div className="flex-1 overflow-hidden">
               <VisualizationPanel 
                 beamData={beamData} 
                 results={results}
+                analysisStatus={analysisStatus}
+                loadSet={loadSet}
+                onLoadSetChange={setLoadSet}
               />
             </div>
           </div>
@@ -1,14 +1,22 @@
 import React, { useState } from 'react';
 import AboutModal from './AboutModal';
 import { exportResultsToPDF } from '../utils/exportUtils';
+import {
+  serializeProject,
+  parseProject,
+  saveProjectFile,
+  openProjectFile,
+  PROJECT_FILE_EXTENSION
+} from '../utils/projectFile';
 import { useTheme } from '../contexts/ThemeContext';
-import { useUnits } from '../contexts/UnitContext';
+import { useUnits, ROTATION_UNITS } from '../contexts/UnitContext';
 
-const Header = ({ beamData, results }) => {
+const Header = ({ beamData, results, analysisSettings, onLoadProject, onUndo, onRedo, canUndo, canRedo }) => {
   const [showAboutModal, setShowAboutModal] = useState(false);
   const [isExporting, setIsExporting] = useState(false);
   const { isDarkMode, toggleDarkMode } = useTheme();
-  const { toggleUnitSystem, units } = useUnits();
+  const { toggleUnitSystem, units, unitSystem, setUnitSystem, rotationUnit, setRotationUnit } = useUnits();
+  const [project, setProject] = useState({ handle: null, fileName: null });
 
   const handleExportResults = async () => {
     if (!results || !results.shearForce || results.shearForce.x.length === 0) {
@@ -34,6 +42,44 @@ const Header = ({ beamData, results }) => {
     }
   };
 
+  const handleSaveProject = async (saveAs = false) => {
+    const contents = serializeProject(beamData, { ...analysisSettings, unitSystem, rotationUnit });
+    const result = await saveProjectFile(
+      contents,
+      saveAs ? null : project.handle,
+      project.fileName || `beam_project${PROJECT_FILE_EXTENSION}`
+    );
+    if (result.error) {
+      alert(`Save failed: ${result.error}`);
+    } else if (!result.cancelled) {
+      setProject({ handle: result.handle, fileName: result.fileName });
+    }
+  };
+
+  const handleOpenProject = async () => {
+    const file = await openProjectFile();
+    if (file.cancelled) return;
+    if (file.error) {
+      alert(`Could not open the file: ${file.error}`);
+      return;
+    }
+
+    const loaded = parseProject(file.contents);
+    if (loaded.error) {
+      alert(`Could not open ${file.fileName}.\n\n${loaded.error}`);
+      return;
+    }
+
+    onLoadProject(loaded);
+    if (loaded.settings.unitSystem) setUnitSystem(loaded.settings.unitSystem);
+    if (loaded.settings.rotationUnit !== undefined) setRotationUnit(loaded.settings.rotationUnit);
+    // Keep an upgraded file from being overwritten in the old format by a plain Save
+    setProject(loaded.migratedFrom !== null ? { handle: null, fileName: file.fileName } : { handle: file.handle, fileName: file.fileName });
+    if (loaded.migratedFrom !== null) {
+      alert(`${file.fileName} uses an older project format and was upgraded. Saving writes the current format to a location you choose.`);
+    }
+  };
+
   return (
     <>
       <header className="bg-white dark:bg-gray-800 border-b border-gray-200 dark:border-gray-700 px-6 py-4 transition-colors">
@@ -46,10 +92,36 @@ const Header = ({ beamData, results }) => {
             </div>
             <div>
               <h1 className="text-xl font-semibold text-gray-900 dark:text-white">Beam Calculator</h1>
-              <p className="text-sm text-gray-500 dark:text-gray-400">SFD, BMD & Deflection Analysis</p>
+              <p className="text-sm text-gray-500 dark:text-gray-400">
+                SFD, BMD & Deflection Analysis{project.fileName ? ` • ${project.fileName}` : ''}
+              </p>
             </div>
           </div>
           <div className="flex items-center space-x-4">
+            {/* Undo / Redo */}
+            <div className="flex items-center space-x-1">
+              <button
+                onClick={onUndo}
+                disabled={!canUndo}
+                className="p-2 bg-gray-100 dark:bg-gray-700 hover:bg-gray-200 dark:hover:bg-gray-600 rounded-lg transition-colors disabled:opacity-40 disabled:cursor-not-allowed"
+                title="Undo (Ctrl+Z)"
+              >
+                <svg className="w-5 h-5 text-gray-600 dark:text-gray-300" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                  <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M3 10h10a8 8 0 018 8v2M3 10l6 6m-6-6l6-6" />
+                </svg>
+              </button>
+              <button
+                onClick={onRedo}
+                disabled={!canRedo}
+                className="p-2 bg-gray-100 dark:bg-gray-700 hover:bg-gray-200 dark:hover:bg-gray-600 rounded-lg transition-colors disabled:opacity-40 disabled:cursor-not-allowed"
+                title="Redo (Ctrl+Shift+Z)"
+              >
+                <svg className="w-5 h-5 text-gray-600 dark:text-gray-300" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                  <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M21 10H11a8 8 0 00-8 8v2m18-10l-6 6m6-6l-6-6" />
+                </svg>
+              </button>
+            </div>
+
             {/* Unit System Toggle */}
             <div className="flex items-center space-x-2">
               <span className="text-sm text-gray-600 dark:text-gray-300">Units:</span>
@@ -62,6 +134,17 @@ const Header = ({ beamData, results }) => {
                   <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M8 7h12m0 0l-4-4m4 4l-4 4m0 6H4m0 0l4 4m-4-4l4-4" />
                 </svg>
               </button>
+              <select
+                value={rotationUnit}
+                onChange={(e) => setRotationUnit(e.target.value)}
+                className="px-2 py-1.5 bg-gray-100 dark:bg-gray-700 hover:bg-gray-200 dark:hover:bg-gray-600 rounded-lg transition-colors text-sm font-medium text-gray-700 dark:text-gray-200"
+                title="Rotation unit"
+              >
+                <option value="">Rotation: {units.rotation.unit} (default)</option>
+                {Object.entries(ROTATION_UNITS).map(([key, { unit }]) => (
+                  <option key={key} value={key}>Rotation: {unit}</option>
+                ))}
+              </select>
             </div>
 
             {/* Dark Mode Toggle */}
@@ -102,8 +185,14 @@ const Header = ({ beamData, results }) => {
                 </>
               )}
             </button>
-            <button className="btn-secondary text-sm">
-              Save Project
+            <button onClick={handleOpenProject} className="btn-secondary text-sm" title="Open a saved beam project">
+              Open
+            </button>
+            <button onClick={() => handleSaveProject(false)} className="btn-secondary text-sm" title="Save the beam project">
+              Save
+            </button>
+            <button onClick={() => handleSaveProject(true)} className="btn-secondary text-sm" title="Save the beam project to a new file">
+              Save As
             </button>
             <button 
               onClick={() => setShowAboutModal(true)}
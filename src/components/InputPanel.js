@@ -3,10 +3,12 @@ import LengthTab from './tabs/LengthTab';
 import SupportsTab from './tabs/SupportsTab';
 import LoadsTab from './tabs/LoadsTab';
 import MomentsTab from './tabs/MomentsTab';
+import LoadCombinationsTab from './tabs/LoadCombinationsTab';
 import MaterialTab from './tabs/MaterialTab';
 import SectionTab from './tabs/SectionTab';
+import DesignTab from './tabs/DesignTab';
 
-const InputPanel = ({ beamData, updateBeamData, resolution, setResolution }) => {
+const InputPanel = ({ beamData, updateBeamData, results, resolution, setResolution, crossCheckDeflection, setCrossCheckDeflection }) => {
   const [activeTab, setActiveTab] = useState('length');
   const [expandedSections, setExpandedSections] = useState(['length']);
   const [layoutMode, setLayoutMode] = useState('tabs'); // 'tabs' or 'accordion'
@@ -16,8 +18,10 @@ const InputPanel = ({ beamData, updateBeamData, resolution, setResolution }) =>
     { id: 'supports', label: 'Supports', icon: '🏗️' },
     { id: 'loads', label: 'Loads', icon: '⬇️' },
     { id: 'moments', label: 'Moments', icon: '🔄' },
+    { id: 'combinations', label: 'Combinations', icon: '➕' },
     { id: 'section', label: 'Section & Stress', icon: '⬜' },
     { id: 'material', label: 'Material', icon: '🧱' },
+    { id: 'design', label: 'Design', icon: '✅' },
   ];
 
   const sections = [
@@ -25,8 +29,10 @@ const InputPanel = ({ beamData, updateBeamData, resolution, setResolution }) =>
     { id: 'supports', label: 'Supports', icon: '🏗️', component: SupportsTab },
     { id: 'loads', label: 'Loads', icon: '⬇️', component: LoadsTab },
     { id: 'moments', label: 'Moments', icon: '🔄', component: MomentsTab },
+    { id: 'combinations', label: 'Load Cases & Combinations', icon: '➕', component: LoadCombinationsTab },
     { id: 'section', label: 'Cross-Section & Stress', icon: '⬜', component: SectionTab },
     { id: 'material', label: 'Material Properties', icon: '🧱', component: MaterialTab },
+    { id: 'design', label: 'Member Design', icon: '✅', component: DesignTab },
   ];
 
   const toggleSection = (sectionId) => {
@@ -49,10 +55,14 @@ const InputPanel = ({ beamData, updateBeamData, resolution, setResolution }) =>
         return <LoadsTab beamData={beamData} updateBeamData={updateBeamData} />;
       case 'moments':
         return <MomentsTab beamData={beamData} updateBeamData={updateBeamData} />;
+      case 'combinations':
+        return <LoadCombinationsTab beamData={beamData} updateBeamData={updateBeamData} />;
       case 'section':
-        return <SectionTab beamData={beamData} updateBeamData={updateBeamData} />;
+        return <SectionTab beamData={beamData} updateBeamData={updateBeamData} results={results} resolution={resolution} />;
       case 'material':
-        return <MaterialTab beamData={beamData} updateBeamData={updateBeamData} resolution={resolution} setResolution={setResolution} />;
+        return <MaterialTab beamData={beamData} updateBeamData={updateBeamData} resolution={resolution} setResolution={setResolution} crossCheckDeflection={crossCheckDeflection} setCrossCheckDeflection={setCrossCheckDeflection} />;
+      case 'design':
+        return <DesignTab beamData={beamData} updateBeamData={updateBeamData} />;
       default:
         return null;
     }
@@ -60,9 +70,12 @@ const InputPanel = ({ beamData, updateBeamData, resolution, setResolution }) =>
 
   const renderSectionContent = (section) => {
     const Component = section.component;
-    const props = section.id === 'material' 
-      ? { beamData, updateBeamData, resolution, setResolution }
-      : { beamData, updateBeamData };
+    let props = { beamData, updateBeamData };
+    if (section.id === 'material') {
+      props = { ...props, resolution, setResolution, crossCheckDeflection, setCrossCheckDeflection };
+    } else if (section.id === 'section') {
+      props = { ...props, results, resolution };
+    }
     
     return <Component {...props} />;
   };
@@ -73,17 +86,21 @@ const InputPanel = ({ beamData, updateBeamData, resolution, setResolution }) =>
       case 'length':
         return beamData.length > 0 ? 'bg-green-500' : 'bg-gray-300 dark:bg-gray-600';
       case 'supports':
-        return beamData.supports.length > 0 ? 'bg-green-500' : 'bg-red-500';
+        return beamData.supports.length > 0 || beamData.foundation?.enabled ? 'bg-green-500' : 'bg-red-500';
       case 'loads':
-        return (beamData.pointLoads.length > 0 || beamData.distributedLoads.length > 0) 
+        return (beamData.pointLoads.length > 0 || beamData.distributedLoads.length > 0 || beamData.thermalLoads?.length > 0 || beamData.selfWeight?.enabled) 
           ? 'bg-green-500' : 'bg-yellow-500';
       case 'moments':
         return beamData.moments.length > 0 ? 'bg-green-500' : 'bg-gray-300 dark:bg-gray-600';
+      case 'combinations':
+        return beamData.loadCombinations?.length > 0 ? 'bg-green-500' : 'bg-gray-300 dark:bg-gray-600';
       case 'section':
         return beamData.section?.type ? 'bg-green-500' : 'bg-yellow-500';
       case 'material':
         return (beamData.materialProperties.E > 0 && beamData.materialProperties.I > 0) 
           ? 'bg-green-500' : 'bg-yellow-500';
+      case 'design':
+        return beamData.design?.mode !== 'none' ? 'bg-green-500' : 'bg-gray-300 dark:bg-gray-600';
       default:
         return 'bg-gray-300 dark:bg-gray-600';
     }
@@ -3,9 +3,12 @@ import BeamDiagram from './visualizations/BeamDiagram';
 import DiagramCharts from './visualizations/DiagramCharts';
 import StressAnalysis from './visualizations/StressAnalysis';
 import ResultsTables from './visualizations/ResultsTables';
+import InfluenceLines from './visualizations/InfluenceLines';
+import DesignChecks from './visualizations/DesignChecks';
 import { useUnits } from '../contexts/UnitContext';
+import { getLoadSets } from '../utils/loadCombinations';
 
-const VisualizationPanel = ({ beamData, results }) => {
+const VisualizationPanel = ({ beamData, results, analysisStatus, loadSet, onLoadSetChange }) => {
   const [activeView, setActiveView] = useState('diagram');
   const { convertValue, getUnit } = useUnits();
 
@@ -13,7 +16,9 @@ const VisualizationPanel = ({ beamData, results }) => {
     { id: 'diagram', label: 'Beam Diagram', icon: '🏗️' },
     { id: 'charts', label: 'SFD, BMD & Deflection', icon: '📊' },
     { id: 'stress', label: 'Stress Analysis', icon: '📐' },
-    { id: 'tables', label: 'Results Tables', icon: '📋' }
+    { id: 'tables', label: 'Results Tables', icon: '📋' },
+    { id: 'influence', label: 'Influence Lines', icon: '🚚' },
+    { id: 'design', label: 'Design Checks', icon: '✅' }
   ];
 
   const renderContent = () => {
@@ -26,12 +31,18 @@ const VisualizationPanel = ({ beamData, results }) => {
         return <StressAnalysis beamData={beamData} results={results} />;
       case 'tables':
         return <ResultsTables beamData={beamData} results={results} />;
+      case 'influence':
+        return <InfluenceLines beamData={beamData} />;
+      case 'design':
+        return <DesignChecks beamData={beamData} results={results} />;
       default:
         return null;
     }
   };
 
   const displayLength = convertValue(beamData.length, 'length', 'SI');
+  const loadSets = getLoadSets(beamData);
+  const activeLoadSet = loadSets.some(s => s.id === loadSet) ? loadSet : 'all';
 
   return (
     <div className="h-full flex flex-col bg-white dark:bg-gray-800 transition-colors">
@@ -55,16 +66,51 @@ const VisualizationPanel = ({ beamData, results }) => {
           </div>
           
           <div className="flex items-center space-x-2 text-sm text-gray-500 dark:text-gray-400">
+            {analysisStatus?.isCalculating && (
+              <>
+                <span className="flex items-center text-primary-600 dark:text-primary-400">
+                  <svg className="animate-spin w-4 h-4 mr-1" fill="none" viewBox="0 0 24 24">
+                    <circle className="opacity-25" cx="12" cy="12" r="10" stroke="currentColor" strokeWidth="4" />
+                    <path className="opacity-75" fill="currentColor" d="M4 12a8 8 0 018-8v4a4 4 0 00-4 4H4z" />
+                  </svg>
+                  Calculating{analysisStatus.stage ? ` (${analysisStatus.stage})` : ''}…
+                </span>
+                <span>•</span>
+              </>
+            )}
             <span>Beam Length: {displayLength.toFixed(2)} {getUnit('length')}</span>
             <span>•</span>
             <span>Supports: {beamData.supports.length}</span>
             <span>•</span>
-            <span>Loads: {beamData.pointLoads.length + beamData.distributedLoads.length}</span>
+            <span>Loads: {beamData.pointLoads.length + beamData.distributedLoads.length + (beamData.thermalLoads?.length || 0)}</span>
           </div>
         </div>
+
+        {/* Influence lines do not depend on the applied loads */}
+        {activeView !== 'influence' && (
+          <div className="mt-3 flex items-center space-x-2 text-sm">
+            <label htmlFor="load-set" className="text-gray-600 dark:text-gray-300">Results for</label>
+            <select
+              id="load-set"
+              value={activeLoadSet}
+              onChange={(e) => onLoadSetChange(e.target.value)}
+              className="px-2 py-1 border border-gray-300 dark:border-gray-600 rounded-md bg-white dark:bg-gray-700 text-gray-900 dark:text-gray-100"
+            >
+              {loadSets.map(s => (
+                <option key={s.id} value={s.id}>{s.label}</option>
+              ))}
+            </select>
+          </div>
+        )}
       </div>
 
       <div className="flex-1 overflow-auto p-6">
+        {results.error && (
+          <div className="mb-6 p-4 bg-red-50 dark:bg-red-900/20 border border-red-200 dark:border-red-800 rounded-lg">
+            <p className="text-sm font-medium text-red-800 dark:text-red-200">Analysis failed</p>
+            <p className="text-sm text-red-700 dark:text-red-300 mt-1">{results.error}</p>
+          </div>
+        )}
         <div className="animate-fade-in">
           {renderContent()}
         </div>
@@ -0,0 +1,516 @@
+import React from 'react';
+import { useUnits } from '../../contexts/UnitContext';
+import { STEEL_GRADES, STEEL_DESIGN_CODES, getDefaultUnbracedLength } from '../../utils/steelDesign';
+import { DESIGNABLE_SECTION_TYPES } from '../../utils/sectionProperties';
+import { CONCRETE_DESIGN_CODES, CONCRETE_SECTION_TYPES } from '../../utils/concreteDesign';
+import { getLoadSets, isLoadSetDefined } from '../../utils/loadCombinations';
+import { createDeflectionLimitId } from '../../utils/serviceability';
+import { TIMBER_STRENGTH_CLASSES, SERVICE_CLASSES, LOAD_DURATION_CLASSES, getLoadDuration, getPsi2 } from '../../utils/timberDesign';
+
+// Concrete and reinforcement strengths are entered in MPa in every unit system
+const MPA = 1000;
+
+const DesignTab = ({ beamData, updateBeamData }) => {
+  const { getUnit, convertValue } = useUnits();
+  const { design } = beamData;
+  const steel = design.steel;
+  const concrete = design.concrete;
+  const timber = design.timber;
+
+  const updateDesign = (changes, options) => {
+    updateBeamData({ design: { ...design, ...changes } }, options);
+  };
+
+  const updateSteel = (field, value) => {
+    updateDesign({ steel: { ...steel, [field]: value } });
+  };
+
+  const updateConcrete = (field, value) => {
+    updateDesign({ concrete: { ...concrete, [field]: value } });
+  };
+
+  const updateTimber = (field, value) => {
+    updateDesign({ timber: { ...timber, [field]: value } });
+  };
+
+  const updateTimberCase = (field, caseId, value) => {
+    updateTimber(field, { ...timber[field], [caseId]: value });
+  };
+
+  const deflectionLimits = beamData.deflectionLimits || [];
+
+  const addDeflectionLimit = () => {
+    updateBeamData({
+      deflectionLimits: [...deflectionLimits, {
+        id: createDeflectionLimitId(deflectionLimits),
+        name: 'New limit',
+        loadSet: 'all',
+        spanRatio: 360,
+        absoluteLimit: null
+      }]
+    });
+  };
+
+  const updateDeflectionLimit = (index, field, value) => {
+    const newLimits = [...deflectionLimits];
+    newLimits[index] = { ...newLimits[index], [field]: value };
+    updateBeamData({ deflectionLimits: newLimits });
+  };
+
+  const removeDeflectionLimit = (index) => {
+    updateBeamData({ deflectionLimits: deflectionLimits.filter((_, i) => i !== index) });
+  };
+
+  // Cover and bar sizes in section units (mm / in)
+  const updateConcreteDimension = (field, value) => {
+    if (value > 0) updateConcrete(field, convertValue(value, 'sectionLength', null, 'SI'));
+  };
+
+  const defaultUnbracedLength = getDefaultUnbracedLength(beamData);
+  const hasGeometry = DESIGNABLE_SECTION_TYPES.includes(beamData.section?.type);
+  const isConcreteSection = CONCRETE_SECTION_TYPES.includes(beamData.section?.type);
+  const hasCombinations = beamData.loadCombinations?.length > 0;
+  const hasUlsCombinations = beamData.loadCombinations?.some(c => c.type === 'ULS');
+  const momentFactorLabel = steel.code === 'AISC' ? 'Cb' : 'C1';
+
+  return (
+    <div className="space-y-6">
+      <div>
+        <h3 className="text-sm font-medium text-gray-900 dark:text-white mb-4">Member Design</h3>
+        <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-2">
+          Design check
+        </label>
+        <select
+          value={design.mode}
+          onChange={(e) => updateDesign({ mode: e.target.value }, { checkpoint: true })}
+          className="input-field"
+        >
+          <option value="none">None</option>
+          <option value="steel">Steel member</option>
+          <option value="concrete">Reinforced concrete</option>
+          <option value="timber">Timber member</option>
+        </select>
+      </div>
+
+      {design.mode === 'steel' && (
+        <div className="space-y-4">
+          <div>
+            <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-2">
+              Design code
+            </label>
+            <select value={steel.code} onChange={(e) => updateSteel('code', e.target.value)} className="input-field">
+              {Object.entries(STEEL_DESIGN_CODES).map(([id, label]) => (
+                <option key={id} value={id}>{label}</option>
+              ))}
+            </select>
+          </div>
+
+          <div>
+            <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-2">
+              Steel grade
+            </label>
+            <select value={steel.grade} onChange={(e) => updateSteel('grade', e.target.value)} className="input-field">
+              {Object.entries(STEEL_GRADES).map(([id, grade]) => (
+                <option key={id} value={id}>{grade.label}</option>
+              ))}
+            </select>
+          </div>
+
+          <div>
+            <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-2">
+              Unbraced length Lb ({getUnit('length')})
+            </label>
+            <input
+              type="number"
+              min="0"
+              step="0.1"
+              value={steel.unbracedLength ? convertValue(steel.unbracedLength, 'length', 'SI') : ''}
+              placeholder={convertValue(defaultUnbracedLength, 'length', 'SI').toFixed(2)}
+              onChange={(e) => {
+                const value = parseFloat(e.target.value);
+                updateSteel('unbracedLength', value > 0 ? convertValue(value, 'length', null, 'SI') : null);
+              }}
+              className="input-field"
+            />
+            <p className="text-xs text-gray-500 dark:text-gray-400 mt-1">
+              Distance between lateral restraints of the compression flange. Leave blank to use the longest span
+            </p>
+          </div>
+
+          <div>
+            <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-2">
+              Moment factor {momentFactorLabel}
+            </label>
+            <input
+              type="number"
+              min="1"
+              max="3"
+              step="0.01"
+              value={steel.momentFactor}
+              onChange={(e) => updateSteel('momentFactor', parseFloat(e.target.value) || 1)}
+              className="input-field"
+            />
+            <p className="text-xs text-gray-500 dark:text-gray-400 mt-1">
+              1.0 for uniform moment (conservative), about 1.13 for a uniform load on a simple span
+            </p>
+          </div>
+
+          {!hasGeometry && (
+            <div className="bg-yellow-50 dark:bg-yellow-900/20 border border-yellow-200 dark:border-yellow-800 rounded-lg p-3 text-sm text-yellow-800 dark:text-yellow-200">
+              The custom section has no geometry. Choose a standard steel section or a rectangular, circular, I or T section in Section & Stress.
+            </div>
+          )}
+        </div>
+      )}
+
+      {design.mode === 'concrete' && (
+        <div className="space-y-4">
+          <div>
+            <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-2">
+              Design code
+            </label>
+            <select value={concrete.code} onChange={(e) => updateConcrete('code', e.target.value)} className="input-field">
+              {Object.entries(CONCRETE_DESIGN_CODES).map(([id, label]) => (
+                <option key={id} value={id}>{label}</option>
+              ))}
+            </select>
+          </div>
+
+          <div className="grid grid-cols-2 gap-3">
+            <div>
+              <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-2">
+                {concrete.code === 'ACI' ? "f'c" : 'fck'} (MPa)
+              </label>
+              <input
+                type="number"
+                min="12"
+                max="90"
+                step="1"
+                value={concrete.fck / MPA}
+                onChange={(e) => {
+                  const value = parseFloat(e.target.value);
+                  if (value > 0) updateConcrete('fck', value * MPA);
+                }}
+                className="input-field"
+              />
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-2">
+                fy (MPa)
+              </label>
+              <input
+                type="number"
+                min="250"
+                max="600"
+                step="10"
+                value={concrete.fy / MPA}
+                onChange={(e) => {
+                  const value = parseFloat(e.target.value);
+                  if (value > 0) updateConcrete('fy', value * MPA);
+                }}
+                className="input-field"
+              />
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-2">
+                Cover to links ({getUnit('sectionLength')})
+              </label>
+              <input
+                type="number"
+                min="0"
+                step="5"
+                value={convertValue(concrete.cover, 'sectionLength', 'SI')}
+                onChange={(e) => updateConcreteDimension('cover', parseFloat(e.target.value))}
+                className="input-field"
+              />
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-2">
+                Main bar Ø ({getUnit('sectionLength')})
+              </label>
+              <input
+                type="number"
+                min="0"
+                step="1"
+                value={convertValue(concrete.barDiameter, 'sectionLength', 'SI')}
+                onChange={(e) => updateConcreteDimension('barDiameter', parseFloat(e.target.value))}
+                className="input-field"
+              />
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-2">
+                Link Ø ({getUnit('sectionLength')})
+              </label>
+              <input
+                type="number"
+                min="0"
+                step="1"
+                value={convertValue(concrete.linkDiameter, 'sectionLength', 'SI')}
+                onChange={(e) => updateConcreteDimension('linkDiameter', parseFloat(e.target.value))}
+                className="input-field"
+              />
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-2">
+                Link legs
+              </label>
+              <input
+                type="number"
+                min="2"
+                step="2"
+                value={concrete.linkLegs}
+                onChange={(e) => updateConcrete('linkLegs', Math.max(parseInt(e.target.value) || 2, 2))}
+                className="input-field"
+              />
+            </div>
+          </div>
+
+          {!isConcreteSection && (
+            <div className="bg-yellow-50 dark:bg-yellow-900/20 border border-yellow-200 dark:border-yellow-800 rounded-lg p-3 text-sm text-yellow-800 dark:text-yellow-200">
+              Reinforced concrete design needs a rectangular or T section. Choose one in Section & Stress.
+            </div>
+          )}
+        </div>
+      )}
+
+      {design.mode === 'timber' && (
+        <div className="space-y-4">
+          <div>
+            <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-2">
+              Strength class
+            </label>
+            <select value={timber.strengthClass} onChange={(e) => updateTimber('strengthClass', e.target.value)} className="input-field">
+              {Object.entries(TIMBER_STRENGTH_CLASSES).map(([id, timberClass]) => (
+                <option key={id} value={id}>{timberClass.label}</option>
+              ))}
+            </select>
+          </div>
+
+          <div>
+            <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-2">
+              Service class
+            </label>
+            <select
+              value={timber.serviceClass}
+              onChange={(e) => updateTimber('serviceClass', parseInt(e.target.value))}
+              className="input-field"
+            >
+              {Object.entries(SERVICE_CLASSES).map(([id, label]) => (
+                <option key={id} value={id}>{label}</option>
+              ))}
+            </select>
+          </div>
+
+          <div>
+            <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-2">
+              Load duration per case
+            </label>
+            <div className="space-y-2">
+              {beamData.loadCases.map(loadCase => {
+                const duration = getLoadDuration(timber, loadCase.id);
+                return (
+                  <div key={loadCase.id} className="grid grid-cols-5 gap-2 items-center">
+                    <span className="text-sm text-gray-700 dark:text-gray-300 truncate" title={loadCase.name}>
+                      {loadCase.id} - {loadCase.name}
+                    </span>
+                    <select
+                      value={duration}
+                      onChange={(e) => updateTimberCase('durations', loadCase.id, e.target.value)}
+                      className="input-field col-span-3"
+                    >
+                      {Object.entries(LOAD_DURATION_CLASSES).map(([id, label]) => (
+                        <option key={id} value={id}>{label}</option>
+                      ))}
+                    </select>
+                    <input
+                      type="number"
+                      min="0"
+                      max="1"
+                      step="0.1"
+                      value={getPsi2(timber, loadCase.id)}
+                      disabled={duration === 'permanent'}
+                      title="ψ2 (quasi-permanent share)"
+                      onChange={(e) => {
+                        const value = parseFloat(e.target.value);
+                        if (value >= 0 && value <= 1) updateTimberCase('psi2', loadCase.id, value);
+                      }}
+                      className="input-field"
+                    />
+                  </div>
+                );
+              })}
+            </div>
+            <p className="text-xs text-gray-500 dark:text-gray-400 mt-1">
+              The duration sets kmod; ψ2 is the share of a variable case that causes creep (permanent cases creep in full)
+            </p>
+          </div>
+
+          <div className="grid grid-cols-2 gap-3">
+            <div>
+              <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-2">
+                Bearing length ({getUnit('sectionLength')})
+              </label>
+              <input
+                type="number"
+                min="0"
+                step="10"
+                value={convertValue(timber.bearingLength, 'sectionLength', 'SI')}
+                onChange={(e) => {
+                  const value = parseFloat(e.target.value);
+                  if (value > 0) updateTimber('bearingLength', convertValue(value, 'sectionLength', null, 'SI'));
+                }}
+                className="input-field"
+              />
+            </div>
+            <div />
+            <div>
+              <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-2">
+                Instantaneous limit L/
+              </label>
+              <input
+                type="number"
+                min="1"
+                step="10"
+                value={timber.instantLimit}
+                onChange={(e) => {
+                  const value = parseFloat(e.target.value);
+                  if (value > 0) updateTimber('instantLimit', value);
+                }}
+                className="input-field"
+              />
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-2">
+                Final limit L/
+              </label>
+              <input
+                type="number"
+                min="1"
+                step="10"
+                value={timber.finalLimit}
+                onChange={(e) => {
+                  const value = parseFloat(e.target.value);
+                  if (value > 0) updateTimber('finalLimit', value);
+                }}
+                className="input-field"
+              />
+            </div>
+          </div>
+
+          {beamData.section?.type !== 'rectangular' && (
+            <div className="bg-yellow-50 dark:bg-yellow-900/20 border border-yellow-200 dark:border-yellow-800 rounded-lg p-3 text-sm text-yellow-800 dark:text-yellow-200">
+              Timber design needs a rectangular section. Choose one in Section & Stress.
+            </div>
+          )}
+        </div>
+      )}
+
+      {design.mode === 'timber' && (
+        <div className="bg-blue-50 dark:bg-blue-900/20 border border-blue-200 dark:border-blue-800 rounded-lg p-3 text-sm text-blue-800 dark:text-blue-200">
+          {hasUlsCombinations
+            ? 'Each ULS combination is checked with the kmod of its shortest-duration load case. Deflections add up every load case, with creep.'
+            : 'No ULS combinations are defined, so strength is checked with the unfactored loads. Add factored (ULS) combinations for a design check.'}
+        </div>
+      )}
+
+      {design.mode !== 'none' && design.mode !== 'timber' && (
+        <div className="bg-blue-50 dark:bg-blue-900/20 border border-blue-200 dark:border-blue-800 rounded-lg p-3 text-sm text-blue-800 dark:text-blue-200">
+          {hasCombinations
+            ? 'Members are checked against the envelope of all load combinations.'
+            : 'No load combinations are defined, so members are checked against the selected result set. Add factored (ULS) combinations for a design check.'}
+        </div>
+      )}
+
+      {/* Serviceability */}
+      <div className="border-t border-gray-200 dark:border-gray-700 pt-6">
+        <div className="flex items-center justify-between mb-4">
+          <h3 className="text-sm font-medium text-gray-900 dark:text-white">Deflection Limits</h3>
+          <button onClick={addDeflectionLimit} className="btn-primary text-sm">
+            Add Limit
+          </button>
+        </div>
+
+        <div className="space-y-4">
+          {deflectionLimits.map((criterion, index) => (
+            <div key={criterion.id} className="card">
+              <div className="flex items-center justify-between mb-3">
+                <input
+                  type="text"
+                  value={criterion.name}
+                  onChange={(e) => updateDeflectionLimit(index, 'name', e.target.value)}
+                  className="input-field flex-1 mr-2"
+                />
+                <button
+                  onClick={() => removeDeflectionLimit(index)}
+                  className="text-red-600 hover:text-red-800 dark:text-red-400 dark:hover:text-red-300 text-sm"
+                >
+                  Remove
+                </button>
+              </div>
+
+              <select
+                value={criterion.loadSet}
+                onChange={(e) => updateDeflectionLimit(index, 'loadSet', e.target.value)}
+                className="input-field mb-3"
+              >
+                {!isLoadSetDefined(beamData, criterion.loadSet) && (
+                  <option value={criterion.loadSet}>Missing: {criterion.loadSet}</option>
+                )}
+                {getLoadSets(beamData).map(loadSet => (
+                  <option key={loadSet.id} value={loadSet.id}>{loadSet.label}</option>
+                ))}
+              </select>
+
+              <div className="grid grid-cols-2 gap-3">
+                <div>
+                  <label className="block text-xs font-medium text-gray-700 dark:text-gray-300 mb-1">
+                    Span limit L/
+                  </label>
+                  <input
+                    type="number"
+                    min="1"
+                    step="10"
+                    value={criterion.spanRatio ?? ''}
+                    placeholder="none"
+                    onChange={(e) => {
+                      const value = parseFloat(e.target.value);
+                      if (value > 0 || (e.target.value === '' && criterion.absoluteLimit)) {
+                        updateDeflectionLimit(index, 'spanRatio', value > 0 ? value : null);
+                      }
+                    }}
+                    className="input-field"
+                  />
+                </div>
+                <div>
+                  <label className="block text-xs font-medium text-gray-700 dark:text-gray-300 mb-1">
+                    Absolute limit ({getUnit('deflection')})
+                  </label>
+                  <input
+                    type="number"
+                    min="0"
+                    step="1"
+                    value={criterion.absoluteLimit ? convertValue(criterion.absoluteLimit * 1000, 'deflection', 'SI') : ''}
+                    placeholder="none"
+                    onChange={(e) => {
+                      const value = parseFloat(e.target.value);
+                      if (value > 0 || (e.target.value === '' && criterion.spanRatio)) {
+                        updateDeflectionLimit(index, 'absoluteLimit', value > 0 ? convertValue(value, 'deflection', null, 'SI') / 1000 : null);
+                      }
+                    }}
+                    className="input-field"
+                  />
+                </div>
+              </div>
+            </div>
+          ))}
+        </div>
+
+        <p className="text-xs text-gray-500 dark:text-gray-400 mt-2">
+          Every span between supports is checked against the smaller of its span limit and the absolute limit. Overhangs are checked at the free end against twice their length.
+        </p>
+      </div>
+    </div>
+  );
+};
+
+export default DesignTab;
@@ -1,8 +1,48 @@
 import React from 'react';
 import { useUnits } from '../../contexts/UnitContext';
+import { getSpanBoundaries } from '../../utils/calculations';
+import { withSupportType } from '../../utils/beamModel';
+
+const POSITION_TOLERANCE = 1e-6;
+
+// Place a support at every span boundary. boundaryMap[k] is the previous
+// index of boundary k, or null for a new boundary. The supports found at a
+// previous boundary move with it, keeping their springs, settlements and load
+// cases; other supports and hinges keep their distance from the start of
+// their span.
+const buildMultiSpanSupports = (spans, previousSpans, previousSupports, boundaryMap) => {
+  const boundaries = getSpanBoundaries(spans);
+  const previousBoundaries = getSpanBoundaries(previousSpans);
+  const boundaryIndexAt = (position) => previousBoundaries.findIndex(b => Math.abs(b - position) < POSITION_TOLERANCE);
+
+  const supports = boundaries.flatMap((position, k) => {
+    const previous = boundaryMap[k] === null
+      ? []
+      : previousSupports.filter(s => boundaryIndexAt(s.position) === boundaryMap[k]);
+    const moved = previous.map(support => ({ ...withSupportType(support, support.type), position }));
+    // A hinge alone does not support the boundary
+    return moved.some(support => support.type !== 'Internal Hinge')
+      ? moved
+      : [{ type: k === 0 ? 'Hinge' : 'Roller', position }, ...moved];
+  });
+
+  previousSupports.filter(s => boundaryIndexAt(s.position) === -1).forEach(support => {
+    const span = spans.findIndex((_, k) => boundaryMap[k] !== null && boundaryMap[k + 1] !== null
+      && support.position > previousBoundaries[boundaryMap[k]]
+      && support.position < previousBoundaries[boundaryMap[k + 1]]);
+    if (span === -1) return;
+    const offset = support.position - previousBoundaries[boundaryMap[span]];
+    supports.push({ ...support, position: Math.min(boundaries[span] + offset, boundaries[span + 1]) });
+  });
+  return supports.sort((a, b) => a.position - b.position);
+};
+
+// Boundary indices 0..count - 1, the identity map of buildMultiSpanSupports
+const sameBoundaries = (count) => Array.from({ length: count }, (_, i) => i);
 
 const LengthTab = ({ beamData, updateBeamData }) => {
   const { getUnit, convertValue } = useUnits();
+  const multiSpan = beamData.multiSpan || { enabled: false, spans: [] };
 
   const handleLengthChange = (e) => {
     const displayValue = parseFloat(e.target.value) || 0;
@@ -11,11 +51,107 @@ const LengthTab = ({ beamData, updateBeamData }) => {
     updateBeamData({ length: siValue });
   };
 
+  const updateSpans = (spans, boundaryMap, previousSupports = beamData.supports) => {
+    updateBeamData({
+      multiSpan: { ...multiSpan, enabled: true, spans },
+      length: spans.reduce((sum, length) => sum + length, 0),
+      supports: buildMultiSpanSupports(spans, multiSpan.spans, previousSupports, boundaryMap)
+    });
+  };
+
+  const toggleMultiSpan = (enabled) => {
+    if (enabled) {
+      // Start from two equal spans over the current length
+      updateSpans([beamData.length / 2, beamData.length / 2], [null, null, null], []);
+    } else {
+      updateBeamData({ multiSpan: { ...multiSpan, enabled: false } }, { checkpoint: true });
+    }
+  };
+
+  const addSpan = () => {
+    const lastSpan = multiSpan.spans[multiSpan.spans.length - 1] || 5;
+    updateSpans([...multiSpan.spans, lastSpan], [...sameBoundaries(multiSpan.spans.length + 1), null]);
+  };
+
+  // The removed span's right boundary goes, except for the last span, whose
+  // end support moves to its left boundary
+  const removeSpan = (index) => {
+    const removed = index === multiSpan.spans.length - 1 ? index : index + 1;
+    updateSpans(
+      multiSpan.spans.filter((_, i) => i !== index),
+      sameBoundaries(multiSpan.spans.length + 1).filter(i => i !== removed)
+    );
+  };
+
+  const updateSpanLength = (index, displayValue) => {
+    const newSpans = [...multiSpan.spans];
+    newSpans[index] = convertValue(displayValue, 'length', null, 'SI');
+    updateSpans(newSpans, sameBoundaries(newSpans.length + 1));
+  };
+
   // Convert from SI to display units
   const displayLength = convertValue(beamData.length, 'length', 'SI');
 
   return (
     <div className="space-y-6">
+      <div>
+        <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-3">
+          Beam Type
+        </label>
+        <div className="flex space-x-2">
+          <button
+            onClick={() => toggleMultiSpan(false)}
+            className={`tab-button ${!multiSpan.enabled ? 'active' : 'inactive'}`}
+          >
+            Single Span
+          </button>
+          <button
+            onClick={() => toggleMultiSpan(true)}
+            className={`tab-button ${multiSpan.enabled ? 'active' : 'inactive'}`}
+          >
+            Continuous Multi-Span
+          </button>
+        </div>
+      </div>
+
+      {multiSpan.enabled && (
+        <div className="space-y-4">
+          <div className="flex items-center justify-between">
+            <h3 className="text-sm font-medium text-gray-900 dark:text-white">Spans</h3>
+            <button onClick={addSpan} className="btn-primary text-sm">
+              Add Span
+            </button>
+          </div>
+
+          {multiSpan.spans.map((span, index) => (
+            <div key={index} className="card">
+              <div className="flex items-center justify-between mb-4">
+                <h4 className="font-medium text-gray-900 dark:text-white">Span {index + 1}</h4>
+                {multiSpan.spans.length > 2 && (
+                  <button
+                    onClick={() => removeSpan(index)}
+                    className="text-red-600 hover:text-red-800 dark:text-red-400 dark:hover:text-red-300 text-sm"
+                  >
+                    Remove
+                  </button>
+                )}
+              </div>
+              <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-2">
+                Span Length ({getUnit('length')})
+              </label>
+              <input
+                type="number"
+                min="0.1"
+                step="0.1"
+                value={convertValue(span, 'length', 'SI')}
+                onChange={(e) => updateSpanLength(index, parseFloat(e.target.value) || 0)}
+                className="input-field"
+              />
+            </div>
+          ))}
+        </div>
+      )}
+
       <div>
         <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-2">
           Beam Length ({getUnit('length')})
@@ -27,11 +163,14 @@ const LengthTab = ({ beamData, updateBeamData }) => {
           step="0.1"
           value={displayLength}
           onChange={handleLengthChange}
+          disabled={multiSpan.enabled}
           className="input-field"
           placeholder="Enter beam length"
         />
         <p className="text-xs text-gray-500 dark:text-gray-400 mt-1">
-          Specify the total length of the beam in {getUnit('length')}
+          {multiSpan.enabled
+            ? 'Total length is the sum of the span lengths'
+            : `Specify the total length of the beam in ${getUnit('length')}`}
         </p>
       </div>
 
@@ -51,6 +190,7 @@ const LengthTab = ({ beamData, updateBeamData }) => {
                 <li>Typical range: 3-300 {getUnit('length')}</li>
                 <li>Consider practical construction limits</li>
                 <li>Longer beams may require intermediate supports</li>
+                <li>Use multi-span mode for beams continuous over interior supports</li>
               </ul>
             </div>
           </div>
@@ -0,0 +1,105 @@
+import React from 'react';
+import { render, screen, fireEvent } from '@testing-library/react';
+import LengthTab from './LengthTab';
+import { UnitProvider } from '../../contexts/UnitContext';
+import { createDefaultBeamData } from '../../utils/beamModel';
+
+const showTab = (beamData) => {
+  const updateBeamData = jest.fn();
+  render(
+    <UnitProvider>
+      <LengthTab beamData={beamData} updateBeamData={updateBeamData} />
+    </UnitProvider>
+  );
+  return updateBeamData;
+};
+
+describe('LengthTab in multi-span mode', () => {
+  beforeEach(() => localStorage.clear());
+
+  test('editing a span keeps springs and settlements', () => {
+    const beamData = {
+      ...createDefaultBeamData(),
+      length: 8,
+      multiSpan: { enabled: true, spans: [4, 4] },
+      supports: [
+        { type: 'Fixed', position: 0, settlement: 0.01, rotation: 0.002, loadCase: 'L' },
+        { type: 'Spring', position: 4, stiffness: 500 },
+        { type: 'Rotational Spring', position: 8, rotationalStiffness: 2000 }
+      ]
+    };
+    const updateBeamData = showTab(beamData);
+
+    fireEvent.change(screen.getAllByRole('spinbutton')[0], { target: { value: '5' } });
+
+    const { supports, length } = updateBeamData.mock.calls[0][0];
+    expect(length).toBe(9);
+    expect(supports).toEqual([
+      { type: 'Fixed', position: 0, settlement: 0.01, rotation: 0.002, loadCase: 'L' },
+      { type: 'Spring', position: 5, stiffness: 500 },
+      { type: 'Rotational Spring', position: 9, rotationalStiffness: 2000 }
+    ]);
+  });
+
+  test('a new boundary support gets a default type', () => {
+    const beamData = {
+      ...createDefaultBeamData(),
+      length: 8,
+      multiSpan: { enabled: true, spans: [4, 4] },
+      supports: [{ type: 'Hinge', position: 0 }, { type: 'Spring', position: 4, stiffness: 500 }, { type: 'Roller', position: 8 }]
+    };
+    const updateBeamData = showTab(beamData);
+
+    fireEvent.click(screen.getByText('Add Span'));
+
+    const { supports } = updateBeamData.mock.calls[0][0];
+    expect(supports.map(s => s.type)).toEqual(['Hinge', 'Spring', 'Roller', 'Roller']);
+    expect(supports[1].stiffness).toBe(500);
+  });
+
+  test('removing a middle span keeps the later supports on their boundaries', () => {
+    const beamData = {
+      ...createDefaultBeamData(),
+      length: 12,
+      multiSpan: { enabled: true, spans: [4, 4, 4] },
+      supports: [
+        { type: 'Fixed', position: 0 },
+        { type: 'Roller', position: 4 },
+        { type: 'Spring', position: 8, stiffness: 500 },
+        { type: 'Rotational Spring', position: 12, rotationalStiffness: 2000 }
+      ]
+    };
+    const updateBeamData = showTab(beamData);
+
+    fireEvent.click(screen.getAllByText('Remove')[1]);
+
+    const { supports } = updateBeamData.mock.calls[0][0];
+    expect(supports).toEqual([
+      { type: 'Fixed', position: 0 },
+      { type: 'Roller', position: 4 },
+      { type: 'Rotational Spring', position: 8, rotationalStiffness: 2000 }
+    ]);
+  });
+
+  test('supports and hinges inside a span move with it', () => {
+    const beamData = {
+      ...createDefaultBeamData(),
+      length: 8,
+      multiSpan: { enabled: true, spans: [4, 4] },
+      supports: [
+        { type: 'Hinge', position: 0 },
+        { type: 'Roller', position: 4 },
+        { type: 'Internal Hinge', position: 5 },
+        { type: 'Roller', position: 8 }
+      ]
+    };
+    const updateBeamData = showTab(beamData);
+
+    fireEvent.change(screen.getAllByRole('spinbutton')[0], { target: { value: '6' } });
+
+    const { supports } = updateBeamData.mock.calls[0][0];
+    expect(supports.map(s => [s.type, s.position])).toEqual([
+      ['Hinge', 0], ['Roller', 6], ['Internal Hinge', 7], ['Roller', 10]
+    ]);
+  });
+});
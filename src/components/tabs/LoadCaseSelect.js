@@ -0,0 +1,18 @@
+import React from 'react';
+import { getLoadCase } from '../../utils/loadCombinations';
+
+// Load case picker shown on each load card
+const LoadCaseSelect = ({ load, loadCases, onChange }) => (
+  <select
+    value={getLoadCase(load)}
+    onChange={(e) => onChange(e.target.value)}
+    title="Load case"
+    className="px-2 py-1 text-sm border border-gray-300 dark:border-gray-600 rounded-md bg-white dark:bg-gray-700 text-gray-900 dark:text-gray-100"
+  >
+    {loadCases.map(loadCase => (
+      <option key={loadCase.id} value={loadCase.id}>{loadCase.id} - {loadCase.name}</option>
+    ))}
+  </select>
+);
+
+export default LoadCaseSelect;
@@ -0,0 +1,239 @@
+import React, { useState } from 'react';
+import {
+  DEFAULT_LOAD_CASE,
+  COMBINATION_TYPES,
+  COMBINATION_PRESETS,
+  getLoadCase,
+  hasSupportMovement,
+  createCombinationId,
+  applyCombinationPreset
+} from '../../utils/loadCombinations';
+
+const LoadCombinationsTab = ({ beamData, updateBeamData }) => {
+  const [newCase, setNewCase] = useState({ id: '', name: '' });
+  const loadCases = beamData.loadCases || [];
+  const loadCombinations = beamData.loadCombinations || [];
+
+  // Settling supports and the self-weight count as loads of their case
+  const allLoads = [
+    ...beamData.pointLoads,
+    ...beamData.distributedLoads,
+    ...beamData.moments,
+    ...(beamData.thermalLoads || []),
+    ...beamData.supports.filter(hasSupportMovement),
+    ...(beamData.selfWeight?.enabled ? [beamData.selfWeight] : [])
+  ];
+  const countLoads = (caseId) => allLoads.filter(load => getLoadCase(load) === caseId).length;
+
+  const newCaseId = newCase.id.trim();
+  const canAddCase = newCaseId !== '' && !loadCases.some(c => c.id === newCaseId);
+
+  const addLoadCase = () => {
+    if (!canAddCase) return;
+    updateBeamData({
+      loadCases: [...loadCases, { id: newCaseId, name: newCase.name.trim() || newCaseId }]
+    });
+    setNewCase({ id: '', name: '' });
+  };
+
+  const renameLoadCase = (index, name) => {
+    const newCases = [...loadCases];
+    newCases[index] = { ...newCases[index], name };
+    updateBeamData({ loadCases: newCases });
+  };
+
+  // Only cases without loads can go; their factors leave every combination
+  const removeLoadCase = (caseId) => {
+    updateBeamData({
+      loadCases: loadCases.filter(c => c.id !== caseId),
+      loadCombinations: loadCombinations.map(combination => {
+        const { [caseId]: removed, ...factors } = combination.factors;
+        return { ...combination, factors };
+      })
+    });
+  };
+
+  const addCombination = () => {
+    updateBeamData({
+      loadCombinations: [...loadCombinations, {
+        id: createCombinationId(loadCombinations),
+        name: 'New combination',
+        type: 'ULS',
+        factors: { [DEFAULT_LOAD_CASE]: 1.0 }
+      }]
+    });
+  };
+
+  const removeCombination = (index) => {
+    updateBeamData({ loadCombinations: loadCombinations.filter((_, i) => i !== index) });
+  };
+
+  const updateCombination = (index, field, value) => {
+    const newCombinations = [...loadCombinations];
+    newCombinations[index] = { ...newCombinations[index], [field]: value };
+    updateBeamData({ loadCombinations: newCombinations });
+  };
+
+  // A blank or zero factor leaves the case out of the combination
+  const updateFactor = (index, caseId, value) => {
+    const { [caseId]: previous, ...factors } = loadCombinations[index].factors;
+    const factor = parseFloat(value);
+    updateCombination(index, 'factors', factor ? { ...factors, [caseId]: factor } : factors);
+  };
+
+  const applyPreset = (presetName) => {
+    const { loadCases: presetCases, loadCombinations: presetCombinations } = applyCombinationPreset(beamData, presetName);
+    updateBeamData({ loadCases: presetCases, loadCombinations: presetCombinations }, { checkpoint: true });
+  };
+
+  return (
+    <div className="space-y-6">
+      {/* Load Cases */}
+      <div>
+        <h3 className="text-sm font-medium text-gray-900 dark:text-white mb-4">Load Cases</h3>
+
+        <div className="space-y-2">
+          {loadCases.map((loadCase, index) => {
+            const loadCount = countLoads(loadCase.id);
+            const removable = loadCase.id !== DEFAULT_LOAD_CASE && loadCount === 0;
+
+            return (
+              <div key={loadCase.id} className="flex items-center space-x-2">
+                <span className="w-10 text-center px-2 py-1 text-sm font-medium bg-gray-100 dark:bg-gray-700 text-gray-700 dark:text-gray-200 rounded">
+                  {loadCase.id}
+                </span>
+                <input
+                  type="text"
+                  value={loadCase.name}
+                  onChange={(e) => renameLoadCase(index, e.target.value)}
+                  className="input-field flex-1"
+                />
+                <span className="text-xs text-gray-500 dark:text-gray-400 w-14">
+                  {loadCount} load{loadCount === 1 ? '' : 's'}
+                </span>
+                <button
+                  onClick={() => removeLoadCase(loadCase.id)}
+                  disabled={!removable}
+                  title={removable ? 'Remove load case' : 'Only unused load cases other than the default can be removed'}
+                  className="text-red-600 hover:text-red-800 dark:text-red-400 dark:hover:text-red-300 text-sm disabled:opacity-40 disabled:cursor-not-allowed"
+                >
+                  Remove
+                </button>
+              </div>
+            );
+          })}
+        </div>
+
+        <div className="mt-3 flex items-center space-x-2">
+          <input
+            type="text"
+            placeholder="ID"
+            maxLength={4}
+            value={newCase.id}
+            onChange={(e) => setNewCase({ ...newCase, id: e.target.value })}
+            className="input-field w-16"
+          />
+          <input
+            type="text"
+            placeholder="Name, e.g. Earthquake"
+            value={newCase.name}
+            onChange={(e) => setNewCase({ ...newCase, name: e.target.value })}
+            className="input-field flex-1"
+          />
+          <button onClick={addLoadCase} disabled={!canAddCase} className="btn-primary text-sm disabled:opacity-50">
+            Add
+          </button>
+        </div>
+        <p className="text-xs text-gray-500 dark:text-gray-400 mt-2">
+          Loads are assigned to a case on the Loads and Moments tabs. Loads without a case belong to {DEFAULT_LOAD_CASE}.
+        </p>
+      </div>
+
+      {/* Preset Combinations */}
+      <div>
+        <h3 className="text-sm font-medium text-gray-900 dark:text-white mb-2">Code Presets</h3>
+        <p className="text-xs text-gray-500 dark:text-gray-400 mb-3">
+          Replaces the combinations below and adds any missing standard load cases.
+        </p>
+        <div className="grid grid-cols-2 gap-2">
+          {Object.keys(COMBINATION_PRESETS).map(presetName => (
+            <button key={presetName} onClick={() => applyPreset(presetName)} className="btn-secondary text-sm">
+              {presetName}
+            </button>
+          ))}
+        </div>
+      </div>
+
+      {/* Combinations */}
+      <div>
+        <div className="flex items-center justify-between mb-4">
+          <h3 className="text-sm font-medium text-gray-900 dark:text-white">Load Combinations</h3>
+          <button onClick={addCombination} className="btn-primary text-sm">
+            Add Combination
+          </button>
+        </div>
+
+        <div className="space-y-4">
+          {loadCombinations.map((combination, index) => (
+            <div key={combination.id} className="card">
+              <div className="flex items-center justify-between mb-3">
+                <h4 className="font-medium text-gray-900 dark:text-white">{combination.id}</h4>
+                <button
+                  onClick={() => removeCombination(index)}
+                  className="text-red-600 hover:text-red-800 dark:text-red-400 dark:hover:text-red-300 text-sm"
+                >
+                  Remove
+                </button>
+              </div>
+
+              <div className="grid grid-cols-3 gap-2 mb-3">
+                <input
+                  type="text"
+                  value={combination.name}
+                  onChange={(e) => updateCombination(index, 'name', e.target.value)}
+                  className="input-field col-span-2"
+                />
+                <select
+                  value={combination.type}
+                  onChange={(e) => updateCombination(index, 'type', e.target.value)}
+                  className="input-field"
+                >
+                  {COMBINATION_TYPES.map(type => (
+                    <option key={type} value={type}>{type}</option>
+                  ))}
+                </select>
+              </div>
+
+              <div className="grid grid-cols-4 gap-2">
+                {loadCases.map(loadCase => (
+                  <div key={loadCase.id}>
+                    <label className="block text-xs font-medium text-gray-700 dark:text-gray-300 mb-1" title={loadCase.name}>
+                      γ {loadCase.id}
+                    </label>
+                    <input
+                      type="number"
+                      step="0.05"
+                      value={combination.factors[loadCase.id] ?? ''}
+                      placeholder="0"
+                      onChange={(e) => updateFactor(index, loadCase.id, e.target.value)}
+                      className="input-field"
+                    />
+                  </div>
+                ))}
+              </div>
+            </div>
+          ))}
+        </div>
+
+        {loadCombinations.length === 0 && (
+          <div className="text-center py-6 text-sm text-gray-500 dark:text-gray-400">
+            <p>No load combinations defined</p>
+            <p>Add one or start from a code preset; the diagrams then show the envelope</p>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default LoadCombinationsTab;
@@ -1,12 +1,23 @@
 import React, { useState } from 'react';
 import { useUnits } from '../../contexts/UnitContext';
+import { DEFAULT_LOAD_CASE } from '../../utils/loadCombinations';
+import { validateThermalLoads } from '../../utils/thermal';
+import { DEFAULT_SELF_WEIGHT, getSelfWeightLoads } from '../../utils/selfWeight';
+import LoadCaseSelect from './LoadCaseSelect';
+
+// Temperature change fields of a thermal load
+const THERMAL_FIELDS = [
+  ['uniform', 'ΔT uniform'],
+  ['top', 'ΔT top'],
+  ['bottom', 'ΔT bottom']
+];
 
 const LoadsTab = ({ beamData, updateBeamData }) => {
   const [activeLoadType, setActiveLoadType] = useState('point');
   const { getUnit, convertValue } = useUnits();
 
   const addPointLoad = () => {
-    const newLoad = { position: 0, magnitude: 0, angle: 0, isInclined: false };
+    const newLoad = { position: 0, magnitude: 0, angle: 0, isInclined: false, loadCase: DEFAULT_LOAD_CASE };
     updateBeamData({
       pointLoads: [...beamData.pointLoads, newLoad]
     });
@@ -17,13 +28,55 @@ const LoadsTab = ({ beamData, updateBeamData }) => {
       startPos: 0,
       endPos: beamData.length,
       startMag: 0,
-      endMag: 0
+      endMag: 0,
+      loadCase: DEFAULT_LOAD_CASE
     };
     updateBeamData({
       distributedLoads: [...beamData.distributedLoads, newLoad]
     });
   };
 
+  const selfWeight = { ...DEFAULT_SELF_WEIGHT, ...beamData.selfWeight };
+  const selfWeightLoads = getSelfWeightLoads({ ...beamData, selfWeight: { ...selfWeight, enabled: true } });
+  const selfWeightRange = selfWeightLoads.error
+    ? null
+    : selfWeightLoads.flatMap(load => [-load.startMag, -load.endMag]).map(w => convertValue(w, 'distributedLoad', 'SI'));
+
+  const updateSelfWeight = (changes, options) => {
+    updateBeamData({ selfWeight: { ...selfWeight, ...changes } }, options);
+  };
+
+  const thermalLoads = beamData.thermalLoads || [];
+  const thermalError = validateThermalLoads(beamData);
+
+  const addThermalLoad = () => {
+    updateBeamData({
+      thermalLoads: [...thermalLoads, {
+        startPos: 0,
+        endPos: beamData.length,
+        uniform: 0,
+        top: 0,
+        bottom: 0,
+        loadCase: DEFAULT_LOAD_CASE
+      }]
+    });
+  };
+
+  const removeThermalLoad = (index) => {
+    updateBeamData({ thermalLoads: thermalLoads.filter((_, i) => i !== index) });
+  };
+
+  const updateThermalLoad = (index, field, value) => {
+    const newLoads = [...thermalLoads];
+    // Convert from display units to SI
+    const unitType = field === 'startPos' || field === 'endPos' ? 'length' : 'temperature';
+    newLoads[index] = {
+      ...newLoads[index],
+      [field]: field === 'loadCase' ? value : convertValue(value, unitType, null, 'SI')
+    };
+    updateBeamData({ thermalLoads: newLoads });
+  };
+
   const removePointLoad = (index) => {
     const newLoads = beamData.pointLoads.filter((_, i) => i !== index);
     updateBeamData({ pointLoads: newLoads });
@@ -142,6 +195,33 @@ const LoadsTab = ({ beamData, updateBeamData }) => {
 
   return (
     <div className="space-y-6">
+      {/* Self-weight, generated from the section and material density */}
+      <div className="card">
+        <div className="flex items-center justify-between">
+          <label className="flex items-center">
+            <input
+              type="checkbox"
+              checked={selfWeight.enabled}
+              onChange={(e) => updateSelfWeight({ enabled: e.target.checked }, { checkpoint: true })}
+              className="rounded border-gray-300 dark:border-gray-600 text-blue-600 focus:ring-blue-500"
+            />
+            <span className="ml-2 text-sm font-medium text-gray-900 dark:text-white">Include self-weight</span>
+          </label>
+          {selfWeight.enabled && (
+            <LoadCaseSelect
+              load={selfWeight}
+              loadCases={beamData.loadCases}
+              onChange={(loadCase) => updateSelfWeight({ loadCase })}
+            />
+          )}
+        </div>
+        <p className="mt-2 text-xs text-gray-500 dark:text-gray-400">
+          {selfWeightRange
+            ? `Downward ${Math.min(...selfWeightRange).toFixed(3)}${Math.max(...selfWeightRange) - Math.min(...selfWeightRange) > 1e-9 ? ` to ${Math.max(...selfWeightRange).toFixed(3)}` : ''} ${getUnit('distributedLoad')} over the whole beam, from the density in the Material tab and the section area. It updates with the section and length.`
+            : selfWeightLoads.error}
+        </p>
+      </div>
+
       <div className="flex space-x-2">
         <button
           onClick={() => setActiveLoadType('point')}
@@ -155,6 +235,12 @@ const LoadsTab = ({ beamData, updateBeamData }) => {
         >
           Distributed Loads
         </button>
+        <button
+          onClick={() => setActiveLoadType('thermal')}
+          className={`tab-button ${activeLoadType === 'thermal' ? 'active' : 'inactive'}`}
+        >
+          Thermal Loads
+        </button>
       </div>
 
       {activeLoadType === 'point' && (
@@ -176,12 +262,19 @@ const LoadsTab = ({ beamData, updateBeamData }) => {
               <div key={index} className="card">
                 <div className="flex items-center justify-between mb-4">
                   <h4 className="font-medium text-gray-900 dark:text-white">Point Load {index + 1}</h4>
-                  <button
-                    onClick={() => removePointLoad(index)}
-                    className="text-red-600 hover:text-red-800 dark:text-red-400 dark:hover:text-red-300 text-sm"
-                  >
-                    Remove
-                  </button>
+                  <div className="flex items-center space-x-3">
+                    <LoadCaseSelect
+                      load={load}
+                      loadCases={beamData.loadCases}
+                      onChange={(loadCase) => updatePointLoad(index, 'loadCase', loadCase)}
+                    />
+                    <button
+                      onClick={() => removePointLoad(index)}
+                      className="text-red-600 hover:text-red-800 dark:text-red-400 dark:hover:text-red-300 text-sm"
+                    >
+                      Remove
+                    </button>
+                  </div>
                 </div>
 
                 <div className="space-y-6">
@@ -417,12 +510,19 @@ const LoadsTab = ({ beamData, updateBeamData }) => {
               <div key={index} className="card">
                 <div className="flex items-center justify-between mb-4">
                   <h4 className="font-medium text-gray-900 dark:text-white">Distributed Load {index + 1}</h4>
-                  <button
-                    onClick={() => removeDistributedLoad(index)}
-                    className="text-red-600 hover:text-red-800 dark:text-red-400 dark:hover:text-red-300 text-sm"
-                  >
-                    Remove
-                  </button>
+                  <div className="flex items-center space-x-3">
+                    <LoadCaseSelect
+                      load={load}
+                      loadCases={beamData.loadCases}
+                      onChange={(loadCase) => updateDistributedLoad(index, 'loadCase', loadCase)}
+                    />
+                    <button
+                      onClick={() => removeDistributedLoad(index)}
+                      className="text-red-600 hover:text-red-800 dark:text-red-400 dark:hover:text-red-300 text-sm"
+                    >
+                      Remove
+                    </button>
+                  </div>
                 </div>
 
                 <div className="grid grid-cols-2 gap-4 mb-4">
@@ -540,6 +640,89 @@ const LoadsTab = ({ beamData, updateBeamData }) => {
           )}
         </div>
       )}
+
+      {activeLoadType === 'thermal' && (
+        <div className="space-y-4">
+          <div className="flex items-center justify-between">
+            <h3 className="text-sm font-medium text-gray-900 dark:text-white">Thermal Loads</h3>
+            <button onClick={addThermalLoad} className="btn-primary text-sm">
+              Add Thermal Load
+            </button>
+          </div>
+
+          {thermalLoads.map((load, index) => (
+            <div key={index} className="card">
+              <div className="flex items-center justify-between mb-4">
+                <h4 className="font-medium text-gray-900 dark:text-white">Thermal Load {index + 1}</h4>
+                <div className="flex items-center space-x-3">
+                  <LoadCaseSelect
+                    load={load}
+                    loadCases={beamData.loadCases}
+                    onChange={(loadCase) => updateThermalLoad(index, 'loadCase', loadCase)}
+                  />
+                  <button
+                    onClick={() => removeThermalLoad(index)}
+                    className="text-red-600 hover:text-red-800 dark:text-red-400 dark:hover:text-red-300 text-sm"
+                  >
+                    Remove
+                  </button>
+                </div>
+              </div>
+
+              <div className="grid grid-cols-2 gap-4 mb-4">
+                {[['startPos', 'Start Position'], ['endPos', 'End Position']].map(([field, label]) => (
+                  <div key={field}>
+                    <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-2">
+                      {label} ({getUnit('length')})
+                    </label>
+                    <input
+                      type="number"
+                      min="0"
+                      max={convertValue(beamData.length, 'length', 'SI')}
+                      step="0.1"
+                      value={convertValue(load[field], 'length', 'SI')}
+                      onChange={(e) => updateThermalLoad(index, field, parseFloat(e.target.value) || 0)}
+                      className="input-field"
+                    />
+                  </div>
+                ))}
+              </div>
+
+              <div className="grid grid-cols-3 gap-4">
+                {THERMAL_FIELDS.map(([field, label]) => (
+                  <div key={field}>
+                    <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-2">
+                      {label} ({getUnit('temperature')})
+                    </label>
+                    <input
+                      type="number"
+                      step="1"
+                      value={convertValue(load[field] || 0, 'temperature', 'SI')}
+                      onChange={(e) => updateThermalLoad(index, field, parseFloat(e.target.value) || 0)}
+                      className="input-field"
+                    />
+                  </div>
+                ))}
+              </div>
+            </div>
+          ))}
+
+          {thermalError && (
+            <div className="text-sm text-red-600 dark:text-red-400">{thermalError}</div>
+          )}
+
+          {thermalLoads.length === 0 && (
+            <div className="text-center py-8 text-gray-500 dark:text-gray-400">
+              <p>No thermal loads defined</p>
+              <p className="text-sm">Add temperature changes to find the forces they cause in restrained beams</p>
+            </div>
+          )}
+
+          <p className="text-xs text-gray-500 dark:text-gray-400">
+            A uniform change (plus the top/bottom change at the centroid) lengthens the beam and causes axial force between supports that hold the beam horizontally (Fixed, Hinge, Rotational Spring). A difference between top and bottom bends it and causes moments in indeterminate beams. Uses α from the Material tab and the depth of the section from the Section tab.
+          </p>
+        </div>
+      )}
     </div>
   );
 };
@@ -1,10 +1,49 @@
 import React from 'react';
 import { useUnits } from '../../contexts/UnitContext';
+import { calculateSectionProperties, getSectionDimensions } from '../../utils/sectionProperties';
+import {
+  TAPERED_SECTION_TYPES,
+  createStiffnessSegmentId,
+  getSectionDepth,
+  getSegmentSection,
+  validateStiffnessSegments
+} from '../../utils/stiffness';
+import { DEFAULT_THERMAL_EXPANSION } from '../../utils/thermal';
+import { DEFAULT_DENSITY } from '../../utils/selfWeight';
 
-const MaterialTab = ({ beamData, updateBeamData, resolution, setResolution }) => {
+const SEGMENT_SECTION_TYPES = {
+  rectangular: 'Rectangular',
+  circular: 'Circular',
+  'i-beam': 'I-Beam',
+  't-beam': 'T-Beam',
+  channel: 'Channel',
+  rhs: 'Rectangular Hollow',
+  chs: 'Circular Hollow',
+  custom: 'Custom (I only)'
+};
+
+const FLANGED_DIMENSIONS = [
+  ['flangeWidth', 'Flange width'],
+  ['flangeThickness', 'Flange thickness'],
+  ['webHeight', 'Web height'],
+  ['webThickness', 'Web thickness']
+];
+
+// Dimension fields of each segment section type, in section units
+const SEGMENT_DIMENSIONS = {
+  rectangular: [['width', 'Width'], ['height', 'Height']],
+  circular: [['diameter', 'Diameter']],
+  'i-beam': FLANGED_DIMENSIONS,
+  't-beam': FLANGED_DIMENSIONS,
+  channel: FLANGED_DIMENSIONS,
+  rhs: [['width', 'Width'], ['height', 'Height'], ['thickness', 'Wall thickness']],
+  chs: [['diameter', 'Diameter'], ['thickness', 'Wall thickness']]
+};
+
+const MaterialTab = ({ beamData, updateBeamData, resolution, setResolution, crossCheckDeflection, setCrossCheckDeflection }) => {
   const { getUnit, convertValue } = useUnits();
 
-  const updateMaterialProperty = (property, value) => {
+  const updateMaterialProperty = (property, value, options) => {
     let siValue = value;
     if (property === 'E') {
       // Convert from display units to SI
@@ -12,6 +51,12 @@ const MaterialTab = ({ beamData, updateBeamData, resolution, setResolution }) =>
     } else if (property === 'I') {
       // Convert from display units to SI
       siValue = convertValue(value, 'inertia', null, 'SI');
+    } else if (property === 'density') {
+      // Convert from display units to SI
+      siValue = convertValue(value, 'density', null, 'SI');
+    } else if (property === 'alpha') {
+      // Entered in 10⁻⁶ per display temperature unit
+      siValue = value * 1e-6 * convertValue(1, 'temperature', 'SI');
     }
     
     updateBeamData({
@@ -19,24 +64,75 @@ const MaterialTab = ({ beamData, updateBeamData, resolution, setResolution }) =>
         ...beamData.materialProperties,
         [property]: siValue
       }
-    });
+    }, options);
   };
 
+  // alpha in 1/°C, density in kg/m³ (reinforced concrete)
   const materialPresets = [
-    { name: 'Steel', E: 2e8, description: 'Structural steel (200 GPa)' },
-    { name: 'Concrete', E: 3e7, description: 'Normal concrete (30 GPa)' },
-    { name: 'Aluminum', E: 7e7, description: 'Aluminum alloy (70 GPa)' },
-    { name: 'Wood', E: 1.2e7, description: 'Softwood timber (12 GPa)' }
+    { name: 'Steel', E: 2e8, alpha: 1.2e-5, density: 7850, description: 'Structural steel (200 GPa)' },
+    { name: 'Concrete', E: 3e7, alpha: 1.0e-5, density: 2500, description: 'Normal concrete (30 GPa)' },
+    { name: 'Aluminum', E: 7e7, alpha: 2.3e-5, density: 2700, description: 'Aluminum alloy (70 GPa)' },
+    { name: 'Wood', E: 1.2e7, alpha: 5e-6, density: 500, description: 'Softwood timber (12 GPa)' }
   ];
 
-  const applyPreset = (preset) => {
-    updateMaterialProperty('E', convertValue(preset.E, 'stress', 'SI'));
+  const applyPreset = ({ E, alpha, density }) => {
+    updateBeamData({
+      materialProperties: { ...beamData.materialProperties, E, alpha, density }
+    }, { checkpoint: true });
+  };
+
+  const stiffnessSegments = beamData.stiffnessSegments || [];
+  const segmentError = validateStiffnessSegments(beamData);
+
+  const updateSegments = (segments, options) => updateBeamData({ stiffnessSegments: segments }, options);
+
+  // A new segment starts as a copy of the beam over its middle third
+  const addSegment = () => {
+    updateSegments([...stiffnessSegments, {
+      id: createStiffnessSegmentId(stiffnessSegments),
+      start: beamData.length / 3,
+      end: 2 * beamData.length / 3,
+      E: beamData.materialProperties.E,
+      section: { ...beamData.section },
+      endDepth: null
+    }], { checkpoint: true });
+  };
+
+  const removeSegment = (index) => {
+    updateSegments(stiffnessSegments.filter((_, i) => i !== index), { checkpoint: true });
+  };
+
+  const updateSegment = (index, changes, options) => {
+    const newSegments = [...stiffnessSegments];
+    newSegments[index] = { ...newSegments[index], ...changes };
+    updateSegments(newSegments, options);
+  };
+
+  // Editing a dimension turns a library section into a user-defined one
+  const updateSegmentDimension = (index, key, value) => {
+    const { designation, mass, properties, ...userSection } = stiffnessSegments[index].section;
+    updateSegment(index, { section: { ...userSection, [key]: convertValue(value, 'sectionLength', null, 'SI') } });
+  };
+
+  const changeSegmentType = (index, type) => {
+    const segment = stiffnessSegments[index];
+    const section = type === 'custom'
+      ? { type, momentOfInertia: calculateSectionProperties(segment.section).momentOfInertia || beamData.materialProperties.I }
+      : { type, ...getSectionDimensions({ type }) };
+    updateSegment(index, { section, endDepth: null }, { checkpoint: true });
+  };
+
+  const toggleTaper = (index, tapered) => {
+    const depth = getSectionDepth(stiffnessSegments[index].section);
+    updateSegment(index, { endDepth: tapered && depth ? depth / 2 : null }, { checkpoint: true });
   };
 
   // Convert from SI to display units
   const displayE = convertValue(beamData.materialProperties.E, 'stress', 'SI');
   const displayI = convertValue(beamData.materialProperties.I, 'inertia', 'SI');
   const displayEI = convertValue(beamData.materialProperties.E * beamData.materialProperties.I, 'moment', 'SI');
+  const displayDensity = convertValue(beamData.materialProperties.density ?? DEFAULT_DENSITY, 'density', 'SI');
+  const displayAlpha = (beamData.materialProperties.alpha ?? DEFAULT_THERMAL_EXPANSION) * 1e6 / convertValue(1, 'temperature', 'SI');
 
   return (
     <div className="space-y-6">
@@ -79,6 +175,40 @@ const MaterialTab = ({ beamData, updateBeamData, resolution, setResolution }) =>
               Second moment of area of the beam cross-section
             </p>
           </div>
+
+          <div>
+            <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-2">
+              Density ρ ({getUnit('density')})
+            </label>
+            <input
+              type="number"
+              min="0"
+              step="10"
+              value={displayDensity}
+              onChange={(e) => updateMaterialProperty('density', parseFloat(e.target.value) || 0)}
+              className="input-field"
+            />
+            <p className="text-xs text-gray-500 dark:text-gray-400 mt-1">
+              Mass density, used for the self-weight
+            </p>
+          </div>
+
+          <div>
+            <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-2">
+              Thermal Expansion α (10⁻⁶/{getUnit('temperature')})
+            </label>
+            <input
+              type="number"
+              min="0"
+              step="0.1"
+              value={displayAlpha}
+              onChange={(e) => updateMaterialProperty('alpha', parseFloat(e.target.value) || 0)}
+              className="input-field"
+            />
+            <p className="text-xs text-gray-500 dark:text-gray-400 mt-1">
+              Coefficient of thermal expansion, used by thermal loads
+            </p>
+          </div>
         </div>
       </div>
 
@@ -98,6 +228,167 @@ const MaterialTab = ({ beamData, updateBeamData, resolution, setResolution }) =>
         </div>
       </div>
 
+      <div className="border-t border-gray-200 dark:border-gray-700 pt-6">
+        <div className="flex items-center justify-between mb-4">
+          <h4 className="text-sm font-medium text-gray-700 dark:text-gray-300">Non-prismatic Segments</h4>
+          <button onClick={addSegment} className="btn-primary text-sm">
+            Add Segment
+          </button>
+        </div>
+
+        <div className="space-y-4">
+          {stiffnessSegments.map((segment, index) => {
+            const section = segment.section || {};
+            const type = SEGMENT_SECTION_TYPES[section.type] ? section.type : null;
+            const canTaper = TAPERED_SECTION_TYPES.includes(section.type);
+            const startProperties = calculateSectionProperties(section);
+            const endProperties = calculateSectionProperties(getSegmentSection(segment, segment.end));
+            const rigidity = (properties) => (properties.error
+              ? '—'
+              : `${convertValue(segment.E * properties.momentOfInertia, 'moment', 'SI').toExponential(2)} ${getUnit('moment')}`);
+
+            return (
+              <div key={segment.id} className="card">
+                <div className="flex items-center justify-between mb-3">
+                  <span className="text-sm font-medium text-gray-900 dark:text-white">
+                    Segment {segment.id}{section.designation ? ` · ${section.designation}` : ''}
+                  </span>
+                  <button
+                    onClick={() => removeSegment(index)}
+                    className="text-red-600 hover:text-red-800 dark:text-red-400 dark:hover:text-red-300 text-sm"
+                  >
+                    Remove
+                  </button>
+                </div>
+
+                <div className="grid grid-cols-2 gap-3 mb-3">
+                  {['start', 'end'].map(key => (
+                    <div key={key}>
+                      <label className="block text-xs font-medium text-gray-700 dark:text-gray-300 mb-1">
+                        {key === 'start' ? 'Start' : 'End'} ({getUnit('length')})
+                      </label>
+                      <input
+                        type="number"
+                        min="0"
+                        step="0.1"
+                        value={convertValue(segment[key], 'length', 'SI')}
+                        onChange={(e) => updateSegment(index, { [key]: convertValue(parseFloat(e.target.value) || 0, 'length', null, 'SI') })}
+                        className="input-field"
+                      />
+                    </div>
+                  ))}
+                  <div className="col-span-2">
+                    <label className="block text-xs font-medium text-gray-700 dark:text-gray-300 mb-1">
+                      Young's Modulus E ({getUnit('stress')})
+                    </label>
+                    <input
+                      type="number"
+                      step="1e6"
+                      value={convertValue(segment.E, 'stress', 'SI')}
+                      onChange={(e) => updateSegment(index, { E: convertValue(parseFloat(e.target.value) || 0, 'stress', null, 'SI') })}
+                      className="input-field"
+                    />
+                  </div>
+                </div>
+
+                <div className="flex items-center gap-2 mb-3">
+                  <select
+                    value={type || ''}
+                    onChange={(e) => changeSegmentType(index, e.target.value)}
+                    className="input-field flex-1"
+                  >
+                    {!type && <option value="">Built-up (from the Section tab)</option>}
+                    {Object.entries(SEGMENT_SECTION_TYPES).map(([value, label]) => (
+                      <option key={value} value={value}>{label}</option>
+                    ))}
+                  </select>
+                  <button
+                    onClick={() => updateSegment(index, { section: { ...beamData.section }, endDepth: null }, { checkpoint: true })}
+                    className="btn-secondary text-sm"
+                  >
+                    Use Beam Section
+                  </button>
+                </div>
+
+                {SEGMENT_DIMENSIONS[section.type] && (
+                  <div className="grid grid-cols-2 gap-3 mb-3">
+                    {SEGMENT_DIMENSIONS[section.type].map(([key, label]) => (
+                      <div key={key}>
+                        <label className="block text-xs font-medium text-gray-700 dark:text-gray-300 mb-1">
+                          {label} ({getUnit('sectionLength')})
+                        </label>
+                        <input
+                          type="number"
+                          min="0"
+                          step="1"
+                          value={section[key] ? convertValue(section[key], 'sectionLength', 'SI') : ''}
+                          onChange={(e) => updateSegmentDimension(index, key, parseFloat(e.target.value) || 0)}
+                          className="input-field"
+                        />
+                      </div>
+                    ))}
+                  </div>
+                )}
+
+                {section.type === 'custom' && (
+                  <div className="mb-3">
+                    <label className="block text-xs font-medium text-gray-700 dark:text-gray-300 mb-1">
+                      Moment of Inertia I ({getUnit('inertia')})
+                    </label>
+                    <input
+                      type="number"
+                      step="1e-8"
+                      value={convertValue(section.momentOfInertia, 'inertia', 'SI')}
+                      onChange={(e) => updateSegment(index, {
+                        section: { ...section, momentOfInertia: convertValue(parseFloat(e.target.value) || 0, 'inertia', null, 'SI') }
+                      })}
+                      className="input-field"
+                    />
+                  </div>
+                )}
+
+                {canTaper && (
+                  <div className="mb-3">
+                    <label className="flex items-center mb-1">
+                      <input
+                        type="checkbox"
+                        checked={segment.endDepth > 0}
+                        onChange={(e) => toggleTaper(index, e.target.checked)}
+                        className="rounded border-gray-300 dark:border-gray-600 text-blue-600 focus:ring-blue-500"
+                      />
+                      <span className="ml-2 text-sm text-gray-700 dark:text-gray-300">Linear taper to an end depth</span>
+                    </label>
+                    {segment.endDepth > 0 && (
+                      <input
+                        type="number"
+                        min="0"
+                        step="1"
+                        value={convertValue(segment.endDepth, 'sectionLength', 'SI')}
+                        onChange={(e) => updateSegment(index, { endDepth: convertValue(parseFloat(e.target.value) || 0, 'sectionLength', null, 'SI') })}
+                        className="input-field"
+                      />
+                    )}
+                  </div>
+                )}
+
+                <div className="text-xs text-gray-600 dark:text-gray-400">
+                  {segment.endDepth > 0
+                    ? `EI = ${rigidity(startProperties)} at the start, ${rigidity(endProperties)} at the end`
+                    : `EI = ${rigidity(startProperties)}`}
+                </div>
+              </div>
+            );
+          })}
+        </div>
+
+        {segmentError && (
+          <div className="text-sm text-red-600 dark:text-red-400 mt-2">{segmentError}</div>
+        )}
+        <p className="text-xs text-gray-500 dark:text-gray-400 mt-2">
+          Segments override E and the section over their length; elsewhere the beam has the E and I above. Deflections, reactions of indeterminate beams and stresses follow EI(x). A taper varies the overall depth linearly, keeping flange and wall thicknesses.
+        </p>
+      </div>
+
       <div>
         <h4 className="text-sm font-medium text-gray-700 dark:text-gray-300 mb-3">Analysis Settings</h4>
         <div>
@@ -114,7 +405,21 @@ const MaterialTab = ({ beamData, updateBeamData, resolution, setResolution }) =>
             className="input-field"
           />
           <p className="text-xs text-gray-500 dark:text-gray-400 mt-1">
-            Higher resolution provides more accurate results but slower calculation
+            Chart sampling density. Shear, moment, slope and deflection values are exact at any resolution
+          </p>
+        </div>
+        <div className="mt-3">
+          <label className="flex items-center">
+            <input
+              type="checkbox"
+              checked={!!crossCheckDeflection}
+              onChange={(e) => setCrossCheckDeflection(e.target.checked)}
+              className="rounded border-gray-300 dark:border-gray-600 text-blue-600 focus:ring-blue-500"
+            />
+            <span className="ml-2 text-sm text-gray-700 dark:text-gray-300">Cross-check deflection (unit-load method)</span>
+          </label>
+          <p className="text-xs text-gray-500 dark:text-gray-400 mt-1">
+            Slow on fine resolutions. Plots the numerical unit-load result over the exact curve
           </p>
         </div>
       </div>
@@ -1,11 +1,13 @@
 import React from 'react';
 import { useUnits } from '../../contexts/UnitContext';
+import { DEFAULT_LOAD_CASE } from '../../utils/loadCombinations';
+import LoadCaseSelect from './LoadCaseSelect';
 
 const MomentsTab = ({ beamData, updateBeamData }) => {
   const { getUnit, convertValue } = useUnits();
 
   const addMoment = () => {
-    const newMoment = { position: 0, magnitude: 0 };
+    const newMoment = { position: 0, magnitude: 0, loadCase: DEFAULT_LOAD_CASE };
     updateBeamData({
       moments: [...beamData.moments, newMoment]
     });
@@ -48,12 +50,19 @@ const MomentsTab = ({ beamData, updateBeamData }) => {
             <div key={index} className="card">
               <div className="flex items-center justify-between mb-4">
                 <h4 className="font-medium text-gray-900 dark:text-white">Moment {index + 1}</h4>
-                <button
-                  onClick={() => removeMoment(index)}
-                  className="text-red-600 hover:text-red-800 dark:text-red-400 dark:hover:text-red-300 text-sm"
-                >
-                  Remove
-                </button>
+                <div className="flex items-center space-x-3">
+                  <LoadCaseSelect
+                    load={moment}
+                    loadCases={beamData.loadCases}
+                    onChange={(loadCase) => updateMoment(index, 'loadCase', loadCase)}
+                  />
+                  <button
+                    onClick={() => removeMoment(index)}
+                    className="text-red-600 hover:text-red-800 dark:text-red-400 dark:hover:text-red-300 text-sm"
+                  >
+                    Remove
+                  </button>
+                </div>
               </div>
 
               <div className="grid grid-cols-2 gap-4">
@@ -1,21 +1,57 @@
-import React, { useState } from 'react';
+import React, { useMemo, useState } from 'react';
 import { useUnits } from '../../contexts/UnitContext';
+import { useWorkerTask } from '../../hooks/useWorkerTask';
+import { checkConcreteMember } from '../../utils/concreteDesign';
+import { calculateSectionProperties } from '../../utils/sectionProperties';
+import { STEEL_SECTION_FAMILIES, createLibrarySection, findSteelSections } from '../../utils/steelSections';
+import { DEFAULT_OPTIMIZER_SETTINGS, OPTIMIZER_FAMILIES } from '../../utils/sectionOptimizer';
+import {
+  DEFAULT_SECTION_PARTS,
+  SECTION_PART_SHAPES,
+  calculatePolygonSection,
+  createSectionPartId
+} from '../../utils/polygonSection';
+import ReinforcementLayout from '../visualizations/ReinforcementLayout';
+import BuiltUpSectionLayout from '../visualizations/BuiltUpSectionLayout';
 
-const SectionTab = ({ beamData, updateBeamData }) => {
+// Geometry of a new built-up part, in m
+const PART_TEMPLATES = {
+  rectangle: { width: 0.1, height: 0.1 },
+  circle: { diameter: 0.1 },
+  polygon: { points: [{ x: 0, y: 0 }, { x: 0.1, y: 0 }, { x: 0.05, y: 0.1 }] }
+};
+
+const SectionTab = ({ beamData, updateBeamData, results, resolution }) => {
   const [sectionType, setSectionType] = useState('rectangular');
   const [analysisPosition, setAnalysisPosition] = useState(beamData.length / 2);
+  const [librarySearch, setLibrarySearch] = useState('');
+  const [libraryFamily, setLibraryFamily] = useState('all');
+  const [librarySort, setLibrarySort] = useState('mass-asc');
+  const [optimizerSettings, setOptimizerSettings] = useState(DEFAULT_OPTIMIZER_SETTINGS);
+  // The search can take a second or more, so it runs in the analysis worker
+  const { result: optimization, isRunning: isOptimizing, run: runOptimizer, clear: clearOptimization } = useWorkerTask('optimizeSection');
   const { getUnit, convertValue } = useUnits();
 
+  // Designed bars are drawn with the section in reinforced concrete mode
+  const concreteDesign = useMemo(() => {
+    if (beamData.design?.mode !== 'concrete' || !results) return null;
+    const check = checkConcreteMember(beamData, results, beamData.design.concrete);
+    return check.error ? null : check;
+  }, [beamData, results]);
+
+  // Editing a dimension turns a library section into a user-defined one
+  const getUserSection = () => {
+    const { designation, mass, properties, ...userSection } = beamData.section || {};
+    return userSection;
+  };
+
   const updateSectionProperty = (property, value) => {
     const siValue = convertValue(value, 'sectionLength', null, 'SI');
     const newSection = {
-      ...beamData.section,
+      ...getUserSection(),
       [property]: siValue
     };
-    updateBeamData({
-      section: newSection
-    });
-    setTimeout(() => calculateMomentOfInertiaForSection(newSection), 0);
+    applySection(newSection);
   };
 
   const updateStressAnalysisSettings = (settings) => {
@@ -27,138 +63,101 @@ const SectionTab = ({ beamData, updateBeamData }) => {
     });
   };
 
-  // Helper to calculate moment of inertia for a given section object
+  // Moment of inertia for a given section object; an invalid built-up
+  // section keeps the current one
   const calculateMomentOfInertiaForSection = (section) => {
-    let I = 0;
-    switch (section.type || sectionType) {
-      case 'rectangular':
-        const b = section.width || 0.3;
-        const h = section.height || 0.5;
-        I = (b * Math.pow(h, 3)) / 12;
-        break;
-      case 'circular':
-        const d = section.diameter || 0.4;
-        I = (Math.PI * Math.pow(d, 4)) / 64;
-        break;
-      case 'i-beam':
-        const bf = section.flangeWidth || 0.2;
-        const tf = section.flangeThickness || 0.02;
-        const hw = section.webHeight || 0.4;
-        const tw = section.webThickness || 0.01;
-        const totalHeight = hw + 2 * tf;
-        const Iflange = 2 * ((bf * Math.pow(tf, 3)) / 12 + bf * tf * Math.pow((totalHeight / 2 - tf / 2), 2));
-        const Iweb = (tw * Math.pow(hw, 3)) / 12;
-        I = Iflange + Iweb;
-        break;
-      case 't-beam':
-        const bfT = section.flangeWidth || 0.3;
-        const tfT = section.flangeThickness || 0.05;
-        const hwT = section.webHeight || 0.4;
-        const twT = section.webThickness || 0.02;
-        const totalHeightT = hwT + tfT;
-        const A1 = bfT * tfT;
-        const A2 = twT * hwT;
-        const y1 = totalHeightT - tfT / 2;
-        const y2 = hwT / 2;
-        const yBar = (A1 * y1 + A2 * y2) / (A1 + A2);
-        const I1 = (bfT * Math.pow(tfT, 3)) / 12 + A1 * Math.pow(y1 - yBar, 2);
-        const I2 = (twT * Math.pow(hwT, 3)) / 12 + A2 * Math.pow(y2 - yBar, 2);
-        I = I1 + I2;
-        break;
-      case 'custom':
-        I = section.momentOfInertia || 1e-4;
-        break;
-      default:
-        I = 1e-4;
-    }
+    const properties = calculateSectionProperties({ ...section, type: section.type || sectionType });
+    return properties.error ? beamData.materialProperties.I : properties.momentOfInertia;
+  };
+
+  // Update the section and its moment of inertia together, as one undo step
+  const applySection = (section, options) => {
     updateBeamData({
       materialProperties: {
         ...beamData.materialProperties,
-        I: I
+        I: calculateMomentOfInertiaForSection(section)
       },
       section: section
-    });
+    }, options);
   };
 
-  // Calculate section properties for stress analysis
-  const calculateSectionProperties = () => {
-    const section = beamData.section || {};
-    let properties = {
-      area: 0,
-      momentOfInertia: beamData.materialProperties.I,
-      centroidHeight: 0,
-      maxDistanceFromCentroid: 0,
-      thickness: 0,
-      firstMomentOfArea: 0
-    };
-
-    switch (section.type || sectionType) {
-      case 'rectangular':
-        const b = section.width || 0.3;
-        const h = section.height || 0.5;
-        properties.area = b * h;
-        properties.centroidHeight = h / 2; // Neutral axis at h/2
-        properties.maxDistanceFromCentroid = h / 2;
-        properties.thickness = b;
-        properties.firstMomentOfArea = (b * h * h) / 8; // Q for rectangular section
-        break;
-      case 'circular':
-        const d = section.diameter || 0.4;
-        const r = d / 2;
-        properties.area = Math.PI * r * r;
-        properties.centroidHeight = r;
-        properties.maxDistanceFromCentroid = r;
-        properties.thickness = d;
-        properties.firstMomentOfArea = (2 * r * r * r) / 3;
-        break;
-      case 'i-beam':
-        const bf = section.flangeWidth || 0.2;
-        const tf = section.flangeThickness || 0.02;
-        const hw = section.webHeight || 0.4;
-        const tw = section.webThickness || 0.01;
-        const totalHeight = hw + 2 * tf;
-        properties.area = 2 * bf * tf + tw * hw;
-        properties.centroidHeight = totalHeight / 2;
-        properties.maxDistanceFromCentroid = totalHeight / 2;
-        properties.thickness = tw;
-        properties.firstMomentOfArea = bf * tf * (totalHeight / 2 - tf / 2);
-        break;
-      case 't-beam':
-        const bfT = section.flangeWidth || 0.3;
-        const tfT = section.flangeThickness || 0.05;
-        const hwT = section.webHeight || 0.4;
-        const twT = section.webThickness || 0.02;
-        const totalHeightT = hwT + tfT;
-        
-        const A1 = bfT * tfT;
-        const A2 = twT * hwT;
-        const y1 = totalHeightT - tfT / 2;
-        const y2 = hwT / 2;
-        const yBar = (A1 * y1 + A2 * y2) / (A1 + A2);
-        
-        properties.area = A1 + A2;
-        properties.centroidHeight = yBar;
-        properties.maxDistanceFromCentroid = Math.max(yBar, totalHeightT - yBar);
-        properties.thickness = twT;
-        properties.firstMomentOfArea = A1 * Math.abs(y1 - yBar);
-        break;
-      default:
-        properties.area = 0.15;
-        properties.centroidHeight = 0.25;
-        properties.maxDistanceFromCentroid = 0.25;
-        properties.thickness = 0.3;
-        properties.firstMomentOfArea = 0.01;
+  // Update moment of inertia when section type changes
+  const handleSectionTypeChange = (e) => {
+    const newSection = { ...getUserSection(), type: e.target.value };
+    if (newSection.type === 'polygon' && !(newSection.parts?.length > 0)) {
+      newSection.parts = [{ ...DEFAULT_SECTION_PARTS[0], width: newSection.width || 0.3, height: newSection.height || 0.5 }];
     }
+    setSectionType(e.target.value);
+    applySection(newSection, { checkpoint: true });
+  };
 
-    return properties;
+  // Built-up section parts
+  const sectionParts = beamData.section?.parts || [];
+
+  const updateParts = (parts, options) => {
+    applySection({ ...getUserSection(), parts }, options);
   };
 
-  // Update moment of inertia when section type changes
-  const handleSectionTypeChange = (e) => {
-    setSectionType(e.target.value);
-    const newSection = { ...beamData.section, type: e.target.value };
-    updateBeamData({ section: newSection });
-    setTimeout(() => calculateMomentOfInertiaForSection(newSection), 0);
+  const updatePart = (id, changes, options) => {
+    updateParts(sectionParts.map(part => (part.id === id ? { ...part, ...changes } : part)), options);
+  };
+
+  const updatePartLength = (id, property, value) => {
+    updatePart(id, { [property]: convertValue(value, 'sectionLength', null, 'SI') });
+  };
+
+  const addPart = (shape) => {
+    updateParts([
+      ...sectionParts,
+      { id: createSectionPartId(sectionParts), shape, x: 0, y: 0, hole: false, modularRatio: 1, ...PART_TEMPLATES[shape] }
+    ], { checkpoint: true });
+  };
+
+  const changePartShape = (part, shape) => {
+    const { width, height, diameter, points, ...placement } = part;
+    updatePart(part.id, { ...placement, ...PART_TEMPLATES[shape], shape }, { checkpoint: true });
+  };
+
+  const removePart = (id) => {
+    updateParts(sectionParts.filter(part => part.id !== id), { checkpoint: true });
+  };
+
+  // Polygon points as "x, y" lines in section length units
+  const formatPoints = (points) => (points || [])
+    .map(p => `${convertValue(p.x, 'sectionLength', 'SI')}, ${convertValue(p.y, 'sectionLength', 'SI')}`)
+    .join('\n');
+
+  const parsePoints = (text) => text
+    .split('\n')
+    .map(line => line.split(/[\s,;]+/).filter(Boolean).map(Number))
+    .filter(values => values.length === 2 && values.every(Number.isFinite))
+    .map(([x, y]) => ({
+      x: convertValue(x, 'sectionLength', null, 'SI'),
+      y: convertValue(y, 'sectionLength', null, 'SI')
+    }));
+
+  const applyLibrarySection = (entry) => {
+    applyCandidateSection(createLibrarySection(entry));
+  };
+
+  const applyCandidateSection = (newSection) => {
+    setSectionType(newSection.type);
+    applySection(newSection, { checkpoint: true });
+  };
+
+  const updateOptimizerSettings = (settings) => {
+    setOptimizerSettings({ ...optimizerSettings, ...settings });
+    clearOptimization();
+  };
+
+  const formatDimension = (value) => convertValue(value, 'sectionLength', 'SI').toFixed(getUnit('sectionLength') === 'mm' ? 0 : 2);
+
+  const describeSection = (candidate) => {
+    if (candidate.designation) return candidate.designation;
+    if (candidate.type === 'rectangular') {
+      return `${formatDimension(candidate.width)} × ${formatDimension(candidate.height)} ${getUnit('sectionLength')}`;
+    }
+    return `I ${formatDimension(candidate.webHeight + 2 * candidate.flangeThickness)} deep, flanges ${formatDimension(candidate.flangeWidth)} × ${formatDimension(candidate.flangeThickness)}, web ${formatDimension(candidate.webThickness)} ${getUnit('sectionLength')}`;
   };
 
   const sectionPresets = [
@@ -213,17 +212,14 @@ const SectionTab = ({ beamData, updateBeamData }) => {
       }
     });
 
-    updateBeamData({
-      section: newSection
-    });
-
-    // Recalculate moment of inertia
-    setTimeout(() => calculateMomentOfInertiaForSection(newSection), 100);
+    applySection(newSection, { checkpoint: true });
   };
 
   const section = beamData.section || {};
   const currentSectionType = section.type || sectionType;
-  const sectionProperties = calculateSectionProperties();
+  const sectionProperties = calculateSectionProperties({ ...section, type: currentSectionType });
+  const polygonSection = currentSectionType === 'polygon' ? calculatePolygonSection(section) : null;
+  const librarySections = findSteelSections({ search: librarySearch, family: libraryFamily, sort: librarySort });
   const displayAnalysisPosition = convertValue(analysisPosition, 'length', 'SI');
 
   return (
@@ -245,6 +241,10 @@ const SectionTab = ({ beamData, updateBeamData }) => {
               <option value="circular">Circular</option>
               <option value="i-beam">I-Beam</option>
               <option value="t-beam">T-Beam</option>
+              <option value="channel">Channel</option>
+              <option value="rhs">Rectangular Hollow (RHS/SHS)</option>
+              <option value="chs">Circular Hollow (CHS)</option>
+              <option value="polygon">Built-up / Polygon</option>
               <option value="custom">Custom</option>
             </select>
           </div>
@@ -298,8 +298,14 @@ const SectionTab = ({ beamData, updateBeamData }) => {
             </div>
           )}
 
-          {/* I-Beam Section */}
-          {(section.type || sectionType) === 'i-beam' && (
+          {section.designation && (
+            <div className="text-sm text-blue-700 dark:text-blue-300">
+              Standard section {section.designation}: tabulated properties are used until a dimension is edited
+            </div>
+          )}
+
+          {/* I-Beam and Channel Sections */}
+          {['i-beam', 'channel'].includes(section.type || sectionType) && (
             <div className="grid grid-cols-2 gap-4">
               <div>
                 <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-2">
@@ -414,6 +420,83 @@ const SectionTab = ({ beamData, updateBeamData }) => {
             </div>
           )}
 
+          {/* Rectangular Hollow Section */}
+          {(section.type || sectionType) === 'rhs' && (
+            <div className="grid grid-cols-3 gap-4">
+              <div>
+                <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-2">
+                  Width ({getUnit('sectionLength')})
+                </label>
+                <input
+                  type="number"
+                  min="0.01"
+                  step="0.01"
+                  value={convertValue(section.width || 0.1, 'sectionLength', 'SI')}
+                  onChange={(e) => updateSectionProperty('width', parseFloat(e.target.value) || 0)}
+                  className="input-field"
+                />
+              </div>
+              <div>
+                <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-2">
+                  Height ({getUnit('sectionLength')})
+                </label>
+                <input
+                  type="number"
+                  min="0.01"
+                  step="0.01"
+                  value={convertValue(section.height || 0.2, 'sectionLength', 'SI')}
+                  onChange={(e) => updateSectionProperty('height', parseFloat(e.target.value) || 0)}
+                  className="input-field"
+                />
+              </div>
+              <div>
+                <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-2">
+                  Wall Thickness ({getUnit('sectionLength')})
+                </label>
+                <input
+                  type="number"
+                  min="0.001"
+                  step="0.001"
+                  value={convertValue(section.thickness || 0.008, 'sectionLength', 'SI')}
+                  onChange={(e) => updateSectionProperty('thickness', parseFloat(e.target.value) || 0)}
+                  className="input-field"
+                />
+              </div>
+            </div>
+          )}
+
+          {/* Circular Hollow Section */}
+          {(section.type || sectionType) === 'chs' && (
+            <div className="grid grid-cols-2 gap-4">
+              <div>
+                <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-2">
+                  Outside Diameter ({getUnit('sectionLength')})
+                </label>
+                <input
+                  type="number"
+                  min="0.01"
+                  step="0.01"
+                  value={convertValue(section.diameter || 0.2, 'sectionLength', 'SI')}
+                  onChange={(e) => updateSectionProperty('diameter', parseFloat(e.target.value) || 0)}
+                  className="input-field"
+                />
+              </div>
+              <div>
+                <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-2">
+                  Wall Thickness ({getUnit('sectionLength')})
+                </label>
+                <input
+                  type="number"
+                  min="0.001"
+                  step="0.001"
+                  value={convertValue(section.thickness || 0.008, 'sectionLength', 'SI')}
+                  onChange={(e) => updateSectionProperty('thickness', parseFloat(e.target.value) || 0)}
+                  className="input-field"
+                />
+              </div>
+            </div>
+          )}
+
           {/* Custom Section */}
           {(section.type || sectionType) === 'custom' && (
             <div>
@@ -431,6 +514,155 @@ const SectionTab = ({ beamData, updateBeamData }) => {
                 }}
                 className="input-field"
               />
+              <p className="mt-1 text-xs text-gray-500 dark:text-gray-400">
+                A custom section has no geometry, so its stresses are only indicative. Describe the shape with Built-up / Polygon for exact stresses.
+              </p>
+            </div>
+          )}
+
+          {/* Built-up Section */}
+          {(section.type || sectionType) === 'polygon' && (
+            <div className="space-y-3">
+              {sectionParts.map((part, index) => (
+                <div key={part.id} className="border border-gray-200 dark:border-gray-600 rounded-lg p-3 space-y-2">
+                  <div className="flex items-center justify-between gap-2">
+                    <span className="text-sm font-medium text-gray-900 dark:text-white">Part {index + 1}</span>
+                    <select
+                      value={part.shape}
+                      onChange={(e) => changePartShape(part, e.target.value)}
+                      className="input-field"
+                    >
+                      {Object.entries(SECTION_PART_SHAPES).map(([key, label]) => (
+                        <option key={key} value={key}>{label}</option>
+                      ))}
+                    </select>
+                    <label className="flex items-center gap-1 text-xs text-gray-700 dark:text-gray-300">
+                      <input
+                        type="checkbox"
+                        checked={!!part.hole}
+                        onChange={(e) => updatePart(part.id, { hole: e.target.checked }, { checkpoint: true })}
+                      />
+                      Hole
+                    </label>
+                    <button
+                      onClick={() => removePart(part.id)}
+                      disabled={sectionParts.length === 1}
+                      className="text-xs text-red-600 dark:text-red-400 hover:underline disabled:opacity-50"
+                    >
+                      Remove
+                    </button>
+                  </div>
+                  <div className="grid grid-cols-2 gap-2">
+                    <div>
+                      <label className="block text-xs font-medium text-gray-700 dark:text-gray-300 mb-1">
+                        {part.shape === 'circle' ? 'Centre x' : part.shape === 'rectangle' ? 'Left x' : 'Origin x'} ({getUnit('sectionLength')})
+                      </label>
+                      <input
+                        type="number"
+                        value={convertValue(part.x || 0, 'sectionLength', 'SI')}
+                        onChange={(e) => updatePartLength(part.id, 'x', parseFloat(e.target.value) || 0)}
+                        className="input-field"
+                      />
+                    </div>
+                    <div>
+                      <label className="block text-xs font-medium text-gray-700 dark:text-gray-300 mb-1">
+                        {part.shape === 'circle' ? 'Centre y' : part.shape === 'rectangle' ? 'Bottom y' : 'Origin y'} ({getUnit('sectionLength')})
+                      </label>
+                      <input
+                        type="number"
+                        value={convertValue(part.y || 0, 'sectionLength', 'SI')}
+                        onChange={(e) => updatePartLength(part.id, 'y', parseFloat(e.target.value) || 0)}
+                        className="input-field"
+                      />
+                    </div>
+                    {part.shape === 'rectangle' && (
+                      <>
+                        <div>
+                          <label className="block text-xs font-medium text-gray-700 dark:text-gray-300 mb-1">Width ({getUnit('sectionLength')})</label>
+                          <input
+                            type="number"
+                            min="0"
+                            value={convertValue(part.width || 0, 'sectionLength', 'SI')}
+                            onChange={(e) => updatePartLength(part.id, 'width', parseFloat(e.target.value) || 0)}
+                            className="input-field"
+                          />
+                        </div>
+                        <div>
+                          <label className="block text-xs font-medium text-gray-700 dark:text-gray-300 mb-1">Height ({getUnit('sectionLength')})</label>
+                          <input
+                            type="number"
+                            min="0"
+                            value={convertValue(part.height || 0, 'sectionLength', 'SI')}
+                            onChange={(e) => updatePartLength(part.id, 'height', parseFloat(e.target.value) || 0)}
+                            className="input-field"
+                          />
+                        </div>
+                      </>
+                    )}
+                    {part.shape === 'circle' && (
+                      <div>
+                        <label className="block text-xs font-medium text-gray-700 dark:text-gray-300 mb-1">Diameter ({getUnit('sectionLength')})</label>
+                        <input
+                          type="number"
+                          min="0"
+                          value={convertValue(part.diameter || 0, 'sectionLength', 'SI')}
+                          onChange={(e) => updatePartLength(part.id, 'diameter', parseFloat(e.target.value) || 0)}
+                          className="input-field"
+                        />
+                      </div>
+                    )}
+                    <div>
+                      <label className="block text-xs font-medium text-gray-700 dark:text-gray-300 mb-1">Modular ratio n</label>
+                      <input
+                        type="number"
+                        min="0"
+                        step="0.1"
+                        value={part.modularRatio ?? 1}
+                        onChange={(e) => updatePart(part.id, { modularRatio: parseFloat(e.target.value) || 0 })}
+                        className="input-field"
+                      />
+                    </div>
+                  </div>
+                  {part.shape === 'polygon' && (
+                    <div>
+                      <label className="block text-xs font-medium text-gray-700 dark:text-gray-300 mb-1">
+                        Points, one "x, y" per line ({getUnit('sectionLength')})
+                      </label>
+                      <textarea
+                        key={formatPoints(part.points)}
+                        defaultValue={formatPoints(part.points)}
+                        onBlur={(e) => updatePart(part.id, { points: parsePoints(e.target.value) }, { checkpoint: true })}
+                        rows={Math.max(3, (part.points || []).length)}
+                        className="input-field font-mono"
+                      />
+                    </div>
+                  )}
+                </div>
+              ))}
+
+              <div className="flex gap-2">
+                {Object.entries(SECTION_PART_SHAPES).map(([shape, label]) => (
+                  <button
+                    key={shape}
+                    onClick={() => addPart(shape)}
+                    className="px-3 py-1 text-xs font-medium rounded-lg bg-gray-100 dark:bg-gray-700 text-gray-700 dark:text-gray-300 hover:bg-gray-200 dark:hover:bg-gray-600"
+                  >
+                    + {label}
+                  </button>
+                ))}
+              </div>
+
+              {polygonSection?.error ? (
+                <div className="text-sm text-red-600 dark:text-red-400">{polygonSection.error}</div>
+              ) : (
+                <div className="text-xs text-gray-600 dark:text-gray-400 space-y-1">
+                  <div>Net area = {convertValue(polygonSection.grossArea, 'area', 'SI').toExponential(3)} {getUnit('area')}, transformed area = {convertValue(polygonSection.area, 'area', 'SI').toExponential(3)} {getUnit('area')}</div>
+                  <div>Centroid x̄ = {convertValue(polygonSection.centroid.x, 'sectionLength', 'SI').toFixed(1)}, ȳ = {convertValue(polygonSection.centroid.y, 'sectionLength', 'SI').toFixed(1)} {getUnit('sectionLength')}</div>
+                  <div>Ix = {convertValue(polygonSection.Ix, 'inertia', 'SI').toExponential(3)}, Iy = {convertValue(polygonSection.Iy, 'inertia', 'SI').toExponential(3)}, Ixy = {convertValue(polygonSection.Ixy, 'inertia', 'SI').toExponential(3)} {getUnit('inertia')}</div>
+                  <div>W top = {convertValue(polygonSection.Wtop, 'firstMoment', 'SI').toExponential(3)}, W bottom = {convertValue(polygonSection.Wbottom, 'firstMoment', 'SI').toExponential(3)} {getUnit('firstMoment')}</div>
+                  <div>n = E of the part / E of the beam material; the properties are of the transformed section and bending is about the horizontal x axis.</div>
+                </div>
+              )}
             </div>
           )}
         </div>
@@ -538,32 +770,44 @@ const SectionTab = ({ beamData, updateBeamData }) => {
       </div>
 
       {/* Section Properties Summary */}
-      <div className="bg-blue-50 dark:bg-blue-900/20 border border-blue-200 dark:border-blue-800 rounded-lg p-4">
-        <div className="flex items-start">
-          <div className="flex-shrink-0">
-            <svg className="w-5 h-5 text-blue-400" fill="currentColor" viewBox="0 0 20 20">
-              <path fillRule="evenodd" d="M10 18a8 8 0 100-16 8 8 0 000 16zm3.707-9.293a1 1 0 00-1.414-1.414L9 10.586 7.707 9.293a1 1 0 00-1.414 1.414l2 2a1 1 0 001.414 0l4-4z" clipRule="evenodd" />
-            </svg>
-          </div>
-          <div className="ml-3">
-            <h3 className="text-sm font-medium text-blue-800 dark:text-blue-200">
-              Section Properties for Stress Analysis
-            </h3>
-            <div className="mt-2 text-sm text-blue-700 dark:text-blue-300 space-y-1">
-              <div>Cross-sectional Area (A) = {convertValue(sectionProperties.area, 'area', 'SI').toFixed(4)} {getUnit('area')}</div>
-              <div>Moment of Inertia (I) = {convertValue(sectionProperties.momentOfInertia, 'inertia', 'SI').toExponential(3)} {getUnit('inertia')}</div>
-              <div>Neutral Axis Height = {convertValue(sectionProperties.centroidHeight, 'sectionLength', 'SI').toFixed(3)} {getUnit('sectionLength')}</div>
-              <div>Distance to extreme fiber (c) = {convertValue(sectionProperties.maxDistanceFromCentroid, 'sectionLength', 'SI').toFixed(3)} {getUnit('sectionLength')}</div>
-              <div>First Moment of Area (Q) = {convertValue(sectionProperties.firstMomentOfArea, 'firstMoment', 'SI').toExponential(3)} {getUnit('firstMoment')}</div>
-              {currentSectionType === 'rectangular' && (
-                <div className="mt-2 text-xs text-blue-600 dark:text-blue-400">
-                  For rectangular beam: I = b×h³/12, Neutral axis at h/2 = {convertValue((section.height || 0.5)/2, 'sectionLength', 'SI').toFixed(1)} {getUnit('sectionLength')}
-                </div>
-              )}
+      {!sectionProperties.error && (
+        <div className="bg-blue-50 dark:bg-blue-900/20 border border-blue-200 dark:border-blue-800 rounded-lg p-4">
+          <div className="flex items-start">
+            <div className="flex-shrink-0">
+              <svg className="w-5 h-5 text-blue-400" fill="currentColor" viewBox="0 0 20 20">
+                <path fillRule="evenodd" d="M10 18a8 8 0 100-16 8 8 0 000 16zm3.707-9.293a1 1 0 00-1.414-1.414L9 10.586 7.707 9.293a1 1 0 00-1.414 1.414l2 2a1 1 0 001.414 0l4-4z" clipRule="evenodd" />
+              </svg>
+            </div>
+            <div className="ml-3">
+              <h3 className="text-sm font-medium text-blue-800 dark:text-blue-200">
+                Section Properties for Stress Analysis
+              </h3>
+              <div className="mt-2 text-sm text-blue-700 dark:text-blue-300 space-y-1">
+                <div>Cross-sectional Area (A) = {convertValue(sectionProperties.area, 'area', 'SI').toFixed(4)} {getUnit('area')}</div>
+                <div>Moment of Inertia (I) = {convertValue(sectionProperties.momentOfInertia, 'inertia', 'SI').toExponential(3)} {getUnit('inertia')}</div>
+                <div>Neutral Axis Height = {convertValue(sectionProperties.centroidHeight, 'sectionLength', 'SI').toFixed(3)} {getUnit('sectionLength')}</div>
+                <div>Distance to extreme fiber (c) = {convertValue(sectionProperties.maxDistanceFromCentroid, 'sectionLength', 'SI').toFixed(3)} {getUnit('sectionLength')}</div>
+                <div>First Moment of Area (Q) = {convertValue(sectionProperties.firstMomentOfArea, 'firstMoment', 'SI').toExponential(3)} {getUnit('firstMoment')}</div>
+                <div>Elastic Modulus (Wel) = {convertValue(sectionProperties.Wel, 'firstMoment', 'SI').toExponential(3)} {getUnit('firstMoment')}</div>
+                {sectionProperties.Wpl !== null && (
+                  <div>Plastic Modulus (Wpl) = {convertValue(sectionProperties.Wpl, 'firstMoment', 'SI').toExponential(3)} {getUnit('firstMoment')}</div>
+                )}
+                <div>Shear Area (Av = I·b/Q) = {convertValue(sectionProperties.shearArea, 'area', 'SI').toExponential(3)} {getUnit('area')}</div>
+                {currentSectionType === 'rectangular' && (
+                  <div className="mt-2 text-xs text-blue-600 dark:text-blue-400">
+                    For rectangular beam: I = b×h³/12, Neutral axis at h/2 = {convertValue((section.height || 0.5)/2, 'sectionLength', 'SI').toFixed(1)} {getUnit('sectionLength')}
+                  </div>
+                )}
+                {sectionProperties.indicative && (
+                  <div className="mt-2 text-xs text-blue-600 dark:text-blue-400">
+                    Only I is known for a custom section; the other values are indicative.
+                  </div>
+                )}
+              </div>
             </div>
           </div>
         </div>
-      </div>
+      )}
 
       {/* Calculated Properties */}
       <div className="bg-green-50 dark:bg-green-900/20 border border-green-200 dark:border-green-800 rounded-lg p-4">
@@ -579,6 +823,11 @@ const SectionTab = ({ beamData, updateBeamData }) => {
             </h3>
             <div className="mt-1 text-sm text-green-700 dark:text-green-300">
               <div>Moment of Inertia (I) = {convertValue(beamData.materialProperties.I, 'inertia', 'SI').toExponential(3)} {getUnit('inertia')}</div>
+              {section.designation && (
+                <div className="mt-1">
+                  {section.designation}: self-weight {convertValue(section.mass * 9.80665e-3, 'distributedLoad', 'SI').toFixed(3)} {getUnit('distributedLoad')}
+                </div>
+              )}
               {currentSectionType === 'rectangular' && (
                 <div className="mt-1">
                   Section: {convertValue(section.width || 0.3, 'sectionLength', 'SI').toFixed(0)} × {convertValue(section.height || 0.5, 'sectionLength', 'SI').toFixed(0)} {getUnit('sectionLength')}
@@ -628,152 +877,472 @@ const SectionTab = ({ beamData, updateBeamData }) => {
       <div className="bg-gray-50 dark:bg-gray-700 rounded-lg p-4">
         <h4 className="text-sm font-medium text-gray-700 dark:text-gray-300 mb-3">Section Preview with Neutral Axis</h4>
         <div className="flex justify-center">
-          <svg width="200" height="150" viewBox="0 0 200 150" className="border border-gray-300 dark:border-gray-600 rounded">
-            {(section.type || sectionType) === 'rectangular' && (
-              <>
-                <rect
-                  x="50"
-                  y="25"
-                  width="100"
-                  height="100"
-                  fill="none"
-                  stroke="currentColor"
-                  strokeWidth="2"
-                  className="text-blue-600 dark:text-blue-400"
-                />
-                {/* Neutral axis at h/2 */}
-                <line
-                  x1="30"
-                  y1="75"
-                  x2="170"
-                  y2="75"
-                  stroke="currentColor"
-                  strokeWidth="2"
-                  strokeDasharray="5,5"
-                  className="text-red-500"
-                />
-                <text x="175" y="80" fontSize="10" fill="currentColor" className="text-red-600 dark:text-red-400">
-                  N.A. (h/2)
-                </text>
-                {/* Dimension labels */}
-                <text x="100" y="20" fontSize="10" textAnchor="middle" fill="currentColor" className="text-gray-600 dark:text-gray-400">
-                  b = {convertValue(section.width || 0.3, 'sectionLength', 'SI').toFixed(0)} {getUnit('sectionLength')}
-                </text>
-                <text x="25" y="80" fontSize="10" textAnchor="middle" fill="currentColor" className="text-gray-600 dark:text-gray-400" transform="rotate(-90, 25, 80)">
-                  h = {convertValue(section.height || 0.5, 'sectionLength', 'SI').toFixed(0)} {getUnit('sectionLength')}
-                </text>
-              </>
-            )}
-            {(section.type || sectionType) === 'circular' && (
-              <>
-                <circle
-                  cx="100"
-                  cy="75"
-                  r="50"
-                  fill="none"
-                  stroke="currentColor"
-                  strokeWidth="2"
-                  className="text-blue-600 dark:text-blue-400"
-                />
-                {/* Neutral axis */}
-                <line
-                  x1="30"
-                  y1="75"
-                  x2="170"
-                  y2="75"
-                  stroke="currentColor"
-                  strokeWidth="2"
-                  strokeDasharray="5,5"
-                  className="text-red-500"
-                />
-                <text x="175" y="80" fontSize="10" fill="currentColor" className="text-red-600 dark:text-red-400">
-                  N.A.
-                </text>
-              </>
-            )}
-            {(section.type || sectionType) === 'i-beam' && (
-              <>
-                <g className="text-blue-600 dark:text-blue-400" fill="none" stroke="currentColor" strokeWidth="2">
-                  {/* Top flange */}
-                  <rect x="40" y="25" width="120" height="20" />
-                  {/* Web */}
-                  <rect x="90" y="45" width="20" height="60" />
-                  {/* Bottom flange */}
-                  <rect x="40" y="105" width="120" height="20" />
-                </g>
-                {/* Neutral axis */}
-                <line
-                  x1="30"
-                  y1="75"
-                  x2="170"
-                  y2="75"
-                  stroke="currentColor"
-                  strokeWidth="2"
-                  strokeDasharray="5,5"
-                  className="text-red-500"
-                />
-                <text x="175" y="80" fontSize="10" fill="currentColor" className="text-red-600 dark:text-red-400">
-                  N.A.
-                </text>
-              </>
+          {currentSectionType === 'polygon' ? (
+            polygonSection && !polygonSection.error && <BuiltUpSectionLayout properties={polygonSection} />
+          ) : (
+            <svg width="200" height="150" viewBox="0 0 200 150" className="border border-gray-300 dark:border-gray-600 rounded">
+              {(section.type || sectionType) === 'rectangular' && (
+                <>
+                  <rect
+                    x="50"
+                    y="25"
+                    width="100"
+                    height="100"
+                    fill="none"
+                    stroke="currentColor"
+                    strokeWidth="2"
+                    className="text-blue-600 dark:text-blue-400"
+                  />
+                  {/* Neutral axis at h/2 */}
+                  <line
+                    x1="30"
+                    y1="75"
+                    x2="170"
+                    y2="75"
+                    stroke="currentColor"
+                    strokeWidth="2"
+                    strokeDasharray="5,5"
+                    className="text-red-500"
+                  />
+                  <text x="175" y="80" fontSize="10" fill="currentColor" className="text-red-600 dark:text-red-400">
+                    N.A. (h/2)
+                  </text>
+                  {/* Dimension labels */}
+                  <text x="100" y="20" fontSize="10" textAnchor="middle" fill="currentColor" className="text-gray-600 dark:text-gray-400">
+                    b = {convertValue(section.width || 0.3, 'sectionLength', 'SI').toFixed(0)} {getUnit('sectionLength')}
+                  </text>
+                  <text x="25" y="80" fontSize="10" textAnchor="middle" fill="currentColor" className="text-gray-600 dark:text-gray-400" transform="rotate(-90, 25, 80)">
+                    h = {convertValue(section.height || 0.5, 'sectionLength', 'SI').toFixed(0)} {getUnit('sectionLength')}
+                  </text>
+                </>
+              )}
+              {(section.type || sectionType) === 'circular' && (
+                <>
+                  <circle
+                    cx="100"
+                    cy="75"
+                    r="50"
+                    fill="none"
+                    stroke="currentColor"
+                    strokeWidth="2"
+                    className="text-blue-600 dark:text-blue-400"
+                  />
+                  {/* Neutral axis */}
+                  <line
+                    x1="30"
+                    y1="75"
+                    x2="170"
+                    y2="75"
+                    stroke="currentColor"
+                    strokeWidth="2"
+                    strokeDasharray="5,5"
+                    className="text-red-500"
+                  />
+                  <text x="175" y="80" fontSize="10" fill="currentColor" className="text-red-600 dark:text-red-400">
+                    N.A.
+                  </text>
+                </>
+              )}
+              {(section.type || sectionType) === 'i-beam' && (
+                <>
+                  <g className="text-blue-600 dark:text-blue-400" fill="none" stroke="currentColor" strokeWidth="2">
+                    {/* Top flange */}
+                    <rect x="40" y="25" width="120" height="20" />
+                    {/* Web */}
+                    <rect x="90" y="45" width="20" height="60" />
+                    {/* Bottom flange */}
+                    <rect x="40" y="105" width="120" height="20" />
+                  </g>
+                  {/* Neutral axis */}
+                  <line
+                    x1="30"
+                    y1="75"
+                    x2="170"
+                    y2="75"
+                    stroke="currentColor"
+                    strokeWidth="2"
+                    strokeDasharray="5,5"
+                    className="text-red-500"
+                  />
+                  <text x="175" y="80" fontSize="10" fill="currentColor" className="text-red-600 dark:text-red-400">
+                    N.A.
+                  </text>
+                </>
+              )}
+              {(section.type || sectionType) === 't-beam' && (
+                <>
+                  <g className="text-blue-600 dark:text-blue-400" fill="none" stroke="currentColor" strokeWidth="2">
+                    {/* Top flange */}
+                    <rect x="40" y="25" width="120" height="25" />
+                    {/* Web */}
+                    <rect x="90" y="50" width="20" height="75" />
+                  </g>
+                  {/* Neutral axis */}
+                  <line
+                    x1="30"
+                    y1="75"
+                    x2="170"
+                    y2="75"
+                    stroke="currentColor"
+                    strokeWidth="2"
+                    strokeDasharray="5,5"
+                    className="text-red-500"
+                  />
+                  <text x="175" y="80" fontSize="10" fill="currentColor" className="text-red-600 dark:text-red-400">
+                    N.A.
+                  </text>
+                </>
+              )}
+              {(section.type || sectionType) === 'channel' && (
+                <>
+                  <g className="text-blue-600 dark:text-blue-400" fill="none" stroke="currentColor" strokeWidth="2">
+                    {/* Top flange */}
+                    <rect x="60" y="25" width="80" height="20" />
+                    {/* Web */}
+                    <rect x="60" y="45" width="20" height="60" />
+                    {/* Bottom flange */}
+                    <rect x="60" y="105" width="80" height="20" />
+                  </g>
+                  {/* Neutral axis */}
+                  <line
+                    x1="30"
+                    y1="75"
+                    x2="170"
+                    y2="75"
+                    stroke="currentColor"
+                    strokeWidth="2"
+                    strokeDasharray="5,5"
+                    className="text-red-500"
+                  />
+                  <text x="175" y="80" fontSize="10" fill="currentColor" className="text-red-600 dark:text-red-400">
+                    N.A.
+                  </text>
+                </>
+              )}
+              {(section.type || sectionType) === 'rhs' && (
+                <>
+                  <g className="text-blue-600 dark:text-blue-400" fill="none" stroke="currentColor" strokeWidth="2">
+                    <rect x="60" y="25" width="80" height="100" rx="6" />
+                    <rect x="70" y="35" width="60" height="80" rx="3" />
+                  </g>
+                  {/* Neutral axis */}
+                  <line
+                    x1="30"
+                    y1="75"
+                    x2="170"
+                    y2="75"
+                    stroke="currentColor"
+                    strokeWidth="2"
+                    strokeDasharray="5,5"
+                    className="text-red-500"
+                  />
+                  <text x="175" y="80" fontSize="10" fill="currentColor" className="text-red-600 dark:text-red-400">
+                    N.A.
+                  </text>
+                </>
+              )}
+              {(section.type || sectionType) === 'chs' && (
+                <>
+                  <g className="text-blue-600 dark:text-blue-400" fill="none" stroke="currentColor" strokeWidth="2">
+                    <circle cx="100" cy="75" r="50" />
+                    <circle cx="100" cy="75" r="42" />
+                  </g>
+                  {/* Neutral axis */}
+                  <line
+                    x1="30"
+                    y1="75"
+                    x2="170"
+                    y2="75"
+                    stroke="currentColor"
+                    strokeWidth="2"
+                    strokeDasharray="5,5"
+                    className="text-red-500"
+                  />
+                  <text x="175" y="80" fontSize="10" fill="currentColor" className="text-red-600 dark:text-red-400">
+                    N.A.
+                  </text>
+                </>
+              )}
+              {(section.type || sectionType) === 'custom' && (
+                <>
+                  <rect
+                    x="50"
+                    y="25"
+                    width="100"
+                    height="100"
+                    fill="none"
+                    stroke="currentColor"
+                    strokeWidth="2"
+                    strokeDasharray="5,5"
+                    className="text-blue-600 dark:text-blue-400"
+                  />
+                  <text x="100" y="80" textAnchor="middle" className="text-xs fill-current">
+                    Custom
+                  </text>
+                  {/* Neutral axis */}
+                  <line
+                    x1="30"
+                    y1="75"
+                    x2="170"
+                    y2="75"
+                    stroke="currentColor"
+                    strokeWidth="2"
+                    strokeDasharray="5,5"
+                    className="text-red-500"
+                  />
+                  <text x="175" y="80" fontSize="10" fill="currentColor" className="text-red-600 dark:text-red-400">
+                    N.A.
+                  </text>
+                </>
+              )}
+            </svg>
+          )}
+        </div>
+        {concreteDesign && (
+          <div className="mt-4">
+            <h4 className="text-sm font-medium text-gray-700 dark:text-gray-300 mb-3">Reinforcement (to scale)</h4>
+            <ReinforcementLayout check={concreteDesign} settings={beamData.design.concrete} />
+          </div>
+        )}
+      </div>
+
+      {/* Standard Steel Sections */}
+      <div>
+        <h4 className="text-sm font-medium text-gray-700 dark:text-gray-300 mb-3">Standard Steel Sections</h4>
+        <div className="space-y-2">
+          <input
+            type="text"
+            value={librarySearch}
+            onChange={(e) => setLibrarySearch(e.target.value)}
+            placeholder="Search, e.g. IPE 300, W12x26, SHS 100"
+            className="input-field"
+          />
+          <div className="grid grid-cols-2 gap-2">
+            <select
+              value={libraryFamily}
+              onChange={(e) => setLibraryFamily(e.target.value)}
+              className="input-field"
+            >
+              <option value="all">All families</option>
+              {Object.entries(STEEL_SECTION_FAMILIES).map(([key, family]) => (
+                <option key={key} value={key}>{family.label}</option>
+              ))}
+            </select>
+            <select
+              value={librarySort}
+              onChange={(e) => setLibrarySort(e.target.value)}
+              className="input-field"
+            >
+              <option value="mass-asc">Lightest first</option>
+              <option value="mass-desc">Heaviest first</option>
+            </select>
+          </div>
+          <div className="max-h-64 overflow-y-auto border border-gray-200 dark:border-gray-600 rounded-lg divide-y divide-gray-200 dark:divide-gray-600">
+            {librarySections.length === 0 && (
+              <div className="p-3 text-xs text-gray-500 dark:text-gray-400">No sections match the search</div>
             )}
-            {(section.type || sectionType) === 't-beam' && (
-              <>
-                <g className="text-blue-600 dark:text-blue-400" fill="none" stroke="currentColor" strokeWidth="2">
-                  {/* Top flange */}
-                  <rect x="40" y="25" width="120" height="25" />
-                  {/* Web */}
-                  <rect x="90" y="50" width="20" height="75" />
-                </g>
-                {/* Neutral axis */}
-                <line
-                  x1="30"
-                  y1="75"
-                  x2="170"
-                  y2="75"
-                  stroke="currentColor"
-                  strokeWidth="2"
-                  strokeDasharray="5,5"
-                  className="text-red-500"
-                />
-                <text x="175" y="80" fontSize="10" fill="currentColor" className="text-red-600 dark:text-red-400">
-                  N.A.
-                </text>
-              </>
+            {librarySections.map(entry => (
+              <button
+                key={entry.designation}
+                onClick={() => applyLibrarySection(entry)}
+                className={`w-full p-2 text-left transition-colors ${
+                  section.designation === entry.designation
+                    ? 'bg-blue-50 dark:bg-blue-900/30'
+                    : 'hover:bg-gray-50 dark:hover:bg-gray-700'
+                }`}
+              >
+                <div className="flex justify-between text-sm">
+                  <span className="font-medium text-gray-900 dark:text-white">{entry.designation}</span>
+                  <span className="text-gray-500 dark:text-gray-400">
+                    {convertValue(entry.mass * 9.80665e-3, 'distributedLoad', 'SI').toFixed(3)} {getUnit('distributedLoad')}
+                  </span>
+                </div>
+                <div className="text-xs text-gray-500 dark:text-gray-400">
+                  A = {convertValue(entry.properties.area, 'area', 'SI').toExponential(3)} {getUnit('area')},
+                  {' '}I = {convertValue(entry.properties.Iy, 'inertia', 'SI').toExponential(3)} {getUnit('inertia')},
+                  {' '}Wpl = {convertValue(entry.properties.Wpl, 'firstMoment', 'SI').toExponential(3)} {getUnit('firstMoment')}
+                </div>
+              </button>
+            ))}
+          </div>
+        </div>
+      </div>
+
+      {/* Optimize Section */}
+      <div>
+        <h4 className="text-sm font-medium text-gray-700 dark:text-gray-300 mb-3">Optimize Section</h4>
+        <div className="space-y-3">
+          <div className="grid grid-cols-2 gap-2">
+            <div>
+              <label className="block text-xs font-medium text-gray-700 dark:text-gray-300 mb-1">Section family</label>
+              <select
+                value={optimizerSettings.family}
+                onChange={(e) => updateOptimizerSettings({ family: e.target.value })}
+                className="input-field"
+              >
+                {Object.entries(OPTIMIZER_FAMILIES).map(([key, label]) => (
+                  <option key={key} value={key}>{label}</option>
+                ))}
+              </select>
+            </div>
+            {optimizerSettings.family === 'library' && (
+              <div>
+                <label className="block text-xs font-medium text-gray-700 dark:text-gray-300 mb-1">Library family</label>
+                <select
+                  value={optimizerSettings.libraryFamily}
+                  onChange={(e) => updateOptimizerSettings({ libraryFamily: e.target.value })}
+                  className="input-field"
+                >
+                  <option value="all">All families</option>
+                  {Object.entries(STEEL_SECTION_FAMILIES).map(([key, family]) => (
+                    <option key={key} value={key}>{family.label}</option>
+                  ))}
+                </select>
+              </div>
             )}
-            {(section.type || sectionType) === 'custom' && (
-              <>
-                <rect
-                  x="50"
-                  y="25"
-                  width="100"
-                  height="100"
-                  fill="none"
-                  stroke="currentColor"
-                  strokeWidth="2"
-                  strokeDasharray="5,5"
-                  className="text-blue-600 dark:text-blue-400"
+          </div>
+          {optimizerSettings.family === 'rectangular' && (
+            <div className="grid grid-cols-2 gap-2">
+              <div>
+                <label className="block text-xs font-medium text-gray-700 dark:text-gray-300 mb-1">Min aspect h/b</label>
+                <input
+                  type="number"
+                  min="0.1"
+                  step="0.1"
+                  value={optimizerSettings.minAspect}
+                  onChange={(e) => updateOptimizerSettings({ minAspect: parseFloat(e.target.value) || 0 })}
+                  className="input-field"
                 />
-                <text x="100" y="80" textAnchor="middle" className="text-xs fill-current">
-                  Custom
-                </text>
-                {/* Neutral axis */}
-                <line
-                  x1="30"
-                  y1="75"
-                  x2="170"
-                  y2="75"
-                  stroke="currentColor"
-                  strokeWidth="2"
-                  strokeDasharray="5,5"
-                  className="text-red-500"
+              </div>
+              <div>
+                <label className="block text-xs font-medium text-gray-700 dark:text-gray-300 mb-1">Max aspect h/b</label>
+                <input
+                  type="number"
+                  min="0.1"
+                  step="0.1"
+                  value={optimizerSettings.maxAspect}
+                  onChange={(e) => updateOptimizerSettings({ maxAspect: parseFloat(e.target.value) || 0 })}
+                  className="input-field"
                 />
-                <text x="175" y="80" fontSize="10" fill="currentColor" className="text-red-600 dark:text-red-400">
-                  N.A.
-                </text>
-              </>
-            )}
-          </svg>
+              </div>
+            </div>
+          )}
+          <div className="grid grid-cols-2 gap-2">
+            <div>
+              <label className="block text-xs font-medium text-gray-700 dark:text-gray-300 mb-1">
+                Allowable bending stress ({getUnit('stress')})
+              </label>
+              <input
+                type="number"
+                min="0"
+                value={convertValue(optimizerSettings.allowableStress, 'stress', 'SI')}
+                onChange={(e) => updateOptimizerSettings({ allowableStress: convertValue(parseFloat(e.target.value) || 0, 'stress', null, 'SI') })}
+                className="input-field"
+              />
+            </div>
+            <div>
+              <label className="block text-xs font-medium text-gray-700 dark:text-gray-300 mb-1">
+                Allowable shear stress ({getUnit('stress')})
+              </label>
+              <input
+                type="number"
+                min="0"
+                value={convertValue(optimizerSettings.allowableShear, 'stress', 'SI')}
+                onChange={(e) => updateOptimizerSettings({ allowableShear: convertValue(parseFloat(e.target.value) || 0, 'stress', null, 'SI') })}
+                className="input-field"
+              />
+            </div>
+            <div>
+              <label className="block text-xs font-medium text-gray-700 dark:text-gray-300 mb-1">Deflection limit L /</label>
+              <input
+                type="number"
+                min="0"
+                step="10"
+                value={optimizerSettings.deflectionRatio}
+                onChange={(e) => updateOptimizerSettings({ deflectionRatio: parseFloat(e.target.value) || 0 })}
+                className="input-field"
+              />
+            </div>
+            <div>
+              <label className="block text-xs font-medium text-gray-700 dark:text-gray-300 mb-1">
+                Max depth ({getUnit('sectionLength')})
+              </label>
+              <input
+                type="number"
+                min="0"
+                value={convertValue(optimizerSettings.maxDepth, 'sectionLength', 'SI')}
+                onChange={(e) => updateOptimizerSettings({ maxDepth: convertValue(parseFloat(e.target.value) || 0, 'sectionLength', null, 'SI') })}
+                className="input-field"
+              />
+            </div>
+          </div>
+          <p className="text-xs text-gray-500 dark:text-gray-400">
+            Uses the current analysis (the combination envelope where combinations exist). The deflection limit applies to the load set shown, together with the Deflection Limits of the Design tab; 0 keeps only those.
+          </p>
+          <button
+            onClick={() => runOptimizer({
+              beamData,
+              results,
+              settings: optimizerSettings,
+              options: { resolution, loadSet: results.loadSet?.id || 'all' }
+            })}
+            disabled={!results || isOptimizing}
+            className="btn-primary w-full disabled:opacity-50"
+          >
+            {isOptimizing ? 'Optimizing...' : 'Optimize section'}
+          </button>
+
+          {optimization?.error && (
+            <div className="text-sm text-red-600 dark:text-red-400">{optimization.error}</div>
+          )}
+          {optimization && !optimization.error && (
+            <div className="space-y-2">
+              <div className="text-xs text-gray-600 dark:text-gray-400">
+                {optimization.checked} sections checked for {optimization.source}
+                {optimization.reanalysed > 0 && `, ${optimization.reanalysed} analysed again`}
+              </div>
+              <div className="overflow-x-auto">
+                <table className="min-w-full text-xs">
+                  <thead>
+                    <tr className="text-left text-gray-500 dark:text-gray-400">
+                      <th className="py-1 pr-2">Section</th>
+                      <th className="py-1 pr-2">{optimization.candidates[0]?.mass ? `Weight (${getUnit('distributedLoad')})` : `Area (${getUnit('area')})`}</th>
+                      <th className="py-1 pr-2">σ</th>
+                      <th className="py-1 pr-2">τ</th>
+                      <th className="py-1 pr-2">δ</th>
+                      <th className="py-1"></th>
+                    </tr>
+                  </thead>
+                  <tbody className="divide-y divide-gray-200 dark:divide-gray-600">
+                    {optimization.candidates.map((candidate, i) => (
+                      <tr key={i} className={candidate.passed ? 'text-gray-900 dark:text-white' : 'text-red-600 dark:text-red-400'}>
+                        <td className="py-1 pr-2">{describeSection(candidate.section)}</td>
+                        <td className="py-1 pr-2">
+                          {candidate.mass
+                            ? convertValue(candidate.mass * 9.80665e-3, 'distributedLoad', 'SI').toFixed(3)
+                            : convertValue(candidate.area, 'area', 'SI').toExponential(3)}
+                        </td>
+                        <td className="py-1 pr-2">{candidate.utilisation.bending.toFixed(2)}</td>
+                        <td className="py-1 pr-2">{candidate.utilisation.shear.toFixed(2)}</td>
+                        <td className="py-1 pr-2">{candidate.utilisation.deflection === null ? '-' : candidate.utilisation.deflection.toFixed(2)}</td>
+                        <td className="py-1">
+                          <button
+                            onClick={() => applyCandidateSection(candidate.section)}
+                            className="text-blue-600 dark:text-blue-400 hover:underline"
+                          >
+                            Apply
+                          </button>
+                        </td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+              {optimization.notes.map((note, i) => (
+                <div key={i} className="text-xs text-yellow-700 dark:text-yellow-300">{note}</div>
+              ))}
+            </div>
+          )}
         </div>
       </div>
 
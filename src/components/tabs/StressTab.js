@@ -1,5 +1,6 @@
 import React, { useState } from 'react';
 import { useUnits } from '../../contexts/UnitContext';
+import { calculateSectionProperties } from '../../utils/sectionProperties';
 
 const StressTab = ({ beamData, updateBeamData }) => {
   const { getUnit, convertValue } = useUnits();
@@ -15,75 +16,7 @@ const StressTab = ({ beamData, updateBeamData }) => {
     });
   };
 
-  const calculateSectionProperties = () => {
-    const section = beamData.section || {};
-    let properties = {
-      area: 0,
-      momentOfInertia: beamData.materialProperties.I,
-      centroidHeight: 0,
-      maxDistanceFromCentroid: 0,
-      firstMomentOfArea: 0
-    };
-
-    switch (section.type) {
-      case 'rectangular':
-        const b = section.width || 0.3;
-        const h = section.height || 0.5;
-        properties.area = b * h;
-        properties.centroidHeight = h / 2;
-        properties.maxDistanceFromCentroid = h / 2;
-        properties.firstMomentOfArea = (b * h * h) / 8; // Q = A * y_bar for rectangular section at neutral axis
-        break;
-      case 'circular':
-        const d = section.diameter || 0.4;
-        const r = d / 2;
-        properties.area = Math.PI * r * r;
-        properties.centroidHeight = r;
-        properties.maxDistanceFromCentroid = r;
-        properties.firstMomentOfArea = (2 * r * r * r) / 3; // Q for circular section at neutral axis
-        break;
-      case 'i-beam':
-        const bf = section.flangeWidth || 0.2;
-        const tf = section.flangeThickness || 0.02;
-        const hw = section.webHeight || 0.4;
-        const tw = section.webThickness || 0.01;
-        const totalHeight = hw + 2 * tf;
-        properties.area = 2 * bf * tf + tw * hw;
-        properties.centroidHeight = totalHeight / 2;
-        properties.maxDistanceFromCentroid = totalHeight / 2;
-        // Simplified Q calculation for I-beam at neutral axis
-        properties.firstMomentOfArea = (bf * tf * (totalHeight / 2 - tf / 2));
-        break;
-      case 't-beam':
-        const bfT = section.flangeWidth || 0.3;
-        const tfT = section.flangeThickness || 0.05;
-        const hwT = section.webHeight || 0.4;
-        const twT = section.webThickness || 0.02;
-        const totalHeightT = hwT + tfT;
-        
-        // Calculate centroid
-        const A1 = bfT * tfT;
-        const A2 = twT * hwT;
-        const y1 = totalHeightT - tfT / 2;
-        const y2 = hwT / 2;
-        const yBar = (A1 * y1 + A2 * y2) / (A1 + A2);
-        
-        properties.area = A1 + A2;
-        properties.centroidHeight = yBar;
-        properties.maxDistanceFromCentroid = Math.max(yBar, totalHeightT - yBar);
-        properties.firstMomentOfArea = A1 * Math.abs(y1 - yBar); // Simplified Q calculation
-        break;
-      default:
-        properties.area = 0.15; // Default area
-        properties.centroidHeight = 0.25;
-        properties.maxDistanceFromCentroid = 0.25;
-        properties.firstMomentOfArea = 0.01;
-    }
-
-    return properties;
-  };
-
-  const sectionProperties = calculateSectionProperties();
+  const sectionProperties = calculateSectionProperties(beamData.section);
   const displayAnalysisPoint = convertValue(stressAnalysisPoint, 'length', 'SI');
 
   return (
@@ -204,12 +137,21 @@ const StressTab = ({ beamData, updateBeamData }) => {
             <h3 className="text-sm font-medium text-blue-800 dark:text-blue-200">
               Section Properties for Stress Analysis
             </h3>
-            <div className="mt-2 text-sm text-blue-700 dark:text-blue-300 space-y-1">
-              <div>Cross-sectional Area (A) = {convertValue(sectionProperties.area, 'area', 'SI').toFixed(4)} {getUnit('area')}</div>
-              <div>Moment of Inertia (I) = {convertValue(sectionProperties.momentOfInertia, 'inertia', 'SI').toExponential(3)} {getUnit('inertia')}</div>
-              <div>Distance to extreme fiber (c) = {convertValue(sectionProperties.maxDistanceFromCentroid, 'length', 'SI').toFixed(3)} {getUnit('length')}</div>
-              <div>First Moment of Area (Q) = {convertValue(sectionProperties.firstMomentOfArea, 'firstMoment', 'SI').toExponential(3)} {getUnit('firstMoment')}</div>
-            </div>
+            {sectionProperties.error ? (
+              <div className="mt-2 text-sm text-red-600 dark:text-red-400">{sectionProperties.error}</div>
+            ) : (
+              <div className="mt-2 text-sm text-blue-700 dark:text-blue-300 space-y-1">
+                <div>Cross-sectional Area (A) = {convertValue(sectionProperties.area, 'area', 'SI').toFixed(4)} {getUnit('area')}</div>
+                <div>Moment of Inertia (I) = {convertValue(sectionProperties.momentOfInertia, 'inertia', 'SI').toExponential(3)} {getUnit('inertia')}</div>
+                <div>Distance to extreme fiber (c) = {convertValue(sectionProperties.maxDistanceFromCentroid, 'length', 'SI').toFixed(3)} {getUnit('length')}</div>
+                {sectionProperties.stressDistance > sectionProperties.maxDistanceFromCentroid + 1e-12 && (
+                  <div>Transformed extreme fiber (n·c) = {convertValue(sectionProperties.stressDistance, 'length', 'SI').toFixed(3)} {getUnit('length')}</div>
+                )}
+                <div>First Moment of Area (Q) = {convertValue(sectionProperties.firstMomentOfArea, 'firstMoment', 'SI').toExponential(3)} {getUnit('firstMoment')}</div>
+                <div>Width at Q (b) = {convertValue(sectionProperties.thickness, 'sectionLength', 'SI').toFixed(1)} {getUnit('sectionLength')}</div>
+                <div>Shear Area (Av = I·b/Q) = {convertValue(sectionProperties.shearArea, 'area', 'SI').toExponential(3)} {getUnit('area')}</div>
+              </div>
+            )}
           </div>
         </div>
       </div>
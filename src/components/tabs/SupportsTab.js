@@ -1,20 +1,25 @@
 import React from 'react';
 import { useUnits } from '../../contexts/UnitContext';
+import { SUPPORT_TYPES, SETTLING_TYPES, withSupportType } from '../../utils/beamModel';
+import { DEFAULT_FOUNDATION, createFoundationSegmentId, validateFoundation } from '../../utils/foundation';
+import { hasSupportMovement } from '../../utils/loadCombinations';
+import LoadCaseSelect from './LoadCaseSelect';
 
 const SupportsTab = ({ beamData, updateBeamData }) => {
-  const supportTypes = ['Fixed', 'Hinge', 'Roller', 'Internal Hinge'];
-  const { getUnit, convertValue } = useUnits();
+  const { getUnit, convertValue, convertRotation } = useUnits();
+
+  const isMultiSpan = beamData.multiSpan?.enabled || false;
+  const foundation = { ...DEFAULT_FOUNDATION, ...beamData.foundation };
+  const foundationError = validateFoundation(beamData);
 
   const addSupport = () => {
-    if (beamData.supports.length < 3) {
-      const newSupport = {
-        type: 'Hinge',
-        position: beamData.supports.length === 0 ? 0 : beamData.length
-      };
-      updateBeamData({
-        supports: [...beamData.supports, newSupport]
-      });
-    }
+    const newSupport = {
+      type: 'Hinge',
+      position: beamData.supports.length === 0 ? 0 : beamData.length
+    };
+    updateBeamData({
+      supports: [...beamData.supports, newSupport]
+    });
   };
 
   const removeSupport = (index) => {
@@ -24,15 +29,53 @@ const SupportsTab = ({ beamData, updateBeamData }) => {
 
   const updateSupport = (index, field, value) => {
     const newSupports = [...beamData.supports];
-    if (field === 'position') {
-      // Convert from display units to SI
-      newSupports[index] = { ...newSupports[index], [field]: convertValue(value, 'length', null, 'SI') };
-    } else {
-      newSupports[index] = { ...newSupports[index], [field]: value };
-    }
+    // Convert from display units to SI
+    const siValues = {
+      position: () => convertValue(value, 'length', null, 'SI'),
+      stiffness: () => convertValue(value, 'springStiffness', null, 'SI'),
+      rotationalStiffness: () => convertValue(value, 'rotationalStiffness', null, 'SI'),
+      settlement: () => convertValue(value, 'deflection', null, 'SI') / 1000,
+      rotation: () => value / convertRotation(1)
+    };
+    newSupports[index] = { ...newSupports[index], [field]: siValues[field] ? siValues[field]() : value };
+    updateBeamData({ supports: newSupports });
+  };
+
+  // A new type keeps only the fields that apply to it
+  const changeSupportType = (index, type) => {
+    const newSupports = [...beamData.supports];
+    newSupports[index] = withSupportType(beamData.supports[index], type);
     updateBeamData({ supports: newSupports });
   };
 
+  const updateFoundation = (changes, options) => {
+    updateBeamData({ foundation: { ...foundation, ...changes } }, options);
+  };
+
+  const addFoundationSegment = () => {
+    updateFoundation({
+      segments: [...foundation.segments, {
+        id: createFoundationSegmentId(foundation.segments),
+        start: 0,
+        end: beamData.length / 2,
+        modulus: foundation.modulus / 2
+      }]
+    }, { checkpoint: true });
+  };
+
+  const updateFoundationSegment = (index, field, value) => {
+    const newSegments = [...foundation.segments];
+    const siValue = field === 'modulus'
+      ? convertValue(value, 'subgradeModulus', null, 'SI')
+      : convertValue(value, 'length', null, 'SI');
+    newSegments[index] = { ...newSegments[index], [field]: siValue };
+    updateFoundation({ segments: newSegments });
+  };
+
+  const removeFoundationSegment = (index) => {
+    updateFoundation({ segments: foundation.segments.filter((_, i) => i !== index) }, { checkpoint: true });
+  };
+
   const getSupportDescription = (type) => {
     switch (type) {
       case 'Fixed':
@@ -41,6 +84,10 @@ const SupportsTab = ({ beamData, updateBeamData }) => {
         return 'Prevents translation, allows rotation';
       case 'Roller':
         return 'Prevents vertical translation only';
+      case 'Spring':
+        return 'Elastic vertical support: pushes back with k times the deflection';
+      case 'Rotational Spring':
+        return 'Prevents vertical translation, resists rotation with kθ times the rotation';
       case 'Internal Hinge':
         return 'Allows rotation at internal point, creates moment discontinuity';
       default:
@@ -48,22 +95,23 @@ const SupportsTab = ({ beamData, updateBeamData }) => {
     }
   };
 
-  const getMaxSupports = () => {
-    const hasInternalHinge = beamData.supports.some(s => s.type === 'Internal Hinge');
-    return hasInternalHinge ? 3 : 2;
-  };
-
   return (
     <div className="space-y-6">
       <div className="flex items-center justify-between">
         <h3 className="text-sm font-medium text-gray-900 dark:text-white">Support Configuration</h3>
-        {beamData.supports.length < getMaxSupports() && (
+        {!isMultiSpan && (
           <button onClick={addSupport} className="btn-primary text-sm">
             Add Support
           </button>
         )}
       </div>
 
+      {isMultiSpan && (
+        <div className="p-3 bg-blue-50 dark:bg-blue-900/20 border border-blue-200 dark:border-blue-800 rounded-lg text-xs text-blue-700 dark:text-blue-300">
+          Continuous beam: supports sit at every span boundary. Edit the spans in the Length tab; only the support types can be changed here.
+        </div>
+      )}
+
       <div className="space-y-4">
         {beamData.supports.map((support, index) => {
           const displayPosition = convertValue(support.position, 'length', 'SI');
@@ -74,7 +122,7 @@ const SupportsTab = ({ beamData, updateBeamData }) => {
                 <h4 className="font-medium text-gray-900 dark:text-white">
                   {support.type === 'Internal Hinge' ? 'Internal Hinge' : `Support ${index + 1}`}
                 </h4>
-                {beamData.supports.length > 1 && (
+                {(beamData.supports.length > 1 || foundation.enabled) && !isMultiSpan && (
                   <button
                     onClick={() => removeSupport(index)}
                     className="text-red-600 hover:text-red-800 dark:text-red-400 dark:hover:text-red-300 text-sm"
@@ -91,12 +139,14 @@ const SupportsTab = ({ beamData, updateBeamData }) => {
                   </label>
                   <select
                     value={support.type}
-                    onChange={(e) => updateSupport(index, 'type', e.target.value)}
+                    onChange={(e) => changeSupportType(index, e.target.value)}
                     className="input-field"
                   >
-                    {supportTypes.map(type => (
-                      <option key={type} value={type}>{type}</option>
-                    ))}
+                    {SUPPORT_TYPES
+                      .filter(type => !isMultiSpan || type !== 'Internal Hinge')
+                      .map(type => (
+                        <option key={type} value={type}>{type}</option>
+                      ))}
                   </select>
                 </div>
 
@@ -111,11 +161,86 @@ const SupportsTab = ({ beamData, updateBeamData }) => {
                     step="0.1"
                     value={displayPosition}
                     onChange={(e) => updateSupport(index, 'position', parseFloat(e.target.value) || 0)}
+                    disabled={isMultiSpan}
                     className="input-field"
                   />
                 </div>
               </div>
 
+              {(support.type === 'Spring' || SETTLING_TYPES.includes(support.type)) && (
+                <div className="grid grid-cols-2 gap-4 mt-4">
+                  {support.type === 'Spring' && (
+                    <div>
+                      <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-2">
+                        Stiffness k ({getUnit('springStiffness')})
+                      </label>
+                      <input
+                        type="number"
+                        min="0"
+                        step="1000"
+                        value={convertValue(support.stiffness ?? 0, 'springStiffness', 'SI')}
+                        onChange={(e) => updateSupport(index, 'stiffness', parseFloat(e.target.value) || 0)}
+                        className="input-field"
+                      />
+                    </div>
+                  )}
+                  {support.type === 'Rotational Spring' && (
+                    <div>
+                      <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-2">
+                        Stiffness kθ ({getUnit('rotationalStiffness')})
+                      </label>
+                      <input
+                        type="number"
+                        min="0"
+                        step="1000"
+                        value={convertValue(support.rotationalStiffness ?? 0, 'rotationalStiffness', 'SI')}
+                        onChange={(e) => updateSupport(index, 'rotationalStiffness', parseFloat(e.target.value) || 0)}
+                        className="input-field"
+                      />
+                    </div>
+                  )}
+                  {SETTLING_TYPES.includes(support.type) && (
+                    <div>
+                      <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-2">
+                        Settlement ({getUnit('deflection')}, down +)
+                      </label>
+                      <input
+                        type="number"
+                        step="1"
+                        value={convertValue((support.settlement || 0) * 1000, 'deflection', 'SI')}
+                        onChange={(e) => updateSupport(index, 'settlement', parseFloat(e.target.value) || 0)}
+                        className="input-field"
+                      />
+                    </div>
+                  )}
+                  {support.type === 'Fixed' && (
+                    <div>
+                      <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-2">
+                        Rotation ({getUnit('rotation')}, CCW +)
+                      </label>
+                      <input
+                        type="number"
+                        step="0.1"
+                        value={convertRotation(support.rotation || 0)}
+                        onChange={(e) => updateSupport(index, 'rotation', parseFloat(e.target.value) || 0)}
+                        className="input-field"
+                      />
+                    </div>
+                  )}
+                </div>
+              )}
+
+              {hasSupportMovement(support) && (
+                <div className="mt-3 flex items-center space-x-2 text-xs text-gray-500 dark:text-gray-400">
+                  <span>Load case of the settlement and rotation:</span>
+                  <LoadCaseSelect
+                    load={support}
+                    loadCases={beamData.loadCases}
+                    onChange={(loadCase) => updateSupport(index, 'loadCase', loadCase)}
+                  />
+                </div>
+              )}
+
               <div className="mt-3 text-xs text-gray-500 dark:text-gray-400">
                 {getSupportDescription(support.type)}
               </div>
@@ -131,7 +256,7 @@ const SupportsTab = ({ beamData, updateBeamData }) => {
                     <div className="ml-2">
                       <h4 className="text-xs font-medium text-yellow-800 dark:text-yellow-200">Internal Hinge Note</h4>
                       <div className="mt-1 text-xs text-yellow-700 dark:text-yellow-300">
-                        Internal hinges create moment discontinuity and require additional supports for stability.
+                        Internal hinges release the bending moment and need one extra support each for stability.
                         Position must be between 0 and beam length (not at ends).
                       </div>
                     </div>
@@ -143,7 +268,7 @@ const SupportsTab = ({ beamData, updateBeamData }) => {
         })}
       </div>
 
-      {beamData.supports.length === 0 && (
+      {beamData.supports.length === 0 && !foundation.enabled && (
         <div className="text-center py-8 text-gray-500 dark:text-gray-400">
           <svg className="w-12 h-12 mx-auto mb-4 text-gray-300 dark:text-gray-600" fill="none" stroke="currentColor" viewBox="0 0 24 24">
             <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M19 21V5a2 2 0 00-2-2H7a2 2 0 00-2 2v16m14 0h2m-2 0h-5m-9 0H3m2 0h5M9 7h1m-1 4h1m4-4h1m-1 4h1m-5 10v-5a1 1 0 011-1h2a1 1 0 011 1v5m-4 0h4" />
@@ -153,6 +278,95 @@ const SupportsTab = ({ beamData, updateBeamData }) => {
         </div>
       )}
 
+      {/* Elastic foundation */}
+      <div className="card">
+        <label className="flex items-center">
+          <input
+            type="checkbox"
+            checked={foundation.enabled}
+            onChange={(e) => updateFoundation({ enabled: e.target.checked }, { checkpoint: true })}
+            className="rounded border-gray-300 dark:border-gray-600 text-blue-600 focus:ring-blue-500"
+          />
+          <span className="ml-2 text-sm font-medium text-gray-900 dark:text-white">Elastic foundation (Winkler)</span>
+        </label>
+
+        {foundation.enabled && (
+          <div className="mt-4 space-y-4">
+            <div className="grid grid-cols-2 gap-4">
+              <div>
+                <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-2">
+                  Subgrade modulus k ({getUnit('subgradeModulus')})
+                </label>
+                <input
+                  type="number"
+                  min="0"
+                  step="1000"
+                  value={convertValue(foundation.modulus, 'subgradeModulus', 'SI')}
+                  onChange={(e) => updateFoundation({ modulus: convertValue(parseFloat(e.target.value) || 0, 'subgradeModulus', null, 'SI') })}
+                  className="input-field"
+                />
+              </div>
+              <div>
+                <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-2">
+                  Contact width b ({getUnit('length')})
+                </label>
+                <input
+                  type="number"
+                  min="0"
+                  step="0.1"
+                  value={convertValue(foundation.width, 'length', 'SI')}
+                  onChange={(e) => updateFoundation({ width: convertValue(parseFloat(e.target.value) || 0, 'length', null, 'SI') })}
+                  className="input-field"
+                />
+              </div>
+            </div>
+
+            <div>
+              <div className="flex items-center justify-between mb-2">
+                <h4 className="text-sm font-medium text-gray-700 dark:text-gray-300">Segments with another k</h4>
+                <button onClick={addFoundationSegment} className="btn-secondary text-sm">
+                  Add Segment
+                </button>
+              </div>
+              <div className="space-y-2">
+                {foundation.segments.map((segment, index) => (
+                  <div key={segment.id} className="grid grid-cols-7 gap-2 items-end">
+                    {[['start', 'From', 'length'], ['end', 'To', 'length'], ['modulus', 'k', 'subgradeModulus']].map(([field, label, unitType]) => (
+                      <div key={field} className="col-span-2">
+                        <label className="block text-xs font-medium text-gray-700 dark:text-gray-300 mb-1">
+                          {label} ({getUnit(unitType)})
+                        </label>
+                        <input
+                          type="number"
+                          min="0"
+                          step={field === 'modulus' ? '1000' : '0.1'}
+                          value={convertValue(segment[field], unitType, 'SI')}
+                          onChange={(e) => updateFoundationSegment(index, field, parseFloat(e.target.value) || 0)}
+                          className="input-field"
+                        />
+                      </div>
+                    ))}
+                    <button
+                      onClick={() => removeFoundationSegment(index)}
+                      className="text-red-600 hover:text-red-800 dark:text-red-400 dark:hover:text-red-300 text-sm pb-2"
+                    >
+                      Remove
+                    </button>
+                  </div>
+                ))}
+              </div>
+            </div>
+
+            {foundationError && (
+              <div className="text-sm text-red-600 dark:text-red-400">{foundationError}</div>
+            )}
+            <p className="text-xs text-gray-500 dark:text-gray-400">
+              The soil pushes back with q = k·v under the whole beam; a segment with k = 0 has no soil contact. Supports above can be combined with the foundation. The soil also resists uplift, and the unit-load deflection cross-check is not available.
+            </p>
+          </div>
+        )}
+      </div>
+
       {/* Support Configuration Guidelines */}
       <div className="bg-blue-50 dark:bg-blue-900/20 border border-blue-200 dark:border-blue-800 rounded-lg p-4">
         <div className="flex items-start">
@@ -169,9 +383,11 @@ const SupportsTab = ({ beamData, updateBeamData }) => {
               <ul className="list-disc list-inside space-y-1">
                 <li><strong>Fixed:</strong> Use at beam ends for cantilever beams</li>
                 <li><strong>Hinge/Roller:</strong> Standard supports for simply supported beams</li>
+                <li><strong>Spring/Rotational Spring:</strong> Model a flexible bearing, e.g. a transfer girder, with its stiffness</li>
+                <li><strong>Settlement:</strong> Prescribed support movement, factored with its load case</li>
                 <li><strong>Internal Hinge:</strong> Creates moment release at internal points</li>
-                <li>Internal hinges require at least 3 supports for stability</li>
-                <li>Maximum 3 supports total (including internal hinges)</li>
+                <li>Each internal hinge needs one additional support for stability</li>
+                <li>Extra supports make the beam statically indeterminate (continuous)</li>
               </ul>
             </div>
           </div>
@@ -1,10 +1,13 @@
 import React, { useRef, useEffect, useCallback } from 'react';
 import { useUnits } from '../../contexts/UnitContext';
 import { useTheme } from '../../contexts/ThemeContext';
+import { getDepthProfile } from '../../utils/stiffness';
+import { getFoundationStiffness } from '../../utils/foundation';
+import { getSelfWeightLoads } from '../../utils/selfWeight';
 
 const BeamDiagram = ({ beamData, results }) => {
   const canvasRef = useRef(null);
-  const { convertValue, getUnit } = useUnits();
+  const { convertValue, convertRotation, getUnit } = useUnits();
   const { isDarkMode } = useTheme();
 
   const drawSupport = useCallback((ctx, x, y, type, position, beamLength) => {
@@ -89,6 +92,54 @@ const BeamDiagram = ({ beamData, results }) => {
         ctx.lineTo(x - 15, y + 20);
         ctx.stroke();
         break;
+      case 'Spring':
+        // Zigzag spring down to hatched ground
+        ctx.beginPath();
+        ctx.moveTo(x, y);
+        ctx.lineTo(x, y + 4);
+        for (let i = 0; i < 6; i++) {
+          ctx.lineTo(x + (i % 2 === 0 ? 7 : -7), y + 6 + i * 3);
+        }
+        ctx.lineTo(x, y + 24);
+        ctx.lineTo(x, y + 28);
+        ctx.moveTo(x - 15, y + 28);
+        ctx.lineTo(x + 15, y + 28);
+        ctx.stroke();
+        ctx.lineWidth = 1;
+        for (let i = 0; i < 6; i++) {
+          ctx.beginPath();
+          ctx.moveTo(x - 15 + i * 5, y + 28);
+          ctx.lineTo(x - 10 + i * 5, y + 33);
+          ctx.stroke();
+        }
+        break;
+      case 'Rotational Spring':
+        // Hinge support with a coil around the pin
+        ctx.beginPath();
+        ctx.moveTo(x - 15, y + 20);
+        ctx.lineTo(x, y);
+        ctx.lineTo(x + 15, y + 20);
+        ctx.lineTo(x - 15, y + 20);
+        ctx.stroke();
+        ctx.beginPath();
+        ctx.arc(x, y + 5, 3, 0, Math.PI * 2);
+        ctx.fill();
+        ctx.lineWidth = 1.5;
+        ctx.beginPath();
+        for (let i = 0; i <= 40; i++) {
+          const angle = -Math.PI / 2 + i * (Math.PI * 3.5) / 40;
+          const radius = 5 + i * 0.25;
+          ctx.lineTo(x + radius * Math.cos(angle), y + 5 + radius * Math.sin(angle));
+        }
+        ctx.stroke();
+        ctx.lineWidth = 1;
+        for (let i = 0; i < 6; i++) {
+          ctx.beginPath();
+          ctx.moveTo(x - 15 + i * 5, y + 20);
+          ctx.lineTo(x - 10 + i * 5, y + 25);
+          ctx.stroke();
+        }
+        break;
       case 'Internal Hinge':
         // Draw internal hinge - small circle on the beam
         ctx.save();
@@ -283,6 +334,39 @@ const BeamDiagram = ({ beamData, results }) => {
     ctx.restore();
   }, [isDarkMode, getUnit]);
 
+  // Self-weight: a low grey band of arrows on the beam, labelled apart from
+  // the applied distributed loads
+  const drawSelfWeight = useCallback((ctx, startX, endX, y, startMag, endMag) => {
+    ctx.save();
+    ctx.strokeStyle = '#6b7280';
+    ctx.fillStyle = '#6b7280';
+    ctx.lineWidth = 1;
+    ctx.globalAlpha = 0.25;
+    ctx.fillRect(startX, y - 12, endX - startX, 12);
+    ctx.globalAlpha = 1;
+    ctx.strokeRect(startX, y - 12, endX - startX, 12);
+
+    const numArrows = Math.max(2, Math.floor((endX - startX) / 25));
+    for (let i = 0; i <= numArrows; i++) {
+      const x = startX + (i / numArrows) * (endX - startX);
+      ctx.beginPath();
+      ctx.moveTo(x, y);
+      ctx.lineTo(x - 3, y - 5);
+      ctx.lineTo(x + 3, y - 5);
+      ctx.closePath();
+      ctx.fill();
+    }
+
+    const magnitude = Math.abs(startMag) === Math.abs(endMag)
+      ? Math.abs(startMag).toFixed(2)
+      : `${Math.abs(startMag).toFixed(2)}-${Math.abs(endMag).toFixed(2)}`;
+    ctx.fillStyle = isDarkMode ? '#d1d5db' : '#4b5563';
+    ctx.font = '10px Inter';
+    ctx.textAlign = 'center';
+    ctx.fillText(`Self-weight ${magnitude} ${getUnit('distributedLoad')}`, (startX + endX) / 2, y - 16);
+    ctx.restore();
+  }, [isDarkMode, getUnit]);
+
   const drawMoment = useCallback((ctx, x, y, magnitude) => {
     if (magnitude === 0) return;
 
@@ -326,6 +410,56 @@ const BeamDiagram = ({ beamData, results }) => {
     ctx.restore();
   }, [isDarkMode, getUnit]);
 
+  // Winkler springs from the underside of the beam down to a hatched ground
+  // line, over a stretch of the beam resting on soil
+  // Thermal load: the heated (red) or cooled (blue) stretch of beam, labelled
+  const drawThermalLoad = useCallback((ctx, startX, endX, topY, bottomY, label, warm) => {
+    ctx.save();
+    ctx.fillStyle = warm ? 'rgba(239, 68, 68, 0.45)' : 'rgba(59, 130, 246, 0.45)';
+    ctx.strokeStyle = warm ? '#dc2626' : '#1d4ed8';
+    ctx.lineWidth = 1;
+    ctx.setLineDash([4, 3]);
+    ctx.fillRect(startX, topY, endX - startX, bottomY - topY);
+    ctx.strokeRect(startX, topY, endX - startX, bottomY - topY);
+    ctx.setLineDash([]);
+    ctx.fillStyle = '#ffffff';
+    ctx.font = 'bold 10px Inter';
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'middle';
+    ctx.fillText(label, (startX + endX) / 2, (topY + bottomY) / 2);
+    ctx.restore();
+  }, []);
+
+  const drawFoundation = useCallback((ctx, startX, endX, bottomAt, groundY) => {
+    ctx.save();
+    ctx.strokeStyle = isDarkMode ? '#d97706' : '#a16207';
+    ctx.lineWidth = 1;
+
+    const count = Math.max(1, Math.round((endX - startX) / 25));
+    for (let i = 0; i <= count; i++) {
+      const x = startX + (endX - startX) * i / count;
+      const top = bottomAt(x);
+      const coil = (groundY - top) / 6;
+      ctx.beginPath();
+      ctx.moveTo(x, top);
+      for (let k = 1; k < 6; k++) {
+        ctx.lineTo(x + (k % 2 === 0 ? -4 : 4), top + k * coil);
+      }
+      ctx.lineTo(x, groundY);
+      ctx.stroke();
+    }
+
+    ctx.beginPath();
+    ctx.moveTo(startX, groundY);
+    ctx.lineTo(endX, groundY);
+    for (let x = startX; x < endX; x += 6) {
+      ctx.moveTo(x, groundY);
+      ctx.lineTo(x - 5, groundY + 5);
+    }
+    ctx.stroke();
+    ctx.restore();
+  }, [isDarkMode]);
+
   const drawDimensions = useCallback((ctx, startX, y, totalWidth, beamData) => {
     ctx.save();
     // Use theme-aware colors for better visibility
@@ -345,6 +479,7 @@ const BeamDiagram = ({ beamData, results }) => {
       positions.push(load.endPos);
     });
     beamData.moments.forEach(moment => positions.push(moment.position));
+    (beamData.thermalLoads || []).forEach(load => positions.push(load.startPos, load.endPos));
 
     const uniquePositions = [...new Set(positions)].sort((a, b) => a - b);
     const displayPositions = uniquePositions.map(pos => convertValue(pos, 'length', 'SI'));
@@ -398,22 +533,95 @@ const BeamDiagram = ({ beamData, results }) => {
     const displayLength = convertValue(beamData.length, 'length', 'SI');
     const scale = (width - 2 * margin) / displayLength;
 
+    const toCanvasX = (position) => margin + convertValue(position, 'length', 'SI') * scale;
+
+    // A non-prismatic beam is drawn with its depth profile, up to 15 px either
+    // side of the axis; loads sit on top of it and supports below
+    const profile = getDepthProfile(beamData);
+    const maxDepth = profile ? Math.max(...profile.map(p => p.depth)) : 0;
+    const halfHeightAt = (position) => {
+      if (!profile) return beamHeight / 2;
+      const i = Math.max(0, profile.findIndex((p, k) => k % 2 === 1 && position <= p.x) - 1);
+      const a = profile[i];
+      const b = profile[i + 1] || a;
+      const depth = b.x > a.x ? a.depth + (b.depth - a.depth) * (position - a.x) / (b.x - a.x) : a.depth;
+      return Math.max(4, 15 * depth / maxDepth);
+    };
+    const halfHeightOver = (start, end) => Math.max(
+      halfHeightAt(start),
+      halfHeightAt(end),
+      ...(profile || []).filter(p => p.x > start && p.x < end).map(p => halfHeightAt(p.x))
+    );
+
     // Draw beam
     ctx.fillStyle = '#3b82f6';
-    ctx.fillRect(margin, beamY - beamHeight/2, displayLength * scale, beamHeight);
-    
-    // Draw beam outline
     ctx.strokeStyle = '#1e40af';
     ctx.lineWidth = 2;
-    ctx.strokeRect(margin, beamY - beamHeight/2, displayLength * scale, beamHeight);
+    if (profile) {
+      ctx.beginPath();
+      profile.forEach(p => ctx.lineTo(toCanvasX(p.x), beamY - Math.max(4, 15 * p.depth / maxDepth)));
+      [...profile].reverse().forEach(p => ctx.lineTo(toCanvasX(p.x), beamY + Math.max(4, 15 * p.depth / maxDepth)));
+      ctx.closePath();
+      ctx.fill();
+      ctx.stroke();
+    } else {
+      ctx.fillRect(margin, beamY - beamHeight/2, displayLength * scale, beamHeight);
+      ctx.strokeRect(margin, beamY - beamHeight/2, displayLength * scale, beamHeight);
+    }
+
+    // Draw thermal loads on the beam
+    (beamData.thermalLoads || []).forEach(load => {
+      const unit = getUnit('temperature');
+      const format = (value) => `${value > 0 ? '+' : ''}${convertValue(value, 'temperature', 'SI').toFixed(0)}${unit}`;
+      const parts = [];
+      if (load.uniform) parts.push(`ΔT ${format(load.uniform)}`);
+      if (load.top || load.bottom) parts.push(`top ${format(load.top || 0)} / bottom ${format(load.bottom || 0)}`);
+      const half = Math.min(halfHeightAt(load.startPos), halfHeightAt(load.endPos));
+      const warm = (load.uniform || 0) + ((load.top || 0) + (load.bottom || 0)) / 2 >= 0;
+      drawThermalLoad(ctx, toCanvasX(load.startPos), toCanvasX(load.endPos), beamY - half, beamY + half, parts.join(', ') || 'ΔT 0', warm);
+    });
 
-    // Draw supports
+    // Draw the elastic foundation
+    (getFoundationStiffness(beamData) || [])
+      .filter(piece => piece.modulus > 0)
+      .forEach(piece => {
+        const bottomAt = (x) => beamY + halfHeightAt(
+          piece.start + convertValue((x - toCanvasX(piece.start)) / scale, 'length', null, 'SI')
+        );
+        drawFoundation(ctx, toCanvasX(piece.start), toCanvasX(piece.end), bottomAt, beamY + 45);
+      });
+
+    // Draw supports, with any prescribed settlement or rotation beneath
     beamData.supports.forEach(support => {
-      const displayPos = convertValue(support.position, 'length', 'SI');
-      const x = margin + displayPos * scale;
-      drawSupport(ctx, x, beamY + beamHeight/2, support.type, support.position, beamData.length);
+      const x = toCanvasX(support.position);
+      drawSupport(ctx, x, beamY + halfHeightAt(support.position), support.type, support.position, beamData.length);
+      const movements = [
+        support.settlement ? `δ=${convertValue(support.settlement * 1000, 'deflection', 'SI').toFixed(1)} ${getUnit('deflection')}` : null,
+        support.rotation ? `θ=${convertRotation(support.rotation).toFixed(2)} ${getUnit('rotation')}` : null
+      ].filter(Boolean);
+      if (movements.length > 0) {
+        ctx.fillStyle = '#7c3aed';
+        ctx.font = '10px Inter';
+        ctx.textAlign = 'center';
+        movements.forEach((text, i) => ctx.fillText(text, x, beamY + halfHeightAt(support.position) + 40 + i * 12));
+      }
     });
 
+    // Draw the self-weight beneath the applied loads
+    const selfWeightLoads = getSelfWeightLoads(beamData);
+    if (!selfWeightLoads.error) {
+      selfWeightLoads.forEach(load => {
+        drawSelfWeight(
+          ctx,
+          toCanvasX(load.startPos),
+          toCanvasX(load.endPos),
+          beamY - halfHeightOver(load.startPos, load.endPos),
+          convertValue(load.startMag, 'distributedLoad', 'SI'),
+          convertValue(load.endMag, 'distributedLoad', 'SI')
+        );
+      });
+    }
+
     // Draw point loads
     beamData.pointLoads.forEach(load => {
       const displayPos = convertValue(load.position, 'length', 'SI');
@@ -423,7 +631,7 @@ const BeamDiagram = ({ beamData, results }) => {
         angle: load.angle || 0,
         isInclined: load.isInclined || false
       };
-      drawPointLoad(ctx, x, beamY - beamHeight/2, displayLoad);
+      drawPointLoad(ctx, x, beamY - halfHeightAt(load.position), displayLoad);
     });
 
     // Draw distributed loads
@@ -434,7 +642,8 @@ const BeamDiagram = ({ beamData, results }) => {
       const displayEndMag = convertValue(load.endMag, 'distributedLoad', 'SI');
       const startX = margin + displayStartPos * scale;
       const endX = margin + displayEndPos * scale;
-      drawDistributedLoad(ctx, startX, endX, beamY - beamHeight/2, displayStartMag, displayEndMag);
+      const top = halfHeightOver(Math.min(load.startPos, load.endPos), Math.max(load.startPos, load.endPos));
+      drawDistributedLoad(ctx, startX, endX, beamY - top, displayStartMag, displayEndMag);
     });
 
     // Draw moments
@@ -447,7 +656,7 @@ const BeamDiagram = ({ beamData, results }) => {
 
     // Draw dimensions
     drawDimensions(ctx, margin, beamY + 60, displayLength * scale, beamData);
-  }, [beamData, results, isDarkMode, convertValue, getUnit, drawSupport, drawPointLoad, drawDistributedLoad, drawMoment, drawDimensions]);
+  }, [beamData, results, isDarkMode, convertValue, convertRotation, getUnit, drawSupport, drawPointLoad, drawDistributedLoad, drawMoment, drawSelfWeight, drawThermalLoad, drawFoundation, drawDimensions]);
 
   useEffect(() => {
     drawBeam();
@@ -482,12 +691,17 @@ const BeamDiagram = ({ beamData, results }) => {
                 <div key={index} className="bg-blue-50 dark:bg-blue-900/20 border border-blue-200 dark:border-blue-800 rounded-lg p-4">
                   <div className="flex items-center justify-between">
                     <span className="font-medium text-blue-900 dark:text-blue-200">
-                      {support?.type === 'Internal Hinge' ? 'Internal Hinge' : 'Support'} at {displayPos.toFixed(2)} {getUnit('length')}
+                      {['Internal Hinge', 'Spring', 'Rotational Spring'].includes(support?.type) ? support.type : 'Support'} at {displayPos.toFixed(2)} {getUnit('length')}
                     </span>
                     <span className="text-blue-700 dark:text-blue-300">
                       {Math.abs(displayForce).toFixed(2)} {getUnit('force')} {reaction.force < 0 ? '↓' : '↑'}
                     </span>
                   </div>
+                  {Math.abs(reaction.horizontal || 0) > 1e-9 && (
+                    <div className="mt-2 text-sm text-blue-700 dark:text-blue-300">
+                      Horizontal: {Math.abs(convertValue(reaction.horizontal, 'force', 'SI')).toFixed(2)} {getUnit('force')} {reaction.horizontal < 0 ? '←' : '→'}
+                    </div>
+                  )}
                   {displayMoment !== undefined && (
                     <div className="mt-2 text-sm text-blue-700 dark:text-blue-300">
                       Moment: {Math.abs(displayMoment).toFixed(2)} {getUnit('moment')} {reaction.moment > 0 ? '↻' : '↺'}
@@ -0,0 +1,62 @@
+import React from 'react';
+import { getPartBounds, getPartVertices } from '../../utils/polygonSection';
+
+const DRAWING_WIDTH = 200;
+const DRAWING_HEIGHT = 160;
+const PADDING = 20;
+
+// To-scale built-up section: solids shaded by material, holes dashed and the
+// neutral axis through the transformed centroid
+const BuiltUpSectionLayout = ({ properties }) => {
+  const bounds = properties.parts.map(getPartBounds);
+  const left = Math.min(...bounds.map(b => b.left));
+  const right = Math.max(...bounds.map(b => b.right));
+  const { bottom, top, centroid } = properties;
+
+  const scale = Math.min(DRAWING_WIDTH / (right - left), DRAWING_HEIGHT / (top - bottom));
+  const toX = (x) => PADDING + (x - left) * scale;
+  const toY = (y) => PADDING + (top - y) * scale;
+
+  const drawPart = (part, className, dashed) => {
+    const common = {
+      fill: 'currentColor',
+      stroke: 'currentColor',
+      strokeWidth: 1.5,
+      strokeDasharray: dashed ? '4,3' : undefined,
+      className
+    };
+    if (part.shape === 'circle') {
+      return <circle key={part.id} {...common} cx={toX(part.x || 0)} cy={toY(part.y || 0)} r={part.diameter / 2 * scale} />;
+    }
+    return <polygon key={part.id} {...common} points={getPartVertices(part).map(p => `${toX(p.x)},${toY(p.y)}`).join(' ')} />;
+  };
+
+  const width = (right - left) * scale + 2 * PADDING;
+
+  return (
+    <svg
+      width={width}
+      height={(top - bottom) * scale + 2 * PADDING}
+      className="border border-gray-300 dark:border-gray-600 rounded"
+    >
+      {properties.parts.filter(part => !part.hole).map(part => drawPart(
+        part,
+        (part.modularRatio || 1) === 1 ? 'text-gray-300 dark:text-gray-500' : 'text-blue-300 dark:text-blue-600'
+      ))}
+      {properties.parts.filter(part => part.hole).map(part => drawPart(part, 'text-white dark:text-gray-800', true))}
+      <line
+        x1={PADDING / 2}
+        y1={toY(centroid.y)}
+        x2={width - PADDING / 2}
+        y2={toY(centroid.y)}
+        stroke="currentColor"
+        strokeWidth="1.5"
+        strokeDasharray="5,5"
+        className="text-red-500"
+      />
+      <circle cx={toX(centroid.x)} cy={toY(centroid.y)} r="3" fill="currentColor" className="text-red-600" />
+    </svg>
+  );
+};
+
+export default BuiltUpSectionLayout;
@@ -0,0 +1,308 @@
+import React, { useEffect, useMemo, useState } from 'react';
+import {
+  Chart as ChartJS,
+  CategoryScale,
+  LinearScale,
+  PointElement,
+  LineElement,
+  Title,
+  Tooltip,
+  Legend,
+  Filler
+} from 'chart.js';
+import { Line } from 'react-chartjs-2';
+import { useUnits } from '../../contexts/UnitContext';
+import { useTheme } from '../../contexts/ThemeContext';
+import { checkConcreteMember, CONCRETE_DESIGN_CODES } from '../../utils/concreteDesign';
+import ReinforcementLayout from './ReinforcementLayout';
+
+ChartJS.register(
+  CategoryScale,
+  LinearScale,
+  PointElement,
+  LineElement,
+  Title,
+  Tooltip,
+  Legend,
+  Filler
+);
+
+const ConcreteDesignChecks = ({ beamData, results }) => {
+  const { convertValue, getUnit } = useUnits();
+  const { isDarkMode } = useTheme();
+  const [chartKey, setChartKey] = useState(0);
+
+  // Force chart re-render when theme changes
+  useEffect(() => {
+    setChartKey(prev => prev + 1);
+  }, [isDarkMode]);
+
+  const settings = beamData.design.concrete;
+  const check = useMemo(
+    () => checkConcreteMember(beamData, results, settings),
+    [beamData, results, settings]
+  );
+
+  if (check.error) {
+    return (
+      <div className="card text-center text-red-600 dark:text-red-400">
+        <p className="text-sm">{check.error}</p>
+      </div>
+    );
+  }
+
+  // Bar areas and spacings in section units (mm² / in²)
+  const sectionFactor = convertValue(1, 'sectionLength', 'SI');
+  const areaUnit = `${getUnit('sectionLength')}²`;
+  const toArea = (value) => value * sectionFactor ** 2;
+  const formatArea = (value) => `${toArea(value).toFixed(0)} ${areaUnit}`;
+  const formatSection = (value) => `${convertValue(value, 'sectionLength', 'SI').toFixed(0)} ${getUnit('sectionLength')}`;
+  const formatLength = (value) => `${convertValue(value, 'length', 'SI').toFixed(2)} ${getUnit('length')}`;
+  const formatMoment = (value) => `${convertValue(value, 'moment', 'SI').toFixed(2)} ${getUnit('moment')}`;
+  const formatForce = (value) => `${convertValue(value, 'force', 'SI').toFixed(2)} ${getUnit('force')}`;
+  const describeBars = (bars) => `${bars.count} Ø${formatSection(bars.diameter)}${bars.layers > 1 ? ` in ${bars.layers} layers` : ''} (${formatArea(bars.area)})`;
+
+  const toPoints = (xValues, yValues) => yValues.map((y, i) => ({ x: convertValue(xValues[i], 'length', 'SI'), y }));
+  const displayLength = convertValue(beamData.length, 'length', 'SI');
+  const flat = (value) => [{ x: 0, y: value }, { x: displayLength, y: value }];
+
+  const chartOptions = (yAxisLabel, decimals) => ({
+    responsive: true,
+    maintainAspectRatio: false,
+    plugins: {
+      legend: {
+        display: true,
+        labels: {
+          color: isDarkMode ? '#e5e7eb' : '#374151'
+        }
+      },
+      tooltip: {
+        mode: 'index',
+        intersect: false,
+        backgroundColor: isDarkMode ? '#374151' : '#ffffff',
+        titleColor: isDarkMode ? '#e5e7eb' : '#374151',
+        bodyColor: isDarkMode ? '#e5e7eb' : '#374151',
+        borderColor: isDarkMode ? '#6b7280' : '#d1d5db',
+        borderWidth: 1,
+        callbacks: {
+          title: function(context) {
+            return `Position: ${context[0].parsed.x.toFixed(2)} ${getUnit('length')}`;
+          },
+          label: function(context) {
+            return `${context.dataset.label}: ${context.parsed.y.toFixed(decimals)}`;
+          }
+        }
+      },
+    },
+    scales: {
+      x: {
+        type: 'linear',
+        display: true,
+        min: 0,
+        max: displayLength,
+        title: {
+          display: true,
+          text: `Position along beam (${getUnit('length')})`,
+          color: isDarkMode ? '#e5e7eb' : '#374151'
+        },
+        grid: {
+          display: true,
+          color: isDarkMode ? 'rgba(255, 255, 255, 0.1)' : 'rgba(0, 0, 0, 0.1)'
+        },
+        ticks: {
+          color: isDarkMode ? '#d1d5db' : '#6b7280'
+        }
+      },
+      y: {
+        display: true,
+        min: 0,
+        title: {
+          display: true,
+          text: yAxisLabel,
+          color: isDarkMode ? '#e5e7eb' : '#374151'
+        },
+        grid: {
+          display: true,
+          color: isDarkMode ? 'rgba(255, 255, 255, 0.1)' : 'rgba(0, 0, 0, 0.1)'
+        },
+        ticks: {
+          color: isDarkMode ? '#d1d5db' : '#6b7280'
+        }
+      }
+    },
+    interaction: {
+      mode: 'nearest',
+      axis: 'x',
+      intersect: false
+    }
+  });
+
+  const { sagging, hogging, shear } = check;
+  const lineStyle = { tension: 0, pointRadius: 0, pointHoverRadius: 4 };
+  const providedStyle = { borderDash: [6, 4], borderWidth: 1.5, fill: false, pointRadius: 0, pointHoverRadius: 0 };
+
+  const steelData = {
+    datasets: [
+      {
+        label: 'Bottom steel required',
+        data: toPoints(check.flexure.x, check.flexure.bottom.map(toArea)),
+        borderColor: '#10b981',
+        backgroundColor: 'rgba(16, 185, 129, 0.1)',
+        fill: true,
+        ...lineStyle
+      },
+      { label: 'Bottom steel provided', data: flat(toArea(sagging.bars.area)), borderColor: '#047857', ...providedStyle },
+      ...(hogging ? [
+        {
+          label: 'Top steel required',
+          data: toPoints(check.flexure.x, check.flexure.top.map(toArea)),
+          borderColor: '#f59e0b',
+          backgroundColor: 'rgba(245, 158, 11, 0.1)',
+          fill: true,
+          ...lineStyle
+        },
+        { label: 'Top steel provided', data: flat(toArea(hogging.bars.area)), borderColor: '#b45309', ...providedStyle }
+      ] : [])
+    ]
+  };
+
+  const spacingData = {
+    datasets: [
+      {
+        label: 'Link spacing',
+        data: toPoints(shear.x, shear.spacing.map(s => convertValue(s, 'sectionLength', 'SI'))),
+        borderColor: '#3b82f6',
+        backgroundColor: 'rgba(59, 130, 246, 0.1)',
+        fill: true,
+        stepped: true,
+        ...lineStyle
+      }
+    ]
+  };
+
+  const faceRows = (design) => [
+    ['Design moment', `${formatMoment(design.moment)} at ${formatLength(design.position)}`],
+    ['Effective depth d', formatSection(design.effectiveDepth)],
+    ['Neutral axis depth x', formatSection(design.neutralAxis)],
+    ['Tension steel required', formatArea(design.required)],
+    ['Minimum / maximum steel', `${formatArea(design.minArea)} / ${formatArea(design.maxArea)}`],
+    ['Tension bars provided', describeBars(design.bars)],
+    ...(design.compressionBars ? [['Compression bars provided', describeBars(design.compressionBars)]] : [])
+  ];
+
+  const renderTable = (rows) => (
+    <table className="w-full text-sm">
+      <tbody>
+        {rows.map(([label, value]) => (
+          <tr key={label} className="border-b border-gray-100 dark:border-gray-700 last:border-b-0">
+            <td className="py-1 text-gray-600 dark:text-gray-400">{label}</td>
+            <td className="py-1 text-right font-medium text-gray-900 dark:text-white">{value}</td>
+          </tr>
+        ))}
+      </tbody>
+    </table>
+  );
+
+  return (
+    <div className="space-y-6">
+      {/* Summary */}
+      <div className={`card ${check.passed
+        ? 'bg-green-50 dark:bg-green-900/20 border-green-200 dark:border-green-800'
+        : 'bg-red-50 dark:bg-red-900/20 border-red-200 dark:border-red-800'}`}
+      >
+        <div className="flex items-center justify-between">
+          <div>
+            <h3 className={`text-lg font-semibold ${check.passed ? 'text-green-900 dark:text-green-200' : 'text-red-900 dark:text-red-200'}`}>
+              {check.passed ? 'Member passes' : 'Member fails'}
+            </h3>
+            <p className="text-sm text-gray-600 dark:text-gray-300">
+              {CONCRETE_DESIGN_CODES[check.code]}, concrete {(settings.fck / 1000).toFixed(0)} MPa, steel {(settings.fy / 1000).toFixed(0)} MPa. Design actions: {check.source}
+            </p>
+          </div>
+          <span className={`text-2xl font-bold ${check.passed ? 'text-green-700 dark:text-green-300' : 'text-red-700 dark:text-red-300'}`}>
+            {check.passed ? 'PASS' : 'FAIL'}
+          </span>
+        </div>
+      </div>
+
+      <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+        {check.checks.map(item => (
+          <div key={item.id} className="card">
+            <h4 className="font-semibold text-gray-900 dark:text-white mb-2">{item.label}</h4>
+            <div className={`text-2xl font-bold ${item.passed ? 'text-green-700 dark:text-green-300' : 'text-red-700 dark:text-red-300'}`}>
+              {item.value.toFixed(3)}
+            </div>
+            <div className="text-sm text-gray-600 dark:text-gray-400">
+              {item.id === 'shear' ? 'of the strut capacity' : 'of the maximum steel area'} at {formatLength(item.position)} • {item.passed ? 'OK' : 'fails'}
+            </div>
+          </div>
+        ))}
+      </div>
+
+      <div className="grid grid-cols-1 lg:grid-cols-3 gap-4">
+        <div className="card">
+          <h3 className="text-lg font-semibold text-gray-900 dark:text-white mb-4">Reinforcement Layout</h3>
+          <ReinforcementLayout check={check} settings={settings} />
+        </div>
+        <div className="card">
+          <h3 className="text-lg font-semibold text-gray-900 dark:text-white mb-4">Sagging (Bottom Steel)</h3>
+          {renderTable(faceRows(sagging))}
+        </div>
+        <div className="card">
+          <h3 className="text-lg font-semibold text-gray-900 dark:text-white mb-4">Hogging (Top Steel)</h3>
+          {hogging ? renderTable(faceRows(hogging)) : (
+            <p className="text-sm text-gray-500 dark:text-gray-400">No hogging moment, so no top tension steel is required.</p>
+          )}
+        </div>
+      </div>
+
+      <div className="card">
+        <h3 className="text-lg font-semibold text-gray-900 dark:text-white mb-4">Flexural Steel Along the Beam</h3>
+        <div className="h-64">
+          <Line key={`steel-${chartKey}`} data={steelData} options={chartOptions(`Steel area (${areaUnit})`, 0)} />
+        </div>
+      </div>
+
+      <div className="card">
+        <h3 className="text-lg font-semibold text-gray-900 dark:text-white mb-4">Shear Link Spacing</h3>
+        <div className="h-64">
+          <Line key={`links-${chartKey}`} data={spacingData} options={chartOptions(`Spacing (${getUnit('sectionLength')})`, 0)} />
+        </div>
+        <div className="mt-4 overflow-x-auto">
+          <table className="w-full text-sm">
+            <thead>
+              <tr className="border-b border-gray-200 dark:border-gray-700 text-gray-600 dark:text-gray-400">
+                <th className="py-1 text-left font-medium">From</th>
+                <th className="py-1 text-left font-medium">To</th>
+                <th className="py-1 text-right font-medium">Links</th>
+              </tr>
+            </thead>
+            <tbody>
+              {shear.zones.map(zone => (
+                <tr key={zone.start} className="border-b border-gray-100 dark:border-gray-700 last:border-b-0 text-gray-900 dark:text-white">
+                  <td className="py-1">{formatLength(zone.start)}</td>
+                  <td className="py-1">{formatLength(zone.end)}</td>
+                  <td className="py-1 text-right">{settings.linkLegs}-leg Ø{formatSection(settings.linkDiameter)} @ {formatSection(zone.spacing)}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+        <p className="text-xs text-gray-500 dark:text-gray-400 mt-2">
+          Concrete shear resistance {formatForce(shear.concrete)}; maximum (strut) resistance {formatForce(shear.maximum)}. Spacings are rounded down to 25 mm and capped at the code maximum.
+        </p>
+      </div>
+
+      {check.notes.length > 0 && (
+        <div className="bg-yellow-50 dark:bg-yellow-900/20 border border-yellow-200 dark:border-yellow-800 rounded-lg p-4">
+          <h4 className="text-sm font-medium text-yellow-800 dark:text-yellow-200 mb-1">Limitations</h4>
+          <ul className="list-disc list-inside text-sm text-yellow-700 dark:text-yellow-300 space-y-1">
+            {check.notes.map(note => <li key={note}>{note}</li>)}
+          </ul>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default ConcreteDesignChecks;
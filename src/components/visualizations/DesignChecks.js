@@ -0,0 +1,301 @@
+import React, { useEffect, useMemo, useState } from 'react';
+import {
+  Chart as ChartJS,
+  CategoryScale,
+  LinearScale,
+  PointElement,
+  LineElement,
+  Title,
+  Tooltip,
+  Legend,
+  Filler
+} from 'chart.js';
+import { Line } from 'react-chartjs-2';
+import { useUnits } from '../../contexts/UnitContext';
+import { useTheme } from '../../contexts/ThemeContext';
+import { checkSteelMember, STEEL_DESIGN_CODES, STEEL_GRADES } from '../../utils/steelDesign';
+import ConcreteDesignChecks from './ConcreteDesignChecks';
+import TimberDesignChecks from './TimberDesignChecks';
+
+ChartJS.register(
+  CategoryScale,
+  LinearScale,
+  PointElement,
+  LineElement,
+  Title,
+  Tooltip,
+  Legend,
+  Filler
+);
+
+const DesignChecks = ({ beamData, results }) => {
+  const { convertValue, getUnit } = useUnits();
+  const { isDarkMode } = useTheme();
+  const [chartKey, setChartKey] = useState(0);
+
+  // Force chart re-render when theme changes
+  useEffect(() => {
+    setChartKey(prev => prev + 1);
+  }, [isDarkMode]);
+
+  const design = beamData.design;
+  const check = useMemo(
+    () => (design.mode === 'steel' ? checkSteelMember(beamData, results, design.steel) : null),
+    [beamData, results, design]
+  );
+
+  if (design.mode === 'concrete') {
+    return <ConcreteDesignChecks beamData={beamData} results={results} />;
+  }
+  if (design.mode === 'timber') {
+    return <TimberDesignChecks beamData={beamData} results={results} />;
+  }
+
+  if (!check) {
+    return (
+      <div className="card text-center text-gray-500 dark:text-gray-400">
+        <p className="text-lg font-medium mb-2">No design check selected</p>
+        <p className="text-sm">Choose a steel, reinforced concrete or timber check in the Design tab.</p>
+      </div>
+    );
+  }
+
+  if (check.error) {
+    return (
+      <div className="card text-center text-red-600 dark:text-red-400">
+        <p className="text-sm">{check.error}</p>
+      </div>
+    );
+  }
+
+  const { resistance, properties } = check;
+  const formatMoment = (value) => `${convertValue(value, 'moment', 'SI').toFixed(2)} ${getUnit('moment')}`;
+  const formatForce = (value) => `${convertValue(value, 'force', 'SI').toFixed(2)} ${getUnit('force')}`;
+  const formatLength = (value) => `${convertValue(value, 'length', 'SI').toFixed(2)} ${getUnit('length')}`;
+  // Section constants without a unit type of their own scale with the length factor
+  const lengthFactor = convertValue(1, 'length', 'SI');
+  const formatPower = (value, power) => `${(value * lengthFactor ** power).toExponential(3)} ${getUnit('length')}${power === 6 ? '⁶' : '⁴'}`;
+  const momentFactorLabel = check.code === 'AISC' ? 'Cb' : 'C1';
+
+  const toPoints = (xValues, yValues) => yValues.map((y, i) => ({ x: convertValue(xValues[i], 'length', 'SI'), y }));
+  const displayLength = convertValue(beamData.length, 'length', 'SI');
+
+  const chartData = {
+    datasets: [
+      {
+        label: 'Bending (incl. lateral-torsional buckling)',
+        data: toPoints(check.utilisation.bending.x, check.utilisation.bending.y),
+        borderColor: '#10b981',
+        backgroundColor: 'rgba(16, 185, 129, 0.1)',
+        fill: true,
+        tension: 0,
+        pointRadius: 0,
+        pointHoverRadius: 4,
+      },
+      {
+        label: 'Shear',
+        data: toPoints(check.utilisation.shear.x, check.utilisation.shear.y),
+        borderColor: '#3b82f6',
+        backgroundColor: 'rgba(59, 130, 246, 0.1)',
+        fill: false,
+        tension: 0,
+        pointRadius: 0,
+        pointHoverRadius: 4,
+      },
+      {
+        label: 'Limit (1.0)',
+        data: [{ x: 0, y: 1 }, { x: displayLength, y: 1 }],
+        borderColor: '#ef4444',
+        borderDash: [6, 4],
+        borderWidth: 1.5,
+        fill: false,
+        pointRadius: 0,
+        pointHoverRadius: 0,
+      }
+    ]
+  };
+
+  const chartOptions = {
+    responsive: true,
+    maintainAspectRatio: false,
+    plugins: {
+      legend: {
+        display: true,
+        labels: {
+          color: isDarkMode ? '#e5e7eb' : '#374151'
+        }
+      },
+      tooltip: {
+        mode: 'index',
+        intersect: false,
+        backgroundColor: isDarkMode ? '#374151' : '#ffffff',
+        titleColor: isDarkMode ? '#e5e7eb' : '#374151',
+        bodyColor: isDarkMode ? '#e5e7eb' : '#374151',
+        borderColor: isDarkMode ? '#6b7280' : '#d1d5db',
+        borderWidth: 1,
+        callbacks: {
+          title: function(context) {
+            return `Position: ${context[0].parsed.x.toFixed(2)} ${getUnit('length')}`;
+          },
+          label: function(context) {
+            return `${context.dataset.label}: ${context.parsed.y.toFixed(3)}`;
+          }
+        }
+      },
+    },
+    scales: {
+      x: {
+        type: 'linear',
+        display: true,
+        min: 0,
+        max: displayLength,
+        title: {
+          display: true,
+          text: `Position along beam (${getUnit('length')})`,
+          color: isDarkMode ? '#e5e7eb' : '#374151'
+        },
+        grid: {
+          display: true,
+          color: isDarkMode ? 'rgba(255, 255, 255, 0.1)' : 'rgba(0, 0, 0, 0.1)'
+        },
+        ticks: {
+          color: isDarkMode ? '#d1d5db' : '#6b7280'
+        }
+      },
+      y: {
+        display: true,
+        min: 0,
+        suggestedMax: 1.2,
+        title: {
+          display: true,
+          text: 'Utilisation',
+          color: isDarkMode ? '#e5e7eb' : '#374151'
+        },
+        grid: {
+          display: true,
+          color: isDarkMode ? 'rgba(255, 255, 255, 0.1)' : 'rgba(0, 0, 0, 0.1)'
+        },
+        ticks: {
+          color: isDarkMode ? '#d1d5db' : '#6b7280'
+        }
+      }
+    },
+    interaction: {
+      mode: 'nearest',
+      axis: 'x',
+      intersect: false
+    }
+  };
+
+  const rows = [
+    ['Classification (sagging / hogging)', `${resistance.classification.positive} / ${resistance.classification.negative}`],
+    ['Bending resistance (sagging / hogging)', `${formatMoment(resistance.bending.positive)} / ${formatMoment(resistance.bending.negative)}`],
+    ['Buckling resistance (sagging / hogging)', `${formatMoment(resistance.buckling.positive)} / ${formatMoment(resistance.buckling.negative)}`],
+    ['Shear resistance', formatForce(resistance.shear)],
+    ...(resistance.Mcr !== undefined ? [
+      ['Elastic critical moment Mcr', Number.isFinite(resistance.Mcr) ? formatMoment(resistance.Mcr) : 'not applicable'],
+      ['Slenderness λLT (sagging / hogging)', `${resistance.slenderness.positive.toFixed(3)} / ${resistance.slenderness.negative.toFixed(3)}`]
+    ] : []),
+    [`Unbraced length / ${momentFactorLabel}`, `${formatLength(check.unbracedLength)} / ${check.momentFactor.toFixed(2)}`]
+  ];
+
+  const propertyRows = [
+    ...(properties.designation ? [['Section', `${properties.designation} (tabulated)`]] : []),
+    ['Area A', `${convertValue(properties.area, 'area', 'SI').toExponential(3)} ${getUnit('area')}`],
+    ['Iy (strong axis)', `${convertValue(properties.Iy, 'inertia', 'SI').toExponential(3)} ${getUnit('inertia')}`],
+    ['Iz (weak axis)', `${convertValue(properties.Iz, 'inertia', 'SI').toExponential(3)} ${getUnit('inertia')}`],
+    ['Elastic modulus Wel', `${convertValue(properties.Wel, 'firstMoment', 'SI').toExponential(3)} ${getUnit('firstMoment')}`],
+    ['Plastic modulus Wpl', `${convertValue(properties.Wpl, 'firstMoment', 'SI').toExponential(3)} ${getUnit('firstMoment')}`],
+    ['Torsion constant It', formatPower(properties.It, 4)],
+    ['Warping constant Iw', formatPower(properties.Iw, 6)]
+  ];
+
+  return (
+    <div className="space-y-6">
+      {/* Summary */}
+      <div className={`card ${check.passed
+        ? 'bg-green-50 dark:bg-green-900/20 border-green-200 dark:border-green-800'
+        : 'bg-red-50 dark:bg-red-900/20 border-red-200 dark:border-red-800'}`}
+      >
+        <div className="flex items-center justify-between">
+          <div>
+            <h3 className={`text-lg font-semibold ${check.passed ? 'text-green-900 dark:text-green-200' : 'text-red-900 dark:text-red-200'}`}>
+              {check.passed ? 'Member passes' : 'Member fails'}
+            </h3>
+            <p className="text-sm text-gray-600 dark:text-gray-300">
+              {STEEL_DESIGN_CODES[check.code]}, {STEEL_GRADES[design.steel.grade].label}. Design actions: {check.source}
+            </p>
+          </div>
+          <span className={`text-2xl font-bold ${check.passed ? 'text-green-700 dark:text-green-300' : 'text-red-700 dark:text-red-300'}`}>
+            {check.passed ? 'PASS' : 'FAIL'}
+          </span>
+        </div>
+      </div>
+
+      <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+        {check.checks.map(item => (
+          <div key={item.id} className="card">
+            <h4 className="font-semibold text-gray-900 dark:text-white mb-2">{item.label}</h4>
+            <div className={`text-2xl font-bold ${item.passed ? 'text-green-700 dark:text-green-300' : 'text-red-700 dark:text-red-300'}`}>
+              {item.value.toFixed(3)}
+            </div>
+            <div className="text-sm text-gray-600 dark:text-gray-400">
+              at position {formatLength(item.position)} • {item.passed ? 'OK' : 'exceeds 1.0'}
+            </div>
+          </div>
+        ))}
+      </div>
+
+      {/* Utilisation */}
+      <div className="card">
+        <h3 className="text-lg font-semibold text-gray-900 dark:text-white mb-4">Design Utilisation</h3>
+        <div className="h-64">
+          <Line key={`utilisation-${chartKey}`} data={chartData} options={chartOptions} />
+        </div>
+        <p className="text-xs text-gray-500 dark:text-gray-400 mt-2">
+          Design action divided by the resistance at each position. Bending uses the smaller of the cross-section and buckling resistances.
+        </p>
+      </div>
+
+      <div className="grid grid-cols-1 lg:grid-cols-2 gap-4">
+        <div className="card">
+          <h3 className="text-lg font-semibold text-gray-900 dark:text-white mb-4">Resistances</h3>
+          <table className="w-full text-sm">
+            <tbody>
+              {rows.map(([label, value]) => (
+                <tr key={label} className="border-b border-gray-100 dark:border-gray-700 last:border-b-0">
+                  <td className="py-1 text-gray-600 dark:text-gray-400">{label}</td>
+                  <td className="py-1 text-right font-medium text-gray-900 dark:text-white">{value}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+        <div className="card">
+          <h3 className="text-lg font-semibold text-gray-900 dark:text-white mb-4">Section Properties</h3>
+          <table className="w-full text-sm">
+            <tbody>
+              {propertyRows.map(([label, value]) => (
+                <tr key={label} className="border-b border-gray-100 dark:border-gray-700 last:border-b-0">
+                  <td className="py-1 text-gray-600 dark:text-gray-400">{label}</td>
+                  <td className="py-1 text-right font-medium text-gray-900 dark:text-white">{value}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      </div>
+
+      {check.notes.length > 0 && (
+        <div className="bg-yellow-50 dark:bg-yellow-900/20 border border-yellow-200 dark:border-yellow-800 rounded-lg p-4">
+          <h4 className="text-sm font-medium text-yellow-800 dark:text-yellow-200 mb-1">Limitations</h4>
+          <ul className="list-disc list-inside text-sm text-yellow-700 dark:text-yellow-300 space-y-1">
+            {check.notes.map(note => <li key={note}>{note}</li>)}
+          </ul>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default DesignChecks;
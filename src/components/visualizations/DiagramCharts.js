@@ -1,5 +1,5 @@
 import React from 'react';
-import { useEffect, useState } from 'react';
+import { useEffect, useMemo, useState } from 'react';
 import {
   Chart as ChartJS,
   CategoryScale,
@@ -14,6 +14,11 @@ import {
 import { Line } from 'react-chartjs-2';
 import { useUnits } from '../../contexts/UnitContext';
 import { useTheme } from '../../contexts/ThemeContext';
+import { evaluatePiecewise } from '../../utils/piecewisePolynomials';
+import { checkSteelMember, STEEL_DESIGN_CODES } from '../../utils/steelDesign';
+import { checkConcreteMember, CONCRETE_DESIGN_CODES } from '../../utils/concreteDesign';
+import { checkTimberMember, TIMBER_DESIGN_CODES } from '../../utils/timberDesign';
+import { checkDeflectionLimits } from '../../utils/serviceability';
 
 ChartJS.register(
   CategoryScale,
@@ -27,7 +32,7 @@ ChartJS.register(
 );
 
 const DiagramCharts = ({ beamData, results }) => {
-  const { convertValue, getUnit } = useUnits();
+  const { convertValue, convertRotation, getUnit } = useUnits();
   const { isDarkMode } = useTheme();
   const [chartKey, setChartKey] = useState(0);
 
@@ -37,13 +42,13 @@ const DiagramCharts = ({ beamData, results }) => {
   }, [isDarkMode]);
 
   // Dynamic chart options based on theme
-  const getChartOptions = (yAxisLabel) => ({
+  const getChartOptions = (yAxisLabel, showLegend = false) => ({
 
     responsive: true,
     maintainAspectRatio: false,
     plugins: {
       legend: {
-        display: false,
+        display: showLegend,
         labels: {
           color: isDarkMode ? '#e5e7eb' : '#374151'
         }
@@ -58,9 +63,7 @@ const DiagramCharts = ({ beamData, results }) => {
         borderWidth: 1,
         callbacks: {
           title: function(context) {
-            const xValue = parseFloat(context[0].label);
-            const displayX = convertValue(xValue, 'length', 'SI');
-            return `Position: ${displayX.toFixed(2)} ${getUnit('length')}`;
+            return `Position: ${context[0].parsed.x.toFixed(2)} ${getUnit('length')}`;
           },
           label: function(context) {
             return `${context.dataset.label}: ${context.parsed.y.toFixed(3)}`;
@@ -70,7 +73,10 @@ const DiagramCharts = ({ beamData, results }) => {
     },
     scales: {
       x: {
+        type: 'linear',
         display: true,
+        min: 0,
+        max: convertValue(beamData.length, 'length', 'SI'),
         title: {
           display: true,
           text: `Position along beam (${getUnit('length')})`,
@@ -109,90 +115,247 @@ const DiagramCharts = ({ beamData, results }) => {
 
   // Convert data for display
   const displayXCoords = results.shearForce.x.map(x => convertValue(x, 'length', 'SI'));
+  const displayDeflectionXCoords = results.deflection.x.map(x => convertValue(x, 'length', 'SI'));
   const displayShearForce = results.shearForce.y.map(y => convertValue(y, 'force', 'SI'));
   const displayBendingMoment = results.bendingMoment.y.map(y => convertValue(y, 'moment', 'SI'));
+  const displayAxialForce = (results.axialForce?.y || []).map(y => convertValue(y, 'force', 'SI'));
+  const hasAxialForce = displayAxialForce.some(v => Math.abs(v) > 1e-9);
   const displayDeflection = results.deflection.y.map(y => convertValue(y * 1000, 'deflection', 'SI')); // Convert from m to mm first
+  const slopeResults = results.slope || { x: [], y: [] };
+  const displaySlopeXCoords = slopeResults.x.map(x => convertValue(x, 'length', 'SI'));
+  const displaySlope = slopeResults.y.map(y => convertRotation(y));
+
+  // Samples are not evenly spaced (jumps appear twice), so plot x/y points
+  const toPoints = (xValues, yValues) => yValues.map((y, i) => ({ x: xValues[i], y }));
+
+  // Dashed max/min lines over all load combinations
+  const envelope = results.envelope;
+  const envelopeDatasets = (diagram, color, toDisplay) => {
+    if (!diagram) return [];
+    const x = diagram.x.map(v => convertValue(v, 'length', 'SI'));
+    return [['max', 'Envelope max'], ['min', 'Envelope min']].map(([key, label]) => ({
+      label,
+      data: toPoints(x, diagram[key].map(toDisplay)),
+      borderColor: color,
+      borderWidth: 1.5,
+      borderDash: key === 'max' ? [6, 4] : [2, 3],
+      fill: false,
+      tension: 0,
+      pointRadius: 0,
+      pointHoverRadius: 4,
+    }));
+  };
 
   const shearForceData = {
-    labels: displayXCoords.map(x => x.toFixed(2)),
     datasets: [
       {
         label: `Shear Force (${getUnit('force')})`,
-        data: displayShearForce,
+        data: toPoints(displayXCoords, displayShearForce),
         borderColor: '#3b82f6',
         backgroundColor: 'rgba(59, 130, 246, 0.2)',
         fill: true,
-        tension: 0.1,
+        tension: 0,
         pointRadius: 0,
         pointHoverRadius: 4,
-      }
+      },
+      ...envelopeDatasets(envelope?.shear, '#1e3a8a', y => convertValue(y, 'force', 'SI'))
     ]
   };
 
   const bendingMomentData = {
-    labels: displayXCoords.map(x => x.toFixed(2)),
     datasets: [
       {
         label: `Bending Moment (${getUnit('moment')})`,
-        data: displayBendingMoment,
+        data: toPoints(displayXCoords, displayBendingMoment),
         borderColor: '#22c55e',
         backgroundColor: 'rgba(34, 197, 94, 0.2)',
         fill: true,
-        tension: 0.1,
+        tension: 0,
+        pointRadius: 0,
+        pointHoverRadius: 4,
+      },
+      ...envelopeDatasets(envelope?.moment, '#14532d', y => convertValue(y, 'moment', 'SI'))
+    ]
+  };
+
+  const axialForceData = {
+    datasets: [
+      {
+        label: `Axial Force (${getUnit('force')})`,
+        data: toPoints(displayXCoords, displayAxialForce),
+        borderColor: '#f97316',
+        backgroundColor: 'rgba(249, 115, 22, 0.2)',
+        fill: true,
+        tension: 0,
+        pointRadius: 0,
+        pointHoverRadius: 4,
+      }
+    ]
+  };
+
+  // Soil pressure under a beam on an elastic foundation, compression positive
+  const soilPressure = results.soilPressure;
+  const soilPressureData = soilPressure && {
+    datasets: [
+      {
+        label: `Soil Pressure (${getUnit('stress')})`,
+        data: toPoints(
+          soilPressure.x.map(x => convertValue(x, 'length', 'SI')),
+          soilPressure.y.map(y => convertValue(y, 'stress', 'SI'))
+        ),
+        borderColor: '#a16207',
+        backgroundColor: 'rgba(161, 98, 7, 0.2)',
+        fill: true,
+        tension: 0,
         pointRadius: 0,
         pointHoverRadius: 4,
       }
     ]
   };
+  const maxSoilPressure = soilPressure && soilPressure.y.length > 0
+    ? { value: Math.max(...soilPressure.y), min: Math.min(...soilPressure.y) }
+    : null;
+
+  // Deflection limits of the criteria for the load set on show, stepped per
+  // span and on both sides (sag and uplift)
+  const serviceability = useMemo(
+    () => (results.segments.length > 0 ? checkDeflectionLimits(beamData, results) : null),
+    [beamData, results]
+  );
+  const shownLimits = (serviceability?.criteria || [])
+    .filter(criterion => !criterion.error && criterion.loadSet === (results.loadSet?.id || 'all'));
+  const limitColors = ['#f59e0b', '#0ea5e9', '#d946ef', '#84cc16'];
+  const limitDatasets = shownLimits.flatMap((criterion, i) => [-1, 1].map(sign => ({
+    label: sign < 0 ? `Limit: ${criterion.name}` : `Limit: ${criterion.name} (uplift)`,
+    data: criterion.spans.flatMap(span => [span.start, span.end].map(x => ({
+      x: convertValue(x, 'length', 'SI'),
+      y: sign * convertValue(span.limit * 1000, 'deflection', 'SI')
+    }))),
+    borderColor: limitColors[i % limitColors.length],
+    borderWidth: 1.5,
+    borderDash: sign < 0 ? [8, 4] : [2, 4],
+    fill: false,
+    tension: 0,
+    pointRadius: 0,
+    pointHoverRadius: 0,
+  })));
 
   const deflectionData = {
-    labels: displayXCoords.map(x => x.toFixed(2)),
     datasets: [
       {
         label: `Deflection (${getUnit('deflection')})`,
-        data: displayDeflection,
+        data: toPoints(displayDeflectionXCoords, displayDeflection),
         borderColor: '#ef4444',
         backgroundColor: 'rgba(239, 68, 68, 0.2)',
         fill: true,
-        tension: 0.1,
+        tension: 0,
+        pointRadius: 0,
+        pointHoverRadius: 4,
+      },
+      ...(results.deflectionCheck ? [{
+        label: `Unit-load check (${getUnit('deflection')})`,
+        data: toPoints(
+          results.deflectionCheck.x.map(x => convertValue(x, 'length', 'SI')),
+          results.deflectionCheck.y.map(y => convertValue(y * 1000, 'deflection', 'SI'))
+        ),
+        borderColor: '#6b7280',
+        borderDash: [6, 4],
+        fill: false,
+        tension: 0,
+        pointRadius: 0,
+        pointHoverRadius: 4,
+      }] : []),
+      ...envelopeDatasets(envelope?.deflection, '#7f1d1d', y => convertValue(y * 1000, 'deflection', 'SI')),
+      ...limitDatasets
+    ]
+  };
+
+  const slopeData = {
+    datasets: [
+      {
+        label: `Rotation (${getUnit('rotation')})`,
+        data: toPoints(displaySlopeXCoords, displaySlope),
+        borderColor: '#a855f7',
+        backgroundColor: 'rgba(168, 85, 247, 0.2)',
+        fill: true,
+        tension: 0,
         pointRadius: 0,
         pointHoverRadius: 4,
       }
     ]
   };
 
-  const findMaxValues = () => {
-    const maxShear = Math.max(...displayShearForce.map(Math.abs));
-    const maxMoment = Math.max(...displayBendingMoment.map(Math.abs));
-    const maxDeflection = Math.max(...displayDeflection.map(Math.abs));
-    
-    const maxShearIndex = displayShearForce.findIndex(v => Math.abs(v) === maxShear);
-    const maxMomentIndex = displayBendingMoment.findIndex(v => Math.abs(v) === maxMoment);
-    const maxDeflectionIndex = displayDeflection.findIndex(v => Math.abs(v) === maxDeflection);
+  // Largest gap between the unit-load check and the exact curve
+  const deflectionCheckDifference = results.deflectionCheck
+    ? Math.max(0, ...results.deflectionCheck.x.map((x, i) => {
+        const exact = evaluatePiecewise(results.segments, 'deflection', x);
+        return Math.abs(convertValue((results.deflectionCheck.y[i] - exact) * 1000, 'deflection', 'SI'));
+      }))
+    : null;
 
-    return {
-      maxShear: {
-        value: displayShearForce[maxShearIndex],
-        position: displayXCoords[maxShearIndex]
-      },
-      maxMoment: {
-        value: displayBendingMoment[maxMomentIndex],
-        position: displayXCoords[maxMomentIndex]
-      },
-      maxDeflection: {
-        value: displayDeflection[maxDeflectionIndex],
-        position: displayXCoords[maxDeflectionIndex]
-      }
-    };
+  // Largest absolute value and where it occurs
+  const findAbsMax = (values, positions) => {
+    if (values.length === 0) return { value: 0, position: 0 };
+    const index = values.reduce((best, v, i) => (Math.abs(v) > Math.abs(values[best]) ? i : best), 0);
+    return { value: values[index], position: positions[index] };
   };
 
+  const findMaxValues = () => ({
+    maxShear: findAbsMax(displayShearForce, displayXCoords),
+    maxMoment: findAbsMax(displayBendingMoment, displayXCoords),
+    maxAxial: findAbsMax(displayAxialForce, displayXCoords),
+    maxDeflection: findAbsMax(displayDeflection, displayDeflectionXCoords),
+    maxRotation: findAbsMax(displaySlope, displaySlopeXCoords)
+  });
+
   const maxValues = results.shearForce.x.length > 0 ? findMaxValues() : null;
 
+  // The member checks only change with the model and its results
+  const designCheck = useMemo(() => {
+    if (results.shearForce.x.length === 0) return null;
+    const design = beamData.design;
+    if (design?.mode === 'steel') {
+      return { ...checkSteelMember(beamData, results, design.steel), title: 'Steel check', codes: STEEL_DESIGN_CODES };
+    }
+    if (design?.mode === 'concrete') {
+      return { ...checkConcreteMember(beamData, results, design.concrete), title: 'RC check', codes: CONCRETE_DESIGN_CODES };
+    }
+    if (design?.mode === 'timber') {
+      return { ...checkTimberMember(beamData, results, design.timber), title: 'Timber check', codes: TIMBER_DESIGN_CODES };
+    }
+    return null;
+  }, [beamData, results]);
+  const governingCheck = designCheck && !designCheck.error
+    ? designCheck.checks.reduce((worst, check) => (check.value > worst.value ? check : worst))
+    : null;
+
   return (
     <div className="space-y-6">
+      {results.loadSet && (
+        <p className="text-sm text-gray-600 dark:text-gray-300">
+          Results for <span className="font-medium">{results.loadSet.label}</span>
+          {envelope && `. Dashed lines show the envelope over all ${beamData.loadCombinations.length} load combinations`}
+        </p>
+      )}
+
+      {governingCheck && (
+        <div className={`flex items-center justify-between px-4 py-2 rounded-lg border text-sm ${
+          designCheck.passed
+            ? 'bg-green-50 dark:bg-green-900/20 border-green-200 dark:border-green-800 text-green-800 dark:text-green-200'
+            : 'bg-red-50 dark:bg-red-900/20 border-red-200 dark:border-red-800 text-red-800 dark:text-red-200'
+        }`}>
+          <span className="font-semibold">
+            {designCheck.title} {designCheck.passed ? 'PASS' : 'FAIL'} ({designCheck.codes[designCheck.code]})
+          </span>
+          <span>
+            Governing ratio {governingCheck.value.toFixed(2)}: {governingCheck.label.toLowerCase()} at {convertValue(governingCheck.position, 'length', 'SI').toFixed(2)} {getUnit('length')}
+          </span>
+        </div>
+      )}
+
       {/* Summary Cards */}
       {maxValues && (
-        <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+        <div className="grid grid-cols-1 md:grid-cols-2 xl:grid-cols-4 gap-4">
           <div className="card bg-blue-50 dark:bg-blue-900/20 border-blue-200 dark:border-blue-800">
             <h4 className="font-semibold text-blue-900 dark:text-blue-200 mb-2">Maximum Shear Force</h4>
             <div className="text-2xl font-bold text-blue-700 dark:text-blue-300">
@@ -211,6 +374,17 @@ const DiagramCharts = ({ beamData, results }) => {
               at position {maxValues.maxMoment.position.toFixed(2)} {getUnit('length')}
             </div>
           </div>
+          {hasAxialForce && (
+            <div className="card bg-orange-50 dark:bg-orange-900/20 border-orange-200 dark:border-orange-800">
+              <h4 className="font-semibold text-orange-900 dark:text-orange-200 mb-2">Maximum Axial Force</h4>
+              <div className="text-2xl font-bold text-orange-700 dark:text-orange-300">
+                {Math.abs(maxValues.maxAxial.value).toFixed(2)} {getUnit('force')} {maxValues.maxAxial.value > 0 ? '(T)' : '(C)'}
+              </div>
+              <div className="text-sm text-orange-600 dark:text-orange-400">
+                at position {maxValues.maxAxial.position.toFixed(2)} {getUnit('length')}
+              </div>
+            </div>
+          )}
           <div className="card bg-red-50 dark:bg-red-900/20 border-red-200 dark:border-red-800">
             <h4 className="font-semibold text-red-900 dark:text-red-200 mb-2">Maximum Deflection</h4>
             <div className="text-2xl font-bold text-red-700 dark:text-red-300">
@@ -219,6 +393,28 @@ const DiagramCharts = ({ beamData, results }) => {
             <div className="text-sm text-red-600 dark:text-red-400">
               at position {maxValues.maxDeflection.position.toFixed(2)} {getUnit('length')}
             </div>
+            {serviceability?.governing && (
+              <div className="mt-2">
+                <span className={`inline-block px-2 py-0.5 rounded text-xs font-semibold ${serviceability.passed
+                  ? 'bg-green-100 text-green-800 dark:bg-green-900/40 dark:text-green-200'
+                  : 'bg-red-200 text-red-900 dark:bg-red-900/60 dark:text-red-100'}`}
+                >
+                  {serviceability.passed ? 'PASS' : 'FAIL'}
+                </span>
+                <span className="text-xs text-red-600 dark:text-red-400 ml-2">
+                  {serviceability.governing.name}: {serviceability.governing.utilisation.toFixed(2)} of limit
+                </span>
+              </div>
+            )}
+          </div>
+          <div className="card bg-purple-50 dark:bg-purple-900/20 border-purple-200 dark:border-purple-800">
+            <h4 className="font-semibold text-purple-900 dark:text-purple-200 mb-2">Maximum Rotation</h4>
+            <div className="text-2xl font-bold text-purple-700 dark:text-purple-300">
+              {Math.abs(maxValues.maxRotation.value).toFixed(getUnit('rotation') === 'rad' ? 5 : 3)} {getUnit('rotation')}
+            </div>
+            <div className="text-sm text-purple-600 dark:text-purple-400">
+              at position {maxValues.maxRotation.position.toFixed(2)} {getUnit('length')}
+            </div>
           </div>
         </div>
       )}
@@ -231,7 +427,7 @@ const DiagramCharts = ({ beamData, results }) => {
             <Line 
               key={`sfd-${chartKey}`}
               data={shearForceData} 
-              options={getChartOptions(`Shear Force (${getUnit('force')})`)} 
+              options={getChartOptions(`Shear Force (${getUnit('force')})`, !!envelope)} 
             />
           ) : (
             <div className="flex items-center justify-center h-full text-gray-500 dark:text-gray-400">
@@ -255,7 +451,7 @@ const DiagramCharts = ({ beamData, results }) => {
             <Line 
               key={`bmd-${chartKey}`}
               data={bendingMomentData} 
-              options={getChartOptions(`Bending Moment (${getUnit('moment')})`)} 
+              options={getChartOptions(`Bending Moment (${getUnit('moment')})`, !!envelope)} 
             />
           ) : (
             <div className="flex items-center justify-center h-full text-gray-500 dark:text-gray-400">
@@ -271,6 +467,35 @@ const DiagramCharts = ({ beamData, results }) => {
         </div>
       </div>
 
+      {/* Axial Force Diagram */}
+      <div className="card">
+        <h3 className="text-lg font-semibold text-gray-900 dark:text-white mb-4">Axial Force Diagram (AFD)</h3>
+        <div className="h-64">
+          {results.bendingMoment.x.length > 0 ? (
+            <Line 
+              key={`afd-${chartKey}`}
+              data={axialForceData} 
+              options={getChartOptions(`Axial Force (${getUnit('force')})`)} 
+            />
+          ) : (
+            <div className="flex items-center justify-center h-full text-gray-500 dark:text-gray-400">
+              <div className="text-center">
+                <svg className="w-12 h-12 mx-auto mb-4 text-gray-300 dark:text-gray-600" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                  <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M13 7l5 5-5 5M6 12h12" />
+                </svg>
+                <p>No data to display</p>
+                <p className="text-sm">Configure beam parameters to see the axial force diagram</p>
+              </div>
+            </div>
+          )}
+        </div>
+        {results.bendingMoment.x.length > 0 && (
+          <p className="text-xs text-gray-500 dark:text-gray-400 mt-2">
+            Tension positive. Horizontal components of inclined loads are resisted by Fixed and Hinge supports
+          </p>
+        )}
+      </div>
+
       {/* Deflection Diagram */}
       <div className="card">
         <h3 className="text-lg font-semibold text-gray-900 dark:text-white mb-4">Deflection Diagram</h3>
@@ -279,7 +504,7 @@ const DiagramCharts = ({ beamData, results }) => {
             <Line 
               key={`deflection-${chartKey}`}
               data={deflectionData} 
-              options={getChartOptions(`Deflection (${getUnit('deflection')})`)} 
+              options={getChartOptions(`Deflection (${getUnit('deflection')})`, !!results.deflectionCheck || !!envelope?.deflection || limitDatasets.length > 0)} 
             />
           ) : (
             <div className="flex items-center justify-center h-full text-gray-500 dark:text-gray-400">
@@ -293,6 +518,60 @@ const DiagramCharts = ({ beamData, results }) => {
             </div>
           )}
         </div>
+        {serviceability && shownLimits.length < serviceability.criteria.length && (
+          <p className="text-xs text-gray-500 dark:text-gray-400 mt-2">
+            Limit lines are drawn for the criteria on the load set shown; the Results tables list every deflection limit
+          </p>
+        )}
+        {deflectionCheckDifference !== null && (
+          <p className="text-xs text-gray-500 dark:text-gray-400 mt-2">
+            Unit-load cross-check differs from the exact curve by at most {deflectionCheckDifference.toFixed(4)} {getUnit('deflection')}
+          </p>
+        )}
+      </div>
+
+      {/* Soil Pressure Diagram */}
+      {soilPressureData && (
+        <div className="card">
+          <h3 className="text-lg font-semibold text-gray-900 dark:text-white mb-4">Soil Pressure Diagram</h3>
+          <div className="h-64">
+            <Line 
+              key={`soil-${chartKey}`}
+              data={soilPressureData} 
+              options={getChartOptions(`Soil Pressure (${getUnit('stress')})`)} 
+            />
+          </div>
+          {maxSoilPressure && (
+            <p className="text-xs text-gray-500 dark:text-gray-400 mt-2">
+              Compression positive: q = k·v under the settlement v. Peak {convertValue(maxSoilPressure.value, 'stress', 'SI').toFixed(2)} {getUnit('stress')}
+              {maxSoilPressure.min < 0 && `, uplift down to ${convertValue(maxSoilPressure.min, 'stress', 'SI').toFixed(2)} ${getUnit('stress')} (the soil is assumed to take tension)`}
+            </p>
+          )}
+        </div>
+      )}
+
+      {/* Slope Diagram */}
+      <div className="card">
+        <h3 className="text-lg font-semibold text-gray-900 dark:text-white mb-4">Slope (Rotation) Diagram</h3>
+        <div className="h-64">
+          {slopeResults.x.length > 0 ? (
+            <Line 
+              key={`slope-${chartKey}`}
+              data={slopeData} 
+              options={getChartOptions(`Rotation (${getUnit('rotation')})`)} 
+            />
+          ) : (
+            <div className="flex items-center justify-center h-full text-gray-500 dark:text-gray-400">
+              <div className="text-center">
+                <svg className="w-12 h-12 mx-auto mb-4 text-gray-300 dark:text-gray-600" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                  <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M13 7h8m0 0v8m0-8l-8 8-4-4-6 6" />
+                </svg>
+                <p>No data to display</p>
+                <p className="text-sm">Configure beam parameters to see the slope diagram</p>
+              </div>
+            </div>
+          )}
+        </div>
       </div>
     </div>
   );
@@ -0,0 +1,407 @@
+import React, { useState, useEffect, useMemo } from 'react';
+import {
+  Chart as ChartJS,
+  CategoryScale,
+  LinearScale,
+  PointElement,
+  LineElement,
+  Title,
+  Tooltip,
+  Legend,
+  Filler
+} from 'chart.js';
+import { Line } from 'react-chartjs-2';
+import { useUnits } from '../../contexts/UnitContext';
+import { useTheme } from '../../contexts/ThemeContext';
+import { useWorkerTask } from '../../hooks/useWorkerTask';
+import {
+  LOAD_TRAIN_PRESETS,
+  ENVELOPE_SECTIONS,
+  interpolateInfluence,
+  runLoadTrain
+} from '../../utils/influenceLines';
+
+ChartJS.register(
+  CategoryScale,
+  LinearScale,
+  PointElement,
+  LineElement,
+  Title,
+  Tooltip,
+  Legend,
+  Filler
+);
+
+// Every line solves the beam for hundreds of unit loads, so they are
+// computed in the analysis worker once edits pause
+const INFLUENCE_DEBOUNCE_MS = 200;
+
+const InfluenceLines = ({ beamData }) => {
+  const { convertValue, getUnit } = useUnits();
+  const { isDarkMode } = useTheme();
+  const [chartKey, setChartKey] = useState(0);
+  const [targetId, setTargetId] = useState('moment');
+  const [sectionPosition, setSectionPosition] = useState(beamData.length / 2);
+  const [axles, setAxles] = useState(LOAD_TRAIN_PRESETS['Single wheel (100 kN)']);
+
+  // Force chart re-render when theme changes
+  useEffect(() => {
+    setChartKey(prev => prev + 1);
+  }, [isDarkMode]);
+
+  // Influence lines depend on the structure but not on the loads
+  const structure = useMemo(
+    () => ({
+      length: beamData.length,
+      supports: beamData.supports,
+      materialProperties: beamData.materialProperties,
+      stiffnessSegments: beamData.stiffnessSegments,
+      foundation: beamData.foundation
+    }),
+    [beamData.length, beamData.supports, beamData.materialProperties, beamData.stiffnessSegments, beamData.foundation]
+  );
+
+  const targets = useMemo(() => {
+    const options = [
+      { id: 'moment', type: 'moment', label: 'Bending moment at section' },
+      { id: 'shear', type: 'shear', label: 'Shear force at section' }
+    ];
+    structure.supports
+      .filter(s => s.type !== 'Internal Hinge')
+      .sort((a, b) => a.position - b.position)
+      .forEach(support => {
+        const position = convertValue(support.position, 'length', 'SI').toFixed(2);
+        if (options.some(o => o.id === `reaction:${support.position}`)) return;
+        options.push({
+          id: `reaction:${support.position}`,
+          type: 'reaction',
+          position: support.position,
+          label: `Reaction at ${position} ${getUnit('length')} (${support.type})`
+        });
+        if (support.type === 'Fixed' || support.type === 'Rotational Spring') {
+          options.push({
+            id: `reactionMoment:${support.position}`,
+            type: 'reactionMoment',
+            position: support.position,
+            label: `Moment reaction at ${position} ${getUnit('length')}`
+          });
+        }
+      });
+    return options;
+  }, [structure, convertValue, getUnit]);
+
+  const selected = targets.find(t => t.id === targetId) || targets[0];
+  const isSection = selected.type === 'shear' || selected.type === 'moment';
+  const section = Math.min(Math.max(sectionPosition, 0), structure.length);
+  const targetPosition = isSection ? section : selected.position;
+
+  const debounce = { debounceMs: INFLUENCE_DEBOUNCE_MS };
+  const { result: line, isRunning: lineRunning, run: runInfluenceLine } = useWorkerTask('influenceLine', debounce);
+  const { result: absolute, isRunning: absoluteRunning, run: runAbsoluteMaximum } = useWorkerTask('absoluteMaximum', debounce);
+
+  useEffect(() => {
+    runInfluenceLine({ beamData: structure, target: { type: selected.type, position: targetPosition } });
+  }, [structure, selected.type, targetPosition, runInfluenceLine]);
+
+  useEffect(() => {
+    runAbsoluteMaximum({ beamData: structure, axles });
+  }, [structure, axles, runAbsoluteMaximum]);
+
+  const train = useMemo(() => (line && !line.error ? runLoadTrain(line, axles) : null), [line, axles]);
+
+  // Moments per unit load have length units, reactions and shear none
+  const isMomentType = selected.type === 'moment' || selected.type === 'reactionMoment';
+  const ordinateUnit = isMomentType ? getUnit('length') : `${getUnit('force')}/${getUnit('force')}`;
+  const displayOrdinate = (y) => (isMomentType ? convertValue(y, 'length', 'SI') : y);
+  const effectType = isMomentType ? 'moment' : 'force';
+  const formatEffect = (value) => `${convertValue(value, effectType, 'SI').toFixed(2)} ${getUnit(effectType)}`;
+  const formatPositions = (positions) => positions
+    .map(x => convertValue(x, 'length', 'SI').toFixed(2))
+    .join(', ');
+
+  const updateAxle = (index, field, value) => {
+    const newAxles = [...axles];
+    const type = field === 'weight' ? 'force' : 'length';
+    newAxles[index] = { ...newAxles[index], [field]: convertValue(value, type, null, 'SI') };
+    setAxles(newAxles);
+  };
+
+  const addAxle = () => setAxles([...axles, { weight: axles[axles.length - 1]?.weight || 100, spacing: 2 }]);
+  const removeAxle = (index) => setAxles(axles.filter((_, i) => i !== index));
+
+  const totalWeight = axles.reduce((sum, axle) => sum + axle.weight, 0);
+  const trainLength = axles.slice(1).reduce((sum, axle) => sum + axle.spacing, 0);
+
+  const toPoints = (xValues, yValues) => yValues.map((y, i) => ({ x: xValues[i], y }));
+  const criticalAxles = train && train.max.value >= -train.min.value ? train.max : train?.min;
+  const onBeam = (x) => x >= 0 && x <= structure.length;
+
+  const chartData = !line || line.error ? null : {
+    datasets: [
+      {
+        label: `Influence line (${ordinateUnit})`,
+        data: toPoints(line.x.map(x => convertValue(x, 'length', 'SI')), line.y.map(displayOrdinate)),
+        borderColor: '#14b8a6',
+        backgroundColor: 'rgba(20, 184, 166, 0.2)',
+        fill: true,
+        tension: 0,
+        pointRadius: 0,
+        pointHoverRadius: 4,
+      },
+      ...(criticalAxles && criticalAxles.axlePositions.length > 0 ? [{
+        label: 'Critical axle positions',
+        data: criticalAxles.axlePositions.filter(onBeam).map(x => ({
+          x: convertValue(x, 'length', 'SI'),
+          y: displayOrdinate(interpolateInfluence(line, x))
+        })),
+        borderColor: '#ef4444',
+        backgroundColor: '#ef4444',
+        showLine: false,
+        pointRadius: 5,
+        pointHoverRadius: 6,
+      }] : [])
+    ]
+  };
+
+  const chartOptions = {
+    responsive: true,
+    maintainAspectRatio: false,
+    plugins: {
+      legend: {
+        display: true,
+        labels: {
+          color: isDarkMode ? '#e5e7eb' : '#374151'
+        }
+      },
+      tooltip: {
+        intersect: false,
+        backgroundColor: isDarkMode ? '#374151' : '#ffffff',
+        titleColor: isDarkMode ? '#e5e7eb' : '#374151',
+        bodyColor: isDarkMode ? '#e5e7eb' : '#374151',
+        borderColor: isDarkMode ? '#6b7280' : '#d1d5db',
+        borderWidth: 1,
+        callbacks: {
+          title: function(context) {
+            return `Unit load at: ${context[0].parsed.x.toFixed(2)} ${getUnit('length')}`;
+          },
+          label: function(context) {
+            return `${context.dataset.label}: ${context.parsed.y.toFixed(4)}`;
+          }
+        }
+      },
+    },
+    scales: {
+      x: {
+        type: 'linear',
+        display: true,
+        min: 0,
+        max: convertValue(structure.length, 'length', 'SI'),
+        title: {
+          display: true,
+          text: `Unit load position (${getUnit('length')})`,
+          color: isDarkMode ? '#e5e7eb' : '#374151'
+        },
+        grid: {
+          display: true,
+          color: isDarkMode ? 'rgba(255, 255, 255, 0.1)' : 'rgba(0, 0, 0, 0.1)'
+        },
+        ticks: {
+          color: isDarkMode ? '#d1d5db' : '#6b7280'
+        }
+      },
+      y: {
+        display: true,
+        title: {
+          display: true,
+          text: `Ordinate (${ordinateUnit})`,
+          color: isDarkMode ? '#e5e7eb' : '#374151'
+        },
+        grid: {
+          display: true,
+          color: isDarkMode ? 'rgba(255, 255, 255, 0.1)' : 'rgba(0, 0, 0, 0.1)'
+        },
+        ticks: {
+          color: isDarkMode ? '#d1d5db' : '#6b7280'
+        }
+      }
+    },
+    interaction: {
+      mode: 'nearest',
+      axis: 'x',
+      intersect: false
+    }
+  };
+
+  return (
+    <div className="space-y-6">
+      {/* Influence Line */}
+      <div className="card">
+        <h3 className="text-lg font-semibold text-gray-900 dark:text-white mb-4">Influence Line</h3>
+        <div className="grid grid-cols-1 md:grid-cols-2 gap-4 mb-4">
+          <div>
+            <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-2">Response</label>
+            <select value={selected.id} onChange={(e) => setTargetId(e.target.value)} className="input-field">
+              {targets.map(target => (
+                <option key={target.id} value={target.id}>{target.label}</option>
+              ))}
+            </select>
+          </div>
+          {isSection && (
+            <div>
+              <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-2">
+                Section position ({getUnit('length')})
+              </label>
+              <input
+                type="number"
+                min="0"
+                max={convertValue(structure.length, 'length', 'SI')}
+                step="0.1"
+                value={convertValue(section, 'length', 'SI')}
+                onChange={(e) => setSectionPosition(convertValue(parseFloat(e.target.value) || 0, 'length', null, 'SI'))}
+                className="input-field"
+              />
+            </div>
+          )}
+        </div>
+
+        <div className="h-64">
+          {chartData ? (
+            <Line key={`influence-${chartKey}`} data={chartData} options={chartOptions} />
+          ) : line?.error ? (
+            <div className="flex items-center justify-center h-full text-red-600 dark:text-red-400 text-sm">
+              {line.error}
+            </div>
+          ) : (
+            <div className="flex items-center justify-center h-full text-gray-500 dark:text-gray-400 text-sm">
+              Calculating influence line...
+            </div>
+          )}
+        </div>
+        <p className="text-xs text-gray-500 dark:text-gray-400 mt-2">
+          {lineRunning && chartData && 'Updating... '}
+          Response to a unit downward load at each position. Reactions are upward-positive; shear and moment follow the diagram sign conventions.
+        </p>
+      </div>
+
+      {/* Load Train */}
+      <div className="card">
+        <div className="flex items-center justify-between mb-4">
+          <h3 className="text-lg font-semibold text-gray-900 dark:text-white">Moving Load Train</h3>
+          <button onClick={addAxle} className="btn-primary text-sm">Add Axle</button>
+        </div>
+
+        <div className="flex flex-wrap gap-2 mb-4">
+          {Object.entries(LOAD_TRAIN_PRESETS).map(([name, presetAxles]) => (
+            <button key={name} onClick={() => setAxles(presetAxles)} className="btn-secondary text-xs">
+              {name}
+            </button>
+          ))}
+        </div>
+
+        <div className="space-y-2">
+          {axles.map((axle, index) => (
+            <div key={index} className="grid grid-cols-7 gap-2 items-center">
+              <span className="text-sm font-medium text-gray-700 dark:text-gray-300">Axle {index + 1}</span>
+              <label className="col-span-3 flex items-center space-x-2 text-sm text-gray-600 dark:text-gray-400">
+                <span className="whitespace-nowrap">Weight ({getUnit('force')})</span>
+                <input
+                  type="number"
+                  min="0"
+                  step="1"
+                  value={convertValue(axle.weight, 'force', 'SI')}
+                  onChange={(e) => updateAxle(index, 'weight', Math.max(parseFloat(e.target.value) || 0, 0))}
+                  className="input-field"
+                />
+              </label>
+              <label className="col-span-2 flex items-center space-x-2 text-sm text-gray-600 dark:text-gray-400">
+                <span className="whitespace-nowrap">Spacing ({getUnit('length')})</span>
+                <input
+                  type="number"
+                  min="0"
+                  step="0.1"
+                  disabled={index === 0}
+                  value={index === 0 ? 0 : convertValue(axle.spacing, 'length', 'SI')}
+                  onChange={(e) => updateAxle(index, 'spacing', Math.max(parseFloat(e.target.value) || 0, 0))}
+                  className="input-field disabled:opacity-50"
+                />
+              </label>
+              <button
+                onClick={() => removeAxle(index)}
+                disabled={axles.length === 1}
+                className="text-red-600 hover:text-red-800 dark:text-red-400 dark:hover:text-red-300 text-sm disabled:opacity-40"
+              >
+                Remove
+              </button>
+            </div>
+          ))}
+        </div>
+        <p className="text-xs text-gray-500 dark:text-gray-400 mt-3">
+          Spacing is measured from the previous axle. Total {convertValue(totalWeight, 'force', 'SI').toFixed(1)} {getUnit('force')} over {convertValue(trainLength, 'length', 'SI').toFixed(2)} {getUnit('length')}; the train may run in either direction.
+        </p>
+      </div>
+
+      {/* Moving Load Results */}
+      {train && (
+        <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+          <div className="card bg-teal-50 dark:bg-teal-900/20 border-teal-200 dark:border-teal-800">
+            <h4 className="font-semibold text-teal-900 dark:text-teal-200 mb-2">Largest Positive Response</h4>
+            <div className="text-2xl font-bold text-teal-700 dark:text-teal-300">{formatEffect(train.max.value)}</div>
+            {train.max.axlePositions.length > 0 && (
+              <div className="text-sm text-teal-600 dark:text-teal-400">
+                axles at {formatPositions(train.max.axlePositions)} {getUnit('length')}
+              </div>
+            )}
+          </div>
+          <div className="card bg-teal-50 dark:bg-teal-900/20 border-teal-200 dark:border-teal-800">
+            <h4 className="font-semibold text-teal-900 dark:text-teal-200 mb-2">Largest Negative Response</h4>
+            <div className="text-2xl font-bold text-teal-700 dark:text-teal-300">{formatEffect(train.min.value)}</div>
+            {train.min.axlePositions.length > 0 && (
+              <div className="text-sm text-teal-600 dark:text-teal-400">
+                axles at {formatPositions(train.min.axlePositions)} {getUnit('length')}
+              </div>
+            )}
+          </div>
+        </div>
+      )}
+
+      {absoluteRunning && !absolute && (
+        <div className="card text-sm text-gray-500 dark:text-gray-400">
+          Searching the absolute maximum along the beam...
+        </div>
+      )}
+
+      {absolute && !absolute.error && (
+        <div className={`card ${absoluteRunning ? 'opacity-60' : ''}`}>
+          <h3 className="text-lg font-semibold text-gray-900 dark:text-white mb-4">Absolute Maximum Along the Beam</h3>
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+            <div className="bg-green-50 dark:bg-green-900/20 rounded-lg p-4">
+              <div className="text-sm font-medium text-green-900 dark:text-green-200">Bending Moment</div>
+              <div className="text-2xl font-bold text-green-700 dark:text-green-300">
+                {convertValue(absolute.moment.value, 'moment', 'SI').toFixed(2)} {getUnit('moment')}
+              </div>
+              <div className="text-sm text-green-600 dark:text-green-400">
+                at section {convertValue(absolute.moment.section, 'length', 'SI').toFixed(2)} {getUnit('length')}
+                {absolute.moment.axlePositions.length > 0 && `, axles at ${formatPositions(absolute.moment.axlePositions)} ${getUnit('length')}`}
+              </div>
+            </div>
+            <div className="bg-blue-50 dark:bg-blue-900/20 rounded-lg p-4">
+              <div className="text-sm font-medium text-blue-900 dark:text-blue-200">Shear Force</div>
+              <div className="text-2xl font-bold text-blue-700 dark:text-blue-300">
+                {convertValue(absolute.shear.value, 'force', 'SI').toFixed(2)} {getUnit('force')}
+              </div>
+              <div className="text-sm text-blue-600 dark:text-blue-400">
+                at section {convertValue(absolute.shear.section, 'length', 'SI').toFixed(2)} {getUnit('length')}
+                {absolute.shear.axlePositions.length > 0 && `, axles at ${formatPositions(absolute.shear.axlePositions)} ${getUnit('length')}`}
+              </div>
+            </div>
+          </div>
+          <p className="text-xs text-gray-500 dark:text-gray-400 mt-3">
+            Sections are checked every {convertValue(structure.length / ENVELOPE_SECTIONS, 'length', 'SI').toFixed(2)} {getUnit('length')} and at every support. Axles off the beam carry no load.
+          </p>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default InfluenceLines;
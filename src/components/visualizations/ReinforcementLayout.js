@@ -0,0 +1,74 @@
+import React from 'react';
+import { useUnits } from '../../contexts/UnitContext';
+
+const DRAWING_WIDTH = 200;
+const DRAWING_HEIGHT = 160;
+const PADDING = 20;
+
+// To-scale cross-section with the links and the designed bars
+const ReinforcementLayout = ({ check, settings }) => {
+  const { convertValue, getUnit } = useUnits();
+  const { h, bw, bf, hf } = check.geometry;
+  const { cover, linkDiameter } = settings;
+
+  const scale = Math.min(DRAWING_WIDTH / bf, DRAWING_HEIGHT / h);
+  const toX = (x) => PADDING + (x + bf / 2) * scale;
+  const toY = (y) => PADDING + (h - y) * scale;
+
+  const outline = hf > 0
+    ? [
+        [-bf / 2, h], [bf / 2, h], [bf / 2, h - hf], [bw / 2, h - hf],
+        [bw / 2, 0], [-bw / 2, 0], [-bw / 2, h - hf], [-bf / 2, h - hf]
+      ]
+    : [[-bw / 2, h], [bw / 2, h], [bw / 2, 0], [-bw / 2, 0]];
+
+  const linkInset = cover + linkDiameter / 2;
+  const formatDiameter = (d) => `${convertValue(d, 'sectionLength', 'SI').toFixed(0)} ${getUnit('sectionLength')}`;
+  const describe = (bars) => (bars.length > 0 ? `${bars.length} × Ø${formatDiameter(bars[0].diameter)}` : 'none');
+
+  return (
+    <div className="flex flex-col items-center">
+      <svg
+        width={bf * scale + 2 * PADDING}
+        height={h * scale + 2 * PADDING}
+        className="border border-gray-300 dark:border-gray-600 rounded"
+      >
+        <polygon
+          points={outline.map(([x, y]) => `${toX(x)},${toY(y)}`).join(' ')}
+          fill="currentColor"
+          stroke="currentColor"
+          strokeWidth="1.5"
+          className="text-gray-200 dark:text-gray-600"
+        />
+        <rect
+          x={toX(-bw / 2 + linkInset)}
+          y={toY(h - linkInset)}
+          width={(bw - 2 * linkInset) * scale}
+          height={(h - 2 * linkInset) * scale}
+          rx={2 * linkDiameter * scale}
+          fill="none"
+          stroke="currentColor"
+          strokeWidth={Math.max(linkDiameter * scale, 1)}
+          className="text-gray-500 dark:text-gray-300"
+        />
+        {[...check.layout.bottom, ...check.layout.top].map((bar, i) => (
+          <circle
+            key={i}
+            cx={toX(bar.x)}
+            cy={toY(bar.y)}
+            r={Math.max(bar.diameter / 2 * scale, 1.5)}
+            fill="currentColor"
+            className="text-red-600 dark:text-red-400"
+          />
+        ))}
+      </svg>
+      <div className="text-xs text-gray-600 dark:text-gray-400 mt-2 text-center">
+        <div>Top: {describe(check.layout.top)}</div>
+        <div>Bottom: {describe(check.layout.bottom)}</div>
+        <div>Links: {settings.linkLegs}-leg Ø{formatDiameter(linkDiameter)}, cover {formatDiameter(cover)}</div>
+      </div>
+    </div>
+  );
+};
+
+export default ReinforcementLayout;
@@ -1,8 +1,11 @@
 import React from 'react';
 import { useUnits } from '../../contexts/UnitContext';
+import { calculateSpanMoments } from '../../utils/calculations';
+import { evaluatePiecewise } from '../../utils/piecewisePolynomials';
+import { checkDeflectionLimits } from '../../utils/serviceability';
 
 const ResultsTables = ({ beamData, results }) => {
-  const { convertValue, getUnit } = useUnits();
+  const { convertValue, convertRotation, getUnit } = useUnits();
 
   const generateCombinedTableData = () => {
     if (results.shearForce.x.length === 0) return [];
@@ -10,29 +13,38 @@ const ResultsTables = ({ beamData, results }) => {
     const tableData = [];
     // Convert 1 unit in current system to SI for comparison
     const siInterval = convertValue(1.0, 'length', null, 'SI');
+    const positions = [];
+    for (let x = 0; x < beamData.length - 1e-6; x += siInterval) {
+      positions.push(x);
+    }
+    positions.push(beamData.length);
     
-    for (let i = 0; i < results.shearForce.x.length; i++) {
-      const x = results.shearForce.x[i];
+    // Evaluate the exact polynomials rather than the nearest chart sample
+    positions.forEach((x) => {
       const displayX = convertValue(x, 'length', 'SI');
+      const displayShear = convertValue(evaluatePiecewise(results.segments, 'shear', x), 'force', 'SI');
+      const displayMoment = convertValue(evaluatePiecewise(results.segments, 'moment', x), 'moment', 'SI');
+      const deflection = evaluatePiecewise(results.segments, 'deflection', x);
+      const displayDeflection = convertValue(deflection * 1000, 'deflection', 'SI'); // Convert from m to mm first
+      const displayRotation = convertRotation(evaluatePiecewise(results.segments, 'slope', x));
       
-      // Check if x (in SI) is at interval positions or at beam end
-      if (Math.abs(x % siInterval) < 1e-6 || Math.abs(x - beamData.length) < 1e-6) {
-        const displayShear = convertValue(results.shearForce.y[i], 'force', 'SI');
-        const displayMoment = convertValue(results.bendingMoment.y[i], 'moment', 'SI');
-        const displayDeflection = convertValue(results.deflection.y[i] * 1000, 'deflection', 'SI'); // Convert from m to mm first
-        
-        tableData.push({
-          position: displayX.toFixed(2),
-          shearForce: displayShear.toFixed(4),
-          bendingMoment: displayMoment.toFixed(4),
-          deflection: displayDeflection.toFixed(4)
-        });
-      }
-    }
+      tableData.push({
+        position: displayX.toFixed(2),
+        shearForce: displayShear.toFixed(4),
+        bendingMoment: displayMoment.toFixed(4),
+        deflection: displayDeflection.toFixed(4),
+        rotation: displayRotation.toFixed(getUnit('rotation') === 'rad' ? 6 : 4)
+      });
+    });
     return tableData;
   };
 
   const combinedTable = generateCombinedTableData();
+  const spanResults = beamData.multiSpan?.enabled
+    ? calculateSpanMoments(beamData.multiSpan.spans, results.segments)
+    : null;
+  const serviceability = results.segments.length > 0 ? checkDeflectionLimits(beamData, results) : null;
+  const formatDeflection = (value) => convertValue(value * 1000, 'deflection', 'SI').toFixed(2); // m to mm first
 
   return (
     <div className="space-y-6">
@@ -53,6 +65,9 @@ const ResultsTables = ({ beamData, results }) => {
                   <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 dark:text-gray-300 uppercase tracking-wider">
                     Vertical Force ({getUnit('force')})
                   </th>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 dark:text-gray-300 uppercase tracking-wider">
+                    Horizontal Force ({getUnit('force')})
+                  </th>
                   <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 dark:text-gray-300 uppercase tracking-wider">
                     Moment ({getUnit('moment')})
                   </th>
@@ -78,6 +93,13 @@ const ResultsTables = ({ beamData, results }) => {
                           {Math.abs(displayForce).toFixed(3)} {reaction.force < 0 ? '↓' : '↑'}
                         </span>
                       </td>
+                      <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900 dark:text-gray-100">
+                        {Math.abs(reaction.horizontal || 0) > 1e-9 ? (
+                          <span className="text-blue-600 dark:text-blue-400">
+                            {Math.abs(convertValue(reaction.horizontal, 'force', 'SI')).toFixed(3)} {reaction.horizontal < 0 ? '←' : '→'}
+                          </span>
+                        ) : '-'}
+                      </td>
                       <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900 dark:text-gray-100">
                         {displayMoment !== undefined ? (
                           <span className={reaction.moment < 0 ? 'text-red-600 dark:text-red-400' : 'text-blue-600 dark:text-blue-400'}>
@@ -94,6 +116,163 @@ const ResultsTables = ({ beamData, results }) => {
         </div>
       )}
 
+      {/* Continuous Beam Summary */}
+      {spanResults && spanResults.spanMoments.length > 0 && (
+        <div className="card">
+          <h3 className="text-lg font-semibold text-gray-900 dark:text-white mb-4">Continuous Beam Summary</h3>
+          <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
+            <div className="overflow-x-auto">
+              <h4 className="font-medium text-gray-900 dark:text-white mb-2">Interior Support Moments</h4>
+              <table className="min-w-full divide-y divide-gray-200 dark:divide-gray-700">
+                <thead className="bg-gray-50 dark:bg-gray-700">
+                  <tr>
+                    <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 dark:text-gray-300 uppercase tracking-wider">
+                      Position ({getUnit('length')})
+                    </th>
+                    <th className="px-6 py-3 text-left text-xs font-medium text-green-700 dark:text-green-300 uppercase tracking-wider">
+                      Moment ({getUnit('moment')})
+                    </th>
+                  </tr>
+                </thead>
+                <tbody className="bg-white dark:bg-gray-800 divide-y divide-gray-200 dark:divide-gray-700">
+                  {spanResults.supportMoments.map((support, index) => (
+                    <tr key={index} className="hover:bg-gray-50 dark:hover:bg-gray-700">
+                      <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900 dark:text-gray-100">
+                        {convertValue(support.position, 'length', 'SI').toFixed(2)}
+                      </td>
+                      <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900 dark:text-gray-100">
+                        <span className={support.moment < 0 ? 'text-red-600 dark:text-red-400' : 'text-green-600 dark:text-green-400'}>
+                          {convertValue(support.moment, 'moment', 'SI').toFixed(3)}
+                        </span>
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+            <div className="overflow-x-auto">
+              <h4 className="font-medium text-gray-900 dark:text-white mb-2">Maximum Positive Span Moments</h4>
+              <table className="min-w-full divide-y divide-gray-200 dark:divide-gray-700">
+                <thead className="bg-gray-50 dark:bg-gray-700">
+                  <tr>
+                    <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 dark:text-gray-300 uppercase tracking-wider">
+                      Span
+                    </th>
+                    <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 dark:text-gray-300 uppercase tracking-wider">
+                      Length ({getUnit('length')})
+                    </th>
+                    <th className="px-6 py-3 text-left text-xs font-medium text-green-700 dark:text-green-300 uppercase tracking-wider">
+                      Max Moment ({getUnit('moment')})
+                    </th>
+                    <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 dark:text-gray-300 uppercase tracking-wider">
+                      At ({getUnit('length')})
+                    </th>
+                  </tr>
+                </thead>
+                <tbody className="bg-white dark:bg-gray-800 divide-y divide-gray-200 dark:divide-gray-700">
+                  {spanResults.spanMoments.map((span) => (
+                    <tr key={span.span} className="hover:bg-gray-50 dark:hover:bg-gray-700">
+                      <td className="px-6 py-4 whitespace-nowrap text-sm font-medium text-gray-900 dark:text-gray-100">
+                        {span.span}
+                      </td>
+                      <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900 dark:text-gray-100">
+                        {convertValue(span.length, 'length', 'SI').toFixed(2)}
+                      </td>
+                      <td className="px-6 py-4 whitespace-nowrap text-sm text-green-600 dark:text-green-400">
+                        {convertValue(span.maxPositiveMoment, 'moment', 'SI').toFixed(3)}
+                      </td>
+                      <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900 dark:text-gray-100">
+                        {convertValue(span.position, 'length', 'SI').toFixed(2)}
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          </div>
+        </div>
+      )}
+
+      {/* Serviceability Checks */}
+      {serviceability && (
+        <div className="card">
+          <h3 className="text-lg font-semibold text-gray-900 dark:text-white mb-4">Deflection Limit Checks</h3>
+          <div className="overflow-x-auto">
+            <table className="min-w-full divide-y divide-gray-200 dark:divide-gray-700">
+              <thead className="bg-gray-50 dark:bg-gray-700">
+                <tr>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 dark:text-gray-300 uppercase tracking-wider">
+                    Criterion
+                  </th>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 dark:text-gray-300 uppercase tracking-wider">
+                    Span ({getUnit('length')})
+                  </th>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 dark:text-gray-300 uppercase tracking-wider">
+                    Deflection ({getUnit('deflection')})
+                  </th>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 dark:text-gray-300 uppercase tracking-wider">
+                    Limit ({getUnit('deflection')})
+                  </th>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 dark:text-gray-300 uppercase tracking-wider">
+                    Utilisation
+                  </th>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 dark:text-gray-300 uppercase tracking-wider">
+                    Status
+                  </th>
+                </tr>
+              </thead>
+              <tbody className="bg-white dark:bg-gray-800 divide-y divide-gray-200 dark:divide-gray-700">
+                {serviceability.criteria.flatMap(criterion => {
+                  const title = (
+                    <>
+                      <div className="font-medium">{criterion.name}</div>
+                      <div className="text-xs text-gray-500 dark:text-gray-400">{criterion.label}</div>
+                    </>
+                  );
+                  if (criterion.error) {
+                    return [
+                      <tr key={criterion.id}>
+                        <td className="px-6 py-4 text-sm text-gray-900 dark:text-gray-100">{title}</td>
+                        <td colSpan={5} className="px-6 py-4 text-sm text-gray-500 dark:text-gray-400">{criterion.error}</td>
+                      </tr>
+                    ];
+                  }
+                  return criterion.spans.map((span, index) => (
+                    <tr key={`${criterion.id}-${index}`} className="hover:bg-gray-50 dark:hover:bg-gray-700">
+                      <td className="px-6 py-4 text-sm text-gray-900 dark:text-gray-100">{index === 0 && title}</td>
+                      <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900 dark:text-gray-100">
+                        {convertValue(span.start, 'length', 'SI').toFixed(2)} - {convertValue(span.end, 'length', 'SI').toFixed(2)}
+                        {span.cantilever && <span className="text-xs text-gray-500 dark:text-gray-400"> (cantilever)</span>}
+                      </td>
+                      <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900 dark:text-gray-100">
+                        {formatDeflection(span.deflection.value)}
+                      </td>
+                      <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900 dark:text-gray-100">
+                        {formatDeflection(span.limit)}
+                      </td>
+                      <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900 dark:text-gray-100">
+                        {span.utilisation.toFixed(3)}
+                      </td>
+                      <td className="px-6 py-4 whitespace-nowrap text-sm">
+                        <span className={`inline-block px-2 py-0.5 rounded text-xs font-semibold ${span.passed
+                          ? 'bg-green-100 text-green-800 dark:bg-green-900/40 dark:text-green-200'
+                          : 'bg-red-100 text-red-800 dark:bg-red-900/40 dark:text-red-200'}`}
+                        >
+                          {span.passed ? 'PASS' : 'FAIL'}
+                        </span>
+                      </td>
+                    </tr>
+                  ));
+                })}
+              </tbody>
+            </table>
+          </div>
+          <p className="text-xs text-gray-500 dark:text-gray-400 mt-2">
+            Limits are the smaller of span / N and the absolute limit. Cantilevers are checked at the free end against twice their length.
+          </p>
+        </div>
+      )}
+
       {/* Combined Results Table */}
       <div className="card">
         <h3 className="text-lg font-semibold text-gray-900 dark:text-white mb-4">Analysis Results (every 1 {getUnit('length')} interval)</h3>
@@ -114,6 +293,9 @@ const ResultsTables = ({ beamData, results }) => {
                   <th className="px-6 py-3 text-left text-xs font-medium text-red-700 dark:text-red-300 uppercase tracking-wider">
                     Deflection ({getUnit('deflection')})
                   </th>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-purple-700 dark:text-purple-300 uppercase tracking-wider">
+                    Rotation ({getUnit('rotation')})
+                  </th>
                 </tr>
               </thead>
               <tbody className="bg-white dark:bg-gray-800 divide-y divide-gray-200 dark:divide-gray-700">
@@ -137,6 +319,11 @@ const ResultsTables = ({ beamData, results }) => {
                         {row.deflection}
                       </span>
                     </td>
+                    <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900 dark:text-gray-100">
+                      <span className="text-purple-600 dark:text-purple-400">
+                        {row.rotation}
+                      </span>
+                    </td>
                   </tr>
                 ))}
               </tbody>
@@ -13,6 +13,11 @@ import {
 import { Line } from 'react-chartjs-2';
 import { useUnits } from '../../contexts/UnitContext';
 import { useTheme } from '../../contexts/ThemeContext';
+import { evaluatePiecewise } from '../../utils/piecewisePolynomials';
+import { calculateSectionProperties } from '../../utils/sectionProperties';
+import { calculatePolygonStresses } from '../../utils/polygonSection';
+import { getSectionAt } from '../../utils/stiffness';
+import TimberDesignChecks from './TimberDesignChecks';
 
 ChartJS.register(
   CategoryScale,
@@ -36,187 +41,144 @@ const StressAnalysis = ({ beamData, results }) => {
     setChartKey(prev => prev + 1);
   }, [isDarkMode]);
 
-  const calculateSectionProperties = () => {
-    const section = beamData.section || {};
-    let properties = {
-      area: 0,
-      momentOfInertia: beamData.materialProperties.I,
-      centroidHeight: 0,
-      maxDistanceFromCentroid: 0,
-      thickness: 0,
-      firstMomentOfArea: 0
-    };
-
-    switch (section.type) {
-      case 'rectangular':
-        const b = section.width || 0.3;
-        const h = section.height || 0.5;
-        properties.area = b * h;
-        properties.centroidHeight = h / 2;
-        properties.maxDistanceFromCentroid = h / 2;
-        properties.thickness = b;
-        properties.firstMomentOfArea = (b * h * h) / 8;
-        break;
-      case 'circular':
-        const d = section.diameter || 0.4;
-        const r = d / 2;
-        properties.area = Math.PI * r * r;
-        properties.centroidHeight = r;
-        properties.maxDistanceFromCentroid = r;
-        properties.thickness = d; // Diameter at neutral axis
-        properties.firstMomentOfArea = (2 * r * r * r) / 3;
-        break;
-      case 'i-beam':
-        const bf = section.flangeWidth || 0.2;
-        const tf = section.flangeThickness || 0.02;
-        const hw = section.webHeight || 0.4;
-        const tw = section.webThickness || 0.01;
-        const totalHeight = hw + 2 * tf;
-        properties.area = 2 * bf * tf + tw * hw;
-        properties.centroidHeight = totalHeight / 2;
-        properties.maxDistanceFromCentroid = totalHeight / 2;
-        properties.thickness = tw; // Web thickness
-        properties.firstMomentOfArea = bf * tf * (totalHeight / 2 - tf / 2);
-        break;
-      case 't-beam':
-        const bfT = section.flangeWidth || 0.3;
-        const tfT = section.flangeThickness || 0.05;
-        const hwT = section.webHeight || 0.4;
-        const twT = section.webThickness || 0.02;
-        const totalHeightT = hwT + tfT;
-        
-        const A1 = bfT * tfT;
-        const A2 = twT * hwT;
-        const y1 = totalHeightT - tfT / 2;
-        const y2 = hwT / 2;
-        const yBar = (A1 * y1 + A2 * y2) / (A1 + A2);
-        
-        properties.area = A1 + A2;
-        properties.centroidHeight = yBar;
-        properties.maxDistanceFromCentroid = Math.max(yBar, totalHeightT - yBar);
-        properties.thickness = twT;
-        properties.firstMomentOfArea = A1 * Math.abs(y1 - yBar);
-        break;
-      default:
-        properties.area = 0.15;
-        properties.centroidHeight = 0.25;
-        properties.maxDistanceFromCentroid = 0.25;
-        properties.thickness = 0.3;
-        properties.firstMomentOfArea = 0.01;
-    }
-
-    return properties;
+  // Same properties as the section and stress tabs and the PDF report
+  const sectionProps = calculateSectionProperties(beamData.section);
+
+  // Non-prismatic segments have their own section, which changes at every
+  // point of a taper
+  const segmentPropsCache = new Map();
+  const sectionPropsAt = (position) => {
+    const { section, segment } = getSectionAt(beamData, position);
+    if (!segment) return sectionProps;
+    const key = JSON.stringify(section);
+    if (!segmentPropsCache.has(key)) segmentPropsCache.set(key, calculateSectionProperties(section));
+    const properties = segmentPropsCache.get(key);
+    return properties.error ? sectionProps : properties;
   };
 
   const calculateStresses = () => {
-    if (results.shearForce.x.length === 0) return { bendingStress: [], shearStress: [] };
+    if (results.shearForce.x.length === 0) return { bendingStress: [], shearStress: [], combinedStress: [] };
 
-    const sectionProps = calculateSectionProperties();
     const bendingStress = [];
     const shearStress = [];
+    const combinedStress = [];
 
     for (let i = 0; i < results.shearForce.x.length; i++) {
       const moment = results.bendingMoment.y[i];
       const shearForce = results.shearForce.y[i];
+      const axialForce = results.axialForce?.y[i] || 0;
+      const props = sectionPropsAt(results.shearForce.x[i]);
 
       // Bending stress (maximum at extreme fiber)
-      const maxBendingStress = Math.abs(moment * sectionProps.maxDistanceFromCentroid / sectionProps.momentOfInertia);
+      const maxBendingStress = Math.abs(moment * props.stressDistance / props.momentOfInertia);
       
       // Shear stress (maximum at neutral axis for most sections)
-      const maxShearStress = Math.abs(shearForce * sectionProps.firstMomentOfArea / (sectionProps.momentOfInertia * sectionProps.thickness));
+      const maxShearStress = Math.abs(shearForce * props.firstMomentOfArea / (props.momentOfInertia * props.thickness));
+
+      // Axial stress adds to the bending stress of the same sign at one extreme fiber
+      const axialStress = props.area > 0 ? axialForce / props.area : 0;
 
       bendingStress.push(maxBendingStress);
       shearStress.push(maxShearStress);
+      combinedStress.push(Math.abs(axialStress) + maxBendingStress);
     }
 
-    return { bendingStress, shearStress };
+    return { bendingStress, shearStress, combinedStress };
   };
 
   const calculateStressAtPosition = (position) => {
-    if (results.shearForce.x.length === 0) return { bendingStress: 0, shearStress: 0, moment: 0, shearForce: 0 };
-
-    // Find the closest index to the analysis position
-    const index = results.shearForce.x.findIndex(x => x >= position);
-    const actualIndex = index === -1 ? results.shearForce.x.length - 1 : index;
+    if (results.shearForce.x.length === 0) {
+      return { bendingStress: 0, shearStress: 0, axialStress: 0, combinedStress: 0, moment: 0, signedMoment: 0, shearForce: 0, axialForce: 0 };
+    }
 
-    const sectionProps = calculateSectionProperties();
-    const moment = results.bendingMoment.y[actualIndex];
-    const shearForce = results.shearForce.y[actualIndex];
+    // Evaluate the exact diagrams at the analysis position
+    const moment = evaluatePiecewise(results.segments, 'moment', position);
+    const shearForce = evaluatePiecewise(results.segments, 'shear', position);
+    const axialForce = evaluatePiecewise(results.segments, 'axial', position);
+    const props = sectionPropsAt(position);
 
-    const maxBendingStress = Math.abs(moment * sectionProps.maxDistanceFromCentroid / sectionProps.momentOfInertia);
-    const maxShearStress = Math.abs(shearForce * sectionProps.firstMomentOfArea / (sectionProps.momentOfInertia * sectionProps.thickness));
+    const maxBendingStress = Math.abs(moment * props.stressDistance / props.momentOfInertia);
+    const maxShearStress = Math.abs(shearForce * props.firstMomentOfArea / (props.momentOfInertia * props.thickness));
+    const axialStress = props.area > 0 ? axialForce / props.area : 0;
 
     return {
       bendingStress: maxBendingStress,
       shearStress: maxShearStress,
+      axialStress,
+      combinedStress: Math.abs(axialStress) + maxBendingStress,
       moment: Math.abs(moment),
-      shearForce: Math.abs(shearForce)
+      signedMoment: moment,
+      shearForce: Math.abs(shearForce),
+      axialForce
     };
   };
 
   const generateCrossSectionStressDistribution = (position) => {
     const stressAtPos = calculateStressAtPosition(position);
-    const sectionProps = calculateSectionProperties();
+    const props = sectionPropsAt(position);
     const points = 50;
-    const distribution = [];
-    const section = beamData.section || {};
 
-    // Generate stress distribution across the height of the section
-    for (let i = 0; i <= points; i++) {
-      const y = (i / points) * (2 * sectionProps.maxDistanceFromCentroid) - sectionProps.maxDistanceFromCentroid;
-      
-      // Bending stress varies linearly from neutral axis: σ = M*y/I
-      const bendingStress = stressAtPos.moment * y / sectionProps.momentOfInertia;
-      
-      // Shear stress calculation: τ = V*Q/(I*b)
-      let shearStress = 0;
-      if (section.type === 'rectangular' || !section.type) {
-        const h = section.height || 0.5; // Total height
-        const b = section.width || 0.3;  // Width
-        const I = sectionProps.momentOfInertia;
-        const V = stressAtPos.shearForce;
-        
-        // For rectangular section: Q = b * (h²/8 - y²) / 2
-        // But we need Q for the area above point y from neutral axis
-        const yFromTop = h/2 - y; // Distance from top of beam
-        const areaAbove = b * yFromTop; // Area above the point
-        const centroidOfAreaAbove = yFromTop / 2; // Centroid of area above from the point
-        const Q = areaAbove * (y + centroidOfAreaAbove); // First moment of area above
-        
-        // Shear stress: τ = VQ/(Ib)
-        if (Math.abs(y) < h/2) { // Only within the beam height
-          shearStress = Math.abs(V * Q / (I * b));
-        }
-      } else {
-        // Simplified for other sections - maximum at neutral axis
-        shearStress = stressAtPos.shearForce * (1 - Math.abs(y) / sectionProps.maxDistanceFromCentroid) / sectionProps.area;
-      }
+    // τ(y) = V·Q(y) / (I·b(y)) from the true geometry, evaluated on both
+    // sides of every width jump such as a flange-web junction
+    if (props.geometry) {
+      const geometry = { ...props.geometry, Ix: props.momentOfInertia, area: props.area };
+      return calculatePolygonStresses(geometry, {
+        moment: stressAtPos.signedMoment,
+        shear: stressAtPos.shearForce,
+        axial: stressAtPos.axialForce
+      }, points).map(level => ({
+        y: level.y,
+        // Same sign as before: |M|·y / I, scaled by n in composite sections
+        bendingStress: -Math.sign(stressAtPos.signedMoment) * level.bendingStress,
+        shearStress: level.shearStress,
+        combinedStress: level.combinedStress
+      }));
+    }
 
+    // A custom section has no geometry: a parabola through its indicative
+    // peak shear stress
+    const c = props.maxDistanceFromCentroid;
+    const distribution = [];
+    for (let i = 0; i <= points; i++) {
+      const y = (i / points) * 2 * c - c;
       distribution.push({
-        y: y,
-        bendingStress: bendingStress,
-        shearStress: Math.max(0, shearStress)
+        y,
+        bendingStress: stressAtPos.moment * y / props.momentOfInertia,
+        shearStress: stressAtPos.shearStress * (1 - (y / c) ** 2),
+        // Tension positive: sagging moment compresses the fibres above the neutral axis
+        combinedStress: stressAtPos.axialStress - stressAtPos.signedMoment * y / props.momentOfInertia
       });
     }
-
     return distribution;
   };
 
-  const { bendingStress, shearStress } = calculateStresses();
+  if (sectionProps.error) {
+    return (
+      <div className="card p-6">
+        <p className="text-sm text-red-600 dark:text-red-400">Stresses cannot be calculated: {sectionProps.error}</p>
+      </div>
+    );
+  }
+
+  const { bendingStress, shearStress, combinedStress } = calculateStresses();
+  const hasAxialForce = (results.axialForce?.y || []).some(v => Math.abs(v) > 1e-9);
   const displayXCoords = results.shearForce.x.map(x => convertValue(x, 'length', 'SI'));
   const displayBendingStress = bendingStress.map(stress => convertValue(stress, 'stress', 'SI'));
   const displayShearStress = shearStress.map(stress => convertValue(stress, 'stress', 'SI'));
+  const displayCombinedStress = combinedStress.map(stress => convertValue(stress, 'stress', 'SI'));
 
   const stressAtAnalysisPoint = calculateStressAtPosition(analysisPosition);
   const crossSectionDistribution = generateCrossSectionStressDistribution(analysisPosition);
+  const analysisSectionType = getSectionAt(beamData, analysisPosition).section?.type || 'rectangular';
+  const shearPeak = crossSectionDistribution.reduce((best, point) => (point.shearStress > best.shearStress ? point : best), crossSectionDistribution[0]);
 
   // Chart options
-  const getChartOptions = (yAxisLabel) => ({
+  const getChartOptions = (yAxisLabel, showLegend = false) => ({
     responsive: true,
     maintainAspectRatio: false,
     plugins: {
       legend: {
-        display: false,
+        display: showLegend,
         labels: {
           color: isDarkMode ? '#e5e7eb' : '#374151'
         }
@@ -295,7 +257,7 @@ const StressAnalysis = ({ beamData, results }) => {
         borderColor: '#8b5cf6',
         backgroundColor: 'rgba(139, 92, 246, 0.2)',
         fill: true,
-        tension: 0.1,
+        tension: 0,
         pointRadius: 0,
         pointHoverRadius: 4,
       }
@@ -311,6 +273,22 @@ const StressAnalysis = ({ beamData, results }) => {
         borderColor: '#f59e0b',
         backgroundColor: 'rgba(245, 158, 11, 0.2)',
         fill: true,
+        tension: 0,
+        pointRadius: 0,
+        pointHoverRadius: 4,
+      }
+    ]
+  };
+
+  const combinedStressData = {
+    labels: displayXCoords.map(x => x.toFixed(2)),
+    datasets: [
+      {
+        label: `Combined Stress (${getUnit('stress')})`,
+        data: displayCombinedStress,
+        borderColor: '#f97316',
+        backgroundColor: 'rgba(249, 115, 22, 0.2)',
+        fill: true,
         tension: 0.1,
         pointRadius: 0,
         pointHoverRadius: 4,
@@ -331,9 +309,21 @@ const StressAnalysis = ({ beamData, results }) => {
         borderColor: '#8b5cf6',
         backgroundColor: 'rgba(139, 92, 246, 0.2)',
         fill: true,
-        tension: 0.1,
+        tension: 0,
         pointRadius: 0,
-      }
+      },
+      ...(hasAxialForce ? [{
+        label: `Axial + Bending (${getUnit('stress')})`,
+        data: crossSectionDistribution.map(point => ({
+          x: convertValue(point.combinedStress, 'stress', 'SI'),
+          y: convertValue(point.y, 'sectionLength', 'SI')
+        })),
+        borderColor: '#f97316',
+        backgroundColor: 'rgba(249, 115, 22, 0.1)',
+        fill: false,
+        tension: 0,
+        pointRadius: 0,
+      }] : [])
     ]
   };
 
@@ -349,7 +339,7 @@ const StressAnalysis = ({ beamData, results }) => {
         borderColor: '#f59e0b',
         backgroundColor: 'rgba(245, 158, 11, 0.2)',
         fill: true,
-        tension: 0.1,
+        tension: 0,
         pointRadius: 0,
       }
     ]
@@ -373,9 +363,12 @@ const StressAnalysis = ({ beamData, results }) => {
               key={`cross-bending-${chartKey}`}
               data={crossSectionBendingData} 
               options={{
-                ...getChartOptions(`Distance from Neutral Axis (${getUnit('length')})`),
+                ...getChartOptions(`Distance from Neutral Axis (${getUnit('length')})`, hasAxialForce),
+                // Profile over the depth: stress on a linear x axis, filled to zero stress
+                indexAxis: 'y',
                 scales: {
                   x: {
+                    type: 'linear',
                     display: true,
                     reverse: true,
                     title: {
@@ -395,6 +388,7 @@ const StressAnalysis = ({ beamData, results }) => {
                     }
                   },
                   y: {
+                    type: 'linear',
                     display: true,
                     position: 'right',
                     title: {
@@ -428,7 +422,7 @@ const StressAnalysis = ({ beamData, results }) => {
             {/* Section Preview */}
             <div className="mb-6">
               <svg width="200" height="200" viewBox="0 0 200 200" className="border border-gray-300 dark:border-gray-600 rounded">
-                {(beamData.section?.type || 'rectangular') === 'rectangular' && (
+                {analysisSectionType === 'rectangular' && (
                   <>
                     <rect
                       x="50"
@@ -470,7 +464,7 @@ const StressAnalysis = ({ beamData, results }) => {
                     </g>
                   </>
                 )}
-                {(beamData.section?.type) === 'circular' && (
+                {analysisSectionType === 'circular' && (
                   <>
                     <circle
                       cx="100"
@@ -494,7 +488,7 @@ const StressAnalysis = ({ beamData, results }) => {
                     />
                   </>
                 )}
-                {(beamData.section?.type) === 'i-beam' && (
+                {analysisSectionType === 'i-beam' && (
                   <>
                     <g className="text-blue-600 dark:text-blue-400" fill="none" stroke="currentColor" strokeWidth="2">
                       {/* Top flange */}
@@ -534,6 +528,16 @@ const StressAnalysis = ({ beamData, results }) => {
               <div className="text-xs text-gray-600 dark:text-gray-400">
                 V = {convertValue(stressAtAnalysisPoint.shearForce, 'force', 'SI').toFixed(2)} {getUnit('force')}
               </div>
+              {hasAxialForce && (
+                <>
+                  <div className="text-sm font-medium text-orange-700 dark:text-orange-300">
+                    Combined Axial + Bending: {convertValue(stressAtAnalysisPoint.combinedStress, 'stress', 'SI').toFixed(2)} {getUnit('stress')}
+                  </div>
+                  <div className="text-xs text-gray-600 dark:text-gray-400">
+                    N = {convertValue(stressAtAnalysisPoint.axialForce, 'force', 'SI').toFixed(2)} {getUnit('force')} {stressAtAnalysisPoint.axialForce >= 0 ? '(T)' : '(C)'}
+                  </div>
+                </>
+              )}
             </div>
           </div>
         </div>
@@ -544,15 +548,21 @@ const StressAnalysis = ({ beamData, results }) => {
             Shear Stress Distribution
           </h3>
           <div className="text-xs text-gray-500 dark:text-gray-400 mb-2 flex flex-col items-center">
+            <span>
+              τmax = {convertValue(shearPeak.shearStress, 'stress', 'SI').toFixed(3)} {getUnit('stress')} at {convertValue(shearPeak.y, 'sectionLength', 'SI').toFixed(1)} {getUnit('sectionLength')} from the neutral axis
+            </span>
           </div>
           <div className="h-96">
             <Line 
               key={`cross-shear-${chartKey}`}
               data={crossSectionShearData} 
               options={{
-                ...getChartOptions(`Distance from Neutral Axis (${getUnit('length')})`),
+                ...getChartOptions(`Distance from Neutral Axis (${getUnit('length')})`, hasAxialForce),
+                // Profile over the depth: stress on a linear x axis, filled to zero stress
+                indexAxis: 'y',
                 scales: {
                   x: {
+                    type: 'linear',
                     display: true,
                     title: {
                       display: true,
@@ -571,6 +581,7 @@ const StressAnalysis = ({ beamData, results }) => {
                     }
                   },
                   y: {
+                    type: 'linear',
                     display: true,
                     title: {
                       display: true,
@@ -672,6 +683,23 @@ const StressAnalysis = ({ beamData, results }) => {
         </div>
       </div>
 
+      {/* Combined Stress Diagram - only when inclined loads produce axial force */}
+      {hasAxialForce && (
+        <div className="card">
+          <h3 className="text-lg font-semibold text-gray-900 dark:text-white mb-4">Combined Axial + Bending Stress</h3>
+          <div className="h-80">
+            <Line 
+              key={`combined-${chartKey}`}
+              data={combinedStressData} 
+              options={getChartOptions(`Combined Stress (${getUnit('stress')})`)} 
+            />
+          </div>
+          <p className="text-xs text-gray-500 dark:text-gray-400 mt-2">
+            Maximum extreme-fibre stress |N|/A + |M|·c/I
+          </p>
+        </div>
+      )}
+
       {/* Shear Stress Diagram (SSD) - Fixed Axis */}
       <div className="card">
         <h3 className="text-lg font-semibold text-gray-900 dark:text-white mb-4">Shear Stress Diagram (SSD)</h3>
@@ -696,6 +724,14 @@ const StressAnalysis = ({ beamData, results }) => {
         </div>
       </div>
 
+      {/* Timber checks next to the stresses they come from */}
+      {beamData.design?.mode === 'timber' && (
+        <div className="space-y-4">
+          <h3 className="text-lg font-semibold text-gray-900 dark:text-white">Timber Design Checks (EN 1995-1-1)</h3>
+          <TimberDesignChecks beamData={beamData} results={results} />
+        </div>
+      )}
+
       {/* Stress Analysis Information */}
       <div className="card">
         <h3 className="text-lg font-semibold text-gray-900 dark:text-white mb-4">Stress Analysis Information</h3>
@@ -708,6 +744,7 @@ const StressAnalysis = ({ beamData, results }) => {
               <li>• Zero stress at the neutral axis</li>
               <li>• Formula: σ = M × y / I (where y is distance from neutral axis)</li>
               <li>• For rectangular beam: I = b × h³ / 12</li>
+              <li>• With axial force: σ = N / A ± M × y / I</li>
             </ul>
           </div>
           <div>
@@ -718,6 +755,7 @@ const StressAnalysis = ({ beamData, results }) => {
               <li>• Zero stress at extreme fibers</li>
               <li>• Formula: τ = V × Q / (I × b)</li>
               <li>• Q = first moment of area above the point</li>
+              <li>• τ jumps where the width b changes, e.g. from web to flange</li>
             </ul>
           </div>
         </div>
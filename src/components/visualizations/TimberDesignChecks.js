@@ -0,0 +1,368 @@
+import React, { useEffect, useMemo, useState } from 'react';
+import {
+  Chart as ChartJS,
+  CategoryScale,
+  LinearScale,
+  PointElement,
+  LineElement,
+  Title,
+  Tooltip,
+  Legend,
+  Filler
+} from 'chart.js';
+import { Line } from 'react-chartjs-2';
+import { useUnits } from '../../contexts/UnitContext';
+import { useTheme } from '../../contexts/ThemeContext';
+import { checkTimberMember, TIMBER_DESIGN_CODES, TIMBER_STRENGTH_CLASSES, SERVICE_CLASSES, LOAD_DURATION_CLASSES } from '../../utils/timberDesign';
+
+ChartJS.register(
+  CategoryScale,
+  LinearScale,
+  PointElement,
+  LineElement,
+  Title,
+  Tooltip,
+  Legend,
+  Filler
+);
+
+const TimberDesignChecks = ({ beamData, results }) => {
+  const { convertValue, getUnit } = useUnits();
+  const { isDarkMode } = useTheme();
+  const [chartKey, setChartKey] = useState(0);
+
+  // Force chart re-render when theme changes
+  useEffect(() => {
+    setChartKey(prev => prev + 1);
+  }, [isDarkMode]);
+
+  const settings = beamData.design.timber;
+  const check = useMemo(
+    () => checkTimberMember(beamData, results, settings),
+    [beamData, results, settings]
+  );
+
+  if (check.error) {
+    return (
+      <div className="card text-center text-red-600 dark:text-red-400">
+        <p className="text-sm">{check.error}</p>
+      </div>
+    );
+  }
+
+  const timber = TIMBER_STRENGTH_CLASSES[check.strengthClass];
+  const formatLength = (value) => `${convertValue(value, 'length', 'SI').toFixed(2)} ${getUnit('length')}`;
+  const formatStress = (value) => `${convertValue(value, 'stress', 'SI').toFixed(2)} ${getUnit('stress')}`;
+  const formatForce = (value) => `${convertValue(value, 'force', 'SI').toFixed(2)} ${getUnit('force')}`;
+  const formatDeflection = (value) => `${convertValue(value * 1000, 'deflection', 'SI').toFixed(2)} ${getUnit('deflection')}`; // m to mm first
+
+  const toPoints = (xValues, yValues, toDisplay = y => y) => yValues.map((y, i) => ({
+    x: convertValue(xValues[i], 'length', 'SI'),
+    y: toDisplay(y)
+  }));
+  const displayDeflection = (y) => convertValue(y * 1000, 'deflection', 'SI'); // Convert from m to mm first
+  const displayLength = convertValue(beamData.length, 'length', 'SI');
+
+  const chartOptions = (yAxisLabel, decimals, yScale) => ({
+    responsive: true,
+    maintainAspectRatio: false,
+    plugins: {
+      legend: {
+        display: true,
+        labels: {
+          color: isDarkMode ? '#e5e7eb' : '#374151'
+        }
+      },
+      tooltip: {
+        mode: 'index',
+        intersect: false,
+        backgroundColor: isDarkMode ? '#374151' : '#ffffff',
+        titleColor: isDarkMode ? '#e5e7eb' : '#374151',
+        bodyColor: isDarkMode ? '#e5e7eb' : '#374151',
+        borderColor: isDarkMode ? '#6b7280' : '#d1d5db',
+        borderWidth: 1,
+        callbacks: {
+          title: function(context) {
+            return `Position: ${context[0].parsed.x.toFixed(2)} ${getUnit('length')}`;
+          },
+          label: function(context) {
+            return `${context.dataset.label}: ${context.parsed.y.toFixed(decimals)}`;
+          }
+        }
+      },
+    },
+    scales: {
+      x: {
+        type: 'linear',
+        display: true,
+        min: 0,
+        max: displayLength,
+        title: {
+          display: true,
+          text: `Position along beam (${getUnit('length')})`,
+          color: isDarkMode ? '#e5e7eb' : '#374151'
+        },
+        grid: {
+          display: true,
+          color: isDarkMode ? 'rgba(255, 255, 255, 0.1)' : 'rgba(0, 0, 0, 0.1)'
+        },
+        ticks: {
+          color: isDarkMode ? '#d1d5db' : '#6b7280'
+        }
+      },
+      y: {
+        display: true,
+        ...yScale,
+        title: {
+          display: true,
+          text: yAxisLabel,
+          color: isDarkMode ? '#e5e7eb' : '#374151'
+        },
+        grid: {
+          display: true,
+          color: isDarkMode ? 'rgba(255, 255, 255, 0.1)' : 'rgba(0, 0, 0, 0.1)'
+        },
+        ticks: {
+          color: isDarkMode ? '#d1d5db' : '#6b7280'
+        }
+      }
+    },
+    interaction: {
+      mode: 'nearest',
+      axis: 'x',
+      intersect: false
+    }
+  });
+
+  const lineStyle = { tension: 0, pointRadius: 0, pointHoverRadius: 4 };
+
+  const utilisationData = {
+    datasets: [
+      {
+        label: 'Bending',
+        data: toPoints(check.utilisation.bending.x, check.utilisation.bending.y),
+        borderColor: '#10b981',
+        backgroundColor: 'rgba(16, 185, 129, 0.1)',
+        fill: true,
+        ...lineStyle
+      },
+      {
+        label: 'Shear',
+        data: toPoints(check.utilisation.shear.x, check.utilisation.shear.y),
+        borderColor: '#3b82f6',
+        backgroundColor: 'rgba(59, 130, 246, 0.1)',
+        fill: false,
+        ...lineStyle
+      },
+      {
+        label: 'Limit (1.0)',
+        data: [{ x: 0, y: 1 }, { x: displayLength, y: 1 }],
+        borderColor: '#ef4444',
+        borderDash: [6, 4],
+        borderWidth: 1.5,
+        fill: false,
+        pointRadius: 0,
+        pointHoverRadius: 0,
+      }
+    ]
+  };
+
+  const { deflection } = check;
+  const deflectionData = deflection && {
+    datasets: [
+      {
+        label: 'Instantaneous',
+        data: toPoints(deflection.x, deflection.instant, displayDeflection),
+        borderColor: '#8b5cf6',
+        backgroundColor: 'rgba(139, 92, 246, 0.1)',
+        fill: false,
+        ...lineStyle
+      },
+      {
+        label: 'Final (with creep)',
+        data: toPoints(deflection.finalX, deflection.final, displayDeflection),
+        borderColor: '#f59e0b',
+        backgroundColor: 'rgba(245, 158, 11, 0.1)',
+        fill: true,
+        ...lineStyle
+      }
+    ]
+  };
+
+  const { factors, properties } = check;
+  const factorRows = [
+    ['Section b × h', `${convertValue(properties.b, 'sectionLength', 'SI').toFixed(0)} × ${convertValue(properties.h, 'sectionLength', 'SI').toFixed(0)} ${getUnit('sectionLength')}`],
+    ['fm,k / fv,k / fc,90,k', `${formatStress(timber.fm)} / ${formatStress(timber.fv)} / ${formatStress(timber.fc90)}`],
+    ['E0,mean', formatStress(timber.E)],
+    ['γM', factors.gammaM.toFixed(2)],
+    ['kh (depth factor)', factors.kh.toFixed(3)],
+    ['kcr (cracks, shear)', factors.kcr.toFixed(2)],
+    ['kdef (creep)', factors.kdef.toFixed(2)]
+  ];
+
+  return (
+    <div className="space-y-6">
+      {/* Summary */}
+      <div className={`card ${check.passed
+        ? 'bg-green-50 dark:bg-green-900/20 border-green-200 dark:border-green-800'
+        : 'bg-red-50 dark:bg-red-900/20 border-red-200 dark:border-red-800'}`}
+      >
+        <div className="flex items-center justify-between">
+          <div>
+            <h3 className={`text-lg font-semibold ${check.passed ? 'text-green-900 dark:text-green-200' : 'text-red-900 dark:text-red-200'}`}>
+              {check.passed ? 'Timber member passes' : 'Timber member fails'}
+            </h3>
+            <p className="text-sm text-gray-600 dark:text-gray-300">
+              {TIMBER_DESIGN_CODES[check.code]}, {timber.label}, {SERVICE_CLASSES[check.serviceClass].toLowerCase()}. Design actions: {check.source}
+            </p>
+          </div>
+          <span className={`text-2xl font-bold ${check.passed ? 'text-green-700 dark:text-green-300' : 'text-red-700 dark:text-red-300'}`}>
+            {check.passed ? 'PASS' : 'FAIL'}
+          </span>
+        </div>
+      </div>
+
+      <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+        {check.checks.map(item => (
+          <div key={item.id} className="card">
+            <h4 className="font-semibold text-gray-900 dark:text-white mb-2">{item.label}</h4>
+            <div className={`text-2xl font-bold ${item.passed ? 'text-green-700 dark:text-green-300' : 'text-red-700 dark:text-red-300'}`}>
+              {item.value.toFixed(3)}
+            </div>
+            <div className="text-sm text-gray-600 dark:text-gray-400">
+              at position {formatLength(item.position)} • {item.passed ? 'OK' : 'exceeds 1.0'}
+            </div>
+            <div className="text-xs text-gray-500 dark:text-gray-400">{item.combination}</div>
+          </div>
+        ))}
+      </div>
+
+      <div className="card">
+        <h3 className="text-lg font-semibold text-gray-900 dark:text-white mb-4">Timber Utilisation</h3>
+        <div className="h-64">
+          <Line key={`timber-utilisation-${chartKey}`} data={utilisationData} options={chartOptions('Utilisation', 3, { min: 0, suggestedMax: 1.2 })} />
+        </div>
+        <p className="text-xs text-gray-500 dark:text-gray-400 mt-2">
+          Largest stress over all combinations divided by its design strength, each combination with its own kmod.
+        </p>
+      </div>
+
+      <div className="card">
+        <h3 className="text-lg font-semibold text-gray-900 dark:text-white mb-4">Strength by Combination</h3>
+        <div className="overflow-x-auto">
+          <table className="w-full text-sm">
+            <thead>
+              <tr className="border-b border-gray-200 dark:border-gray-700 text-gray-600 dark:text-gray-400">
+                <th className="py-1 text-left font-medium">Combination</th>
+                <th className="py-1 text-left font-medium">Duration</th>
+                <th className="py-1 text-right font-medium">kmod</th>
+                <th className="py-1 text-right font-medium">fm,d</th>
+                <th className="py-1 text-right font-medium">Bending</th>
+                <th className="py-1 text-right font-medium">Shear</th>
+                <th className="py-1 text-right font-medium">Bearing</th>
+              </tr>
+            </thead>
+            <tbody>
+              {check.combinations.map(combination => (
+                <tr key={combination.id} className="border-b border-gray-100 dark:border-gray-700 last:border-b-0 text-gray-900 dark:text-white">
+                  <td className="py-1">{combination.label}</td>
+                  <td className="py-1">{LOAD_DURATION_CLASSES[combination.duration]}</td>
+                  <td className="py-1 text-right">{combination.kmod.toFixed(2)}</td>
+                  <td className="py-1 text-right">{formatStress(combination.strengths.bending)}</td>
+                  <td className="py-1 text-right">{combination.bending.value.toFixed(3)}</td>
+                  <td className="py-1 text-right">{combination.shear.value.toFixed(3)}</td>
+                  <td className="py-1 text-right">{Math.max(0, ...combination.bearing.map(support => support.utilisation)).toFixed(3)}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      </div>
+
+      {deflection && (
+        <div className="card">
+          <h3 className="text-lg font-semibold text-gray-900 dark:text-white mb-4">Timber Deflection</h3>
+          <div className="h-64">
+            <Line key={`timber-deflection-${chartKey}`} data={deflectionData} options={chartOptions(`Deflection (${getUnit('deflection')})`, 2, {})} />
+          </div>
+          <div className="mt-4 overflow-x-auto">
+            <table className="w-full text-sm">
+              <thead>
+                <tr className="border-b border-gray-200 dark:border-gray-700 text-gray-600 dark:text-gray-400">
+                  <th className="py-1 text-left font-medium">Span</th>
+                  <th className="py-1 text-right font-medium">Instantaneous / limit</th>
+                  <th className="py-1 text-right font-medium">Final / limit</th>
+                </tr>
+              </thead>
+              <tbody>
+                {deflection.spans.map(span => (
+                  <tr key={span.start} className="border-b border-gray-100 dark:border-gray-700 last:border-b-0 text-gray-900 dark:text-white">
+                    <td className="py-1">
+                      {formatLength(span.start)} - {formatLength(span.end)}{span.cantilever ? ' (cantilever, 2L)' : ''}
+                    </td>
+                    <td className="py-1 text-right">{formatDeflection(span.instant.value)} / {formatDeflection(span.instantLimit)}</td>
+                    <td className="py-1 text-right">{formatDeflection(span.final.value)} / {formatDeflection(span.finalLimit)}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+          <p className="text-xs text-gray-500 dark:text-gray-400 mt-2">
+            All load cases at full value with the E0,mean of the strength class. The final deflection adds creep, kdef times the quasi-permanent (ψ2) part of each case.
+          </p>
+        </div>
+      )}
+
+      <div className="grid grid-cols-1 lg:grid-cols-2 gap-4">
+        <div className="card">
+          <h3 className="text-lg font-semibold text-gray-900 dark:text-white mb-4">Material and Factors</h3>
+          <table className="w-full text-sm">
+            <tbody>
+              {factorRows.map(([label, value]) => (
+                <tr key={label} className="border-b border-gray-100 dark:border-gray-700 last:border-b-0">
+                  <td className="py-1 text-gray-600 dark:text-gray-400">{label}</td>
+                  <td className="py-1 text-right font-medium text-gray-900 dark:text-white">{value}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+        <div className="card">
+          <h3 className="text-lg font-semibold text-gray-900 dark:text-white mb-4">Bearing</h3>
+          <table className="w-full text-sm">
+            <thead>
+              <tr className="border-b border-gray-200 dark:border-gray-700 text-gray-600 dark:text-gray-400">
+                <th className="py-1 text-left font-medium">Support</th>
+                <th className="py-1 text-right font-medium">Bearing length</th>
+                <th className="py-1 text-right font-medium">Largest reaction</th>
+              </tr>
+            </thead>
+            <tbody>
+              {check.bearingLengths.map((length, j) => {
+                const force = Math.max(...check.combinations.map(c => Math.abs(c.bearing[j].force)));
+                return (
+                  <tr key={j} className="border-b border-gray-100 dark:border-gray-700 last:border-b-0 text-gray-900 dark:text-white">
+                    <td className="py-1">{formatLength(check.combinations[0].bearing[j].position)}</td>
+                    <td className="py-1 text-right">{convertValue(length, 'sectionLength', 'SI').toFixed(0)} {getUnit('sectionLength')}</td>
+                    <td className="py-1 text-right">{formatForce(force)}</td>
+                  </tr>
+                );
+              })}
+            </tbody>
+          </table>
+        </div>
+      </div>
+
+      {check.notes.length > 0 && (
+        <div className="bg-yellow-50 dark:bg-yellow-900/20 border border-yellow-200 dark:border-yellow-800 rounded-lg p-4">
+          <h4 className="text-sm font-medium text-yellow-800 dark:text-yellow-200 mb-1">Limitations</h4>
+          <ul className="list-disc list-inside text-sm text-yellow-700 dark:text-yellow-300 space-y-1">
+            {check.notes.map(note => <li key={note}>{note}</li>)}
+          </ul>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default TimberDesignChecks;
@@ -10,6 +10,14 @@ export const useUnits = () => {
   return context;
 };
 
+// Rotations are stored in radians; the display unit can be chosen
+// independently of the unit system
+export const ROTATION_UNITS = {
+  rad: { unit: 'rad', factor: 1 },
+  mrad: { unit: 'mrad', factor: 1000 },
+  deg: { unit: '°', factor: 180 / Math.PI }
+};
+
 // Unit conversion factors and labels
 export const UNIT_SYSTEMS = {
   SI: {
@@ -23,7 +31,13 @@ export const UNIT_SYSTEMS = {
     distributedLoad: { unit: 'kN/m', factor: 1 },
     area: { unit: 'm²', factor: 1 },
     firstMoment: { unit: 'm³', factor: 1 },
-    sectionLength: { unit: 'mm', factor: 1000 }
+    sectionLength: { unit: 'mm', factor: 1000 },
+    subgradeModulus: { unit: 'kN/m³', factor: 1 },
+    springStiffness: { unit: 'kN/m', factor: 1 },
+    rotationalStiffness: { unit: 'kNm/rad', factor: 1 },
+    temperature: { unit: '°C', factor: 1 },
+    density: { unit: 'kg/m³', factor: 1 },
+    rotation: ROTATION_UNITS.mrad
   },
   FPS: {
     name: 'FPS (Imperial)',
@@ -36,7 +50,13 @@ export const UNIT_SYSTEMS = {
     distributedLoad: { unit: 'kip/ft', factor: 0.0685218 },
     area: { unit: 'ft²', factor: 10.7639 },
     firstMoment: { unit: 'ft³', factor: 35.3147 },
-    sectionLength: { unit: 'in', factor: 39.3701 }
+    sectionLength: { unit: 'in', factor: 39.3701 },
+    subgradeModulus: { unit: 'kip/ft³', factor: 0.00636588 },
+    springStiffness: { unit: 'kip/ft', factor: 0.0685218 },
+    rotationalStiffness: { unit: 'kip-ft/rad', factor: 0.737562 },
+    temperature: { unit: '°F', factor: 1.8 },
+    density: { unit: 'lb/ft³', factor: 0.0624280 },
+    rotation: ROTATION_UNITS.rad
   }
 };
 
@@ -46,10 +66,21 @@ export const UnitProvider = ({ children }) => {
     return saved || 'SI';
   });
 
+  // Empty means the unit system's default rotation unit
+  const [rotationUnit, setRotationUnit] = useState(() => {
+    return localStorage.getItem('rotationUnit') || '';
+  });
+
   useEffect(() => {
     localStorage.setItem('unitSystem', unitSystem);
   }, [unitSystem]);
 
+  useEffect(() => {
+    localStorage.setItem('rotationUnit', rotationUnit);
+  }, [rotationUnit]);
+
+  const currentRotationUnit = ROTATION_UNITS[rotationUnit] || UNIT_SYSTEMS[unitSystem].rotation;
+
   const toggleUnitSystem = () => {
     setUnitSystem(prev => prev === 'SI' ? 'FPS' : 'SI');
   };
@@ -69,9 +100,13 @@ export const UnitProvider = ({ children }) => {
   };
 
   const getUnit = (type) => {
+    if (type === 'rotation') return currentRotationUnit.unit;
     return UNIT_SYSTEMS[unitSystem][type]?.unit || '';
   };
 
+  // Radians to the selected rotation unit
+  const convertRotation = (radians) => radians * currentRotationUnit.factor;
+
   const formatValue = (value, type, precision = 3) => {
     const convertedValue = convertValue(value, type);
     const unit = getUnit(type);
@@ -84,6 +119,9 @@ export const UnitProvider = ({ children }) => {
       setUnitSystem,
       toggleUnitSystem,
       convertValue,
+      convertRotation,
+      rotationUnit,
+      setRotationUnit,
       getUnit,
       formatValue,
       units: UNIT_SYSTEMS[unitSystem]
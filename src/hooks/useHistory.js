@@ -0,0 +1,83 @@
+import { useReducer, useCallback } from 'react';
+
+// State with an undo/redo history. Consecutive updates with the same
+// coalesce key inside COALESCE_WINDOW_MS merge into one step, so typing a
+// number is undone as a whole rather than digit by digit.
+
+const HISTORY_LIMIT = 100;
+const COALESCE_WINDOW_MS = 1000;
+
+const createHistory = (present) => ({
+  past: [],
+  present,
+  future: [],
+  lastKey: null,
+  lastTime: 0
+});
+
+const historyReducer = (state, action) => {
+  switch (action.type) {
+    case 'set': {
+      const next = typeof action.updater === 'function' ? action.updater(state.present) : action.updater;
+      if (next === state.present) return state;
+
+      const coalesce = action.coalesceKey !== null &&
+        action.coalesceKey === state.lastKey &&
+        action.time - state.lastTime < COALESCE_WINDOW_MS;
+
+      return {
+        past: coalesce ? state.past : [...state.past, state.present].slice(-HISTORY_LIMIT),
+        present: next,
+        future: [],
+        lastKey: action.coalesceKey,
+        lastTime: action.time
+      };
+    }
+    case 'undo':
+      if (state.past.length === 0) return state;
+      return {
+        past: state.past.slice(0, -1),
+        present: state.past[state.past.length - 1],
+        future: [state.present, ...state.future],
+        lastKey: null,
+        lastTime: 0
+      };
+    case 'redo':
+      if (state.future.length === 0) return state;
+      return {
+        past: [...state.past, state.present],
+        present: state.future[0],
+        future: state.future.slice(1),
+        lastKey: null,
+        lastTime: 0
+      };
+    case 'reset':
+      return createHistory(action.present);
+    default:
+      return state;
+  }
+};
+
+export const useHistory = (initialPresent) => {
+  const [state, dispatch] = useReducer(historyReducer, initialPresent, (init) => (
+    createHistory(typeof init === 'function' ? init() : init)
+  ));
+
+  // coalesceKey: null always records a separate step
+  const set = useCallback((updater, coalesceKey = null) => {
+    dispatch({ type: 'set', updater, coalesceKey, time: Date.now() });
+  }, []);
+  const undo = useCallback(() => dispatch({ type: 'undo' }), []);
+  const redo = useCallback(() => dispatch({ type: 'redo' }), []);
+  const reset = useCallback((present) => dispatch({ type: 'reset', present }), []);
+
+  return {
+    present: state.present,
+    set,
+    undo,
+    redo,
+    reset,
+    canUndo: state.past.length > 0,
+    canRedo: state.future.length > 0
+  };
+};
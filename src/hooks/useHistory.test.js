@@ -0,0 +1,99 @@
+import { renderHook, act } from '@testing-library/react';
+import { useHistory } from './useHistory';
+
+const startHistory = (initial = 0) => renderHook(() => useHistory(initial)).result;
+
+describe('useHistory', () => {
+  let now;
+
+  beforeEach(() => {
+    now = 0;
+    jest.spyOn(Date, 'now').mockImplementation(() => now);
+  });
+
+  afterEach(() => jest.restoreAllMocks());
+
+  test('undoes and redoes separate steps', () => {
+    const history = startHistory();
+
+    act(() => history.current.set(1));
+    act(() => history.current.set(value => value + 1));
+    act(() => history.current.undo());
+    expect(history.current.present).toBe(1);
+    expect(history.current.canRedo).toBe(true);
+
+    act(() => history.current.redo());
+    expect(history.current.present).toBe(2);
+    expect(history.current.canRedo).toBe(false);
+  });
+
+  test('a new update drops the redo steps', () => {
+    const history = startHistory();
+
+    act(() => history.current.set(1));
+    act(() => history.current.undo());
+    act(() => history.current.set(5));
+
+    expect(history.current.canRedo).toBe(false);
+    expect(history.current.canUndo).toBe(true);
+  });
+
+  test('coalesces quick updates with the same key into one step', () => {
+    const history = startHistory();
+
+    ['1', '12', '123'].forEach((value, i) => {
+      now = i * 300;
+      act(() => history.current.set(Number(value), 'length'));
+    });
+    act(() => history.current.undo());
+
+    expect(history.current.present).toBe(0);
+    expect(history.current.canUndo).toBe(false);
+  });
+
+  test('records a new step after a pause or another key', () => {
+    const history = startHistory();
+
+    act(() => history.current.set(1, 'length'));
+    now = 2000;
+    act(() => history.current.set(2, 'length'));
+    act(() => history.current.set(3, 'width'));
+
+    act(() => history.current.undo());
+    expect(history.current.present).toBe(2);
+    act(() => history.current.undo());
+    expect(history.current.present).toBe(1);
+  });
+
+  test('an unchanged value records no step', () => {
+    const history = startHistory();
+
+    act(() => history.current.set(value => value));
+
+    expect(history.current.canUndo).toBe(false);
+  });
+
+  test('keeps at most 100 steps', () => {
+    const history = startHistory();
+
+    for (let i = 1; i <= 105; i++) {
+      act(() => history.current.set(i));
+    }
+    for (let i = 0; i < 105; i++) {
+      act(() => history.current.undo());
+    }
+
+    expect(history.current.present).toBe(5);
+    expect(history.current.canUndo).toBe(false);
+  });
+
+  test('reset starts a new history', () => {
+    const history = startHistory();
+
+    act(() => history.current.set(1));
+    act(() => history.current.reset(10));
+
+    expect(history.current.present).toBe(10);
+    expect(history.current.canUndo).toBe(false);
+  });
+});
@@ -0,0 +1,85 @@
+import { useState, useEffect, useRef, useCallback } from 'react';
+import { runWorkerTask, getTaskError } from '../utils/workerTasks';
+
+// One job of the analysis worker (see workerTasks.js) for a view. run(payload)
+// starts the job once debounceMs pass without another run, and cancels the
+// one still running; result holds the reply of the latest job until clear()
+// and stage its latest progress report. Without Web Workers the job runs on
+// the main thread.
+
+const createWorker = () => new Worker(new URL('../utils/analysis.worker.js', import.meta.url));
+
+export const useWorkerTask = (task, { debounceMs = 0 } = {}) => {
+  const [state, setState] = useState({ result: null, isRunning: false, stage: '' });
+  const workerRef = useRef(null);
+  const jobRef = useRef({ id: 0, running: false });
+  const timerRef = useRef(null);
+
+  useEffect(() => () => {
+    clearTimeout(timerRef.current);
+    workerRef.current?.terminate();
+    workerRef.current = null;
+  }, []);
+
+  const start = useCallback((payload) => {
+    const id = jobRef.current.id + 1;
+    const staleJobRunning = jobRef.current.running;
+    jobRef.current = { id, running: true };
+
+    if (typeof Worker === 'undefined') {
+      jobRef.current.running = false;
+      setState({ result: runWorkerTask(task, payload), isRunning: false, stage: '' });
+      return;
+    }
+    setState(prev => ({ ...prev, isRunning: true, stage: '' }));
+
+    // A busy worker cannot be interrupted, so replace it to cancel the stale job
+    if (workerRef.current && staleJobRunning) {
+      workerRef.current.terminate();
+      workerRef.current = null;
+    }
+
+    if (!workerRef.current) {
+      const worker = createWorker();
+      worker.onmessage = ({ data }) => {
+        if (data.id !== jobRef.current.id) return;
+        if (data.type === 'progress') {
+          setState(prev => ({ ...prev, stage: data.stage }));
+          return;
+        }
+        jobRef.current.running = false;
+        setState({ result: data.results, isRunning: false, stage: '' });
+      };
+      // An error event carries no job id: it belongs to the job last posted
+      worker.onerror = (event) => {
+        if (worker.jobId !== jobRef.current.id) return;
+        console.error(`Worker task "${task}" failed:`, event.message);
+        jobRef.current.running = false;
+        setState({ result: getTaskError(task, event.message), isRunning: false, stage: '' });
+      };
+      workerRef.current = worker;
+    }
+
+    workerRef.current.jobId = id;
+    workerRef.current.postMessage({ id, task, ...payload });
+  }, [task]);
+
+  const run = useCallback((payload) => {
+    clearTimeout(timerRef.current);
+    if (debounceMs > 0) {
+      timerRef.current = setTimeout(() => start(payload), debounceMs);
+    } else {
+      start(payload);
+    }
+  }, [start, debounceMs]);
+
+  // Forget the result; a pending run is dropped and so is a reply of the
+  // running job
+  const clear = useCallback(() => {
+    clearTimeout(timerRef.current);
+    jobRef.current = { ...jobRef.current, id: jobRef.current.id + 1 };
+    setState({ result: null, isRunning: false, stage: '' });
+  }, []);
+
+  return { ...state, run, clear };
+};
@@ -0,0 +1,221 @@
+// Full analysis pipeline, from beam data to the results shape the views use.
+// Runs inside the analysis worker, or on the main thread where workers are
+// not available.
+
+import {
+  calculateReactions,
+  calculateDiagrams,
+  calculateElasticCurve,
+  calculateBendingMoment,
+  calculateUnitLoadMoment,
+  calculateDeflection
+} from './calculations';
+import { sampleEnvelope } from './piecewisePolynomials';
+import { applyLoadFactors, getLoadCase, getLoadSetBeamData, getLoadSetLabel, hasSupportMovement } from './loadCombinations';
+import { getBeamStiffness, validateStiffnessSegments } from './stiffness';
+import { getFoundationStiffness, hasFoundation, validateFoundation } from './foundation';
+import { getSelfWeightLoads } from './selfWeight';
+import { getAxialStiffness, getThermalDeformations, hasThermalLoads, validateThermalLoads } from './thermal';
+
+export const createEmptyResults = (error) => ({
+  reactions: [],
+  shearForce: { x: [], y: [] },
+  bendingMoment: { x: [], y: [] },
+  axialForce: { x: [], y: [] },
+  deflection: { x: [], y: [] },
+  slope: { x: [], y: [] },
+  deflectionCheck: null,
+  envelope: null,
+  caseResults: null,
+  soilPressure: null,
+  segments: [],
+  ...(error ? { error } : {})
+});
+
+// Reactions, diagrams and elastic curve for one set of loads
+const analyseLoads = (beamData, resolution, onProgress = () => {}) => {
+  const segmentError = validateStiffnessSegments(beamData) || validateFoundation(beamData) || validateThermalLoads(beamData);
+  if (segmentError) {
+    return { error: segmentError };
+  }
+
+  // EI(x) of a non-prismatic beam also shares the load between the supports
+  const EI = getBeamStiffness(beamData);
+  const thermal = getThermalDeformations(beamData);
+
+  onProgress('Solving reactions');
+  const reactions = calculateReactions(
+    beamData.supports,
+    beamData.pointLoads,
+    beamData.distributedLoads,
+    beamData.moments,
+    beamData.length,
+    EI,
+    getFoundationStiffness(beamData),
+    thermal,
+    hasThermalLoads(beamData) ? getAxialStiffness(beamData) : 1
+  );
+
+  if (!reactions || reactions.error) {
+    return { error: reactions?.error };
+  }
+
+  // Exact piecewise polynomials, sampled with every jump and extreme. Soil
+  // pressure acts on the beam like any other distributed load.
+  onProgress('Building diagrams');
+  const diagrams = calculateDiagrams(
+    reactions,
+    beamData.supports,
+    beamData.pointLoads,
+    [...beamData.distributedLoads, ...reactions.soilLoads],
+    beamData.moments,
+    beamData.length,
+    resolution
+  );
+
+  // Slope and deflection by integrating M/EI twice
+  onProgress('Integrating deflection');
+  const curve = calculateElasticCurve(diagrams.segments, beamData.supports, EI, resolution, reactions.displacementConditions, thermal);
+
+  return {
+    reactions,
+    diagrams,
+    curve,
+    EI,
+    segments: curve.error ? diagrams.segments : curve.segments
+  };
+};
+
+// Max/min shear, moment and deflection over all load combinations, or null
+// when there are none (or one of them cannot be solved)
+const calculateEnvelope = (beamData, resolution) => {
+  const combinations = beamData.loadCombinations || [];
+  if (combinations.length === 0) return null;
+
+  const segmentSets = [];
+  for (const combination of combinations) {
+    const result = analyseLoads(applyLoadFactors(beamData, combination.factors), resolution);
+    if (result.error) return null;
+    segmentSets.push(result.segments);
+  }
+
+  const hasDeflection = segmentSets.every(segments => segments[0]?.deflection);
+  return {
+    shear: sampleEnvelope(segmentSets, 'shear', resolution, { closeEnds: true }),
+    moment: sampleEnvelope(segmentSets, 'moment', resolution, { closeEnds: true }),
+    deflection: hasDeflection ? sampleEnvelope(segmentSets, 'deflection', resolution) : null
+  };
+};
+
+// Reactions and polynomials of every load case that has loads, for design
+// checks that superpose the cases themselves; null if a case fails
+const calculateCaseResults = (beamData, resolution) => {
+  const caseIds = new Set([
+    ...(beamData.loadCases || []).map(loadCase => loadCase.id),
+    ...[...beamData.pointLoads, ...beamData.distributedLoads, ...beamData.moments, ...(beamData.thermalLoads || [])].map(getLoadCase),
+    ...beamData.supports.filter(hasSupportMovement).map(getLoadCase)
+  ]);
+
+  const caseResults = [];
+  for (const id of caseIds) {
+    const caseData = applyLoadFactors(beamData, { [id]: 1 });
+    const loadCount = caseData.pointLoads.length + caseData.distributedLoads.length + caseData.moments.length + caseData.thermalLoads.length;
+    if (loadCount === 0 && !caseData.supports.some(hasSupportMovement)) continue;
+
+    const result = analyseLoads(caseData, resolution);
+    if (result.error) return null;
+    caseResults.push({ id, reactions: result.reactions.reactions || [], segments: result.segments });
+  }
+  return caseResults;
+};
+
+/**
+ * options: { resolution, crossCheckDeflection, loadSet, loadCaseResults }
+ * loadSet: 'all', 'case:<id>' or 'combo:<id>' (see loadCombinations.js)
+ * loadCaseResults: also solve each load case on its own (caseResults)
+ * onProgress: optional callback receiving a short stage description
+ */
+export const runAnalysis = (input, { resolution, crossCheckDeflection = false, loadSet = 'all', loadCaseResults = false }, onProgress = () => {}) => {
+  // Self-weight joins the distributed loads, so load sets factor it by its case
+  const selfWeight = getSelfWeightLoads(input);
+  if (selfWeight.error) {
+    return createEmptyResults(selfWeight.error);
+  }
+  const model = { ...input, distributedLoads: [...input.distributedLoads, ...selfWeight] };
+  const beamData = getLoadSetBeamData(model, loadSet);
+  const result = analyseLoads(beamData, resolution, onProgress);
+
+  if (result.error) {
+    return createEmptyResults(result.error);
+  }
+
+  const { reactions, diagrams, curve, EI, segments } = result;
+
+  // Soil pressure in kN/m², compression positive
+  const soilPressure = hasFoundation(beamData)
+    ? {
+        x: reactions.soilLoads.flatMap(load => [load.startPos, load.endPos]),
+        y: reactions.soilLoads.flatMap(load => [load.startMag, load.endMag].map(w => w / beamData.foundation.width))
+      }
+    : null;
+
+  let deflectionCheck = null;
+  // The unit-load integral has no terms for the soil, springs, support
+  // movements or thermal curvature, so it is skipped for those
+  const elasticSupports = beamData.supports.some(s => s.type === 'Spring' || s.type === 'Rotational Spring' || hasSupportMovement(s));
+  if (crossCheckDeflection && !hasFoundation(beamData) && !elasticSupports && !hasThermalLoads(beamData)) {
+    // Independent O(n²) unit-load integration on a uniform grid
+    onProgress('Unit-load cross-check');
+    const { x: xCoordsMoment, moment } = calculateBendingMoment(
+      beamData.supports,
+      reactions.supportReactions || [],
+      reactions.supportMoments || [],
+      beamData.pointLoads,
+      beamData.distributedLoads,
+      beamData.moments,
+      beamData.length,
+      resolution
+    );
+
+    const { unitWeightMoments } = calculateUnitLoadMoment(
+      beamData.supports,
+      beamData.length,
+      resolution,
+      EI
+    );
+
+    const { deflections } = calculateDeflection(
+      xCoordsMoment,
+      moment,
+      unitWeightMoments,
+      beamData.length,
+      EI
+    );
+
+    deflectionCheck = { x: xCoordsMoment, y: deflections };
+  }
+
+  if ((model.loadCombinations || []).length > 0) onProgress('Combination envelope');
+  const envelope = calculateEnvelope(model, resolution);
+
+  let caseResults = null;
+  if (loadCaseResults) {
+    onProgress('Load case results');
+    caseResults = calculateCaseResults(model, resolution);
+  }
+
+  return {
+    reactions: reactions.reactions || [],
+    shearForce: { x: diagrams.x, y: diagrams.shear },
+    bendingMoment: { x: diagrams.x, y: diagrams.moment },
+    axialForce: { x: diagrams.x, y: diagrams.axial },
+    deflection: curve.error ? { x: [], y: [] } : { x: curve.x, y: curve.deflection },
+    slope: curve.error ? { x: [], y: [] } : { x: curve.x, y: curve.slope },
+    deflectionCheck,
+    envelope,
+    caseResults,
+    loadSet: { id: loadSet, label: getLoadSetLabel(model, loadSet) },
+    soilPressure,
+    segments
+  };
+};
@@ -0,0 +1,13 @@
+/* eslint-disable no-restricted-globals */
+// Analysis worker: runs the pipeline, or another job of workerTasks.js, off
+// the main thread. Every message carries the job id so the sender can drop
+// replies from stale jobs.
+
+import { runWorkerTask } from './workerTasks';
+
+self.onmessage = ({ data: { id, task = 'analysis', ...payload } }) => {
+  const results = runWorkerTask(task, payload, (stage) => {
+    self.postMessage({ id, type: 'progress', stage });
+  });
+  self.postMessage({ id, type: 'result', results });
+};
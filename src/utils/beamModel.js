@@ -0,0 +1,115 @@
+// Beam model defaults, shared by the app state and project file loading.
+// All values are stored in SI units (m, kN, kN/m, kNm, kN/m²).
+
+import { STANDARD_LOAD_CASES, hasSupportMovement } from './loadCombinations';
+import { DEFAULT_STEEL_DESIGN } from './steelDesign';
+import { DEFAULT_CONCRETE_DESIGN } from './concreteDesign';
+import { DEFAULT_TIMBER_DESIGN } from './timberDesign';
+import { DEFAULT_DEFLECTION_LIMITS } from './serviceability';
+import { DEFAULT_FOUNDATION, hasFoundation } from './foundation';
+import { DEFAULT_THERMAL_EXPANSION, hasThermalLoads } from './thermal';
+import { DEFAULT_DENSITY, DEFAULT_SELF_WEIGHT } from './selfWeight';
+
+export const SUPPORT_TYPES = ['Fixed', 'Hinge', 'Roller', 'Spring', 'Rotational Spring', 'Internal Hinge'];
+
+// Stiffness a support gets when it becomes a spring: kN/m or kNm/rad
+export const DEFAULT_SPRING_STIFFNESS = {
+  Spring: 10000,
+  'Rotational Spring': 10000
+};
+
+// Supports that can settle, i.e. hold the deflection rigidly
+export const SETTLING_TYPES = ['Fixed', 'Hinge', 'Roller', 'Rotational Spring'];
+
+// A support as another type, keeping the fields that still apply: spring
+// stiffnesses (defaulted when new), the settlement of a settling type and
+// the rotation of a Fixed support
+export const withSupportType = (support, type) => {
+  const { stiffness, rotationalStiffness, settlement, rotation, ...rest } = support;
+  const newSupport = { ...rest, type };
+  if (type === 'Spring') newSupport.stiffness = stiffness ?? DEFAULT_SPRING_STIFFNESS.Spring;
+  if (type === 'Rotational Spring') {
+    newSupport.rotationalStiffness = rotationalStiffness ?? DEFAULT_SPRING_STIFFNESS['Rotational Spring'];
+  }
+  if (SETTLING_TYPES.includes(type) && settlement) newSupport.settlement = settlement;
+  if (type === 'Fixed' && rotation) newSupport.rotation = rotation;
+  return newSupport;
+};
+
+/**
+ * Parts of a model whose deflections do not scale with 1/EI when E or the
+ * section changes, as short descriptions ([] when they all do). Checks that
+ * reuse the analysed deflections for another stiffness must refuse these.
+ */
+export const getStiffnessDependentFeatures = (beamData) => [
+  (beamData.stiffnessSegments || []).length > 0 && 'non-prismatic segments',
+  beamData.supports.some(s => s.type === 'Spring' || s.type === 'Rotational Spring') && 'spring supports',
+  hasFoundation(beamData) && 'an elastic foundation',
+  beamData.supports.some(hasSupportMovement) && 'support settlements',
+  hasThermalLoads(beamData) && 'thermal loads'
+].filter(Boolean);
+
+export const DESIGN_MODES = ['none', 'steel', 'concrete', 'timber'];
+
+export const createDefaultBeamData = () => ({
+  length: 10.0,
+  // { type, position, stiffness (kN/m, Spring), rotationalStiffness
+  // (kNm/rad, Rotational Spring), settlement (m downward), rotation (rad
+  // counter-clockwise, Fixed only), loadCase of the settlement and rotation }
+  supports: [{ type: 'Fixed', position: 0.0 }],
+  multiSpan: {
+    enabled: false,
+    spans: [] // Span lengths in m, supports sit at every span boundary
+  },
+  // Elastic (Winkler) foundation under the beam, see foundation.js
+  foundation: { ...DEFAULT_FOUNDATION, segments: [] },
+  pointLoads: [],
+  distributedLoads: [],
+  moments: [],
+  // Temperature changes in °C: { startPos, endPos, uniform, top, bottom,
+  // loadCase }, see thermal.js
+  thermalLoads: [],
+  // Self-weight from density and section area, see selfWeight.js
+  selfWeight: { ...DEFAULT_SELF_WEIGHT },
+  loadCases: STANDARD_LOAD_CASES.map(loadCase => ({ ...loadCase })),
+  loadCombinations: [], // { id, name, type: 'ULS' | 'SLS', factors: { [caseId]: factor } }
+  // { id, name, loadSet, spanRatio: N for span / N or null, absoluteLimit: m or null }
+  deflectionLimits: DEFAULT_DEFLECTION_LIMITS.map(criterion => ({ ...criterion })),
+  materialProperties: {
+    E: 2e8, // Young's modulus in kN/m²
+    I: 1e-4, // Moment of inertia in m⁴
+    alpha: DEFAULT_THERMAL_EXPANSION, // Coefficient of thermal expansion in 1/°C
+    density: DEFAULT_DENSITY // Density in kg/m³
+  },
+  section: {
+    type: 'rectangular',
+    width: 0.3,
+    height: 0.5
+  },
+  // Non-prismatic parts: { id, start, end, E, section, endDepth: depth in m
+  // at the segment end for a linear taper, or null }
+  stiffnessSegments: [],
+  stressAnalysis: {
+    showBendingStress: true,
+    showShearStress: true,
+    showStressDistribution: true,
+    showStressDiagrams: true,
+    showStressValues: true
+  },
+  design: {
+    mode: 'none',
+    steel: { ...DEFAULT_STEEL_DESIGN },
+    concrete: { ...DEFAULT_CONCRETE_DESIGN },
+    timber: {
+      ...DEFAULT_TIMBER_DESIGN,
+      durations: { ...DEFAULT_TIMBER_DESIGN.durations },
+      psi2: { ...DEFAULT_TIMBER_DESIGN.psi2 }
+    }
+  }
+});
+
+export const DEFAULT_ANALYSIS_SETTINGS = {
+  resolution: 100,
+  crossCheckDeflection: false,
+  loadSet: 'all'
+};
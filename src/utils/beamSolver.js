@@ -0,0 +1,518 @@
+// Direct stiffness (1D beam finite element) solver
+//
+// The beam is split into Euler-Bernoulli elements at every support, load and
+// hinge position, so the nodal solution is exact for point and linearly
+// varying loads. Each node carries a vertical translation (upward positive)
+// and a rotation (counter-clockwise positive); internal hinges get a separate
+// rotation on each side to release the moment.
+//
+// EI is a number for a prismatic beam, or the flexibility 1/EI(x) as
+// polynomial pieces (getBeamStiffness). Piece ends become nodes as well, and
+// each element's stiffness and fixed-end loads then come from integrating its
+// flexibility exactly, so non-prismatic beams stay exact too.
+//
+// An elastic foundation (getFoundationStiffness) adds nodes at most
+// 1 / FOUNDATION_ELEMENTS of the beam apart. Between them the soil pressure
+// varies linearly with the nodal settlements; its consistent nodal loads
+// join the stiffness matrix, and the pressure is returned as soilLoads.
+//
+// A Spring support adds its stiffness k (kN/m) to the deflection of its node,
+// a Rotational Spring holds the deflection and adds kθ (kNm/rad) to the
+// rotation. Rigid supports can settle by a prescribed amount (downward
+// positive) and a Fixed support can also rotate (counter-clockwise positive);
+// these displacements are imposed on the restrained degrees of freedom.
+//
+// Thermal loads (getThermalDeformations) give the beam a free curvature over
+// part of its length; the moments that hold an element straight against it
+// become nodal loads. Their free strain loads the axial bar in solveAxial.
+
+import { evaluatePolynomial, integratePolynomial, multiplyPolynomials, shiftPolynomial } from './piecewisePolynomials';
+
+const POSITION_TOLERANCE = 1e-9;
+const PIVOT_TOLERANCE = 1e-12;
+const FOUNDATION_ELEMENTS = 100;
+
+// For inclined loads only the vertical component bends the beam
+export const getVerticalComponent = ({ magnitude, angle = 0, isInclined = false }) => {
+  return isInclined ? magnitude * Math.cos(angle * Math.PI / 180) : magnitude;
+};
+
+// Horizontal component, rightward positive, matching the LoadsTab arrow
+export const getHorizontalComponent = ({ magnitude, angle = 0, isInclined = false }) => {
+  return isInclined ? Math.abs(magnitude) * Math.sin(angle * Math.PI / 180) : 0;
+};
+
+// Supports that restrain axial (horizontal) movement
+const resistsHorizontal = (support) => ['Fixed', 'Hinge', 'Rotational Spring'].includes(support.type);
+
+// Supports that hold the deflection of the beam at their position
+const restrainsDeflection = (support) => support.type !== 'Internal Hinge' && support.type !== 'Spring';
+
+const clampPosition = (position, beamLength) => Math.min(Math.max(position, 0), beamLength);
+
+const collectNodePositions = (supports, pointLoads, distributedLoads, moments, beamLength, extraPositions = []) => {
+  const positions = [0, beamLength, ...extraPositions];
+  supports.forEach(({ position }) => positions.push(position));
+  pointLoads.forEach(({ position }) => positions.push(position));
+  distributedLoads.forEach(({ startPos, endPos }) => positions.push(startPos, endPos));
+  moments.forEach(({ position }) => positions.push(position));
+
+  const sorted = positions
+    .map(position => clampPosition(position, beamLength))
+    .sort((a, b) => a - b);
+
+  return sorted.filter((position, i) => i === 0 || position - sorted[i - 1] > POSITION_TOLERANCE);
+};
+
+const findNodeIndex = (nodes, position) => {
+  let closest = 0;
+  nodes.forEach((node, i) => {
+    if (Math.abs(node - position) < Math.abs(nodes[closest] - position)) {
+      closest = i;
+    }
+  });
+  return closest;
+};
+
+// Intensity of a linearly varying distributed load at x
+const loadIntensityAt = ({ startPos, endPos, startMag, endMag }, x) => {
+  if (endPos - startPos < POSITION_TOLERANCE) return startMag;
+  return startMag + (endMag - startMag) * ((x - startPos) / (endPos - startPos));
+};
+
+// Loads may be entered right-to-left; store them left-to-right
+const normalizeDistributedLoad = (load) => {
+  if (load.startPos <= load.endPos) return load;
+  return { ...load, startPos: load.endPos, endPos: load.startPos, startMag: load.endMag, endMag: load.startMag };
+};
+
+const elementStiffness = (L, EI) => {
+  const k = EI / Math.pow(L, 3);
+  return [
+    [12 * k, 6 * L * k, -12 * k, 6 * L * k],
+    [6 * L * k, 4 * L * L * k, -6 * L * k, 2 * L * L * k],
+    [-12 * k, -6 * L * k, 12 * k, -6 * L * k],
+    [6 * L * k, 2 * L * L * k, -6 * L * k, 4 * L * L * k]
+  ];
+};
+
+// Consistent nodal loads for an upward load varying linearly from w1 to w2
+const elementLoadVector = (L, w1, w2) => [
+  L * (7 * w1 + 3 * w2) / 20,
+  L * L * (3 * w1 + 2 * w2) / 60,
+  L * (3 * w1 + 7 * w2) / 20,
+  -L * L * (2 * w1 + 3 * w2) / 60
+];
+
+// Nodal loads that hold a prismatic element straight against a free curvature
+const elementCurvatureLoads = (L, EI, curvature) => [0, -EI * curvature, 0, EI * curvature];
+
+// Foundation nodes, evenly spaced over each piece with soil contact
+const foundationPositions = (foundation, beamLength) => foundation.flatMap(piece => {
+  if (!(piece.modulus > 0)) return [piece.start, piece.end];
+  const count = Math.max(1, Math.ceil((piece.end - piece.start) * FOUNDATION_ELEMENTS / beamLength));
+  return Array.from({ length: count + 1 }, (_, i) => piece.start + (piece.end - piece.start) * i / count);
+});
+
+const foundationModulusAt = (foundation, x) => {
+  const piece = foundation.find(p => x >= p.start - POSITION_TOLERANCE && x <= p.end + POSITION_TOLERANCE);
+  return piece ? piece.modulus : 0;
+};
+
+// ∫₀ᴸ p(t) dt
+const integrateOver = (coeffs, L) => evaluatePolynomial(integratePolynomial(coeffs), L);
+
+const multiplyMatrices = (a, b) => a.map(row => b[0].map((_, c) => row.reduce((sum, v, k) => sum + v * b[k][c], 0)));
+
+// Stiffness and consistent nodal loads of an element with flexibility f(t),
+// for an upward load varying linearly from w1 to w2 and a free (thermal)
+// curvature. With end i clamped, the forces [P, M] at end j give
+// [v, θ] = [[F2, F1], [F1, F0]]·[P, M] with Fn = ∫f·(L - t)ⁿ, and
+// equilibrium carries them to end i.
+const flexibleElement = (L, f, w1, w2, curvature = 0) => {
+  const arm = [L, -1];
+  const F0 = integrateOver(f, L);
+  const F1 = integrateOver(multiplyPolynomials(f, arm), L);
+  const F2 = integrateOver(multiplyPolynomials(f, multiplyPolynomials(arm, arm)), L);
+  const det = F0 * F2 - F1 * F1;
+  const kjj = [[F0 / det, -F1 / det], [-F1 / det, F2 / det]];
+  const T = [[-1, 0], [-L, -1], [1, 0], [0, 1]];
+  const Tt = [[-1, -L, 1, 0], [0, -1, 0, 1]];
+  const stiffness = multiplyMatrices(multiplyMatrices(T, kjj), Tt);
+
+  // Sagging moment M0(t) = ∫ₜᴸ w(s)·(s - t) ds of the load on the cantilever
+  const w = [w1, (w2 - w1) / L];
+  const P0 = integratePolynomial(w);
+  const P1 = integratePolynomial(multiplyPolynomials(w, [0, 1]));
+  const W = evaluatePolynomial(P0, L);
+  const Ws = evaluatePolynomial(P1, L);
+  const M0 = [Ws, -W, 0, 0];
+  P1.forEach((c, i) => { M0[i] -= c; });
+  multiplyPolynomials(P0, [0, 1]).forEach((c, i) => { M0[i] += c; });
+  const theta0 = integrateOver(multiplyPolynomials(f, M0), L) + curvature * L;
+  const v0 = integrateOver(multiplyPolynomials(multiplyPolynomials(f, M0), arm), L) + curvature * L * L / 2;
+
+  // End forces that hold end j in place, then end i by equilibrium
+  const Pj = -(kjj[0][0] * v0 + kjj[0][1] * theta0);
+  const Mj = -(kjj[1][0] * v0 + kjj[1][1] * theta0);
+  const Pi = -Pj - W;
+  const Mi = -Mj - Pj * L - Ws;
+  return { stiffness, loads: [-Pi, -Mi, -Pj, -Mj] };
+};
+
+// Flexibility polynomial of the element starting at x, in its local t
+const elementFlexibility = (pieces, x) => {
+  const piece = pieces.find(p => x < p.end - POSITION_TOLERANCE) || pieces[pieces.length - 1];
+  return shiftPolynomial(piece.coeffs, x - piece.start);
+};
+
+// Gaussian elimination with partial pivoting; returns null for a singular system
+export const solveLinearSystem = (matrix, vector) => {
+  const n = vector.length;
+  const a = matrix.map(row => [...row]);
+  const b = [...vector];
+  const scale = Math.max(1, ...a.map((row, i) => Math.abs(row[i])));
+
+  for (let col = 0; col < n; col++) {
+    let pivotRow = col;
+    for (let row = col + 1; row < n; row++) {
+      if (Math.abs(a[row][col]) > Math.abs(a[pivotRow][col])) {
+        pivotRow = row;
+      }
+    }
+    if (Math.abs(a[pivotRow][col]) < scale * PIVOT_TOLERANCE) {
+      return null;
+    }
+    [a[col], a[pivotRow]] = [a[pivotRow], a[col]];
+    [b[col], b[pivotRow]] = [b[pivotRow], b[col]];
+
+    for (let row = col + 1; row < n; row++) {
+      const factor = a[row][col] / a[col][col];
+      if (factor === 0) continue;
+      for (let k = col; k < n; k++) {
+        a[row][k] -= factor * a[col][k];
+      }
+      b[row] -= factor * b[col];
+    }
+  }
+
+  const x = new Array(n).fill(0);
+  for (let row = n - 1; row >= 0; row--) {
+    let sum = b[row];
+    for (let k = row + 1; k < n; k++) {
+      sum -= a[row][k] * x[k];
+    }
+    x[row] = sum / a[row][row];
+  }
+  return x;
+};
+
+// foundation: null, or [{ start, end, modulus }] with the modulus k·b in kN/m²
+// thermal: [{ startPos, endPos, curvature }] free curvatures in 1/m
+export const solveBeam = (supports, pointLoads, distributedLoads, moments, beamLength, EI = 1, foundation = null, thermal = []) => {
+  if (!(beamLength > 0)) {
+    return { error: "Beam length must be greater than zero" };
+  }
+  const onSoil = (foundation || []).some(piece => piece.modulus > 0);
+  if (!supports.some(s => s.type !== 'Internal Hinge') && !onSoil) {
+    return { error: "At least one support is required" };
+  }
+  if (supports.some(s => (s.type === 'Spring' && !(s.stiffness >= 0)) || (s.type === 'Rotational Spring' && !(s.rotationalStiffness >= 0)))) {
+    return { error: "Spring stiffness cannot be negative" };
+  }
+
+  const loads = distributedLoads.map(normalizeDistributedLoad);
+  const pieces = Array.isArray(EI) ? EI : null;
+  const nodes = collectNodePositions(supports, pointLoads, loads, moments, beamLength, [
+    ...(pieces ? pieces.map(p => p.start) : []),
+    ...(onSoil ? foundationPositions(foundation, beamLength) : []),
+    ...thermal.flatMap(load => [load.startPos, load.endPos])
+  ]);
+  const lastNode = nodes.length - 1;
+
+  const hingeNodes = new Set(
+    supports
+      .filter(s => s.type === 'Internal Hinge')
+      .map(s => findNodeIndex(nodes, s.position))
+      .filter(n => n > 0 && n < lastNode)
+  );
+
+  // Degree-of-freedom numbering: a hinge node gets independent rotations
+  // for the element on its left and the element on its right
+  let dofCount = 0;
+  const vDof = [];
+  const thetaLeftDof = [];
+  const thetaRightDof = [];
+  nodes.forEach((_, n) => {
+    vDof[n] = dofCount++;
+    if (hingeNodes.has(n)) {
+      thetaLeftDof[n] = dofCount++;
+      thetaRightDof[n] = dofCount++;
+    } else {
+      thetaLeftDof[n] = dofCount;
+      thetaRightDof[n] = dofCount++;
+    }
+  });
+
+  const K = Array(dofCount).fill(null).map(() => Array(dofCount).fill(0));
+  const F = new Array(dofCount).fill(0);
+  const soilElements = [];
+
+  for (let e = 0; e < lastNode; e++) {
+    const xi = nodes[e];
+    const xj = nodes[e + 1];
+    const L = xj - xi;
+    const dofs = [vDof[e], thetaRightDof[e], vDof[e + 1], thetaLeftDof[e + 1]];
+    const flexibility = pieces ? elementFlexibility(pieces, xi) : null;
+    const k = pieces ? flexibleElement(L, flexibility, 0, 0).stiffness : elementStiffness(L, EI);
+
+    for (let r = 0; r < 4; r++) {
+      for (let c = 0; c < 4; c++) {
+        K[dofs[r]][dofs[c]] += k[r][c];
+      }
+    }
+
+    // Load ends are nodes, so each load covers an element completely or not at all
+    const mid = (xi + xj) / 2;
+    loads.forEach(load => {
+      if (mid > load.startPos && mid < load.endPos) {
+        const w1 = loadIntensityAt(load, xi);
+        const w2 = loadIntensityAt(load, xj);
+        const f = pieces ? flexibleElement(L, flexibility, w1, w2).loads : elementLoadVector(L, w1, w2);
+        dofs.forEach((dof, r) => {
+          F[dof] += f[r];
+        });
+      }
+    });
+
+    const curvature = thermal
+      .filter(load => mid > load.startPos && mid < load.endPos)
+      .reduce((sum, load) => sum + load.curvature, 0);
+    if (curvature !== 0) {
+      const f = pieces ? flexibleElement(L, flexibility, 0, 0, curvature).loads : elementCurvatureLoads(L, EI, curvature);
+      dofs.forEach((dof, r) => {
+        F[dof] += f[r];
+      });
+    }
+
+    // Soil pressure -k·b·v, linear between the end deflections, moves to the
+    // stiffness side: nodal loads per unit pressure at either end
+    const soilModulus = onSoil ? foundationModulusAt(foundation, mid) : 0;
+    if (soilModulus > 0) {
+      const unitLoads = pieces
+        ? [flexibleElement(L, flexibility, 1, 0).loads, flexibleElement(L, flexibility, 0, 1).loads]
+        : [elementLoadVector(L, 1, 0), elementLoadVector(L, 0, 1)];
+      [vDof[e], vDof[e + 1]].forEach((column, end) => {
+        dofs.forEach((dof, r) => {
+          K[dof][column] += soilModulus * unitLoads[end][r];
+        });
+      });
+      soilElements.push({ e, soilModulus });
+    }
+  }
+
+  pointLoads.forEach(load => {
+    F[vDof[findNodeIndex(nodes, clampPosition(load.position, beamLength))]] += getVerticalComponent(load);
+  });
+
+  // Applied moments are clockwise-positive, nodal rotations counter-clockwise
+  moments.forEach(({ position, magnitude }) => {
+    const n = findNodeIndex(nodes, clampPosition(position, beamLength));
+    const dof = n < lastNode ? thetaRightDof[n] : thetaLeftDof[n];
+    F[dof] -= magnitude;
+  });
+
+  // Springs act on a single node; a rotational spring on the rotation of the
+  // element to its right, like an applied moment
+  const springSupports = supports
+    .filter(s => s.type === 'Spring' || s.type === 'Rotational Spring')
+    .map(support => {
+      const n = findNodeIndex(nodes, clampPosition(support.position, beamLength));
+      const dof = support.type === 'Spring' ? vDof[n] : (n < lastNode ? thetaRightDof[n] : thetaLeftDof[n]);
+      const stiffness = support.type === 'Spring' ? support.stiffness : support.rotationalStiffness;
+      K[dof][dof] += stiffness;
+      return { support, dof, stiffness };
+    });
+
+  const restrainedSupports = supports
+    .filter(restrainsDeflection)
+    .map(support => {
+      const n = findNodeIndex(nodes, clampPosition(support.position, beamLength));
+      const thetaDofs = support.type === 'Fixed' ? [...new Set([thetaLeftDof[n], thetaRightDof[n]])] : [];
+      return { support, vDof: vDof[n], thetaDofs };
+    });
+
+  // Restrained degrees of freedom with their prescribed displacement
+  const restrained = new Map();
+  restrainedSupports.forEach(({ support, vDof: v, thetaDofs }) => {
+    restrained.set(v, -(support.settlement || 0));
+    thetaDofs.forEach(dof => restrained.set(dof, support.rotation || 0));
+  });
+  const free = [];
+  for (let dof = 0; dof < dofCount; dof++) {
+    if (!restrained.has(dof)) free.push(dof);
+  }
+
+  const displacements = new Array(dofCount).fill(0);
+  restrained.forEach((value, dof) => {
+    displacements[dof] = value;
+  });
+
+  const solution = solveLinearSystem(
+    free.map(r => free.map(c => K[r][c])),
+    free.map(r => [...restrained].reduce((sum, [c, value]) => sum - K[r][c] * value, F[r]))
+  );
+  if (!solution) {
+    return { error: "Beam is unstable - add supports or remove internal hinges" };
+  }
+
+  free.forEach((dof, i) => {
+    displacements[dof] = solution[i];
+  });
+
+  const reactionAt = (dof) => {
+    let sum = -F[dof];
+    for (let c = 0; c < dofCount; c++) {
+      sum += K[dof][c] * displacements[c];
+    }
+    return sum;
+  };
+
+  // Several supports can share a node; report the reaction once. A spring
+  // pushes back with -k·v; support moments are reported clockwise-positive
+  // like applied moments, so a rotational spring gives kθ·θ.
+  const reported = new Set();
+  const reactions = [];
+  restrainedSupports.forEach(({ support, vDof: v, thetaDofs }) => {
+    if (reported.has(v)) return;
+    reported.add(v);
+    const reaction = { position: support.position, force: reactionAt(v) };
+    if (thetaDofs.length > 0) {
+      reaction.moment = -thetaDofs.reduce((sum, dof) => sum + reactionAt(dof), 0);
+    }
+    const rotationalSpring = springSupports.find(s => s.support === support);
+    if (rotationalSpring) {
+      reaction.moment = rotationalSpring.stiffness * displacements[rotationalSpring.dof];
+    }
+    reactions.push(reaction);
+  });
+  springSupports
+    .filter(({ support, dof }) => support.type === 'Spring' && !reported.has(dof))
+    .forEach(({ support, dof }) => {
+      reported.add(dof);
+      const stiffness = springSupports
+        .filter(s => s.dof === dof && s.support.type === 'Spring')
+        .reduce((sum, s) => sum + s.stiffness, 0);
+      reactions.push({ position: support.position, force: -stiffness * displacements[dof] });
+    });
+  reactions.sort((a, b) => a.position - b.position);
+
+  return {
+    reactions,
+    supportReactions: reactions.map(r => ({ position: r.position, magnitude: r.force })),
+    supportMoments: reactions
+      .filter(r => r.moment !== undefined)
+      .map(r => ({ position: r.position, magnitude: r.moment })),
+    // Upward soil pressure per unit length, as linear distributed loads
+    soilLoads: soilElements.map(({ e, soilModulus }) => ({
+      startPos: nodes[e],
+      endPos: nodes[e + 1],
+      startMag: -soilModulus * displacements[vDof[e]],
+      endMag: -soilModulus * displacements[vDof[e + 1]]
+    })),
+    nodes,
+    displacements: nodes.map((_, n) => ({
+      deflection: displacements[vDof[n]],
+      rotationLeft: displacements[thetaLeftDof[n]],
+      rotationRight: displacements[thetaRightDof[n]]
+    }))
+  };
+};
+
+// E·A at x: a number, or [{ start, end, EA }] pieces along the beam
+const axialStiffnessAt = (EA, x) => (
+  Array.isArray(EA) ? (EA.find(piece => x < piece.end) || EA[EA.length - 1]).EA : EA
+);
+
+// Axial bar problem for the horizontal load components and free thermal
+// strains ([{ startPos, endPos, strain }]). With several restraining
+// supports the load is shared according to the axial stiffness of each part;
+// EA (see axialStiffnessAt) only sets the size of the forces a restrained
+// strain causes on a prismatic beam.
+export const solveAxial = (supports, pointLoads, beamLength, EA = 1, strains = []) => {
+  const loads = pointLoads
+    .map(load => ({ position: clampPosition(load.position, beamLength), magnitude: getHorizontalComponent(load) }))
+    .filter(load => load.magnitude !== 0);
+  const thermal = strains.filter(load => load.strain !== 0);
+  const restraints = supports.filter(resistsHorizontal);
+
+  if (loads.length === 0 && (thermal.length === 0 || restraints.length === 0)) {
+    return { horizontalReactions: restraints.map(s => ({ position: s.position, magnitude: 0 })) };
+  }
+  if (restraints.length === 0) {
+    return { error: "Horizontal loads present but no support can resist them - add a Fixed or Hinge support" };
+  }
+
+  const positions = [
+    0,
+    beamLength,
+    ...restraints.map(s => s.position),
+    ...loads.map(l => l.position),
+    ...thermal.flatMap(load => [load.startPos, load.endPos]),
+    ...(Array.isArray(EA) ? EA.map(piece => piece.start) : [])
+  ]
+    .map(position => clampPosition(position, beamLength))
+    .sort((a, b) => a - b);
+  const nodes = positions.filter((position, i) => i === 0 || position - positions[i - 1] > POSITION_TOLERANCE);
+  const elementEA = nodes.slice(1).map((position, e) => axialStiffnessAt(EA, (nodes[e] + position) / 2));
+
+  const K = Array(nodes.length).fill(null).map(() => Array(nodes.length).fill(0));
+  const F = new Array(nodes.length).fill(0);
+  for (let e = 0; e < nodes.length - 1; e++) {
+    const k = elementEA[e] / (nodes[e + 1] - nodes[e]);
+    K[e][e] += k;
+    K[e + 1][e + 1] += k;
+    K[e][e + 1] -= k;
+    K[e + 1][e] -= k;
+  }
+  loads.forEach(({ position, magnitude }) => {
+    F[findNodeIndex(nodes, position)] += magnitude;
+  });
+  // A free strain ε pushes the element ends apart with E·A·ε
+  for (let e = 0; e < nodes.length - 1; e++) {
+    const mid = (nodes[e] + nodes[e + 1]) / 2;
+    const strain = thermal
+      .filter(load => mid > load.startPos && mid < load.endPos)
+      .reduce((sum, load) => sum + load.strain, 0);
+    F[e] -= elementEA[e] * strain;
+    F[e + 1] += elementEA[e] * strain;
+  }
+
+  const restrained = new Set(restraints.map(s => findNodeIndex(nodes, clampPosition(s.position, beamLength))));
+  const free = nodes.map((_, n) => n).filter(n => !restrained.has(n));
+  const solution = free.length > 0
+    ? solveLinearSystem(free.map(r => free.map(c => K[r][c])), free.map(r => F[r]))
+    : [];
+  if (!solution) {
+    return { error: "Axial solution failed - check support positions" };
+  }
+
+  const displacements = new Array(nodes.length).fill(0);
+  free.forEach((n, i) => {
+    displacements[n] = solution[i];
+  });
+
+  // Supports sharing a node share its reaction; report it once
+  const reported = new Set();
+  const horizontalReactions = [...restraints]
+    .sort((a, b) => a.position - b.position)
+    .map(support => {
+      const n = findNodeIndex(nodes, clampPosition(support.position, beamLength));
+      if (reported.has(n)) return { position: support.position, magnitude: 0 };
+      reported.add(n);
+      const magnitude = K[n].reduce((sum, k, c) => sum + k * displacements[c], 0) - F[n];
+      return { position: support.position, magnitude };
+    });
+
+  return { horizontalReactions };
+};
@@ -0,0 +1,86 @@
+import { solveBeam } from './beamSolver';
+
+const forceAt = (solution, position) => solution.reactions.find(r => Math.abs(r.position - position) < 1e-9);
+
+describe('solveBeam', () => {
+  test('fixed-fixed beam under a central point load', () => {
+    const supports = [{ type: 'Fixed', position: 0 }, { type: 'Fixed', position: 4 }];
+    const solution = solveBeam(supports, [{ position: 2, magnitude: -10 }], [], [], 4);
+
+    expect(solution.error).toBeUndefined();
+    expect(forceAt(solution, 0).force).toBeCloseTo(5);
+    expect(forceAt(solution, 4).force).toBeCloseTo(5);
+    // PL/8 at each end; support moments are clockwise-positive
+    expect(forceAt(solution, 0).moment).toBeCloseTo(-5);
+    expect(forceAt(solution, 4).moment).toBeCloseTo(5);
+  });
+
+  test('fixed-fixed beam under a uniform load', () => {
+    const supports = [{ type: 'Fixed', position: 0 }, { type: 'Fixed', position: 6 }];
+    const load = { startPos: 0, endPos: 6, startMag: -2, endMag: -2 };
+    const solution = solveBeam(supports, [], [load], [], 6);
+
+    expect(forceAt(solution, 0).force).toBeCloseTo(6);
+    expect(forceAt(solution, 6).force).toBeCloseTo(6);
+    // wL²/12
+    expect(forceAt(solution, 0).moment).toBeCloseTo(-6);
+    expect(forceAt(solution, 6).moment).toBeCloseTo(6);
+  });
+
+  test('propped cantilever with an internal hinge is statically determinate', () => {
+    // Cantilever 0-4 with a hinge at 4 carrying a drop-in span to a roller at 8
+    const supports = [
+      { type: 'Fixed', position: 0 },
+      { type: 'Internal Hinge', position: 4 },
+      { type: 'Roller', position: 8 }
+    ];
+    const solution = solveBeam(supports, [{ position: 6, magnitude: -12 }], [], [], 8);
+
+    expect(solution.error).toBeUndefined();
+    // The drop-in span shares the load equally between hinge and roller
+    expect(forceAt(solution, 8).force).toBeCloseTo(6);
+    expect(forceAt(solution, 0).force).toBeCloseTo(6);
+    // The hinge force of 6 acts on a 4 m cantilever
+    expect(forceAt(solution, 0).moment).toBeCloseTo(-24);
+    expect(forceAt(solution, 4)).toBeUndefined();
+  });
+
+  test('a spring support takes its share by stiffness', () => {
+    const EI = 1000;
+    const k = 120;
+    const supports = [
+      { type: 'Hinge', position: 0 },
+      { type: 'Spring', position: 2, stiffness: k },
+      { type: 'Roller', position: 4 }
+    ];
+    const solution = solveBeam(supports, [{ position: 2, magnitude: -10 }], [], [], 4, EI);
+
+    // The beam alone deflects PL³/48EI under the load at midspan
+    const beamStiffness = 48 * EI / 4 ** 3;
+    expect(forceAt(solution, 2).force).toBeCloseTo(10 * k / (k + beamStiffness));
+    expect(solution.reactions.reduce((sum, r) => sum + r.force, 0)).toBeCloseTo(10);
+  });
+
+  test('rejects a negative spring stiffness', () => {
+    const supports = [{ type: 'Hinge', position: 0 }, { type: 'Spring', position: 4, stiffness: -1 }];
+    expect(solveBeam(supports, [], [], [], 4).error).toMatch(/cannot be negative/);
+  });
+
+  test('a settling support of a propped cantilever', () => {
+    const EI = 5000;
+    const supports = [{ type: 'Fixed', position: 0 }, { type: 'Roller', position: 5, settlement: 0.01 }];
+    const solution = solveBeam(supports, [], [], [], 5, EI);
+
+    // Pulling the prop down 10 mm takes 3EIδ/L³ downward
+    const force = 3 * EI * 0.01 / 5 ** 3;
+    expect(forceAt(solution, 5).force).toBeCloseTo(-force);
+    expect(forceAt(solution, 0).force).toBeCloseTo(force);
+    expect(solution.displacements[solution.nodes.length - 1].deflection).toBeCloseTo(-0.01);
+  });
+
+  test('reports a mechanism', () => {
+    const supports = [{ type: 'Roller', position: 0 }];
+    const solution = solveBeam(supports, [{ position: 2, magnitude: -1 }], [], [], 4);
+    expect(solution.error).toMatch(/unstable/);
+  });
+});
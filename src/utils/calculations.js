@@ -1,468 +1,278 @@
 // Calculation utilities for beam analysis
 
-export const calculateReactions = (supports, pointLoads, distributedLoads, moments, beamLength) => {
-  const numSupports = supports.length;
-  const hasInternalHinge = supports.some(s => s.type === 'Internal Hinge');
-  
-  if (numSupports === 1) {
-    const support = supports[0];
-    if (support.type === "Fixed") {
-      return calculateFixedSupportReactions(support, pointLoads, distributedLoads, moments, beamLength);
-    } else {
-      return { error: "Unable to solve with single non-fixed support" };
-    }
-  } else if (numSupports === 2) {
-    if (supports.some(s => s.type === "Fixed")) {
-      return { error: "Unable to solve with fixed support and two supports" };
-    } else {
-      return calculateTwoSupportReactions(supports, pointLoads, distributedLoads, moments, beamLength);
-    }
-  } else if (numSupports === 3 && hasInternalHinge) {
-    return calculateThreeSupportWithInternalHinge(supports, pointLoads, distributedLoads, moments, beamLength);
-  } else {
-    return { error: "Unsupported support configuration" };
+import { solveBeam, solveAxial, solveLinearSystem, getVerticalComponent, getHorizontalComponent } from './beamSolver';
+import {
+  buildBeamPolynomials,
+  evaluatePiecewise,
+  evaluatePolynomial,
+  findExtremes,
+  integratePolynomial,
+  multiplyPolynomials,
+  samplePiecewise,
+  shiftPolynomial,
+  splitSegments
+} from './piecewisePolynomials';
+import { flexibilityAt } from './stiffness';
+
+const POSITION_TOLERANCE = 1e-9;
+
+// EI only matters for non-prismatic beams and beams on springs or an
+// elastic foundation (see solveBeam). The soil pressure comes back as
+// soilLoads; the deflections on the soil and springs and the rotations of
+// rotational springs as displacementConditions for calculateElasticCurve.
+// thermal: getThermalDeformations, with EA for the restrained strains.
+export const calculateReactions = (supports, pointLoads, distributedLoads, moments, beamLength, EI = 1, foundation = null, thermal = [], EA = 1) => {
+  const solution = solveBeam(supports, pointLoads, distributedLoads, moments, beamLength, EI, foundation, thermal);
+
+  if (solution.error) {
+    return { error: solution.error };
   }
-};
 
-const calculateFixedSupportReactions = (support, pointLoads, distributedLoads, moments, beamLength) => {
-  let sumPointLoads = 0;
-  let sumDistLoads = 0;
-  let sumPointLoadsMoments = 0;
-  let sumDistLoadsMoments = 0;
-  let sumExternalMoments = 0;
-
-  const fixedSupportPos = support.position;
-
-  // Point loads
-  pointLoads.forEach((load) => {
-    const { position, magnitude, angle = 0, isInclined = false } = load;
-    // For inclined loads, only consider the vertical component for reactions
-    const verticalComponent = isInclined ? magnitude * Math.cos(angle * Math.PI / 180) : magnitude;
-    
-    sumPointLoads += verticalComponent;
-    sumPointLoadsMoments += verticalComponent * Math.abs(position - fixedSupportPos);
-  });
-
-  // Distributed loads
-  distributedLoads.forEach(({ startPos, endPos, startMag, endMag }) => {
-    const length = Math.abs(endPos - startPos);
-    const totalLoad = 0.5 * (startMag + endMag) * length;
-    sumDistLoads += totalLoad;
-
-    if (endMag + startMag !== 0) {
-      const centroidLeft = (length / 3) * ((2 * endMag + startMag) / (endMag + startMag));
-      const centroidRight = length - centroidLeft;
-      const distanceLeft = Math.min(startPos, endPos);
-      const distanceRight = beamLength - Math.max(startPos, endPos);
-
-      if (fixedSupportPos === 0) {
-        sumDistLoadsMoments += totalLoad * (centroidLeft + distanceLeft);
-      } else {
-        sumDistLoadsMoments += totalLoad * (centroidRight + distanceRight);
-      }
-    }
-  });
+  const axial = solveAxial(supports, pointLoads, beamLength, EA, thermal);
+  if (axial.error) {
+    return { error: axial.error };
+  }
 
-  // External moments
-  moments.forEach(({ magnitude }) => {
-    sumExternalMoments += magnitude;
-  });
+  const horizontalAt = (position) => axial.horizontalReactions
+    .filter(r => Math.abs(r.position - position) < POSITION_TOLERANCE)
+    .reduce((sum, r) => sum + r.magnitude, 0);
 
-  const reactionForce = -sumPointLoads - sumDistLoads;
-  const reactionMoment = sumPointLoadsMoments + sumDistLoadsMoments - sumExternalMoments;
+  const soilNodes = new Set(solution.soilLoads.flatMap(load => [load.startPos, load.endPos]));
+  const displacementAt = (position) => {
+    const n = solution.nodes.reduce((closest, node, i) => (
+      Math.abs(node - position) < Math.abs(solution.nodes[closest] - position) ? i : closest
+    ), 0);
+    return solution.displacements[n];
+  };
 
   return {
-    reactions: [
-      { position: fixedSupportPos, force: reactionForce, moment: reactionMoment }
-    ],
-    supportReactions: [{ position: fixedSupportPos, magnitude: reactionForce }],
-    supportMoments: [{ position: fixedSupportPos, magnitude: reactionMoment }]
+    reactions: solution.reactions.map(r => ({ ...r, horizontal: horizontalAt(r.position) })),
+    supportReactions: solution.supportReactions,
+    supportMoments: solution.supportMoments,
+    horizontalReactions: axial.horizontalReactions,
+    soilLoads: solution.soilLoads,
+    displacementConditions: [
+      ...solution.nodes
+        .map((position, n) => ({ position, deflection: solution.displacements[n].deflection }))
+        .filter(({ position }) => soilNodes.has(position)),
+      ...supports
+        .filter(s => s.type === 'Spring')
+        .map(({ position }) => ({ position, deflection: displacementAt(position).deflection })),
+      ...supports
+        .filter(s => s.type === 'Rotational Spring')
+        .map(({ position }) => ({ position, rotation: displacementAt(position).rotationRight }))
+    ]
   };
 };
 
-const calculateTwoSupportReactions = (supports, pointLoads, distributedLoads, moments, beamLength) => {
-  let sumPointLoads = 0;
-  let sumDistLoads = 0;
-  let sumPointLoadsMoments = 0;
-  let sumDistLoadsMoments = 0;
-  let sumExternalMoments = 0;
-
-  // Point loads
-  pointLoads.forEach((load) => {
-    const { position, magnitude, angle = 0, isInclined = false } = load;
-    // For inclined loads, only consider the vertical component for reactions
-    const verticalComponent = isInclined ? magnitude * Math.cos(angle * Math.PI / 180) : magnitude;
-    
-    sumPointLoads += verticalComponent;
-    sumPointLoadsMoments += verticalComponent * position;
-  });
-
-  // Distributed loads
-  distributedLoads.forEach(({ startPos, endPos, startMag, endMag }) => {
-    const length = Math.abs(endPos - startPos);
-    const totalLoad = 0.5 * (startMag + endMag) * length;
-    sumDistLoads += totalLoad;
-
-    if (endMag + startMag !== 0) {
-      const centroidLeft = (length / 3) * ((2 * endMag + startMag) / (endMag + startMag));
-      const distanceLeft = Math.min(startPos, endPos);
-      sumDistLoadsMoments += totalLoad * (centroidLeft + distanceLeft);
-    }
-  });
-
-  // External moments
-  moments.forEach(({ magnitude }) => {
-    sumExternalMoments += magnitude;
-  });
-
-  const reactionCoefficientMat = [
-    [1, 1],
-    [supports[0].position, supports[1].position]
-  ];
+// Vertical point forces acting on the beam: reactions plus load components
+const collectForces = (supportReactions, pointLoads) => [
+  ...supportReactions,
+  ...pointLoads.map(load => ({ position: load.position, magnitude: getVerticalComponent(load) }))
+];
+
+// Horizontal point forces (rightward positive): reactions plus load components
+const collectHorizontalForces = (horizontalReactions, pointLoads) => [
+  ...horizontalReactions,
+  ...pointLoads.map(load => ({ position: load.position, magnitude: getHorizontalComponent(load) }))
+].filter(force => force.magnitude !== 0);
+
+// Axial force is constant between point forces, tension positive: the cut
+// face of the left part carries minus the horizontal forces left of it
+const addAxialForce = (segments, horizontalForces) => segments.map(segment => ({
+  ...segment,
+  axial: [-horizontalForces
+    .filter(force => force.position <= segment.start + POSITION_TOLERANCE)
+    .reduce((sum, force) => sum + force.magnitude, 0)]
+}));
+
+const uniformGrid = (beamLength, resolution) => {
+  const numPoints = Math.floor(beamLength * resolution) + 1;
+  return Array.from({ length: numPoints }, (_, i) => (i * beamLength) / (numPoints - 1));
+};
 
-  const constantMat = [
-    sumPointLoads + sumDistLoads,
-    sumPointLoadsMoments + sumDistLoadsMoments - sumExternalMoments
-  ];
+export const calculateShearForce = (supportReactions, pointLoads, distributedLoads, beamLength, resolution) => {
+  const xCoords = uniformGrid(beamLength, resolution);
+  const segments = buildBeamPolynomials(collectForces(supportReactions, pointLoads), [], distributedLoads, beamLength);
+  const shear = xCoords.map(x => evaluatePiecewise(segments, 'shear', x));
 
-  try {
-    const det = reactionCoefficientMat[0][0] * reactionCoefficientMat[1][1] - 
-                reactionCoefficientMat[0][1] * reactionCoefficientMat[1][0];
-    
-    if (Math.abs(det) < 1e-10) {
-      return { error: "Singular matrix - unable to solve" };
-    }
+  return { x: xCoords, shear };
+};
 
-    const r1 = -(reactionCoefficientMat[1][1] * constantMat[0] - reactionCoefficientMat[0][1] * constantMat[1]) / det;
-    const r2 = -(reactionCoefficientMat[0][0] * constantMat[1] - reactionCoefficientMat[1][0] * constantMat[0]) / det;
+export const calculateBendingMoment = (supports, supportReactions, supportMoments, pointLoads, distributedLoads, externalMoments, beamLength, resolution) => {
+  const xCoords = uniformGrid(beamLength, resolution);
+  // Support moments are clockwise-positive, like applied moments
+  const couples = [...(supportMoments || []), ...externalMoments];
+  const segments = buildBeamPolynomials(collectForces(supportReactions, pointLoads), couples, distributedLoads, beamLength);
+  const moment = xCoords.map(x => evaluatePiecewise(segments, 'moment', x));
 
-    const reactions = [
-      { position: supports[0].position, force: r1 },
-      { position: supports[1].position, force: r2 }
-    ].sort((a, b) => a.position - b.position);
+  return { x: xCoords, moment };
+};
 
-    return {
-      reactions,
-      supportReactions: reactions.map(r => ({ position: r.position, magnitude: r.force }))
-    };
-  } catch (error) {
-    return { error: "Unable to solve reaction equations" };
-  }
+const getInternalHingePositions = (supports, beamLength) => supports
+  .filter(s => s.type === 'Internal Hinge' && s.position > POSITION_TOLERANCE && s.position < beamLength - POSITION_TOLERANCE)
+  .map(s => s.position);
+
+// Exact shear, moment and axial force polynomials, sampled for the charts
+// with every jump and local extreme included
+export const calculateDiagrams = (reactions, supports, pointLoads, distributedLoads, moments, beamLength, resolution) => {
+  const couples = [...(reactions.supportMoments || []), ...moments];
+  const segments = addAxialForce(
+    buildBeamPolynomials(
+      collectForces(reactions.supportReactions || [], pointLoads),
+      couples,
+      distributedLoads,
+      beamLength,
+      getInternalHingePositions(supports, beamLength)
+    ),
+    collectHorizontalForces(reactions.horizontalReactions || [], pointLoads)
+  );
+  const { x, values } = samplePiecewise(segments, ['shear', 'moment', 'axial'], resolution, { closeEnds: true });
+
+  return { segments, x, shear: values.shear, moment: values.moment, axial: values.axial };
 };
 
-const calculateThreeSupportWithInternalHinge = (supports, pointLoads, distributedLoads, moments, beamLength) => {
-  // Find internal hinge and other supports
-  const internalHinge = supports.find(s => s.type === 'Internal Hinge');
-  const otherSupports = supports.filter(s => s.type !== 'Internal Hinge');
-  
-  if (!internalHinge || otherSupports.length !== 2) {
-    return { error: "Invalid configuration for internal hinge analysis" };
+// Slope and deflection from integrating M/EI twice, in linear time. The
+// integration constants are the rotation and deflection at x = 0 plus the
+// rotation jump at every internal hinge; the support conditions fix them.
+// Indeterminate beams give more conditions than unknowns, but the solved
+// moments are compatible, so the least-squares solution satisfies them all.
+// EI is a number or flexibility pieces (getBeamStiffness); the segments are
+// then cut at the piece ends so M/EI stays a polynomial in each. Supports
+// impose their settlement and rotation; conditions are further known
+// displacements [{ position, deflection } or { position, rotation }], e.g.
+// on springs or a foundation. thermal adds its free curvatures to M/EI.
+export const calculateElasticCurve = (diagramSegments, supports, EI, resolution, conditions = [], thermal = []) => {
+  const pieces = Array.isArray(EI) ? EI : null;
+  if (!diagramSegments || diagramSegments.length === 0 || !(pieces || EI > 0)) {
+    return { error: "Flexural rigidity EI must be greater than zero" };
   }
 
-  // Sort supports by position
-  const sortedSupports = [...otherSupports].sort((a, b) => a.position - b.position);
-  const hingePos = internalHinge.position;
-
-  // Calculate total loads and moments
-  let sumPointLoads = 0;
-  let sumDistLoads = 0;
-  let sumPointLoadsMoments = 0;
-  let sumDistLoadsMoments = 0;
-  let sumExternalMoments = 0;
-
-  // Point loads
-  pointLoads.forEach((load) => {
-    const { position, magnitude, angle = 0, isInclined = false } = load;
-    // For inclined loads, only consider the vertical component for reactions
-    const verticalComponent = isInclined ? magnitude * Math.cos(angle * Math.PI / 180) : magnitude;
-    
-    sumPointLoads += verticalComponent;
-    sumPointLoadsMoments += verticalComponent * position;
-  });
-
-  // Distributed loads
-  distributedLoads.forEach(({ startPos, endPos, startMag, endMag }) => {
-    const length = Math.abs(endPos - startPos);
-    const totalLoad = 0.5 * (startMag + endMag) * length;
-    sumDistLoads += totalLoad;
-
-    if (endMag + startMag !== 0) {
-      const centroidLeft = (length / 3) * ((2 * endMag + startMag) / (endMag + startMag));
-      const distanceLeft = Math.min(startPos, endPos);
-      sumDistLoadsMoments += totalLoad * (centroidLeft + distanceLeft);
-    }
-  });
-
-  // External moments
-  moments.forEach(({ magnitude }) => {
-    sumExternalMoments += magnitude;
-  });
-
-  // Calculate moment about the internal hinge for loads on left side
-  let momentAboutHingeLeft = 0;
-
-  // Point loads on left side of hinge
-  pointLoads.forEach((load) => {
-    const { position, magnitude, angle = 0, isInclined = false } = load;
-    // For inclined loads, only consider the vertical component
-    const verticalComponent = isInclined ? magnitude * Math.cos(angle * Math.PI / 180) : magnitude;
-    
-    if (position < hingePos) {
-      momentAboutHingeLeft += verticalComponent * (hingePos - position);
-    }
-  });
-
-  // Distributed loads on left side of hinge
-  distributedLoads.forEach(({ startPos, endPos, startMag, endMag }) => {
-    if (endPos <= hingePos) {
-      // Entire load is on left side
-      const length = Math.abs(endPos - startPos);
-      const totalLoad = 0.5 * (startMag + endMag) * length;
-      
-      if (endMag + startMag !== 0) {
-        const centroidLeft = (length / 3) * ((2 * endMag + startMag) / (endMag + startMag));
-        const centroidPos = Math.min(startPos, endPos) + centroidLeft;
-        momentAboutHingeLeft += totalLoad * (hingePos - centroidPos);
-      }
-    } else if (startPos < hingePos && endPos > hingePos) {
-      // Load spans across the hinge - only consider left portion
-      const leftLength = hingePos - startPos;
-      const loadAtHinge = startMag + (endMag - startMag) * (leftLength / (endPos - startPos));
-      const avgLoad = (startMag + loadAtHinge) / 2;
-      const totalLoadLeft = avgLoad * leftLength;
-      
-      momentAboutHingeLeft += totalLoadLeft * (leftLength / 2);
-    }
-  });
-
-  // External moments on left side
-  moments.forEach(({ position, magnitude }) => {
-    if (position < hingePos) {
-      momentAboutHingeLeft += magnitude;
-    }
-  });
-
-  // Set up equations
-  // 1. Sum of vertical forces = 0
-  // 2. Sum of moments about left support = 0
-  // 3. Moment at internal hinge = 0 (moment continuity condition)
-
-  const leftSupportPos = sortedSupports[0].position;
-  const rightSupportPos = sortedSupports[1].position;
-
-  // Moment equation about left support
-  let momentAboutLeftSupport = sumPointLoadsMoments + sumDistLoadsMoments - sumExternalMoments;
-
-  // For the internal hinge condition, we use the fact that the moment at the hinge is zero
-  // This gives us: R1 * (hingePos - leftSupportPos) + momentAboutHingeLeft = 0
-  // Therefore: R1 = -momentAboutHingeLeft / (hingePos - leftSupportPos)
-
-  const R1 = -momentAboutHingeLeft / (hingePos - leftSupportPos);
-
-  // From equilibrium equations:
-  // R1 + R2 + R3 = total load
-  // R1 * leftSupportPos + R2 * rightSupportPos + R3 * hingePos = total moment about origin
-
-  const totalLoad = sumPointLoads + sumDistLoads;
-  
-  // Solve for R2 and R3
-  const coeffMatrix = [
-    [1, 1],
-    [rightSupportPos, hingePos]
-  ];
-  
-  const constants = [
-    totalLoad - R1,
-    momentAboutLeftSupport - R1 * leftSupportPos
+  const cuts = [
+    ...(pieces ? pieces.map(p => p.start) : []),
+    ...thermal.flatMap(load => [load.startPos, load.endPos])
   ];
+  const segments = cuts.length > 0 ? splitSegments(diagramSegments, cuts) : diagramSegments;
+  const flexibility = (segment) => {
+    if (!pieces) return [1 / EI];
+    const piece = pieces.find(p => segment.start < p.end - POSITION_TOLERANCE) || pieces[pieces.length - 1];
+    return shiftPolynomial(piece.coeffs, segment.start - piece.start);
+  };
+  const beamLength = segments[segments.length - 1].end;
+  const hinges = getInternalHingePositions(supports, beamLength);
+  const numUnknowns = 2 + hinges.length;
+
+  // Linear forms in the unknowns [theta0, v0, hinge jumps...]; index 0 is the constant
+  const unitForm = (unknown) => {
+    const form = new Array(numUnknowns + 1).fill(0);
+    form[unknown + 1] = 1;
+    return form;
+  };
+  const addForms = (a, b, factor = 1) => a.map((value, i) => value + factor * b[i]);
 
-  try {
-    const det = coeffMatrix[0][0] * coeffMatrix[1][1] - coeffMatrix[0][1] * coeffMatrix[1][0];
-    
-    if (Math.abs(det) < 1e-10) {
-      return { error: "Singular matrix - unable to solve internal hinge system" };
-    }
-
-    const R2 = (coeffMatrix[1][1] * constants[0] - coeffMatrix[0][1] * constants[1]) / det;
-    const R3 = (coeffMatrix[0][0] * constants[1] - coeffMatrix[1][0] * constants[0]) / det;
-
-    const reactions = [
-      { position: leftSupportPos, force: R1 },
-      { position: rightSupportPos, force: R2 },
-      { position: hingePos, force: R3, moment: 0 } // Internal hinge has zero moment
-    ].sort((a, b) => a.position - b.position);
+  let theta = unitForm(0);
+  let deflection = unitForm(1);
 
-    return {
-      reactions,
-      supportReactions: reactions.map(r => ({ position: r.position, magnitude: r.force }))
-    };
-  } catch (error) {
-    return { error: "Unable to solve internal hinge reaction equations" };
-  }
-};
-
-export const calculateShearForce = (supportReactions, pointLoads, distributedLoads, beamLength, resolution) => {
-  const numPoints = Math.floor(beamLength * resolution) + 1;
-  const shear = new Array(numPoints).fill(0);
-  const xCoords = Array.from({ length: numPoints }, (_, i) => (i * beamLength) / (numPoints - 1));
-
-  // Add support reactions
-  supportReactions.forEach(({ position, magnitude }) => {
-    for (let i = 0; i < xCoords.length; i++) {
-      if (xCoords[i] >= position) {
-        shear[i] += magnitude;
+  const integrated = segments.map(segment => {
+    hinges.forEach((position, i) => {
+      if (Math.abs(position - segment.start) < POSITION_TOLERANCE) {
+        theta = addForms(theta, unitForm(2 + i));
       }
-    }
-  });
+    });
 
-  // Add point loads
-  pointLoads.forEach((load) => {
-    const { position, magnitude, angle = 0, isInclined = false } = load;
-    // For inclined loads, only consider the vertical component for shear force
-    const verticalComponent = isInclined ? magnitude * Math.cos(angle * Math.PI / 180) : magnitude;
-    
-    for (let i = 0; i < xCoords.length; i++) {
-      if (xCoords[i] >= position) {
-        shear[i] += verticalComponent;
-      }
-    }
+    const mid = (segment.start + segment.end) / 2;
+    const curvature = multiplyPolynomials(segment.moment, flexibility(segment));
+    curvature[0] += thermal
+      .filter(load => mid > load.startPos && mid < load.endPos)
+      .reduce((sum, load) => sum + load.curvature, 0);
+    const slopeBase = integratePolynomial(curvature);
+    const deflectionBase = integratePolynomial(slopeBase);
+    const length = segment.end - segment.start;
+    const startTheta = theta;
+    const startDeflection = deflection;
+
+    theta = [...theta];
+    theta[0] += evaluatePolynomial(slopeBase, length);
+    deflection = addForms(deflection, startTheta, length);
+    deflection[0] += evaluatePolynomial(deflectionBase, length);
+
+    return { segment, slopeBase, deflectionBase, startTheta, startDeflection };
   });
 
-  // Add distributed loads
-  distributedLoads.forEach(({ startPos, endPos, startMag, endMag }) => {
-    for (let i = 0; i < xCoords.length; i++) {
-      const x = xCoords[i];
-      if (x >= startPos && x <= endPos) {
-        const load = startMag + (endMag - startMag) * ((x - startPos) / (endPos - startPos));
-        const increment = load * (beamLength / (numPoints - 1));
-        for (let j = i; j < xCoords.length; j++) {
-          shear[j] += increment;
-        }
-      }
-    }
-  });
+  const rows = [];
+  const rhs = [];
+  const addCondition = (form, base) => {
+    rows.push(form.slice(1));
+    rhs.push(-(form[0] + base));
+  };
 
-  return { x: xCoords, shear };
-};
+  // Integrated segment containing a position, and the local t there
+  const integratedAt = (x) => {
+    const position = Math.min(Math.max(x, 0), beamLength);
+    const index = integrated.findIndex(({ segment }) => position < segment.end - POSITION_TOLERANCE);
+    const piece = integrated[index === -1 ? integrated.length - 1 : index];
+    return { ...piece, t: position - piece.segment.start };
+  };
 
-export const calculateBendingMoment = (supports, supportReactions, supportMoments, pointLoads, distributedLoads, externalMoments, beamLength, resolution) => {
-  const numPoints = Math.floor(beamLength * resolution) + 1;
-  const moment = new Array(numPoints).fill(0);
-  const xCoords = Array.from({ length: numPoints }, (_, i) => (i * beamLength) / (numPoints - 1));
-
-  // Fixed support position
-  let fixedSupportPos = 0;
-  supports.forEach(({ type, position }) => {
-    if (type === "Fixed") {
-      fixedSupportPos = position;
+  supports.filter(s => s.type !== 'Internal Hinge' && s.type !== 'Spring').forEach(support => {
+    const { slopeBase, deflectionBase, startTheta, startDeflection, t } = integratedAt(support.position);
+    addCondition(addForms(startDeflection, startTheta, t), evaluatePolynomial(deflectionBase, t) + (support.settlement || 0));
+    if (support.type === 'Fixed') {
+      addCondition(startTheta, evaluatePolynomial(slopeBase, t) - (support.rotation || 0));
     }
   });
 
-  // Find internal hinge positions
-  const internalHinges = supports.filter(s => s.type === 'Internal Hinge').map(s => s.position);
-
-  // Add support reaction moments
-  supportReactions.forEach(({ position, magnitude }) => {
-    for (let i = 0; i < xCoords.length; i++) {
-      if (xCoords[i] >= position) {
-        moment[i] += magnitude * (xCoords[i] - position);
-      }
+  conditions.forEach(({ position, deflection, rotation }) => {
+    const { slopeBase, deflectionBase, startTheta, startDeflection, t } = integratedAt(position);
+    if (rotation !== undefined) {
+      addCondition(startTheta, evaluatePolynomial(slopeBase, t) - rotation);
+    } else {
+      addCondition(addForms(startDeflection, startTheta, t), evaluatePolynomial(deflectionBase, t) - deflection);
     }
   });
 
-  // Add support moments
-  if (supportMoments) {
-    supportMoments.forEach(({ position, magnitude }) => {
-      for (let i = 0; i < xCoords.length; i++) {
-        if (xCoords[i] >= position) {
-          if (fixedSupportPos === 0) {
-            moment[i] += magnitude;
-          } else {
-            moment[i] -= magnitude;
-          }
-        }
-      }
-    });
+  const normalMatrix = Array(numUnknowns).fill(null).map((_, i) =>
+    Array(numUnknowns).fill(null).map((__, j) => rows.reduce((sum, row) => sum + row[i] * row[j], 0))
+  );
+  const normalVector = Array(numUnknowns).fill(null).map((_, i) =>
+    rows.reduce((sum, row, k) => sum + row[i] * rhs[k], 0)
+  );
+  const unknowns = solveLinearSystem(normalMatrix, normalVector);
+  if (!unknowns) {
+    return { error: "Support conditions do not fix the deflected shape" };
   }
 
-  // Add point loads
-  pointLoads.forEach((load) => {
-    const { position, magnitude, angle = 0, isInclined = false } = load;
-    // For inclined loads, only consider the vertical component for bending moment
-    const verticalComponent = isInclined ? magnitude * Math.cos(angle * Math.PI / 180) : magnitude;
-    
-    for (let i = 0; i < xCoords.length; i++) {
-      if (xCoords[i] >= position) {
-        moment[i] += verticalComponent * (xCoords[i] - position);
-      }
-    }
-  });
+  const resolveForm = (form) => form[0] + unknowns.reduce((sum, u, i) => sum + u * form[i + 1], 0);
 
-  // Add distributed loads
-  distributedLoads.forEach(({ startPos, endPos, startMag, endMag }) => {
-    for (let i = 0; i < xCoords.length; i++) {
-      const x = xCoords[i];
-      if (x >= startPos && x <= endPos) {
-        const load = startMag + (endMag - startMag) * ((x - startPos) / (endPos - startPos));
-        const increment = load * (beamLength / (numPoints - 1));
-        for (let j = i; j < xCoords.length; j++) {
-          moment[j] += (xCoords[j] - x) * increment;
-        }
-      }
-    }
+  const curveSegments = integrated.map(({ segment, slopeBase, deflectionBase, startTheta, startDeflection }) => {
+    const startRotation = resolveForm(startTheta);
+    const slope = [...slopeBase];
+    slope[0] += startRotation;
+    const deflectionPolynomial = [...deflectionBase];
+    deflectionPolynomial[0] += resolveForm(startDeflection);
+    deflectionPolynomial[1] += startRotation;
+    return { ...segment, slope, deflection: deflectionPolynomial };
   });
 
-  // Add external moments
-  externalMoments.forEach(({ position, magnitude }) => {
-    for (let i = 0; i < xCoords.length; i++) {
-      if (xCoords[i] >= position) {
-        moment[i] += magnitude;
-      }
-    }
-  });
-
-  // Apply internal hinge conditions (moment = 0 at hinge positions)
-  internalHinges.forEach(hingePos => {
-    const hingeIndex = xCoords.findIndex(x => Math.abs(x - hingePos) < 1e-6);
-    if (hingeIndex >= 0) {
-      // Set moment to zero at internal hinge
-      moment[hingeIndex] = 0;
-      
-      // Note: In a more sophisticated analysis, we would need to handle
-      // the discontinuity in moment properly, but for this simplified case,
-      // we just ensure the moment is zero at the hinge location
-    }
-  });
+  const { x, values } = samplePiecewise(curveSegments, ['deflection', 'slope'], resolution);
 
-  return { x: xCoords, moment };
+  return { segments: curveSegments, x, deflection: values.deflection, slope: values.slope };
 };
 
-// Calculate unit load moment matrix for deflection calculations
-export const calculateUnitLoadMoment = (supports, beamLength, resolution) => {
-  const numPoints = Math.floor(beamLength * resolution) + 1;
-  const xCoords = Array.from({ length: numPoints }, (_, i) => (i * beamLength) / (numPoints - 1));
+export const calculateUnitLoadMoment = (supports, beamLength, resolution, EI = 1) => {
+  const xCoords = uniformGrid(beamLength, resolution);
+  const numPoints = xCoords.length;
   const unitWeightMoments = Array(numPoints).fill(null).map(() => Array(numPoints).fill(0));
 
   for (let i = 0; i < numPoints; i++) {
     // Apply a unit load at x_coords[i]
     const unitLoad = [{ position: xCoords[i], magnitude: -1.0 }];
-    const reactions = calculateReactions(supports, unitLoad, [], [], beamLength);
+    const reactions = calculateReactions(supports, unitLoad, [], [], beamLength, EI);
     
     if (reactions && !reactions.error) {
-      // Separate reactions and moments
-      let supportReactions = [];
-      let supportMoments = [];
-      
-      if (supports.length === 1 && supports[0].type === "Fixed") {
-        supportReactions = [{ position: reactions.supportReactions[0].position, magnitude: reactions.supportReactions[0].magnitude }];
-        supportMoments = reactions.supportMoments || [];
-      } else {
-        supportReactions = reactions.supportReactions || [];
-      }
-
       // Calculate bending moment due to this unit load
       const { moment: unitMoment } = calculateBendingMoment(
-        supports, supportReactions, supportMoments, unitLoad, [], [], beamLength, resolution
+        supports, reactions.supportReactions, reactions.supportMoments, unitLoad, [], [], beamLength, resolution
       );
       
       for (let j = 0; j < numPoints; j++) {
@@ -474,7 +284,7 @@ export const calculateUnitLoadMoment = (supports, beamLength, resolution) => {
   return { x: xCoords, unitWeightMoments };
 };
 
-// Calculate deflection using virtual work method
+// Calculate deflection using virtual work method; EI as in calculateElasticCurve
 export const calculateDeflection = (xCoords, bendingMoment, unitWeightMoments, beamLength, EI) => {
   const numPoints = xCoords.length;
   const deflections = new Array(numPoints).fill(0);
@@ -483,10 +293,48 @@ export const calculateDeflection = (xCoords, bendingMoment, unitWeightMoments, b
   for (let i = 0; i < numPoints; i++) {
     let sumDeflection = 0.0;
     for (let j = 0; j < numPoints; j++) {
-      sumDeflection += bendingMoment[j] * (-unitWeightMoments[i][j]) * dx;
+      sumDeflection += bendingMoment[j] * (-unitWeightMoments[i][j]) * dx * flexibilityAt(EI, xCoords[j]);
     }
-    deflections[i] = sumDeflection / EI; // Deflection in meters
+    deflections[i] = sumDeflection; // Deflection in meters
   }
 
   return { x: xCoords, deflections };
-};
\ No newline at end of file
+};
+
+// Positions of the span boundaries (supports) of a continuous beam
+export const getSpanBoundaries = (spans) => {
+  const boundaries = [0];
+  spans.forEach(length => boundaries.push(boundaries[boundaries.length - 1] + length));
+  return boundaries;
+};
+
+// Interior support moments and per-span maximum positive (sagging) moments
+export const calculateSpanMoments = (spans, segments) => {
+  if (!spans || spans.length === 0 || !segments || segments.length === 0) {
+    return { supportMoments: [], spanMoments: [] };
+  }
+
+  const boundaries = getSpanBoundaries(spans);
+
+  const supportMoments = boundaries.slice(1, -1).map(position => ({
+    position,
+    moment: evaluatePiecewise(segments, 'moment', position)
+  }));
+
+  const spanMoments = spans.map((length, i) => {
+    const start = boundaries[i];
+    const end = boundaries[i + 1];
+    const { max } = findExtremes(segments, 'moment', start, end);
+    const isPositive = max.value > 0;
+    return {
+      span: i + 1,
+      start,
+      end,
+      length,
+      maxPositiveMoment: isPositive ? max.value : 0,
+      position: isPositive ? max.position : (start + end) / 2
+    };
+  });
+
+  return { supportMoments, spanMoments };
+};
@@ -0,0 +1,63 @@
+import { calculateReactions, calculateDiagrams, calculateElasticCurve } from './calculations';
+import { evaluatePiecewise } from './piecewisePolynomials';
+
+const EI = 2e4;
+
+// Elastic curve of a beam under point and uniform loads
+const elasticCurve = (supports, pointLoads, distributedLoads, length) => {
+  const reactions = calculateReactions(supports, pointLoads, distributedLoads, [], length, EI);
+  const diagrams = calculateDiagrams(reactions, supports, pointLoads, distributedLoads, [], length, 10);
+  return calculateElasticCurve(diagrams.segments, supports, EI, 10);
+};
+
+describe('calculateElasticCurve', () => {
+  test('simply supported beam under a uniform load', () => {
+    const supports = [{ type: 'Hinge', position: 0 }, { type: 'Roller', position: 6 }];
+    const curve = elasticCurve(supports, [], [{ startPos: 0, endPos: 6, startMag: -2, endMag: -2 }], 6);
+
+    // 5wL⁴/384EI at midspan and wL³/24EI at the supports
+    expect(evaluatePiecewise(curve.segments, 'deflection', 3)).toBeCloseTo(-5 * 2 * 6 ** 4 / (384 * EI), 9);
+    expect(evaluatePiecewise(curve.segments, 'slope', 0)).toBeCloseTo(-2 * 6 ** 3 / (24 * EI), 9);
+    expect(evaluatePiecewise(curve.segments, 'deflection', 6)).toBeCloseTo(0, 9);
+  });
+
+  test('cantilever under a tip load', () => {
+    const supports = [{ type: 'Fixed', position: 0 }];
+    const curve = elasticCurve(supports, [{ position: 4, magnitude: -10 }], [], 4);
+
+    // PL³/3EI and PL²/2EI at the tip
+    expect(evaluatePiecewise(curve.segments, 'deflection', 4)).toBeCloseTo(-10 * 4 ** 3 / (3 * EI), 9);
+    expect(evaluatePiecewise(curve.segments, 'slope', 4)).toBeCloseTo(-10 * 4 ** 2 / (2 * EI), 9);
+  });
+
+  test('an internal hinge lets the slope jump', () => {
+    // Cantilever 0-4 carrying a drop-in span to a roller at 8
+    const supports = [{ type: 'Fixed', position: 0 }, { type: 'Internal Hinge', position: 4 }, { type: 'Roller', position: 8 }];
+    const curve = elasticCurve(supports, [{ position: 6, magnitude: -12 }], [], 8);
+
+    // The hinge force of 6 is a tip load on the cantilever
+    const hinge = -6 * 4 ** 3 / (3 * EI);
+    expect(evaluatePiecewise(curve.segments, 'deflection', 4)).toBeCloseTo(hinge, 9);
+    expect(evaluatePiecewise(curve.segments, 'slope', 3.999)).toBeCloseTo(-6 * 4 ** 2 / (2 * EI), 6);
+    // The drop-in span turns rigidly with the hinge and bends under PL²/16EI
+    expect(evaluatePiecewise(curve.segments, 'slope', 4)).toBeCloseTo(-hinge / 4 - 12 * 4 ** 2 / (16 * EI), 9);
+    expect(evaluatePiecewise(curve.segments, 'deflection', 8)).toBeCloseTo(0, 9);
+  });
+
+  test('a settling support moves the curve with it', () => {
+    // Settlements are positive downwards
+    const supports = [{ type: 'Hinge', position: 0 }, { type: 'Roller', position: 6, settlement: 0.012 }];
+    const curve = elasticCurve(supports, [], [], 6);
+
+    expect(evaluatePiecewise(curve.segments, 'deflection', 3)).toBeCloseTo(-0.006, 9);
+    expect(evaluatePiecewise(curve.segments, 'slope', 0)).toBeCloseTo(-0.002, 9);
+  });
+
+  test('needs a positive EI', () => {
+    const supports = [{ type: 'Hinge', position: 0 }, { type: 'Roller', position: 6 }];
+    const reactions = calculateReactions(supports, [], [], [], 6);
+    const diagrams = calculateDiagrams(reactions, supports, [], [], [], 6, 10);
+
+    expect(calculateElasticCurve(diagrams.segments, supports, 0, 10).error).toMatch(/EI must be greater than zero/);
+  });
+});
@@ -0,0 +1,420 @@
+// Reinforced concrete beam design to EN 1992-1-1 or ACI 318-19: flexural
+// steel from a rectangular stress block, bar arrangement, shear links along
+// the beam and the minimum/maximum reinforcement limits.
+//
+// Works for rectangular and T sections (flange on top). Sagging moment puts
+// the bottom in tension; under hogging a T-beam's web is the compression
+// zone. Stresses are in kN/m² like E; code formulas written in MPa convert
+// with MPA.
+
+import { calculateDesignProperties } from './sectionProperties';
+import { getDesignEffects } from './loadCombinations';
+
+export const CONCRETE_DESIGN_CODES = {
+  EC2: 'Eurocode 2 (EN 1992-1-1)',
+  ACI: 'ACI 318-19'
+};
+
+export const CONCRETE_SECTION_TYPES = ['rectangular', 't-beam'];
+
+export const DEFAULT_CONCRETE_DESIGN = {
+  code: 'EC2',
+  fck: 30e3, // Characteristic (EC2) or specified (ACI) cylinder strength, kN/m²
+  fy: 500e3, // Reinforcement yield strength, kN/m²
+  cover: 0.03, // Nominal cover to the links, m
+  barDiameter: 0.02, // Main bars, m
+  linkDiameter: 0.01, // m
+  linkLegs: 2
+};
+
+const MPA = 1000;
+const MIN_CLEAR_SPACING = 0.025;
+const LINK_SPACING_STEP = 0.025;
+const MIN_LINK_SPACING = 0.075;
+const MAX_LAYERS = 2;
+const MOMENT_TOLERANCE = 1e-6;
+const BISECTION_STEPS = 60;
+
+// Stress block, material factors and code limits
+const getCodeParameters = (code, fck, fy) => {
+  const fc = fck / MPA;
+  if (code === 'ACI') {
+    const beta1 = Math.min(Math.max(0.85 - 0.05 * (fc - 28) / 7, 0.65), 0.85);
+    const fyt = Math.min(fy, 420 * MPA);
+    return {
+      blockStress: 0.85 * fck,
+      blockDepth: beta1,
+      fyd: fy,
+      fywd: fyt,
+      phiFlexure: 0.9,
+      neutralAxisLimit: 0.375, // × d, tension-controlled (εt ≥ 0.005)
+      minArea: (bw, d) => Math.max(0.25 * Math.sqrt(fc) / (fy / MPA), 1.4 / (fy / MPA)) * bw * d
+    };
+  }
+  const fctm = 0.3 * fc ** (2 / 3);
+  return {
+    blockStress: 0.85 * fck / 1.5,
+    blockDepth: fc <= 50 ? 0.8 : 0.8 - (fc - 50) / 400,
+    fyd: fy / 1.15,
+    fywd: fy / 1.15,
+    phiFlexure: 1,
+    neutralAxisLimit: 0.45, // × d, without redistribution
+    minArea: (bw, d) => Math.max(0.26 * fctm / (fy / MPA), 0.0013) * bw * d
+  };
+};
+
+// Concrete geometry in m. widthAt(face, t) is the width at depth t from the
+// top or bottom face.
+const getGeometry = (properties) => {
+  const d = properties.dimensions;
+  if (properties.type === 't-beam') {
+    return {
+      h: d.webHeight + d.flangeThickness,
+      bw: d.webThickness,
+      bf: d.flangeWidth,
+      hf: d.flangeThickness,
+      area: properties.area,
+      widthAt: (face, t) => (face === 'top' && t < d.flangeThickness ? d.flangeWidth : d.webThickness),
+      faceWidth: (face) => (face === 'top' ? d.flangeWidth : d.webThickness)
+    };
+  }
+  return {
+    h: d.height,
+    bw: d.width,
+    bf: d.width,
+    hf: 0,
+    area: properties.area,
+    widthAt: () => d.width,
+    faceWidth: () => d.width
+  };
+};
+
+// Area and centroid depth of the compression block of depth a
+const compressionBlock = (geometry, face, a) => {
+  if (geometry.hf > 0 && face === 'top' && a > geometry.hf) {
+    const flange = geometry.bf * geometry.hf;
+    const web = geometry.bw * (a - geometry.hf);
+    return { area: flange + web, depth: (flange * geometry.hf / 2 + web * (geometry.hf + a) / 2) / (flange + web) };
+  }
+  return { area: geometry.widthAt(face, 0) * a, depth: a / 2 };
+};
+
+/**
+ * Tension (and compression) steel for moment M > 0 with the compression zone
+ * at face. Returns { tension, compression, neutralAxis } areas in m².
+ */
+const designFlexure = (M, geometry, face, d, d2, parameters) => {
+  const { blockStress, blockDepth, fyd, phiFlexure, neutralAxisLimit } = parameters;
+  const required = M / phiFlexure;
+  const resisted = (a) => {
+    const block = compressionBlock(geometry, face, a);
+    return blockStress * block.area * (d - block.depth);
+  };
+
+  const limit = blockDepth * neutralAxisLimit * d;
+  if (required > resisted(limit)) {
+    const force = blockStress * compressionBlock(geometry, face, limit).area;
+    const compression = (required - resisted(limit)) / (fyd * (d - d2));
+    return { tension: force / fyd + compression, compression, neutralAxis: neutralAxisLimit * d };
+  }
+
+  let low = 0;
+  let high = limit;
+  for (let i = 0; i < BISECTION_STEPS; i++) {
+    const mid = (low + high) / 2;
+    if (resisted(mid) < required) low = mid; else high = mid;
+  }
+  return {
+    tension: blockStress * compressionBlock(geometry, face, high).area / fyd,
+    compression: 0,
+    neutralAxis: high / blockDepth
+  };
+};
+
+const barArea = (diameter) => Math.PI * diameter ** 2 / 4;
+
+// Bars needed for an area and how many fit side by side on a face
+const arrangeBars = (area, diameter, width, settings) => {
+  const clear = Math.max(diameter, MIN_CLEAR_SPACING);
+  const available = width - 2 * (settings.cover + settings.linkDiameter);
+  const perLayer = Math.max(Math.floor((available + clear) / (diameter + clear)), 0);
+  const count = Math.max(Math.ceil(area / barArea(diameter) - 1e-9), 2);
+  const layers = perLayer >= 2 ? Math.ceil(count / perLayer) : Infinity;
+  return { count, diameter, perLayer, layers, area: count * barArea(diameter), fits: layers <= MAX_LAYERS };
+};
+
+// Depth from the compression face to the centroid of bars in one or two layers
+const effectiveDepth = (h, settings, layers) => {
+  const { cover, linkDiameter, barDiameter } = settings;
+  const first = cover + linkDiameter + barDiameter / 2;
+  if (layers < 2) return h - first;
+  return h - first - (barDiameter + Math.max(barDiameter, MIN_CLEAR_SPACING)) / 2;
+};
+
+/**
+ * Reinforcement for the largest moment of one sign, with tensionFace
+ * ('bottom' or 'top') in tension and the compression zone opposite.
+ */
+const designFace = (moment, position, geometry, tensionFace, settings, parameters) => {
+  const compressionFace = tensionFace === 'bottom' ? 'top' : 'bottom';
+  const d2 = settings.cover + settings.linkDiameter + settings.barDiameter / 2;
+  const tensionWidth = geometry.faceWidth(tensionFace);
+  const maxArea = 0.04 * geometry.area;
+
+  // Two bar layers lower the effective depth, so redesign once if needed
+  let d = effectiveDepth(geometry.h, settings, 1);
+  let minArea = parameters.minArea(geometry.bw, d);
+  let steel = designFlexure(moment, geometry, compressionFace, d, d2, parameters);
+  let bars = arrangeBars(Math.max(steel.tension, minArea), settings.barDiameter, tensionWidth, settings);
+  if (bars.layers > 1 && bars.fits) {
+    d = effectiveDepth(geometry.h, settings, 2);
+    minArea = parameters.minArea(geometry.bw, d);
+    steel = designFlexure(moment, geometry, compressionFace, d, d2, parameters);
+    bars = arrangeBars(Math.max(steel.tension, minArea), settings.barDiameter, tensionWidth, settings);
+  }
+
+  const compressionBars = steel.compression > 0
+    ? arrangeBars(steel.compression, settings.barDiameter, geometry.faceWidth(compressionFace), settings)
+    : null;
+
+  return {
+    moment,
+    position,
+    tensionFace,
+    effectiveDepth: d,
+    required: steel.tension,
+    compressionRequired: steel.compression,
+    neutralAxis: steel.neutralAxis,
+    minArea,
+    maxArea,
+    bars,
+    compressionBars,
+    passed: bars.fits && bars.area + (compressionBars?.area || 0) <= maxArea
+  };
+};
+
+// Bar centres on a face, origin at mid-width of the underside, y upward
+const placeBars = (bars, face, geometry, settings) => {
+  if (!bars) return [];
+  const { cover, linkDiameter } = settings;
+  const halfWidth = geometry.faceWidth(face) / 2 - cover - linkDiameter - bars.diameter / 2;
+  const pitch = bars.diameter + Math.max(bars.diameter, MIN_CLEAR_SPACING);
+  const positions = [];
+  for (let layer = 0, placed = 0; placed < bars.count && layer < MAX_LAYERS; layer++) {
+    const inLayer = Math.min(bars.perLayer, bars.count - placed);
+    const offset = cover + linkDiameter + bars.diameter / 2 + layer * pitch;
+    const y = face === 'bottom' ? offset : geometry.h - offset;
+    for (let i = 0; i < inLayer; i++) {
+      const x = inLayer === 1 ? 0 : -halfWidth + (2 * halfWidth * i) / (inLayer - 1);
+      positions.push({ x, y, diameter: bars.diameter });
+    }
+    placed += inLayer;
+  }
+  return positions;
+};
+
+// Link area per unit length for shear V at one position
+const designShear = (V, geometry, d, tensionArea, settings, parameters, code) => {
+  const { bw } = geometry;
+  const fc = settings.fck / MPA;
+  const dMm = d * 1000;
+
+  if (code === 'ACI') {
+    const phi = 0.75;
+    const Vc = 0.17 * Math.sqrt(fc) * MPA * bw * d;
+    const VsMax = 0.66 * Math.sqrt(fc) * MPA * bw * d;
+    const Vs = Math.max(V / phi - Vc, 0);
+    const minimum = Math.max(0.062 * Math.sqrt(fc), 0.35) * MPA * bw / parameters.fywd;
+    const maxSpacing = Vs > 0.33 * Math.sqrt(fc) * MPA * bw * d ? Math.min(d / 4, 0.3) : Math.min(d / 2, 0.6);
+    return {
+      areaPerLength: Math.max(Vs / (parameters.fywd * d), minimum),
+      maxSpacing,
+      concrete: phi * Vc,
+      maximum: phi * (Vc + VsMax),
+      crushed: Vs > VsMax
+    };
+  }
+
+  const z = 0.9 * d;
+  const fcd = settings.fck / 1.5;
+  const nu1 = 0.6 * (1 - fc / 250);
+  const strut = bw * z * nu1 * fcd;
+  const k = Math.min(1 + Math.sqrt(200 / dMm), 2);
+  const rho = Math.min(tensionArea / (bw * d), 0.02);
+  const vc = Math.max(0.12 * k * (100 * rho * fc) ** (1 / 3), 0.035 * k ** 1.5 * Math.sqrt(fc));
+  const minimum = 0.08 * Math.sqrt(fc) / (settings.fy / MPA) * bw;
+
+  // Flattest strut (cot θ = 2.5) unless the concrete strut crushes
+  let cot = 2.5;
+  if (V > strut / (cot + 1 / cot)) {
+    const ratio = 2 * V / strut;
+    cot = ratio <= 1 ? 1 / Math.tan(Math.asin(ratio) / 2) : 1;
+  }
+  return {
+    areaPerLength: Math.max(V / (z * parameters.fywd * cot), minimum),
+    maxSpacing: 0.75 * d,
+    concrete: vc * MPA * bw * d,
+    maximum: strut / 2,
+    crushed: V > strut / 2
+  };
+};
+
+// Round a link spacing down to the spacing step
+const roundSpacing = (spacing) => Math.floor(spacing / LINK_SPACING_STEP + 1e-9) * LINK_SPACING_STEP;
+
+// Consecutive positions with the same spacing as { start, end, spacing }
+const groupZones = (x, spacing) => {
+  const zones = [];
+  x.forEach((position, i) => {
+    const last = zones[zones.length - 1];
+    if (last && Math.abs(last.spacing - spacing[i]) < 1e-9) {
+      last.end = position;
+    } else {
+      zones.push({ start: position, end: position, spacing: spacing[i] });
+    }
+  });
+  return zones;
+};
+
+const extreme = (x, values, sign) => values.reduce(
+  (best, value, i) => (sign * value > sign * best.value ? { value, position: x[i] } : best),
+  { value: 0, position: 0 }
+);
+
+/**
+ * Reinforced concrete design of the whole member.
+ * settings: see DEFAULT_CONCRETE_DESIGN.
+ * Returns { code, geometry, sagging, hogging (null without hogging moment),
+ *   flexure: { x, bottom, top } required tension steel along the beam,
+ *   shear: { x, force, spacing, zones, concrete, maximum }, layout: bar
+ *   centres, checks, passed, source, notes } or { error }.
+ */
+export const checkConcreteMember = (beamData, results, settings) => {
+  if (!CONCRETE_SECTION_TYPES.includes(beamData.section?.type)) {
+    return { error: "Reinforced concrete design needs a rectangular or T section" };
+  }
+  const properties = calculateDesignProperties(beamData.section);
+  if (properties.error) return { error: properties.error };
+
+  const effects = getDesignEffects(results);
+  if (!effects) return { error: "No analysis results to check" };
+
+  const geometry = getGeometry(properties);
+  const d2 = settings.cover + settings.linkDiameter + settings.barDiameter / 2;
+  if (2 * d2 >= geometry.h) {
+    return { error: "The cover and bar sizes do not fit in the section depth" };
+  }
+
+  const parameters = getCodeParameters(settings.code, settings.fck, settings.fy);
+  const { moment, shear } = effects;
+  const notes = [];
+
+  const maxSagging = extreme(moment.x, moment.max, 1);
+  const maxHogging = extreme(moment.x, moment.min, -1);
+  const sagging = designFace(Math.max(maxSagging.value, 0), maxSagging.position, geometry, 'bottom', settings, parameters);
+  const hogging = maxHogging.value < -MOMENT_TOLERANCE
+    ? designFace(-maxHogging.value, maxHogging.position, geometry, 'top', settings, parameters)
+    : null;
+
+  // Required tension steel along the beam for the critical-section depths
+  const requiredAt = (M, design, tensionFace) => (M > MOMENT_TOLERANCE && design
+    ? designFlexure(M, geometry, tensionFace === 'bottom' ? 'top' : 'bottom', design.effectiveDepth, d2, parameters).tension
+    : 0);
+  const flexure = {
+    x: moment.x,
+    bottom: moment.max.map(M => requiredAt(M, sagging, 'bottom')),
+    top: moment.min.map(M => requiredAt(-M, hogging, 'top'))
+  };
+
+  // Links along the beam; the tension steel is the face in tension at each position
+  const linkArea = settings.linkLegs * barArea(settings.linkDiameter);
+  const d = Math.min(sagging.effectiveDepth, hogging?.effectiveDepth ?? Infinity);
+  const force = shear.x.map((_, i) => Math.max(Math.abs(shear.max[i]), Math.abs(shear.min[i])));
+  const shearDesign = shear.x.map((x, i) => {
+    const hoggingGoverns = hogging && Math.abs(shear.min[i]) > Math.abs(shear.max[i]);
+    const tensionArea = hoggingGoverns ? hogging.bars.area : sagging.bars.area;
+    return designShear(force[i], geometry, d, tensionArea, settings, parameters, settings.code);
+  });
+  const spacing = shearDesign.map(s => roundSpacing(Math.min(linkArea / s.areaPerLength, s.maxSpacing)));
+  const maximum = Math.min(...shearDesign.map(s => s.maximum));
+  const shearPeak = extreme(shear.x, force, 1);
+  const tightest = Math.min(...spacing);
+  const crushed = shearDesign.some(s => s.crushed);
+
+  if (settings.code === 'EC2' && settings.fck > 50 * MPA) {
+    notes.push('fck > 50 MPa: the stress block is reduced (λ) but η and the ultimate strain are not');
+  }
+  if (sagging.compressionRequired > 0 || hogging?.compressionRequired > 0) {
+    notes.push('Compression reinforcement is assumed to yield; check its strain for deep neutral axes');
+  }
+  if (!sagging.bars.fits || (hogging && !hogging.bars.fits)) {
+    notes.push(`The bars do not fit in ${MAX_LAYERS} layers: use larger bars or a wider section`);
+  }
+  if (crushed) {
+    notes.push('The shear force exceeds the concrete strut capacity: enlarge the web or raise the concrete strength');
+  } else if (tightest < MIN_LINK_SPACING) {
+    notes.push(`Links closer than ${MIN_LINK_SPACING * 1000} mm are needed: use larger links or more legs`);
+  }
+  if (geometry.hf > 0) {
+    notes.push('The full flange width is taken as effective; check the effective width for the span');
+  }
+  if ((beamData.stiffnessSegments || []).length > 0) {
+    notes.push('Non-prismatic segments are not designed: the beam section is used over the whole length');
+  }
+  notes.push('Anchorage, curtailment and crack widths are not checked');
+
+  const checks = [
+    {
+      id: 'sagging',
+      label: 'Sagging flexure (bottom steel)',
+      value: (sagging.bars.area + (sagging.compressionBars?.area || 0)) / sagging.maxArea,
+      position: sagging.position,
+      passed: sagging.passed
+    },
+    ...(hogging ? [{
+      id: 'hogging',
+      label: 'Hogging flexure (top steel)',
+      value: (hogging.bars.area + (hogging.compressionBars?.area || 0)) / hogging.maxArea,
+      position: hogging.position,
+      passed: hogging.passed
+    }] : []),
+    {
+      id: 'shear',
+      label: 'Shear (strut crushing)',
+      value: shearPeak.value / maximum,
+      position: shearPeak.position,
+      passed: !crushed && tightest >= MIN_LINK_SPACING
+    }
+  ];
+
+  // Bars on each face: the larger of its tension and compression requirement
+  const faceBars = (tension, compression) => {
+    if (!compression) return tension;
+    return !tension || compression.count > tension.count ? compression : tension;
+  };
+
+  return {
+    code: settings.code,
+    geometry: { h: geometry.h, bw: geometry.bw, bf: geometry.bf, hf: geometry.hf },
+    sagging,
+    hogging,
+    flexure,
+    shear: {
+      x: shear.x,
+      force,
+      spacing,
+      zones: groupZones(shear.x, spacing),
+      concrete: Math.min(...shearDesign.map(s => s.concrete)),
+      maximum,
+      linkArea
+    },
+    layout: {
+      bottom: placeBars(faceBars(sagging.bars, hogging?.compressionBars), 'bottom', geometry, settings),
+      top: placeBars(faceBars(hogging?.bars, sagging.compressionBars), 'top', geometry, settings)
+    },
+    checks,
+    passed: checks.every(check => check.passed),
+    source: effects.label,
+    notes
+  };
+};
@@ -0,0 +1,77 @@
+import { checkConcreteMember, DEFAULT_CONCRETE_DESIGN } from './concreteDesign';
+import { runAnalysis } from './analysis';
+import { createTestBeam, uniformLoad } from './testModels';
+
+const SECTION = { type: 'rectangular', width: 0.3, height: 0.6 };
+// Cover, link and half a main bar below the bottom face
+const D = 0.6 - 0.03 - 0.01 - 0.01;
+
+const createModel = (w, changes) => createTestBeam({ section: SECTION, E: 3.3e7, distributedLoads: [uniformLoad(6, w)], ...changes });
+
+const design = (model, settings = DEFAULT_CONCRETE_DESIGN) => (
+  checkConcreteMember(model, runAnalysis(model, { resolution: 100 }), settings)
+);
+
+describe('checkConcreteMember (EC2)', () => {
+  test('a simply supported beam needs bottom steel for wL²/8', () => {
+    const check = design(createModel(30));
+
+    // Rectangular block 0.8x deep at 0.85 fck / 1.5 balancing As fy / 1.15
+    const M = 30 * 6 ** 2 / 8;
+    const force = 0.85 * 30e3 / 1.5 * 0.3;
+    const a = D - Math.sqrt(D ** 2 - 2 * M / force);
+    expect(check.error).toBeUndefined();
+    expect(check.sagging.moment).toBeCloseTo(M);
+    expect(check.sagging.required).toBeCloseTo(force * a / (500e3 / 1.15), 8);
+    expect(check.sagging.compressionRequired).toBe(0);
+    expect(check.sagging.bars.count).toBe(Math.ceil(check.sagging.required / (Math.PI * 0.02 ** 2 / 4)));
+    expect(check.hogging).toBeNull();
+    expect(check.passed).toBe(true);
+  });
+
+  test('a two-span beam needs top steel over the middle support', () => {
+    const supports = [{ type: 'Hinge', position: 0 }, { type: 'Roller', position: 3 }, { type: 'Roller', position: 6 }];
+    const check = design(createModel(30, { supports }));
+
+    // wL²/8 for each 3 m span
+    expect(check.hogging.moment).toBeCloseTo(30 * 3 ** 2 / 8, 4);
+    expect(check.hogging.position).toBeCloseTo(3);
+    expect(check.hogging.tensionFace).toBe('top');
+    expect(check.layout.top.length).toBe(check.hogging.bars.count);
+  });
+
+  test('beyond the neutral axis limit the section needs compression steel', () => {
+    const check = design(createModel(200));
+
+    expect(check.sagging.compressionRequired).toBeGreaterThan(0);
+    expect(check.sagging.neutralAxis).toBeCloseTo(0.45 * check.sagging.effectiveDepth);
+    expect(check.notes).toContain('Compression reinforcement is assumed to yield; check its strain for deep neutral axes');
+  });
+
+  test('takes at least the minimum steel', () => {
+    const check = design(createModel(1));
+
+    expect(check.sagging.required).toBeLessThan(check.sagging.minArea);
+    expect(check.sagging.bars.area).toBeGreaterThanOrEqual(check.sagging.minArea);
+  });
+});
+
+describe('checkConcreteMember (ACI)', () => {
+  test('the concrete carries φVc = 0.75 × 0.17√fc bw d', () => {
+    const check = design(createModel(30), { ...DEFAULT_CONCRETE_DESIGN, code: 'ACI' });
+
+    expect(check.shear.concrete).toBeCloseTo(0.75 * 0.17 * Math.sqrt(30) * 1000 * 0.3 * D);
+    expect(check.shear.zones.length).toBeGreaterThan(0);
+  });
+});
+
+describe('checkConcreteMember errors', () => {
+  test('needs a rectangular or T section', () => {
+    const model = createModel(30, { section: { type: 'circular', diameter: 0.5 } });
+    expect(design(model).error).toMatch(/rectangular or T section/);
+  });
+
+  test('the cover and bars must fit in the depth', () => {
+    expect(design(createModel(30), { ...DEFAULT_CONCRETE_DESIGN, cover: 0.3 }).error).toMatch(/do not fit/);
+  });
+});
@@ -1,5 +1,16 @@
 import jsPDF from 'jspdf';
 import html2canvas from 'html2canvas';
+import { calculateSpanMoments } from './calculations';
+import { evaluatePiecewise } from './piecewisePolynomials';
+import { getLoadCase } from './loadCombinations';
+import { checkSteelMember, STEEL_DESIGN_CODES, STEEL_GRADES } from './steelDesign';
+import { checkConcreteMember, CONCRETE_DESIGN_CODES } from './concreteDesign';
+import { checkDeflectionLimits } from './serviceability';
+import { calculateSectionProperties } from './sectionProperties';
+import { getSegmentSection } from './stiffness';
+import { DEFAULT_THERMAL_EXPANSION } from './thermal';
+import { DEFAULT_DENSITY, getSelfWeightLoads, hasSelfWeight } from './selfWeight';
+import { checkTimberMember, TIMBER_DESIGN_CODES, TIMBER_STRENGTH_CLASSES, SERVICE_CLASSES, LOAD_DURATION_CLASSES } from './timberDesign';
 
 export const exportResultsToPDF = async (beamData, results) => {
   const pdf = new jsPDF('p', 'mm', 'a4');
@@ -121,6 +132,10 @@ export const exportResultsToPDF = async (beamData, results) => {
     pdf.setFont('helvetica', 'normal');
     pdf.text(`Length: ${beamData.length} m`, margin, yPosition);
     yPosition += 8;
+    if (beamData.multiSpan?.enabled) {
+      pdf.text(`Continuous beam spans: ${beamData.multiSpan.spans.map(span => `${span} m`).join(' + ')}`, margin, yPosition);
+      yPosition += 8;
+    }
     pdf.text(`Young's Modulus (E): ${beamData.materialProperties.E.toExponential(2)} kN/m²`, margin, yPosition);
     yPosition += 8;
     pdf.text(`Moment of Inertia (I): ${beamData.materialProperties.I.toExponential(2)} m⁴`, margin, yPosition);
@@ -128,6 +143,54 @@ export const exportResultsToPDF = async (beamData, results) => {
     pdf.text(`Flexural Rigidity (EI): ${(beamData.materialProperties.E * beamData.materialProperties.I).toExponential(2)} kNm²`, margin, yPosition);
     yPosition += 15;
 
+    // Section Properties, the same ones the stress views use
+    const sectionProperties = calculateSectionProperties(beamData.section);
+    checkPageBreak(60);
+    pdf.setFont('helvetica', 'bold');
+    pdf.text(`Section (${sectionProperties.designation || sectionProperties.type || 'rectangular'}):`, margin, yPosition);
+    yPosition += 8;
+    pdf.setFont('helvetica', 'normal');
+    if (sectionProperties.error) {
+      pdf.text(`  ${sectionProperties.error}`, margin, yPosition);
+      yPosition += 6;
+    } else {
+      [
+        `Area (A): ${sectionProperties.area.toExponential(3)} m²`,
+        `Moment of Inertia (I): ${sectionProperties.momentOfInertia.toExponential(3)} m⁴`,
+        `Neutral axis height: ${(sectionProperties.centroidHeight * 1000).toFixed(1)} mm of ${(sectionProperties.depth * 1000).toFixed(1)} mm`,
+        `Elastic modulus: top ${sectionProperties.WelTop.toExponential(3)} m³, bottom ${sectionProperties.WelBottom.toExponential(3)} m³`,
+        ...(sectionProperties.Wpl !== null ? [`Plastic modulus (Wpl): ${sectionProperties.Wpl.toExponential(3)} m³`] : []),
+        `Shear area (Av = I·b/Q): ${sectionProperties.shearArea.toExponential(3)} m²`,
+        ...(sectionProperties.indicative ? ['Custom section: only I is known, the other values are indicative'] : [])
+      ].forEach(line => {
+        pdf.text(`  ${line}`, margin, yPosition);
+        yPosition += 6;
+      });
+    }
+    yPosition += 5;
+
+    // Non-prismatic segments, EI at both ends
+    const stiffnessSegments = beamData.stiffnessSegments || [];
+    if (stiffnessSegments.length > 0) {
+      checkPageBreak(20 + stiffnessSegments.length * 6);
+      pdf.setFont('helvetica', 'bold');
+      pdf.text('Non-prismatic Segments:', margin, yPosition);
+      yPosition += 8;
+      pdf.setFont('helvetica', 'normal');
+      stiffnessSegments.forEach((segment, index) => {
+        const rigidityAt = (x) => segment.E * calculateSectionProperties(getSegmentSection(segment, x)).momentOfInertia;
+        const start = rigidityAt(segment.start);
+        const end = rigidityAt(segment.end);
+        const rigidity = segment.endDepth > 0
+          ? `EI ${start.toExponential(2)} to ${end.toExponential(2)} kNm² (taper to ${(segment.endDepth * 1000).toFixed(0)} mm deep)`
+          : `EI ${start.toExponential(2)} kNm²`;
+        const section = segment.section?.designation || segment.section?.type || 'rectangular';
+        pdf.text(`  ${index + 1}. ${segment.start} m to ${segment.end} m, ${section}, ${rigidity}`, margin, yPosition);
+        yPosition += 6;
+      });
+      yPosition += 5;
+    }
+
     // Supports
     if (beamData.supports.length > 0) {
       pdf.setFont('helvetica', 'bold');
@@ -135,7 +198,31 @@ export const exportResultsToPDF = async (beamData, results) => {
       yPosition += 8;
       pdf.setFont('helvetica', 'normal');
       beamData.supports.forEach((support, index) => {
-        pdf.text(`  ${index + 1}. ${support.type} support at ${support.position} m`, margin, yPosition);
+        const details = [
+          support.type === 'Spring' ? `k = ${support.stiffness} kN/m` : null,
+          support.type === 'Rotational Spring' ? `rotational stiffness ${support.rotationalStiffness} kNm/rad` : null,
+          support.settlement ? `settlement ${(support.settlement * 1000).toFixed(1)} mm down (case ${getLoadCase(support)})` : null,
+          support.rotation ? `rotation ${(support.rotation * 1000).toFixed(2)} mrad CCW (case ${getLoadCase(support)})` : null
+        ].filter(Boolean);
+        const suffix = details.length > 0 ? `, ${details.join(', ')}` : '';
+        pdf.text(`  ${index + 1}. ${support.type} support at ${support.position} m${suffix}`, margin, yPosition);
+        yPosition += 6;
+      });
+      yPosition += 5;
+    }
+
+    // Elastic foundation
+    if (beamData.foundation?.enabled) {
+      const { modulus, width, segments = [] } = beamData.foundation;
+      checkPageBreak(25 + segments.length * 6);
+      pdf.setFont('helvetica', 'bold');
+      pdf.text('Elastic Foundation (Winkler):', margin, yPosition);
+      yPosition += 8;
+      pdf.setFont('helvetica', 'normal');
+      pdf.text(`  Subgrade modulus k = ${modulus.toFixed(0)} kN/m³ over a contact width of ${width} m`, margin, yPosition);
+      yPosition += 6;
+      segments.forEach(segment => {
+        pdf.text(`  ${segment.start} m to ${segment.end} m: k = ${segment.modulus.toFixed(0)} kN/m³`, margin, yPosition);
         yPosition += 6;
       });
       yPosition += 5;
@@ -155,10 +242,10 @@ export const exportResultsToPDF = async (beamData, results) => {
         if (isInclined) {
           const verticalComp = Math.abs(load.magnitude) * Math.cos(angle * Math.PI / 180);
           const horizontalComp = Math.abs(load.magnitude) * Math.sin(angle * Math.PI / 180);
-          pdf.text(`  ${index + 1}. ${Math.abs(load.magnitude)} kN at ${angle}° (V: ${verticalComp.toFixed(2)} kN, H: ${horizontalComp.toFixed(2)} kN) at ${load.position} m`, margin, yPosition);
+          pdf.text(`  ${index + 1}. ${Math.abs(load.magnitude)} kN at ${angle}° (V: ${verticalComp.toFixed(2)} kN, H: ${horizontalComp.toFixed(2)} kN) at ${load.position} m [${getLoadCase(load)}]`, margin, yPosition);
         } else {
           const direction = load.magnitude > 0 ? 'Upward' : 'Downward';
-          pdf.text(`  ${index + 1}. ${Math.abs(load.magnitude)} kN (${direction}) at ${load.position} m`, margin, yPosition);
+          pdf.text(`  ${index + 1}. ${Math.abs(load.magnitude)} kN (${direction}) at ${load.position} m [${getLoadCase(load)}]`, margin, yPosition);
         }
         yPosition += 6;
       });
@@ -173,12 +260,38 @@ export const exportResultsToPDF = async (beamData, results) => {
       yPosition += 8;
       pdf.setFont('helvetica', 'normal');
       beamData.distributedLoads.forEach((load, index) => {
-        pdf.text(`  ${index + 1}. ${Math.abs(load.startMag)} to ${Math.abs(load.endMag)} kN/m from ${load.startPos} to ${load.endPos} m`, margin, yPosition);
+        pdf.text(`  ${index + 1}. ${Math.abs(load.startMag)} to ${Math.abs(load.endMag)} kN/m from ${load.startPos} to ${load.endPos} m [${getLoadCase(load)}]`, margin, yPosition);
         yPosition += 6;
       });
       yPosition += 5;
     }
 
+    // Self-weight, generated from the density and section area
+    const selfWeightLoads = getSelfWeightLoads(beamData);
+    if (hasSelfWeight(beamData)) {
+      checkPageBreak(30 + (selfWeightLoads.length || 1) * 6);
+      pdf.setFont('helvetica', 'bold');
+      pdf.text('Self-weight:', margin, yPosition);
+      yPosition += 8;
+      pdf.setFont('helvetica', 'normal');
+      if (selfWeightLoads.error) {
+        pdf.text(`  ${selfWeightLoads.error}`, margin, yPosition);
+        yPosition += 6;
+      } else {
+        const density = beamData.materialProperties.density ?? DEFAULT_DENSITY;
+        pdf.text(`  Density ${density} kg/m³ x g x section area [${getLoadCase(beamData.selfWeight)}]`, margin, yPosition);
+        yPosition += 6;
+        selfWeightLoads.forEach(load => {
+          const magnitude = load.startMag === load.endMag
+            ? `${Math.abs(load.startMag).toFixed(3)} kN/m`
+            : `${Math.abs(load.startMag).toFixed(3)} to ${Math.abs(load.endMag).toFixed(3)} kN/m`;
+          pdf.text(`  ${magnitude} downward from ${load.startPos} to ${load.endPos} m`, margin, yPosition);
+          yPosition += 6;
+        });
+      }
+      yPosition += 5;
+    }
+
     // Applied Moments
     if (beamData.moments.length > 0) {
       checkPageBreak(30);
@@ -188,7 +301,44 @@ export const exportResultsToPDF = async (beamData, results) => {
       pdf.setFont('helvetica', 'normal');
       beamData.moments.forEach((moment, index) => {
         const direction = moment.magnitude > 0 ? 'Clockwise' : 'Counter-clockwise';
-        pdf.text(`  ${index + 1}. ${Math.abs(moment.magnitude)} kNm (${direction}) at ${moment.position} m`, margin, yPosition);
+        pdf.text(`  ${index + 1}. ${Math.abs(moment.magnitude)} kNm (${direction}) at ${moment.position} m [${getLoadCase(moment)}]`, margin, yPosition);
+        yPosition += 6;
+      });
+      yPosition += 5;
+    }
+
+    // Thermal Loads
+    const thermalLoads = beamData.thermalLoads || [];
+    if (thermalLoads.length > 0) {
+      checkPageBreak(30 + thermalLoads.length * 6);
+      pdf.setFont('helvetica', 'bold');
+      pdf.text('Thermal Loads:', margin, yPosition);
+      yPosition += 8;
+      pdf.setFont('helvetica', 'normal');
+      const alpha = beamData.materialProperties.alpha ?? DEFAULT_THERMAL_EXPANSION;
+      pdf.text(`  Thermal expansion coefficient: ${(alpha * 1e6).toFixed(1)} x 10^-6 /°C`, margin, yPosition);
+      yPosition += 6;
+      thermalLoads.forEach((load, index) => {
+        const changes = `uniform ${load.uniform || 0} °C, top ${load.top || 0} °C, bottom ${load.bottom || 0} °C`;
+        pdf.text(`  ${index + 1}. dT ${changes} from ${load.startPos} to ${load.endPos} m [${getLoadCase(load)}]`, margin, yPosition);
+        yPosition += 6;
+      });
+      yPosition += 5;
+    }
+
+    // Load Cases and Combinations
+    const loadCombinations = beamData.loadCombinations || [];
+    if (loadCombinations.length > 0) {
+      checkPageBreak(30);
+      pdf.setFont('helvetica', 'bold');
+      pdf.text('Load Combinations:', margin, yPosition);
+      yPosition += 8;
+      pdf.setFont('helvetica', 'normal');
+      pdf.text(`  Load cases: ${(beamData.loadCases || []).map(c => `${c.id} = ${c.name}`).join(', ')}`, margin, yPosition);
+      yPosition += 6;
+      loadCombinations.forEach(combination => {
+        checkPageBreak(10);
+        pdf.text(`  ${combination.id} (${combination.type}): ${combination.name}`, margin, yPosition);
         yPosition += 6;
       });
       yPosition += 5;
@@ -212,7 +362,13 @@ export const exportResultsToPDF = async (beamData, results) => {
       pdf.setFontSize(16);
       pdf.setFont('helvetica', 'bold');
       pdf.text('Reaction Forces', margin, yPosition);
-      yPosition += 15;
+      yPosition += 8;
+      if (results.loadSet) {
+        pdf.setFontSize(10);
+        pdf.setFont('helvetica', 'italic');
+        pdf.text(`Results for: ${results.loadSet.label}`, margin, yPosition);
+      }
+      yPosition += 7;
 
       pdf.setFontSize(12);
       pdf.setFont('helvetica', 'normal');
@@ -223,6 +379,11 @@ export const exportResultsToPDF = async (beamData, results) => {
         const forceDirection = reaction.force < 0 ? 'Downward' : 'Upward';
         pdf.text(`  Vertical Force: ${Math.abs(reaction.force).toFixed(3)} kN (${forceDirection})`, margin + 10, yPosition);
         yPosition += 6;
+        if (Math.abs(reaction.horizontal || 0) > 1e-9) {
+          const horizontalDirection = reaction.horizontal < 0 ? 'Leftward' : 'Rightward';
+          pdf.text(`  Horizontal Force: ${Math.abs(reaction.horizontal).toFixed(3)} kN (${horizontalDirection})`, margin + 10, yPosition);
+          yPosition += 6;
+        }
         if (reaction.moment !== undefined) {
           const momentDirection = reaction.moment > 0 ? 'Clockwise' : 'Counter-clockwise';
           pdf.text(`  Moment: ${Math.abs(reaction.moment).toFixed(3)} kNm (${momentDirection})`, margin + 10, yPosition);
@@ -232,6 +393,38 @@ export const exportResultsToPDF = async (beamData, results) => {
       });
     }
 
+    // Continuous Beam Summary
+    if (beamData.multiSpan?.enabled && results.bendingMoment.x.length > 0) {
+      const { supportMoments, spanMoments } = calculateSpanMoments(beamData.multiSpan.spans, results.segments);
+
+      checkPageBreak(40 + 6 * (supportMoments.length + spanMoments.length));
+      yPosition += 10;
+      pdf.setFontSize(16);
+      pdf.setFont('helvetica', 'bold');
+      pdf.text('Continuous Beam Summary', margin, yPosition);
+      yPosition += 15;
+
+      pdf.setFontSize(12);
+      pdf.text('Interior Support Moments:', margin, yPosition);
+      yPosition += 8;
+      pdf.setFont('helvetica', 'normal');
+      supportMoments.forEach(({ position, moment }) => {
+        pdf.text(`  Support at ${position.toFixed(2)} m: ${moment.toFixed(3)} kNm`, margin, yPosition);
+        yPosition += 6;
+      });
+      yPosition += 5;
+
+      pdf.setFont('helvetica', 'bold');
+      pdf.text('Maximum Positive Span Moments:', margin, yPosition);
+      yPosition += 8;
+      pdf.setFont('helvetica', 'normal');
+      spanMoments.forEach((span) => {
+        pdf.text(`  Span ${span.span} (${span.length.toFixed(2)} m): ${span.maxPositiveMoment.toFixed(3)} kNm at ${span.position.toFixed(2)} m`, margin, yPosition);
+        yPosition += 6;
+      });
+      yPosition += 5;
+    }
+
     // Add Analysis Diagrams
     if (results.shearForce.x.length > 0) {
       // Add a new page for diagrams
@@ -262,6 +455,15 @@ export const exportResultsToPDF = async (beamData, results) => {
         await addChartToPDF(bmdContainer, 'Bending Moment Diagram (BMD)');
       }
 
+      // Capture AFD when inclined loads produce axial force
+      const afdContainer = Array.from(document.querySelectorAll('.card')).find(card => 
+        card.querySelector('h3')?.textContent?.includes('Axial Force Diagram')
+      );
+      
+      if (afdContainer && results.axialForce?.y.some(v => Math.abs(v) > 1e-9)) {
+        await addChartToPDF(afdContainer, 'Axial Force Diagram (AFD)');
+      }
+
       // Capture Deflection Diagram
       const deflectionContainer = Array.from(document.querySelectorAll('.card')).find(card => 
         card.querySelector('h3')?.textContent?.includes('Deflection Diagram')
@@ -270,6 +472,15 @@ export const exportResultsToPDF = async (beamData, results) => {
       if (deflectionContainer) {
         await addChartToPDF(deflectionContainer, 'Deflection Diagram');
       }
+
+      // Capture Slope Diagram
+      const slopeContainer = Array.from(document.querySelectorAll('.card')).find(card => 
+        card.querySelector('h3')?.textContent?.includes('Slope (Rotation) Diagram')
+      );
+      
+      if (slopeContainer) {
+        await addChartToPDF(slopeContainer, 'Slope (Rotation) Diagram');
+      }
     }
 
     // Analysis Results Table
@@ -284,31 +495,37 @@ export const exportResultsToPDF = async (beamData, results) => {
       // Table headers
       pdf.setFontSize(10);
       pdf.setFont('helvetica', 'bold');
-      const colWidth = (pageWidth - 2 * margin) / 4;
+      const colWidth = (pageWidth - 2 * margin) / 5;
       pdf.text('Position (m)', margin, yPosition);
-      pdf.text('Shear Force (kN)', margin + colWidth, yPosition);
-      pdf.text('Bending Moment (kNm)', margin + 2 * colWidth, yPosition);
+      pdf.text('Shear (kN)', margin + colWidth, yPosition);
+      pdf.text('Moment (kNm)', margin + 2 * colWidth, yPosition);
       pdf.text('Deflection (mm)', margin + 3 * colWidth, yPosition);
+      pdf.text('Rotation (mrad)', margin + 4 * colWidth, yPosition);
       yPosition += 8;
 
       // Draw line under headers
       pdf.line(margin, yPosition - 2, pageWidth - margin, yPosition - 2);
       yPosition += 3;
 
-      // Table data
+      // Table data, evaluated from the exact polynomials
       pdf.setFont('helvetica', 'normal');
-      for (let i = 0; i < results.shearForce.x.length; i++) {
-        const x = results.shearForce.x[i];
-        if (x % 1 === 0 || Math.abs(x - beamData.length) < 0.01) {
-          checkPageBreak(8);
-          
-          pdf.text(x.toFixed(2), margin, yPosition);
-          pdf.text(results.shearForce.y[i].toFixed(4), margin + colWidth, yPosition);
-          pdf.text(results.bendingMoment.y[i].toFixed(4), margin + 2 * colWidth, yPosition);
-          pdf.text((results.deflection.y[i] * 1000).toFixed(4), margin + 3 * colWidth, yPosition);
-          yPosition += 6;
-        }
+      const tablePositions = [];
+      for (let x = 0; x < beamData.length - 1e-6; x += 1) {
+        tablePositions.push(x);
       }
+      tablePositions.push(beamData.length);
+
+      tablePositions.forEach((x) => {
+        checkPageBreak(8);
+        const deflection = evaluatePiecewise(results.segments, 'deflection', x);
+
+        pdf.text(x.toFixed(2), margin, yPosition);
+        pdf.text(evaluatePiecewise(results.segments, 'shear', x).toFixed(4), margin + colWidth, yPosition);
+        pdf.text(evaluatePiecewise(results.segments, 'moment', x).toFixed(4), margin + 2 * colWidth, yPosition);
+        pdf.text((deflection * 1000).toFixed(4), margin + 3 * colWidth, yPosition);
+        pdf.text((evaluatePiecewise(results.segments, 'slope', x) * 1000).toFixed(4), margin + 4 * colWidth, yPosition);
+        yPosition += 6;
+      });
     }
 
     // Maximum Values Summary
@@ -326,17 +543,332 @@ export const exportResultsToPDF = async (beamData, results) => {
       // Find maximum values
       const maxShear = Math.max(...results.shearForce.y.map(Math.abs));
       const maxMoment = Math.max(...results.bendingMoment.y.map(Math.abs));
-      const maxDeflection = Math.max(...results.deflection.y.map(Math.abs));
       
       const maxShearIndex = results.shearForce.y.findIndex(v => Math.abs(v) === maxShear);
       const maxMomentIndex = results.bendingMoment.y.findIndex(v => Math.abs(v) === maxMoment);
-      const maxDeflectionIndex = results.deflection.y.findIndex(v => Math.abs(v) === maxDeflection);
 
       pdf.text(`Maximum Shear Force: ${maxShear.toFixed(2)} kN at ${results.shearForce.x[maxShearIndex].toFixed(2)} m`, margin, yPosition);
       yPosition += 8;
       pdf.text(`Maximum Bending Moment: ${maxMoment.toFixed(2)} kNm at ${results.bendingMoment.x[maxMomentIndex].toFixed(2)} m`, margin, yPosition);
+
+      if (!sectionProperties.error) {
+        const { momentOfInertia, stressDistance, firstMomentOfArea, thickness } = sectionProperties;
+        yPosition += 8;
+        pdf.text(`Maximum Bending Stress: ${(maxMoment * stressDistance / momentOfInertia / 1000).toFixed(2)} MPa`, margin, yPosition);
+        yPosition += 8;
+        pdf.text(`Maximum Shear Stress: ${(maxShear * firstMomentOfArea / (momentOfInertia * thickness) / 1000).toFixed(2)} MPa`, margin, yPosition);
+      }
+
+      if (results.axialForce?.y.some(v => Math.abs(v) > 1e-9)) {
+        const maxAxial = Math.max(...results.axialForce.y.map(Math.abs));
+        const maxAxialIndex = results.axialForce.y.findIndex(v => Math.abs(v) === maxAxial);
+        const axialType = results.axialForce.y[maxAxialIndex] > 0 ? 'Tension' : 'Compression';
+        yPosition += 8;
+        pdf.text(`Maximum Axial Force: ${maxAxial.toFixed(2)} kN (${axialType}) at ${results.axialForce.x[maxAxialIndex].toFixed(2)} m`, margin, yPosition);
+      }
+
+      if (results.deflection.y.length > 0) {
+        const maxDeflection = Math.max(...results.deflection.y.map(Math.abs));
+        const maxDeflectionIndex = results.deflection.y.findIndex(v => Math.abs(v) === maxDeflection);
+        yPosition += 8;
+        pdf.text(`Maximum Deflection: ${(maxDeflection * 1000).toFixed(2)} mm at ${results.deflection.x[maxDeflectionIndex].toFixed(2)} m`, margin, yPosition);
+      }
+
+      if (results.soilPressure?.y.length > 0) {
+        const maxPressure = Math.max(...results.soilPressure.y);
+        const maxPressureIndex = results.soilPressure.y.indexOf(maxPressure);
+        yPosition += 8;
+        pdf.text(`Maximum Soil Pressure: ${maxPressure.toFixed(2)} kN/m² at ${results.soilPressure.x[maxPressureIndex].toFixed(2)} m`, margin, yPosition);
+      }
+
+      if (results.slope && results.slope.y.length > 0) {
+        const maxRotation = Math.max(...results.slope.y.map(Math.abs));
+        const maxRotationIndex = results.slope.y.findIndex(v => Math.abs(v) === maxRotation);
+        yPosition += 8;
+        pdf.text(`Maximum Rotation: ${(maxRotation * 1000).toFixed(3)} mrad (${(maxRotation * 180 / Math.PI).toFixed(4)}°) at ${results.slope.x[maxRotationIndex].toFixed(2)} m`, margin, yPosition);
+      }
+    }
+
+    // Deflection Limit Checks
+    const serviceability = results.segments?.length > 0 ? checkDeflectionLimits(beamData, results) : null;
+    if (serviceability) {
+      checkPageBreak(60);
+      yPosition += 15;
+      pdf.setFontSize(16);
+      pdf.setFont('helvetica', 'bold');
+      pdf.text('Deflection Limit Checks', margin, yPosition);
+      yPosition += 15;
+
+      pdf.setFontSize(12);
+      serviceability.criteria.forEach(criterion => {
+        const limits = [
+          criterion.spanRatio ? `L/${criterion.spanRatio}` : null,
+          criterion.absoluteLimit ? `${(criterion.absoluteLimit * 1000).toFixed(1)} mm` : null
+        ].filter(Boolean).join(', ');
+        checkPageBreak(16);
+        pdf.setFont('helvetica', 'bold');
+        pdf.text(`${criterion.name} (${criterion.label}; ${limits})`, margin, yPosition);
+        yPosition += 8;
+        pdf.setFont('helvetica', 'normal');
+
+        if (criterion.error) {
+          pdf.text(criterion.error, margin + 5, yPosition);
+          yPosition += 8;
+          return;
+        }
+        criterion.spans.forEach(span => {
+          checkPageBreak(8);
+          pdf.setFont('helvetica', 'bold');
+          pdf.text(span.passed ? 'PASS' : 'FAIL', margin + 5, yPosition);
+          pdf.setFont('helvetica', 'normal');
+          pdf.text(
+            `${span.start.toFixed(2)} - ${span.end.toFixed(2)} m${span.cantilever ? ' (cantilever)' : ''}: ${(span.deflection.value * 1000).toFixed(2)} mm / limit ${(span.limit * 1000).toFixed(2)} mm, utilisation ${span.utilisation.toFixed(3)}`,
+            margin + 23,
+            yPosition
+          );
+          yPosition += 8;
+        });
+      });
+
+      checkPageBreak(10);
+      pdf.setFont('helvetica', 'bold');
+      pdf.text(`Overall: ${serviceability.passed ? 'PASS' : 'FAIL'}`, margin, yPosition);
       yPosition += 8;
-      pdf.text(`Maximum Deflection: ${(maxDeflection * 1000).toFixed(2)} mm at ${results.deflection.x[maxDeflectionIndex].toFixed(2)} m`, margin, yPosition);
+      pdf.setFont('helvetica', 'normal');
+    }
+
+    // Steel Design Check
+    const steelCheck = beamData.design?.mode === 'steel' && results.shearForce.x.length > 0
+      ? checkSteelMember(beamData, results, beamData.design.steel)
+      : null;
+    if (steelCheck) {
+      checkPageBreak(80);
+      yPosition += 15;
+      pdf.setFontSize(16);
+      pdf.setFont('helvetica', 'bold');
+      pdf.text('Steel Design Check', margin, yPosition);
+      yPosition += 15;
+
+      pdf.setFontSize(12);
+      pdf.setFont('helvetica', 'normal');
+      if (steelCheck.error) {
+        pdf.text(steelCheck.error, margin, yPosition);
+        yPosition += 8;
+      } else {
+        const { resistance } = steelCheck;
+        const momentFactorLabel = steelCheck.code === 'AISC' ? 'Cb' : 'C1';
+        const lines = [
+          `Code: ${STEEL_DESIGN_CODES[steelCheck.code]}`,
+          ...(steelCheck.properties.designation ? [`Section: ${steelCheck.properties.designation}`] : []),
+          `Grade: ${STEEL_GRADES[beamData.design.steel.grade].label}`,
+          `Unbraced length: ${steelCheck.unbracedLength.toFixed(2)} m, ${momentFactorLabel} = ${steelCheck.momentFactor.toFixed(2)}`,
+          `Design actions: ${steelCheck.source}`,
+          `Classification (sagging / hogging): ${resistance.classification.positive} / ${resistance.classification.negative}`,
+          `Bending resistance (sagging / hogging): ${resistance.bending.positive.toFixed(2)} / ${resistance.bending.negative.toFixed(2)} kNm`,
+          `Buckling resistance (sagging / hogging): ${resistance.buckling.positive.toFixed(2)} / ${resistance.buckling.negative.toFixed(2)} kNm`,
+          `Shear resistance: ${resistance.shear.toFixed(2)} kN`
+        ];
+        lines.forEach(line => {
+          checkPageBreak(8);
+          pdf.text(line, margin, yPosition);
+          yPosition += 8;
+        });
+
+        yPosition += 4;
+        steelCheck.checks.forEach(check => {
+          checkPageBreak(8);
+          pdf.setFont('helvetica', 'bold');
+          pdf.text(check.passed ? 'PASS' : 'FAIL', margin, yPosition);
+          pdf.setFont('helvetica', 'normal');
+          pdf.text(`${check.label}: utilisation ${check.value.toFixed(3)} at ${check.position.toFixed(2)} m`, margin + 18, yPosition);
+          yPosition += 8;
+        });
+
+        checkPageBreak(10);
+        pdf.setFont('helvetica', 'bold');
+        pdf.text(`Overall: ${steelCheck.passed ? 'PASS' : 'FAIL'}`, margin, yPosition);
+        yPosition += 8;
+
+        pdf.setFontSize(10);
+        pdf.setFont('helvetica', 'italic');
+        steelCheck.notes.forEach(note => {
+          const wrapped = pdf.splitTextToSize(`Note: ${note}`, pageWidth - 2 * margin);
+          checkPageBreak(wrapped.length * 5 + 2);
+          pdf.text(wrapped, margin, yPosition);
+          yPosition += wrapped.length * 5 + 2;
+        });
+
+        // Capture the utilisation chart when the Design Checks view is open
+        const utilisationContainer = Array.from(document.querySelectorAll('.card')).find(card =>
+          card.querySelector('h3')?.textContent?.includes('Design Utilisation')
+        );
+
+        if (utilisationContainer) {
+          yPosition += 10;
+          await addChartToPDF(utilisationContainer, 'Design Utilisation');
+        }
+      }
+    }
+
+    // Reinforced Concrete Design
+    const concreteCheck = beamData.design?.mode === 'concrete' && results.shearForce.x.length > 0
+      ? checkConcreteMember(beamData, results, beamData.design.concrete)
+      : null;
+    if (concreteCheck) {
+      checkPageBreak(80);
+      yPosition += 15;
+      pdf.setFontSize(16);
+      pdf.setFont('helvetica', 'bold');
+      pdf.text('Reinforced Concrete Design', margin, yPosition);
+      yPosition += 15;
+
+      pdf.setFontSize(12);
+      pdf.setFont('helvetica', 'normal');
+      if (concreteCheck.error) {
+        pdf.text(concreteCheck.error, margin, yPosition);
+        yPosition += 8;
+      } else {
+        const settings = beamData.design.concrete;
+        const mm = (value) => (value * 1000).toFixed(0);
+        const mm2 = (value) => (value * 1e6).toFixed(0);
+        const describeBars = (bars) => `${bars.count} x ${mm(bars.diameter)} mm${bars.layers > 1 ? ` in ${bars.layers} layers` : ''} (${mm2(bars.area)} mm²)`;
+        const lines = [
+          `Code: ${CONCRETE_DESIGN_CODES[concreteCheck.code]}`,
+          `Concrete ${(settings.fck / 1000).toFixed(0)} MPa, reinforcement fy = ${(settings.fy / 1000).toFixed(0)} MPa`,
+          `Cover ${mm(settings.cover)} mm, main bars ${mm(settings.barDiameter)} mm, ${settings.linkLegs}-leg links ${mm(settings.linkDiameter)} mm`,
+          `Design actions: ${concreteCheck.source}`
+        ];
+        [['Sagging', concreteCheck.sagging], ['Hogging', concreteCheck.hogging]].forEach(([name, design]) => {
+          if (!design) return;
+          lines.push(`${name}: M = ${design.moment.toFixed(2)} kNm at ${design.position.toFixed(2)} m, d = ${mm(design.effectiveDepth)} mm`);
+          lines.push(`  As required ${mm2(design.required)} mm² (min ${mm2(design.minArea)}, max ${mm2(design.maxArea)}), provided ${describeBars(design.bars)}`);
+          if (design.compressionBars) {
+            lines.push(`  Compression bars: ${describeBars(design.compressionBars)}`);
+          }
+        });
+        lines.push('Shear links:');
+        concreteCheck.shear.zones.forEach(zone => {
+          lines.push(`  ${zone.start.toFixed(2)} - ${zone.end.toFixed(2)} m: ${mm(settings.linkDiameter)} mm @ ${mm(zone.spacing)} mm`);
+        });
+        lines.forEach(line => {
+          checkPageBreak(8);
+          pdf.text(line, margin, yPosition);
+          yPosition += 8;
+        });
+
+        yPosition += 4;
+        concreteCheck.checks.forEach(check => {
+          checkPageBreak(8);
+          pdf.setFont('helvetica', 'bold');
+          pdf.text(check.passed ? 'PASS' : 'FAIL', margin, yPosition);
+          pdf.setFont('helvetica', 'normal');
+          pdf.text(`${check.label}: ratio ${check.value.toFixed(3)} at ${check.position.toFixed(2)} m`, margin + 18, yPosition);
+          yPosition += 8;
+        });
+
+        checkPageBreak(10);
+        pdf.setFont('helvetica', 'bold');
+        pdf.text(`Overall: ${concreteCheck.passed ? 'PASS' : 'FAIL'}`, margin, yPosition);
+        yPosition += 8;
+
+        pdf.setFontSize(10);
+        pdf.setFont('helvetica', 'italic');
+        concreteCheck.notes.forEach(note => {
+          const wrapped = pdf.splitTextToSize(`Note: ${note}`, pageWidth - 2 * margin);
+          checkPageBreak(wrapped.length * 5 + 2);
+          pdf.text(wrapped, margin, yPosition);
+          yPosition += wrapped.length * 5 + 2;
+        });
+
+        // Capture the section drawing when the Design Checks view is open
+        const layoutContainer = Array.from(document.querySelectorAll('.card')).find(card =>
+          card.querySelector('h3')?.textContent?.includes('Reinforcement Layout')
+        );
+
+        if (layoutContainer) {
+          yPosition += 10;
+          await addChartToPDF(layoutContainer, 'Reinforcement Layout');
+        }
+      }
+    }
+
+    // Timber Design Check
+    const timberCheck = beamData.design?.mode === 'timber' && results.shearForce.x.length > 0
+      ? checkTimberMember(beamData, results, beamData.design.timber)
+      : null;
+    if (timberCheck) {
+      checkPageBreak(80);
+      yPosition += 15;
+      pdf.setFontSize(16);
+      pdf.setFont('helvetica', 'bold');
+      pdf.text('Timber Design Check', margin, yPosition);
+      yPosition += 15;
+
+      pdf.setFontSize(12);
+      pdf.setFont('helvetica', 'normal');
+      if (timberCheck.error) {
+        pdf.text(timberCheck.error, margin, yPosition);
+        yPosition += 8;
+      } else {
+        const settings = beamData.design.timber;
+        const { factors, properties } = timberCheck;
+        const lines = [
+          `Code: ${TIMBER_DESIGN_CODES[timberCheck.code]}`,
+          `Strength class: ${TIMBER_STRENGTH_CLASSES[timberCheck.strengthClass].label}, ${SERVICE_CLASSES[timberCheck.serviceClass]}`,
+          `Section: ${(properties.b * 1000).toFixed(0)} x ${(properties.h * 1000).toFixed(0)} mm, bearing length ${(settings.bearingLength * 1000).toFixed(0)} mm`,
+          `Factors: gamma M = ${factors.gammaM.toFixed(2)}, kh = ${factors.kh.toFixed(3)}, kcr = ${factors.kcr.toFixed(2)}, kdef = ${factors.kdef.toFixed(2)}`,
+          `Design actions: ${timberCheck.source}`
+        ];
+        timberCheck.combinations.forEach(combination => {
+          lines.push(`  ${combination.label}: ${LOAD_DURATION_CLASSES[combination.duration]}, kmod = ${combination.kmod.toFixed(2)}, fm,d = ${(combination.strengths.bending / 1000).toFixed(2)} MPa`);
+        });
+        if (timberCheck.deflection) {
+          timberCheck.deflection.spans.forEach(span => {
+            lines.push(`  Span ${span.start.toFixed(2)} - ${span.end.toFixed(2)} m${span.cantilever ? ' (cantilever)' : ''}: w,inst ${(span.instant.value * 1000).toFixed(2)} / ${(span.instantLimit * 1000).toFixed(2)} mm, w,fin ${(span.final.value * 1000).toFixed(2)} / ${(span.finalLimit * 1000).toFixed(2)} mm`);
+          });
+        }
+        lines.forEach(line => {
+          const wrapped = pdf.splitTextToSize(line, pageWidth - 2 * margin);
+          checkPageBreak(wrapped.length * 8);
+          pdf.text(wrapped, margin, yPosition);
+          yPosition += wrapped.length * 8;
+        });
+
+        yPosition += 4;
+        timberCheck.checks.forEach(check => {
+          checkPageBreak(8);
+          pdf.setFont('helvetica', 'bold');
+          pdf.text(check.passed ? 'PASS' : 'FAIL', margin, yPosition);
+          pdf.setFont('helvetica', 'normal');
+          pdf.text(`${check.label}: utilisation ${check.value.toFixed(3)} at ${check.position.toFixed(2)} m`, margin + 18, yPosition);
+          yPosition += 8;
+        });
+
+        checkPageBreak(10);
+        pdf.setFont('helvetica', 'bold');
+        pdf.text(`Overall: ${timberCheck.passed ? 'PASS' : 'FAIL'}`, margin, yPosition);
+        yPosition += 8;
+
+        pdf.setFontSize(10);
+        pdf.setFont('helvetica', 'italic');
+        timberCheck.notes.forEach(note => {
+          const wrapped = pdf.splitTextToSize(`Note: ${note}`, pageWidth - 2 * margin);
+          checkPageBreak(wrapped.length * 5 + 2);
+          pdf.text(wrapped, margin, yPosition);
+          yPosition += wrapped.length * 5 + 2;
+        });
+
+        // Capture the charts when the Design Checks or Stress Analysis view is open
+        for (const title of ['Timber Utilisation', 'Timber Deflection']) {
+          const container = Array.from(document.querySelectorAll('.card')).find(card =>
+            card.querySelector('h3')?.textContent?.includes(title)
+          );
+          if (container) {
+            yPosition += 10;
+            await addChartToPDF(container, title);
+          }
+        }
+      }
     }
 
     // Footer
@@ -0,0 +1,73 @@
+// Beam on an elastic (Winkler) foundation: the soil pushes back on the beam
+// with a pressure q = k·v proportional to the settlement v, where k is the
+// subgrade modulus (kN/m³). Over a contact width b the beam carries k·b
+// (kN/m²) per metre of settlement and metre of length.
+//
+// The subgrade modulus is constant, or set per segment; a segment with
+// k = 0 leaves the beam without soil contact there. The soil also takes
+// tension (uplift), as in the classic Winkler model.
+
+const POSITION_TOLERANCE = 1e-9;
+
+export const DEFAULT_FOUNDATION = {
+  enabled: false,
+  modulus: 50000, // Subgrade modulus k in kN/m³
+  width: 1.0, // Contact width b in m
+  segments: [] // { id, start, end, modulus }: k over part of the beam
+};
+
+export const createFoundationSegmentId = (segments) => {
+  const used = new Set(segments.map(s => s.id));
+  let n = segments.length + 1;
+  while (used.has(`K${n}`)) n += 1;
+  return `K${n}`;
+};
+
+export const hasFoundation = (beamData) => !!beamData.foundation?.enabled;
+
+/**
+ * First problem with the foundation of a beam as a message, or null: k and
+ * b must be positive and segments must lie on the beam without overlapping.
+ */
+export const validateFoundation = (beamData) => {
+  if (!hasFoundation(beamData)) return null;
+  const { modulus, width, segments = [] } = beamData.foundation;
+  if (!(modulus >= 0)) return "The subgrade modulus cannot be negative";
+  if (!(width > 0)) return "The foundation contact width must be greater than zero";
+
+  const sorted = [...segments].sort((a, b) => a.start - b.start);
+  for (let i = 0; i < sorted.length; i++) {
+    const segment = sorted[i];
+    if (!(segment.start >= 0 && segment.end <= beamData.length + POSITION_TOLERANCE && segment.end - segment.start > POSITION_TOLERANCE)) {
+      return `Foundation segment ${segment.id} must lie on the beam and end after it starts`;
+    }
+    if (i > 0 && segment.start < sorted[i - 1].end - POSITION_TOLERANCE) {
+      return `Foundation segments ${sorted[i - 1].id} and ${segment.id} overlap`;
+    }
+    if (!(segment.modulus >= 0)) return `Foundation segment ${segment.id}: the subgrade modulus cannot be negative`;
+  }
+  return null;
+};
+
+/**
+ * Foundation stiffness k·b (kN/m²) along the beam for the solver, as
+ * [{ start, end, modulus }] pieces covering the beam, or null without a
+ * foundation. Expects a valid foundation (validateFoundation).
+ */
+export const getFoundationStiffness = (beamData) => {
+  if (!hasFoundation(beamData)) return null;
+  const { modulus, width, segments = [] } = beamData.foundation;
+
+  const pieces = [];
+  const addPiece = (start, end, k) => {
+    if (end - start > POSITION_TOLERANCE) pieces.push({ start, end, modulus: k * width });
+  };
+  let position = 0;
+  [...segments].sort((a, b) => a.start - b.start).forEach(segment => {
+    addPiece(position, segment.start, modulus);
+    addPiece(segment.start, segment.end, segment.modulus);
+    position = segment.end;
+  });
+  addPiece(position, beamData.length, modulus);
+  return pieces;
+};
@@ -0,0 +1,78 @@
+import { getFoundationStiffness, validateFoundation, DEFAULT_FOUNDATION } from './foundation';
+import { runAnalysis } from './analysis';
+import { createTestBeam, uniformLoad } from './testModels';
+
+const K = 50000;
+const WIDTH = 0.5;
+
+// A free beam on soil, without supports
+const createModel = (length, changes) => createTestBeam({
+  length,
+  supports: [],
+  foundation: { ...DEFAULT_FOUNDATION, enabled: true, modulus: K, width: WIDTH, segments: [] },
+  ...changes
+});
+
+const deflectionAt = (results, position) => {
+  const i = results.deflection.x.findIndex(x => Math.abs(x - position) < 1e-9);
+  return results.deflection.y[i];
+};
+
+describe('getFoundationStiffness', () => {
+  test('fills the gaps between segments with the overall k', () => {
+    const model = createModel(6);
+    model.foundation.segments = [{ id: 'K1', start: 2, end: 4, modulus: 0 }];
+
+    expect(getFoundationStiffness(model)).toEqual([
+      { start: 0, end: 2, modulus: K * WIDTH },
+      { start: 2, end: 4, modulus: 0 },
+      { start: 4, end: 6, modulus: K * WIDTH }
+    ]);
+  });
+
+  test('is null without a foundation', () => {
+    expect(getFoundationStiffness(createTestBeam())).toBeNull();
+  });
+});
+
+describe('validateFoundation', () => {
+  test('rejects overlapping segments and segments off the beam', () => {
+    const model = createModel(6);
+    model.foundation.segments = [{ id: 'K1', start: 0, end: 3, modulus: K }, { id: 'K2', start: 2, end: 4, modulus: K }];
+    expect(validateFoundation(model)).toMatch(/K1 and K2 overlap/);
+
+    model.foundation.segments = [{ id: 'K1', start: 5, end: 7, modulus: K }];
+    expect(validateFoundation(model)).toMatch(/K1 must lie on the beam/);
+  });
+
+  test('needs a contact width', () => {
+    const model = createModel(6);
+    model.foundation.width = 0;
+    expect(validateFoundation(model)).toMatch(/contact width/);
+  });
+});
+
+describe('beam on an elastic foundation', () => {
+  test('a uniform load settles a free beam evenly without bending it', () => {
+    const results = runAnalysis(createModel(6, { distributedLoads: [uniformLoad(6, 10)] }), { resolution: 20 });
+
+    expect(results.error).toBeUndefined();
+    // v = w / (k·b) and the soil pressure is w / b
+    expect(deflectionAt(results, 3)).toBeCloseTo(-10 / (K * WIDTH), 8);
+    expect(deflectionAt(results, 0)).toBeCloseTo(-10 / (K * WIDTH), 8);
+    expect(Math.max(...results.soilPressure.y.map(Math.abs))).toBeCloseTo(10 / WIDTH, 4);
+    expect(Math.max(...results.bendingMoment.y.map(Math.abs))).toBeCloseTo(0, 4);
+  });
+
+  test('a point load on a long beam gives the Hetényi settlement', () => {
+    const E = 2.1e8;
+    const I = 1e-4;
+    const model = createModel(20, { E, I, pointLoads: [{ position: 10, magnitude: -100 }] });
+    const results = runAnalysis(model, { resolution: 20 });
+
+    // v = P·β / (2k·b) with β = (k·b / 4EI)^¼
+    const beta = (K * WIDTH / (4 * E * I)) ** 0.25;
+    expect(beta * 20).toBeGreaterThan(2 * Math.PI);
+    expect(deflectionAt(results, 10) / (-100 * beta / (2 * K * WIDTH))).toBeCloseTo(1, 2);
+  });
+});
@@ -0,0 +1,209 @@
+// Influence lines and moving load trains.
+//
+// An influence line is a response (support reaction, or shear or moment at
+// a section) as a unit downward load travels along the beam. The response to
+// a train of axles follows by superposition: the sum of weight × ordinate
+// over the axles on the beam. Like calculateUnitLoadMoment, every ordinate
+// comes from solving the beam under a single unit load.
+
+import { solveBeam } from './beamSolver';
+import { getBeamStiffness, validateStiffnessSegments } from './stiffness';
+import { getFoundationStiffness, validateFoundation } from './foundation';
+import { buildBeamPolynomials, evaluatePiecewise } from './piecewisePolynomials';
+
+const POSITION_TOLERANCE = 1e-9;
+const LOAD_INTERVALS = 200;
+export const ENVELOPE_SECTIONS = 100;
+// Grid loads closer than this (× length) to a support or section are dropped;
+// very short elements make the solver ill-conditioned
+const MIN_LOAD_SPACING = 1e-3;
+// Width (× length) over which the shear jump at a section is drawn
+const JUMP_WIDTH = 1e-6;
+
+export const INFLUENCE_TYPES = ['reaction', 'reactionMoment', 'shear', 'moment'];
+
+// Axle trains: weights in kN (downward), spacing in m from the previous axle
+export const LOAD_TRAIN_PRESETS = {
+  'Single wheel (100 kN)': [{ weight: 100, spacing: 0 }],
+  'Crane wheels (2 × 150 kN @ 3.5 m)': [{ weight: 150, spacing: 0 }, { weight: 150, spacing: 3.5 }],
+  'Tandem axle (2 × 110 kN @ 1.2 m)': [{ weight: 110, spacing: 0 }, { weight: 110, spacing: 1.2 }],
+  'HS20 truck (35.6 + 142.3 + 142.3 kN @ 4.3 m)': [
+    { weight: 35.6, spacing: 0 },
+    { weight: 142.3, spacing: 4.3 },
+    { weight: 142.3, spacing: 4.3 }
+  ]
+};
+
+const sortUnique = (positions) => {
+  const sorted = [...positions].sort((a, b) => a - b);
+  return sorted.filter((position, i) => i === 0 || position - sorted[i - 1] > POSITION_TOLERANCE);
+};
+
+// Unit load positions: a uniform grid plus every support and section
+const getLoadPositions = (beamData, sections) => {
+  const { length } = beamData;
+  const fixed = [...beamData.supports.map(s => s.position), ...sections]
+    .filter(x => x >= 0 && x <= length);
+  const grid = Array.from({ length: LOAD_INTERVALS + 1 }, (_, i) => (i * length) / LOAD_INTERVALS)
+    .filter(x => fixed.every(f => Math.abs(x - f) > MIN_LOAD_SPACING * length));
+  return sortUnique([...grid, ...fixed]);
+};
+
+// Reactions and internal force polynomials for a unit load at each position
+const solveUnitLoads = (beamData, positions) => {
+  const segmentError = validateStiffnessSegments(beamData) || validateFoundation(beamData);
+  if (segmentError) return { error: segmentError };
+
+  const solutions = [];
+  const EI = getBeamStiffness(beamData);
+  const foundation = getFoundationStiffness(beamData);
+  // Support settlements are not part of the unit load response
+  const supports = beamData.supports.map(({ settlement, rotation, ...support }) => support);
+  for (const position of positions) {
+    const unitLoad = { position, magnitude: -1 };
+    const solution = solveBeam(supports, [unitLoad], [], [], beamData.length, EI, foundation);
+    if (solution.error) return { error: solution.error };
+
+    solutions.push({
+      reactions: solution.reactions,
+      segments: buildBeamPolynomials(
+        [...solution.supportReactions, unitLoad],
+        solution.supportMoments,
+        solution.soilLoads,
+        beamData.length
+      )
+    });
+  }
+  return { solutions };
+};
+
+/**
+ * target: { type, position } with type one of INFLUENCE_TYPES. Reactions are
+ * upward-positive, support moments clockwise-positive, shear and moment use
+ * the diagram sign conventions. position is the support or section position.
+ */
+const responseOf = ({ reactions, segments }, { type, position }) => {
+  if (type === 'shear' || type === 'moment') {
+    return evaluatePiecewise(segments, type, position);
+  }
+  const reaction = reactions.find(r => Math.abs(r.position - position) < POSITION_TOLERANCE);
+  if (!reaction) return 0;
+  return type === 'reaction' ? reaction.force : (reaction.moment || 0);
+};
+
+// Ordinates of one target over the solved unit load positions. A unit load
+// right at a section counts as left of it; moving it across the section
+// raises the shear by one, drawn as a jump just left of the section.
+const buildLine = (x, solutions, target, length) => {
+  const y = solutions.map(solution => responseOf(solution, target));
+  if (target.type !== 'shear' || target.position >= length - POSITION_TOLERANCE) {
+    return { x, y };
+  }
+
+  const index = x.findIndex(position => Math.abs(position - target.position) < POSITION_TOLERANCE);
+  const left = target.position - JUMP_WIDTH * length;
+  const lineX = [...x];
+  const lineY = [...y];
+  lineY[index] = y[index] + 1;
+  if (left > 0) {
+    lineX.splice(index, 0, left);
+    lineY.splice(index, 0, y[index]);
+  }
+  return { x: lineX, y: lineY };
+};
+
+// Returns { x, y } ordinates for a unit downward load, or { error }
+export const calculateInfluenceLine = (beamData, target) => {
+  const sections = target.type === 'shear' || target.type === 'moment' ? [target.position] : [];
+  const x = getLoadPositions(beamData, sections);
+  const { solutions, error } = solveUnitLoads(beamData, x);
+  if (error) return { error };
+
+  return buildLine(x, solutions, target, beamData.length);
+};
+
+// Ordinate at any position by linear interpolation; zero off the beam
+export const interpolateInfluence = ({ x, y }, position) => {
+  if (x.length === 0 || position < x[0] - POSITION_TOLERANCE || position > x[x.length - 1] + POSITION_TOLERANCE) {
+    return 0;
+  }
+  let low = 0;
+  let high = x.length - 1;
+  while (high - low > 1) {
+    const mid = (low + high) >> 1;
+    if (x[mid] <= position) low = mid; else high = mid;
+  }
+  const span = x[high] - x[low];
+  if (span <= 0) return y[low];
+  const t = Math.min(Math.max((position - x[low]) / span, 0), 1);
+  return y[low] + t * (y[high] - y[low]);
+};
+
+const getAxleOffsets = (axles) => {
+  const offsets = [];
+  axles.forEach((axle, i) => {
+    offsets.push(i === 0 ? 0 : offsets[i - 1] + Math.max(axle.spacing, 0));
+  });
+  return offsets;
+};
+
+/**
+ * Largest and smallest response of an influence line to a train of axles.
+ * The train may run in either direction. The ordinates are linear between
+ * load positions, so the extremes occur with an axle on one of them, and
+ * only those placements are tried. Returns
+ * { max, min } with { value, axlePositions } each (axles in the given order).
+ */
+export const runLoadTrain = (line, axles) => {
+  const offsets = getAxleOffsets(axles);
+  let max = { value: 0, axlePositions: [] };
+  let min = { value: 0, axlePositions: [] };
+
+  [1, -1].forEach(direction => {
+    offsets.forEach(anchor => {
+      line.x.forEach(position => {
+        const axlePositions = offsets.map(offset => position + direction * (offset - anchor));
+        const value = axles.reduce((sum, axle, i) => sum + axle.weight * interpolateInfluence(line, axlePositions[i]), 0);
+        if (value > max.value) max = { value, axlePositions };
+        if (value < min.value) min = { value, axlePositions };
+      });
+    });
+  });
+
+  return { max, min };
+};
+
+/**
+ * Absolute maximum shear and moment anywhere on the beam under the train:
+ * the train is run over the influence lines of sections along the whole
+ * beam. Returns { shear, moment } with { value, section, axlePositions }
+ * each (value signed, largest magnitude), or { error }.
+ */
+export const calculateAbsoluteMaximum = (beamData, axles) => {
+  const { length } = beamData;
+  const sections = sortUnique([
+    ...Array.from({ length: ENVELOPE_SECTIONS + 1 }, (_, i) => (i * length) / ENVELOPE_SECTIONS),
+    ...beamData.supports.map(s => s.position)
+  ]);
+  const x = getLoadPositions(beamData, sections);
+  const { solutions, error } = solveUnitLoads(beamData, x);
+  if (error) return { error };
+
+  const result = {
+    shear: { value: 0, section: 0, axlePositions: [] },
+    moment: { value: 0, section: 0, axlePositions: [] }
+  };
+
+  sections.forEach(section => {
+    ['shear', 'moment'].forEach(type => {
+      const line = buildLine(x, solutions, { type, position: section }, length);
+      const { max, min } = runLoadTrain(line, axles);
+      const extreme = Math.abs(min.value) > Math.abs(max.value) ? min : max;
+      if (Math.abs(extreme.value) > Math.abs(result[type].value)) {
+        result[type] = { value: extreme.value, section, axlePositions: extreme.axlePositions };
+      }
+    });
+  });
+
+  return result;
+};
@@ -0,0 +1,155 @@
+// Load cases and factored load combinations.
+//
+// Every point load, distributed load, moment and thermal load belongs to
+// one load case (its loadCase id, 'D' when missing), and so does the
+// settlement and rotation prescribed at a support. A combination scales each
+// case by a factor; cases without a factor are left out. Results can be shown for all
+// loads unfactored, for a single case or for a combination.
+
+export const DEFAULT_LOAD_CASE = 'D';
+
+export const STANDARD_LOAD_CASES = [
+  { id: 'D', name: 'Dead' },
+  { id: 'L', name: 'Live' },
+  { id: 'S', name: 'Snow' },
+  { id: 'W', name: 'Wind' }
+];
+
+export const COMBINATION_TYPES = ['ULS', 'SLS'];
+
+// Preset combinations. The EN 1990 factors use ψ0 = 0.7 (imposed),
+// 0.5 (snow) and 0.6 (wind) with γG = 1.35 and γQ = 1.5.
+export const COMBINATION_PRESETS = {
+  'ASCE 7 (LRFD)': [
+    { name: '1.4D', type: 'ULS', factors: { D: 1.4 } },
+    { name: '1.2D + 1.6L + 0.5S', type: 'ULS', factors: { D: 1.2, L: 1.6, S: 0.5 } },
+    { name: '1.2D + 1.6S + 1.0L', type: 'ULS', factors: { D: 1.2, S: 1.6, L: 1.0 } },
+    { name: '1.2D + 1.0W + 1.0L + 0.5S', type: 'ULS', factors: { D: 1.2, W: 1.0, L: 1.0, S: 0.5 } },
+    { name: '0.9D + 1.0W', type: 'ULS', factors: { D: 0.9, W: 1.0 } },
+    { name: 'D + L', type: 'SLS', factors: { D: 1.0, L: 1.0 } }
+  ],
+  'EN 1990 (STR)': [
+    { name: '1.35G', type: 'ULS', factors: { D: 1.35 } },
+    { name: '1.35G + 1.5Q + 0.75S + 0.9W', type: 'ULS', factors: { D: 1.35, L: 1.5, S: 0.75, W: 0.9 } },
+    { name: '1.35G + 1.5S + 1.05Q + 0.9W', type: 'ULS', factors: { D: 1.35, S: 1.5, L: 1.05, W: 0.9 } },
+    { name: '1.35G + 1.5W + 1.05Q + 0.75S', type: 'ULS', factors: { D: 1.35, W: 1.5, L: 1.05, S: 0.75 } },
+    { name: '1.0G + 1.5W', type: 'ULS', factors: { D: 1.0, W: 1.5 } },
+    { name: 'G + Q (characteristic)', type: 'SLS', factors: { D: 1.0, L: 1.0 } }
+  ]
+};
+
+export const getLoadCase = (load) => load.loadCase || DEFAULT_LOAD_CASE;
+
+// Supports with a prescribed settlement or rotation act like a load
+export const hasSupportMovement = (support) => !!(support.settlement || support.rotation);
+
+export const createCombinationId = (combinations) => {
+  const used = new Set(combinations.map(c => c.id));
+  let n = combinations.length + 1;
+  while (used.has(`C${n}`)) n += 1;
+  return `C${n}`;
+};
+
+// Cases referenced by a preset but missing from the model are added with
+// their standard names
+export const applyCombinationPreset = (beamData, presetName) => {
+  const preset = COMBINATION_PRESETS[presetName];
+  const loadCases = [...(beamData.loadCases || [])];
+  preset.forEach(({ factors }) => {
+    Object.keys(factors).forEach(id => {
+      if (!loadCases.some(c => c.id === id)) {
+        loadCases.push(STANDARD_LOAD_CASES.find(c => c.id === id) || { id, name: id });
+      }
+    });
+  });
+
+  const loadCombinations = [];
+  preset.forEach(combination => {
+    loadCombinations.push({ ...combination, factors: { ...combination.factors }, id: createCombinationId(loadCombinations) });
+  });
+
+  return { ...beamData, loadCases, loadCombinations };
+};
+
+/**
+ * Loads of beamData scaled by a factor per load case. Loads whose case has
+ * no (or a zero) factor are removed.
+ */
+export const applyLoadFactors = (beamData, factors) => {
+  const factorOf = (load) => factors[getLoadCase(load)] || 0;
+  const scale = (loads, keys) => loads
+    .filter(load => factorOf(load) !== 0)
+    .map(load => {
+      const scaled = { ...load };
+      keys.forEach(key => { scaled[key] = load[key] * factorOf(load); });
+      return scaled;
+    });
+
+  return {
+    ...beamData,
+    supports: beamData.supports.map(support => (hasSupportMovement(support)
+      ? { ...support, settlement: (support.settlement || 0) * factorOf(support), rotation: (support.rotation || 0) * factorOf(support) }
+      : support)),
+    pointLoads: scale(beamData.pointLoads, ['magnitude']),
+    distributedLoads: scale(beamData.distributedLoads, ['startMag', 'endMag']),
+    moments: scale(beamData.moments, ['magnitude']),
+    thermalLoads: scale(beamData.thermalLoads || [], ['uniform', 'top', 'bottom'])
+  };
+};
+
+// Result sets the user can pick: 'all', 'case:<id>' or 'combo:<id>'
+export const getLoadSets = (beamData) => [
+  { id: 'all', label: 'All loads (unfactored)' },
+  ...(beamData.loadCases || []).map(c => ({ id: `case:${c.id}`, label: `Case ${c.id} - ${c.name}` })),
+  ...(beamData.loadCombinations || []).map(c => ({ id: `combo:${c.id}`, label: `${c.type}: ${c.name}` }))
+];
+
+// Whether a load set id is 'all' or names an existing case or combination
+export const isLoadSetDefined = (beamData, loadSetId) => getLoadSets(beamData).some(s => s.id === (loadSetId || 'all'));
+
+// Factor per load case of a load set, or null for all loads unfactored;
+// unknown ids fall back to all loads, so references that must not silently
+// change meaning check isLoadSetDefined first
+export const getLoadSetFactors = (beamData, loadSetId) => {
+  const [kind, id] = (loadSetId || 'all').split(':');
+  if (kind === 'case' && (beamData.loadCases || []).some(c => c.id === id)) {
+    return { [id]: 1 };
+  }
+  if (kind === 'combo') {
+    const combination = (beamData.loadCombinations || []).find(c => c.id === id);
+    if (combination) return combination.factors;
+  }
+  return null;
+};
+
+// Beam data for one load set
+export const getLoadSetBeamData = (beamData, loadSetId) => {
+  const factors = getLoadSetFactors(beamData, loadSetId);
+  return factors ? applyLoadFactors(beamData, factors) : beamData;
+};
+
+export const getLoadSetLabel = (beamData, loadSetId) => {
+  const loadSet = getLoadSets(beamData).find(s => s.id === loadSetId);
+  return (loadSet || getLoadSets(beamData)[0]).label;
+};
+
+/**
+ * Moment and shear for design checks: the envelope over all combinations
+ * where combinations exist, otherwise the load set the results are for.
+ * Returns { label, moment: { x, max, min }, shear: { x, max, min } } or null.
+ */
+export const getDesignEffects = (results) => {
+  if (results.envelope) {
+    return {
+      label: 'Envelope of all load combinations',
+      moment: results.envelope.moment,
+      shear: results.envelope.shear
+    };
+  }
+  if (!results.bendingMoment || results.bendingMoment.x.length === 0) return null;
+  return {
+    label: results.loadSet?.label || 'All loads (unfactored)',
+    moment: { x: results.bendingMoment.x, max: results.bendingMoment.y, min: results.bendingMoment.y },
+    shear: { x: results.shearForce.x, max: results.shearForce.y, min: results.shearForce.y }
+  };
+};
@@ -0,0 +1,54 @@
+import { applyCombinationPreset, applyLoadFactors, getLoadSetBeamData } from './loadCombinations';
+import { runAnalysis } from './analysis';
+import { createTestBeam, uniformLoad } from './testModels';
+
+const createModel = () => createTestBeam({
+  pointLoads: [
+    { position: 3, magnitude: -10, loadCase: 'D' },
+    { position: 3, magnitude: -20, loadCase: 'L' }
+  ],
+  distributedLoads: [uniformLoad(6, 2)],
+  loadCombinations: [{ id: 'C1', name: '1.35D + 1.5L', type: 'ULS', factors: { D: 1.35, L: 1.5 } }]
+});
+
+describe('applyLoadFactors', () => {
+  test('scales each load by the factor of its case and drops unfactored cases', () => {
+    const factored = applyLoadFactors(createModel(), { D: 1.35 });
+
+    expect(factored.pointLoads).toHaveLength(1);
+    expect(factored.pointLoads[0].magnitude).toBeCloseTo(-13.5);
+    // Loads without a case belong to 'D'
+    expect(factored.distributedLoads[0].startMag).toBeCloseTo(-2.7);
+    expect(factored.distributedLoads[0].endMag).toBeCloseTo(-2.7);
+  });
+
+  test('scales support settlements by the factor of their case', () => {
+    const model = {
+      ...createModel(),
+      supports: [{ type: 'Fixed', position: 0, settlement: 0.01, loadCase: 'L' }, { type: 'Roller', position: 6 }]
+    };
+    expect(applyLoadFactors(model, { L: 1.5 }).supports[0].settlement).toBeCloseTo(0.015);
+    expect(applyLoadFactors(model, { D: 1 }).supports[0].settlement).toBe(0);
+  });
+});
+
+describe('combinations', () => {
+  test('a combination superposes the factored cases', () => {
+    const options = { resolution: 50 };
+    const combined = runAnalysis(createModel(), { ...options, loadSet: 'combo:C1' });
+    // 1.35 × (10 + 12) / 2 + 1.5 × 20 / 2 at each support
+    combined.reactions.forEach(reaction => expect(reaction.force).toBeCloseTo(29.85));
+  });
+
+  test('a load set picks the loads of one case', () => {
+    const liveOnly = getLoadSetBeamData(createModel(), 'case:L');
+    expect(liveOnly.pointLoads.map(load => load.magnitude)).toEqual([-20]);
+    expect(liveOnly.distributedLoads).toHaveLength(0);
+  });
+
+  test('presets add the cases they refer to', () => {
+    const model = applyCombinationPreset({ ...createModel(), loadCases: [] }, 'EN 1990 (STR)');
+    expect(model.loadCases.map(c => c.id).sort()).toEqual(['D', 'L', 'S', 'W']);
+    expect(model.loadCombinations[0]).toMatchObject({ id: 'C1', factors: { D: 1.35 } });
+  });
+});
@@ -0,0 +1,371 @@
+// Piecewise polynomial (singularity function) engine for beam diagrams
+//
+// The beam is cut into segments at every discontinuity: supports, point
+// loads, applied moments and distributed load ends. Within a segment each
+// diagram is an exact polynomial, stored in the local coordinate
+// t = x - start with the lowest power first.
+
+const POSITION_TOLERANCE = 1e-9;
+const ROOT_ITERATIONS = 80;
+
+export const evaluatePolynomial = (coeffs, t) => {
+  return coeffs.reduceRight((acc, c) => acc * t + c, 0);
+};
+
+export const differentiatePolynomial = (coeffs) => {
+  return coeffs.slice(1).map((c, i) => c * (i + 1));
+};
+
+export const integratePolynomial = (coeffs, constant = 0) => {
+  return [constant, ...coeffs.map((c, i) => c / (i + 1))];
+};
+
+export const multiplyPolynomials = (a, b) => {
+  const product = new Array(Math.max(a.length + b.length - 1, 0)).fill(0);
+  a.forEach((ca, i) => b.forEach((cb, j) => { product[i + j] += ca * cb; }));
+  return product;
+};
+
+const binomial = (n, k) => {
+  let result = 1;
+  for (let i = 1; i <= k; i++) {
+    result = (result * (n - k + i)) / i;
+  }
+  return result;
+};
+
+// Add c * (t + shift)^n to a local polynomial
+const addShiftedPower = (coeffs, c, shift, n) => {
+  while (coeffs.length <= n) coeffs.push(0);
+  for (let k = 0; k <= n; k++) {
+    coeffs[k] += c * binomial(n, k) * Math.pow(shift, n - k);
+  }
+};
+
+// The polynomial p(t + shift), e.g. a segment polynomial in the local
+// coordinate of a point inside the segment
+export const shiftPolynomial = (coeffs, shift) => {
+  const shifted = [];
+  coeffs.forEach((c, n) => addShiftedPower(shifted, c, shift, n));
+  return shifted.length > 0 ? shifted : [0];
+};
+
+// Real roots of a polynomial on [a, b]. The interval is split at the roots of
+// the derivative, so every piece is monotonic and is bisected safely.
+export const findPolynomialRoots = (coeffs, a, b) => {
+  const trimmed = [...coeffs];
+  while (trimmed.length > 0 && trimmed[trimmed.length - 1] === 0) trimmed.pop();
+  if (trimmed.length <= 1 || b <= a) return [];
+
+  if (trimmed.length === 2) {
+    const root = -trimmed[0] / trimmed[1];
+    return root >= a && root <= b ? [root] : [];
+  }
+
+  const splits = [a, ...findPolynomialRoots(differentiatePolynomial(trimmed), a, b), b];
+  const roots = [];
+  for (let i = 0; i < splits.length - 1; i++) {
+    let lo = splits[i];
+    let hi = splits[i + 1];
+    const fLo = evaluatePolynomial(trimmed, lo);
+    const fHi = evaluatePolynomial(trimmed, hi);
+    if (fLo === 0) {
+      roots.push(lo);
+    } else if (fLo * fHi < 0) {
+      for (let k = 0; k < ROOT_ITERATIONS; k++) {
+        const mid = (lo + hi) / 2;
+        if (evaluatePolynomial(trimmed, mid) * fLo > 0) {
+          lo = mid;
+        } else {
+          hi = mid;
+        }
+      }
+      roots.push((lo + hi) / 2);
+    }
+  }
+  if (evaluatePolynomial(trimmed, b) === 0) roots.push(b);
+
+  return roots.filter((root, i) => i === 0 || root - roots[i - 1] > POSITION_TOLERANCE);
+};
+
+const uniquePositions = (positions, beamLength) => {
+  const sorted = positions
+    .map(position => Math.min(Math.max(position, 0), beamLength))
+    .sort((a, b) => a - b);
+  return sorted.filter((position, i) => i === 0 || position - sorted[i - 1] > POSITION_TOLERANCE);
+};
+
+/**
+ * Build exact shear and moment polynomials from singularity functions.
+ * forces: upward-positive vertical forces (reactions and loads)
+ * couples: clockwise-positive concentrated moments (support and applied)
+ * distributedLoads: linearly varying, upward-positive intensity
+ * extraBreakpoints: further segment ends, e.g. internal hinges
+ */
+export const buildBeamPolynomials = (forces, couples, distributedLoads, beamLength, extraBreakpoints = []) => {
+  const loads = distributedLoads
+    .map(load => (load.startPos <= load.endPos ? load : {
+      ...load,
+      startPos: load.endPos,
+      endPos: load.startPos,
+      startMag: load.endMag,
+      endMag: load.startMag
+    }))
+    .filter(load => load.endPos - load.startPos > POSITION_TOLERANCE);
+
+  const breakpoints = uniquePositions([
+    0,
+    beamLength,
+    ...forces.map(f => f.position),
+    ...couples.map(c => c.position),
+    ...loads.flatMap(load => [load.startPos, load.endPos]),
+    ...extraBreakpoints
+  ], beamLength);
+
+  const segments = [];
+  for (let i = 0; i < breakpoints.length - 1; i++) {
+    const start = breakpoints[i];
+    const end = breakpoints[i + 1];
+    const shear = [0];
+    const moment = [0];
+
+    // Everything at or left of the segment start acts on it
+    forces.forEach(({ position, magnitude }) => {
+      if (position <= start + POSITION_TOLERANCE) {
+        addShiftedPower(shear, magnitude, start - position, 0);
+        addShiftedPower(moment, magnitude, start - position, 1);
+      }
+    });
+
+    couples.forEach(({ position, magnitude }) => {
+      if (position <= start + POSITION_TOLERANCE) {
+        addShiftedPower(moment, magnitude, start - position, 0);
+      }
+    });
+
+    // A linear load w1 + k(x - s) on [s, e] is the ramp starting at s minus
+    // the ramp continued past e, so it stops contributing intensity there
+    loads.forEach(({ startPos, endPos, startMag, endMag }) => {
+      const slope = (endMag - startMag) / (endPos - startPos);
+      if (startPos <= start + POSITION_TOLERANCE) {
+        addShiftedPower(shear, startMag, start - startPos, 1);
+        addShiftedPower(shear, slope / 2, start - startPos, 2);
+        addShiftedPower(moment, startMag / 2, start - startPos, 2);
+        addShiftedPower(moment, slope / 6, start - startPos, 3);
+      }
+      if (endPos <= start + POSITION_TOLERANCE) {
+        addShiftedPower(shear, -endMag, start - endPos, 1);
+        addShiftedPower(shear, -slope / 2, start - endPos, 2);
+        addShiftedPower(moment, -endMag / 2, start - endPos, 2);
+        addShiftedPower(moment, -slope / 6, start - endPos, 3);
+      }
+    });
+
+    segments.push({ start, end, shear, moment });
+  }
+
+  return segments;
+};
+
+const findSegmentIndex = (segments, x) => {
+  for (let i = 0; i < segments.length; i++) {
+    if (x < segments[i].end - POSITION_TOLERANCE) return i;
+  }
+  return segments.length - 1;
+};
+
+// Value at x; at a jump this is the right-hand limit, except at the beam end.
+// Diagrams that were not computed (e.g. deflection without EI) read as zero.
+export const evaluatePiecewise = (segments, key, x) => {
+  if (!segments || segments.length === 0 || !segments[0][key]) return 0;
+  const segment = segments[findSegmentIndex(segments, x)];
+  return evaluatePolynomial(segment[key], x - segment.start);
+};
+
+// Interior points of a segment where the polynomial has a local extreme
+const criticalPoints = (segment, key) => {
+  const length = segment.end - segment.start;
+  return findPolynomialRoots(differentiatePolynomial(segment[key]), 0, length)
+    .filter(t => t > POSITION_TOLERANCE && t < length - POSITION_TOLERANCE);
+};
+
+// Largest and smallest values of a diagram over [start, end], exact
+export const findExtremes = (segments, key, start = 0, end = Infinity) => {
+  let max = { value: -Infinity, position: start };
+  let min = { value: Infinity, position: start };
+
+  const consider = (value, position) => {
+    if (value > max.value) max = { value, position };
+    if (value < min.value) min = { value, position };
+  };
+
+  segments.forEach(segment => {
+    const a = Math.max(segment.start, start);
+    const b = Math.min(segment.end, end);
+    if (b < a) return;
+
+    consider(evaluatePolynomial(segment[key], a - segment.start), a);
+    consider(evaluatePolynomial(segment[key], b - segment.start), b);
+    criticalPoints(segment, key).forEach(t => {
+      const x = segment.start + t;
+      if (x >= a && x <= b) {
+        consider(evaluatePolynomial(segment[key], t), x);
+      }
+    });
+  });
+
+  return { max, min };
+};
+
+// Largest magnitude over [start, end] as { value (≥ 0), position }
+export const findAbsoluteMax = (segments, key, start = 0, end = Infinity) => {
+  const { max, min } = findExtremes(segments, key, start, end);
+  return Math.abs(max.value) >= Math.abs(min.value)
+    ? { value: Math.abs(max.value), position: max.position }
+    : { value: Math.abs(min.value), position: min.position };
+};
+
+/**
+ * Sample diagrams for plotting. Every breakpoint appears twice (left and
+ * right limits) so jumps are drawn vertically, and every local extreme is
+ * included so maxima read off the samples are exact.
+ */
+export const samplePiecewise = (segments, keys, resolution, { closeEnds = false } = {}) => {
+  const x = [];
+  const values = {};
+  keys.forEach(key => { values[key] = []; });
+
+  const push = (position, segment) => {
+    x.push(position);
+    keys.forEach(key => {
+      values[key].push(evaluatePolynomial(segment[key], position - segment.start));
+    });
+  };
+
+  // Diagrams closing to zero outside the beam (shear, moment)
+  const pushZero = (position) => {
+    x.push(position);
+    keys.forEach(key => values[key].push(0));
+  };
+
+  if (closeEnds && segments.length > 0) pushZero(segments[0].start);
+
+  segments.forEach(segment => {
+    const length = segment.end - segment.start;
+    const intervals = Math.max(1, Math.ceil(length * resolution));
+    const positions = Array.from({ length: intervals + 1 }, (_, i) => segment.start + (i * length) / intervals);
+    keys.forEach(key => {
+      criticalPoints(segment, key).forEach(t => positions.push(segment.start + t));
+    });
+    positions.sort((a, b) => a - b).forEach(position => push(position, segment));
+  });
+
+  if (closeEnds && segments.length > 0) pushZero(segments[segments.length - 1].end);
+
+  return { x, values };
+};
+
+/**
+ * Envelope (largest and smallest value at each position) of one diagram over
+ * several piecewise results, e.g. load combinations. Every breakpoint of
+ * every set appears twice and every set's local extremes are included, so
+ * the envelope peaks are exact.
+ */
+export const sampleEnvelope = (segmentSets, key, resolution, { closeEnds = false } = {}) => {
+  const sets = segmentSets.filter(segments => segments.length > 0);
+  const x = [];
+  const max = [];
+  const min = [];
+  if (sets.length === 0) return { x, max, min };
+
+  const beamLength = Math.max(...sets.map(segments => segments[segments.length - 1].end));
+  const breakpoints = uniquePositions(sets.flatMap(segments => segments.flatMap(s => [s.start, s.end])), beamLength);
+
+  const pushZero = (position) => {
+    x.push(position);
+    max.push(0);
+    min.push(0);
+  };
+
+  if (closeEnds) pushZero(breakpoints[0]);
+
+  for (let i = 0; i < breakpoints.length - 1; i++) {
+    const a = breakpoints[i];
+    const b = breakpoints[i + 1];
+    // Within [a, b] every set is a single polynomial
+    const pieces = sets.map(segments => segments[findSegmentIndex(segments, (a + b) / 2)]);
+
+    const intervals = Math.max(1, Math.ceil((b - a) * resolution));
+    const positions = Array.from({ length: intervals + 1 }, (_, k) => a + (k * (b - a)) / intervals);
+    pieces.forEach(segment => {
+      criticalPoints(segment, key).forEach(t => {
+        const position = segment.start + t;
+        if (position > a && position < b) positions.push(position);
+      });
+    });
+
+    positions.sort((p, q) => p - q).forEach(position => {
+      const values = pieces.map(segment => evaluatePolynomial(segment[key], position - segment.start));
+      x.push(position);
+      max.push(Math.max(...values));
+      min.push(Math.min(...values));
+    });
+  }
+
+  if (closeEnds) pushZero(breakpoints[breakpoints.length - 1]);
+
+  return { x, max, min };
+};
+
+// Segments cut at the given interior positions, every diagram re-expressed
+// in the local coordinate of its new piece
+export const splitSegments = (segments, positions) => segments.flatMap(segment => {
+  const cuts = positions
+    .filter(x => x > segment.start + POSITION_TOLERANCE && x < segment.end - POSITION_TOLERANCE)
+    .sort((a, b) => a - b)
+    .filter((x, i, sorted) => i === 0 || x - sorted[i - 1] > POSITION_TOLERANCE);
+  const bounds = [segment.start, ...cuts, segment.end];
+  if (bounds.length === 2) return [segment];
+
+  const keys = Object.keys(segment).filter(key => Array.isArray(segment[key]));
+  return bounds.slice(0, -1).map((start, i) => {
+    const piece = { ...segment, start, end: bounds[i + 1] };
+    keys.forEach(key => { piece[key] = shiftPolynomial(segment[key], start - segment.start); });
+    return piece;
+  });
+});
+
+/**
+ * Linear combination Σ factors[i] × segmentSets[i] of piecewise results,
+ * e.g. load cases scaled by combination factors. The result is cut at the
+ * breakpoints of every set; diagrams missing from any set are left out.
+ */
+export const combineSegments = (segmentSets, factors) => {
+  const sets = segmentSets.filter(segments => segments.length > 0);
+  if (sets.length === 0) return [];
+  const setFactors = segmentSets
+    .map((segments, i) => (segments.length > 0 ? factors[i] : null))
+    .filter(factor => factor !== null);
+
+  const keys = ['shear', 'moment', 'axial', 'slope', 'deflection']
+    .filter(key => sets.every(segments => segments[0][key]));
+  const beamLength = Math.max(...sets.map(segments => segments[segments.length - 1].end));
+  const breakpoints = uniquePositions(sets.flatMap(segments => segments.flatMap(s => [s.start, s.end])), beamLength);
+
+  const combined = [];
+  for (let i = 0; i < breakpoints.length - 1; i++) {
+    const a = breakpoints[i];
+    const b = breakpoints[i + 1];
+    const pieces = sets.map(segments => segments[findSegmentIndex(segments, (a + b) / 2)]);
+    const segment = { start: a, end: b };
+    keys.forEach(key => {
+      const coeffs = [];
+      pieces.forEach((piece, k) => {
+        piece[key].forEach((c, n) => addShiftedPower(coeffs, setFactors[k] * c, a - piece.start, n));
+      });
+      segment[key] = coeffs;
+    });
+    combined.push(segment);
+  }
+  return combined;
+};
@@ -0,0 +1,74 @@
+import { buildBeamPolynomials, evaluatePiecewise, findAbsoluteMax, samplePiecewise } from './piecewisePolynomials';
+import { calculateDiagrams } from './calculations';
+
+// A support reaction as an upward point force
+const support = (position, magnitude) => ({ position, magnitude });
+
+describe('buildBeamPolynomials', () => {
+  test('a uniform load gives a parabolic moment exact at midspan', () => {
+    const forces = [support(0, 6), support(6, 6)];
+    const segments = buildBeamPolynomials(forces, [], [{ startPos: 0, endPos: 6, startMag: -2, endMag: -2 }], 6);
+
+    expect(segments).toHaveLength(1);
+    // wL²/8, with the shear changing sign at midspan
+    expect(evaluatePiecewise(segments, 'moment', 3)).toBeCloseTo(9);
+    expect(evaluatePiecewise(segments, 'shear', 3)).toBeCloseTo(0);
+    expect(evaluatePiecewise(segments, 'moment', 6)).toBeCloseTo(0);
+  });
+
+  test('a point load splits the beam and makes the shear jump', () => {
+    const forces = [support(0, 8), support(6, 4), { position: 2, magnitude: -12 }];
+    const segments = buildBeamPolynomials(forces, [], [], 6);
+
+    expect(segments.map(s => [s.start, s.end])).toEqual([[0, 2], [2, 6]]);
+    // The right-hand limit is read at the jump
+    expect(evaluatePiecewise(segments, 'shear', 1.999)).toBeCloseTo(8);
+    expect(evaluatePiecewise(segments, 'shear', 2)).toBeCloseTo(-4);
+    expect(evaluatePiecewise(segments, 'moment', 2)).toBeCloseTo(16);
+  });
+
+  test('a triangular load peaks off any grid point', () => {
+    // w rising from 0 to 3 kN/m: reactions wL/6 and wL/3, M max at L/√3
+    const forces = [support(0, 3), support(6, 6)];
+    const segments = buildBeamPolynomials(forces, [], [{ startPos: 0, endPos: 6, startMag: 0, endMag: -3 }], 6);
+    const peak = findAbsoluteMax(segments, 'moment');
+
+    expect(peak.position).toBeCloseTo(6 / Math.sqrt(3));
+    expect(peak.value).toBeCloseTo(3 * 6 ** 2 / (9 * Math.sqrt(3)));
+  });
+});
+
+describe('samplePiecewise', () => {
+  test('samples both sides of a jump', () => {
+    const forces = [support(0, 8), support(6, 4), { position: 2, magnitude: -12 }];
+    const { x, values } = samplePiecewise(buildBeamPolynomials(forces, [], [], 6), ['shear'], 1);
+    const jump = x.indexOf(2);
+
+    expect(x[jump + 1]).toBe(2);
+    expect([values.shear[jump], values.shear[jump + 1]]).toEqual([8, -4]);
+  });
+
+  test('includes every local extreme', () => {
+    const forces = [support(0, 3), support(6, 6)];
+    const segments = buildBeamPolynomials(forces, [], [{ startPos: 0, endPos: 6, startMag: 0, endMag: -3 }], 6);
+    const { x, values } = samplePiecewise(segments, ['moment'], 1);
+
+    expect(x).toContainEqual(expect.closeTo(6 / Math.sqrt(3)));
+    expect(Math.max(...values.moment)).toBeCloseTo(3 * 6 ** 2 / (9 * Math.sqrt(3)));
+  });
+});
+
+describe('calculateDiagrams', () => {
+  test('closes shear and moment to zero at the beam ends', () => {
+    const supports = [{ type: 'Hinge', position: 0 }, { type: 'Roller', position: 6 }];
+    const reactions = { supportReactions: [support(0, 8), support(6, 4)], supportMoments: [], horizontalReactions: [] };
+    const diagrams = calculateDiagrams(reactions, supports, [{ position: 2, magnitude: -12 }], [], [], 6, 10);
+
+    expect([diagrams.x[0], diagrams.shear[0]]).toEqual([0, 0]);
+    expect(diagrams.shear[1]).toBeCloseTo(8);
+    expect(diagrams.shear[diagrams.shear.length - 2]).toBeCloseTo(-4);
+    expect(diagrams.shear[diagrams.shear.length - 1]).toBe(0);
+    expect(Math.max(...diagrams.moment)).toBeCloseTo(16);
+    expect(diagrams.axial.every(n => n === 0)).toBe(true);
+  });
+});
@@ -0,0 +1,264 @@
+// Built-up cross-sections: rectangles, circles and polygons, any of them a
+// hole, each with a modular ratio n = E_part / E of the beam material.
+//
+// Coordinates are in m with x horizontal and y upwards. A rectangle is placed
+// by its lower-left corner, a circle by its centre and a polygon's points are
+// relative to (x, y). Properties are exact: polygons are integrated edge by
+// edge (Green's theorem) and circles in closed form. Stiffness properties are
+// of the transformed section, i.e. every area is weighted by its n (negative
+// for holes), so E·I uses the E of the beam material.
+
+export const SECTION_PART_SHAPES = {
+  rectangle: 'Rectangle',
+  circle: 'Circle',
+  polygon: 'Polygon'
+};
+
+export const DEFAULT_SECTION_PARTS = [
+  { id: 'P1', shape: 'rectangle', x: 0, y: 0, width: 0.3, height: 0.5, hole: false, modularRatio: 1 }
+];
+
+export const createSectionPartId = (parts) => {
+  const used = new Set(parts.map(p => p.id));
+  let n = parts.length + 1;
+  while (used.has(`P${n}`)) n += 1;
+  return `P${n}`;
+};
+
+// Vertices of a rectangle or polygon part, null for circles
+export const getPartVertices = (part) => {
+  const x0 = part.x || 0;
+  const y0 = part.y || 0;
+  if (part.shape === 'rectangle') {
+    return [
+      { x: x0, y: y0 },
+      { x: x0 + part.width, y: y0 },
+      { x: x0 + part.width, y: y0 + part.height },
+      { x: x0, y: y0 + part.height }
+    ];
+  }
+  if (part.shape === 'polygon') {
+    return (part.points || []).map(p => ({ x: x0 + p.x, y: y0 + p.y }));
+  }
+  return null;
+};
+
+// ∫dA, ∫x dA, ∫y dA, ∫x² dA, ∫y² dA, ∫xy dA over a polygon, either winding
+const polygonIntegrals = (vertices) => {
+  const sums = { A: 0, Sx: 0, Sy: 0, Ixx: 0, Iyy: 0, Ixy: 0 };
+  vertices.forEach((p, i) => {
+    const q = vertices[(i + 1) % vertices.length];
+    const cross = p.x * q.y - q.x * p.y;
+    sums.A += cross / 2;
+    sums.Sy += (p.x + q.x) * cross / 6;
+    sums.Sx += (p.y + q.y) * cross / 6;
+    sums.Iyy += (p.x ** 2 + p.x * q.x + q.x ** 2) * cross / 12;
+    sums.Ixx += (p.y ** 2 + p.y * q.y + q.y ** 2) * cross / 12;
+    sums.Ixy += (p.x * q.y + 2 * p.x * p.y + 2 * q.x * q.y + q.x * p.y) * cross / 24;
+  });
+  if (sums.A < 0) Object.keys(sums).forEach(key => { sums[key] = -sums[key]; });
+  return sums;
+};
+
+const circleIntegrals = ({ x: xc = 0, y: yc = 0, diameter }) => {
+  const r = diameter / 2;
+  const A = Math.PI * r ** 2;
+  const I0 = Math.PI * r ** 4 / 4;
+  return { A, Sx: A * yc, Sy: A * xc, Ixx: I0 + A * yc ** 2, Iyy: I0 + A * xc ** 2, Ixy: A * xc * yc };
+};
+
+const partIntegrals = (part) => (part.shape === 'circle' ? circleIntegrals(part) : polygonIntegrals(getPartVertices(part)));
+
+// Extent of a part: { left, right, bottom, top }
+export const getPartBounds = (part) => {
+  if (part.shape === 'circle') {
+    const r = part.diameter / 2;
+    return { left: (part.x || 0) - r, right: (part.x || 0) + r, bottom: (part.y || 0) - r, top: (part.y || 0) + r };
+  }
+  const vertices = getPartVertices(part);
+  const xs = vertices.map(p => p.x);
+  const ys = vertices.map(p => p.y);
+  return { left: Math.min(...xs), right: Math.max(...xs), bottom: Math.min(...ys), top: Math.max(...ys) };
+};
+
+// Area and ∫y dA of the part of a polygon above the level t (the polygon
+// clipped to the half-plane y ≥ t)
+const polygonAbove = (vertices, t) => {
+  const clipped = [];
+  vertices.forEach((p, i) => {
+    const q = vertices[(i + 1) % vertices.length];
+    const pIn = p.y >= t;
+    const qIn = q.y >= t;
+    if (pIn) clipped.push(p);
+    if (pIn !== qIn) {
+      clipped.push({ x: p.x + (q.x - p.x) * (t - p.y) / (q.y - p.y), y: t });
+    }
+  });
+  if (clipped.length < 3) return { A: 0, Sx: 0 };
+  const { A, Sx } = polygonIntegrals(clipped);
+  return { A, Sx };
+};
+
+// Area and ∫y dA of the circular segment above the level t
+const circleAbove = ({ y: yc = 0, diameter }, t) => {
+  const r = diameter / 2;
+  const d = Math.min(Math.max(t - yc, -r), r);
+  const A = r ** 2 * Math.acos(d / r) - d * Math.sqrt(r ** 2 - d ** 2);
+  return { A, Sx: (2 / 3) * (r ** 2 - d ** 2) ** 1.5 + yc * A };
+};
+
+// Length of the horizontal chord through a part at the level t
+const chordLength = (part, t) => {
+  if (part.shape === 'circle') {
+    const r = part.diameter / 2;
+    const d = t - (part.y || 0);
+    return Math.abs(d) < r ? 2 * Math.sqrt(r ** 2 - d ** 2) : 0;
+  }
+  const vertices = getPartVertices(part);
+  const crossings = [];
+  vertices.forEach((p, i) => {
+    const q = vertices[(i + 1) % vertices.length];
+    if ((p.y <= t && q.y > t) || (q.y <= t && p.y > t)) {
+      crossings.push(p.x + (q.x - p.x) * (t - p.y) / (q.y - p.y));
+    }
+  });
+  crossings.sort((a, b) => a - b);
+  let length = 0;
+  for (let i = 0; i + 1 < crossings.length; i += 2) length += crossings[i + 1] - crossings[i];
+  return length;
+};
+
+// Area weight of a part in the transformed section
+const partWeight = (part) => (part.hole ? -1 : 1) * (part.modularRatio > 0 ? part.modularRatio : 1);
+
+const validatePart = (part, index) => {
+  const label = `Part ${index + 1}`;
+  if (part.modularRatio !== undefined && !(part.modularRatio > 0)) return `${label}: the modular ratio must be positive`;
+  switch (part.shape) {
+    case 'rectangle':
+      return part.width > 0 && part.height > 0 ? null : `${label}: width and height must be positive`;
+    case 'circle':
+      return part.diameter > 0 ? null : `${label}: the diameter must be positive`;
+    case 'polygon':
+      if ((part.points || []).length < 3) return `${label}: a polygon needs at least 3 points`;
+      return polygonIntegrals(getPartVertices(part)).A > 0 ? null : `${label}: the polygon has no area`;
+    default:
+      return `${label}: unknown shape "${part.shape}"`;
+  }
+};
+
+/**
+ * Properties of a built-up section (section.parts), or { error }. In m:
+ * { grossArea (net of holes), area (transformed), centroid: { x, y }, Ix
+ *   (about the horizontal centroidal axis, the bending axis), Iy, Ixy,
+ *   bottom, top, depth, Wtop, Wbottom, stressDistance (largest n·|y| of any
+ *   fibre, so σmax = M·stressDistance / Ix), parts }
+ * with Ix, Iy, Ixy, area and moduli of the transformed section.
+ */
+export const calculatePolygonSection = (section) => {
+  const parts = section?.parts || [];
+  const solids = parts.filter(part => !part.hole);
+  if (solids.length === 0) return { error: "The section needs at least one solid part" };
+  for (let i = 0; i < parts.length; i++) {
+    const error = validatePart(parts[i], i);
+    if (error) return { error };
+  }
+
+  const totals = { A: 0, Sx: 0, Sy: 0, Ixx: 0, Iyy: 0, Ixy: 0 };
+  let grossArea = 0;
+  parts.forEach(part => {
+    const integrals = partIntegrals(part);
+    const w = partWeight(part);
+    Object.keys(totals).forEach(key => { totals[key] += w * integrals[key]; });
+    grossArea += (part.hole ? -1 : 1) * integrals.A;
+  });
+  if (!(totals.A > 0) || !(grossArea > 0)) return { error: "The holes remove the whole section" };
+
+  const centroid = { x: totals.Sy / totals.A, y: totals.Sx / totals.A };
+  const bounds = solids.map(getPartBounds);
+  const bottom = Math.min(...bounds.map(b => b.bottom));
+  const top = Math.max(...bounds.map(b => b.top));
+  const Ix = totals.Ixx - totals.A * centroid.y ** 2;
+  const stressDistance = Math.max(...solids.map((part, i) => (
+    (part.modularRatio > 0 ? part.modularRatio : 1) * Math.max(bounds[i].top - centroid.y, centroid.y - bounds[i].bottom)
+  )));
+
+  return {
+    grossArea,
+    area: totals.A,
+    centroid,
+    Ix,
+    Iy: totals.Iyy - totals.A * centroid.x ** 2,
+    Ixy: totals.Ixy - totals.A * centroid.x * centroid.y,
+    bottom,
+    top,
+    depth: top - bottom,
+    Wtop: Ix / (top - centroid.y),
+    Wbottom: Ix / (centroid.y - bottom),
+    stressDistance,
+    parts
+  };
+};
+
+// First moment of the transformed area above the level y (from the
+// underside datum) about the centroidal axis
+export const firstMomentAbove = (properties, y) => properties.parts.reduce((sum, part) => {
+  const above = part.shape === 'circle' ? circleAbove(part, y) : polygonAbove(getPartVertices(part), y);
+  return sum + partWeight(part) * (above.Sx - properties.centroid.y * above.A);
+}, 0);
+
+// Transformed area above the level y (from the underside datum)
+export const areaAbove = (properties, y) => properties.parts.reduce((sum, part) => {
+  const above = part.shape === 'circle' ? circleAbove(part, y) : polygonAbove(getPartVertices(part), y);
+  return sum + partWeight(part) * above.A;
+}, 0);
+
+// Net material width at the level y
+export const widthAt = (properties, y) => Math.max(0, properties.parts.reduce(
+  (sum, part) => sum + (part.hole ? -1 : 1) * chordLength(part, y), 0
+));
+
+// Largest modular ratio of the material present at the level y
+export const modularRatioAt = (properties, y) => properties.parts
+  .filter(part => !part.hole && chordLength(part, y) > 0)
+  .reduce((max, part) => Math.max(max, part.modularRatio > 0 ? part.modularRatio : 1), 0);
+
+/**
+ * Stresses over the depth for M, V and N (kN, m), at count + 1 levels, the
+ * centroid and both sides of every vertex level, where the width can jump.
+ * Returns [{ y (from the centroid), width, Q, bendingStress, shearStress,
+ * combinedStress }], the bending and combined stress (tension positive) in
+ * the stiffest material at that level.
+ */
+export const calculatePolygonStresses = (properties, { moment, shear, axial = 0 }, count = 50) => {
+  const { bottom, top, depth } = properties;
+  const delta = depth * 1e-7;
+  const levels = new Set();
+  for (let i = 0; i <= count; i++) levels.add(bottom + depth * i / count);
+  levels.add(properties.centroid.y);
+  properties.parts.forEach(part => {
+    const vertices = getPartVertices(part);
+    if (vertices) vertices.forEach(p => { levels.add(p.y - delta); levels.add(p.y + delta); });
+  });
+
+  return [...levels]
+    .filter(level => level >= bottom && level <= top)
+    .sort((a, b) => a - b)
+    .map(level => {
+      // Material just inside the section at its top and bottom edges
+      const probe = Math.min(Math.max(level, bottom + delta), top - delta);
+      const y = level - properties.centroid.y;
+      const n = modularRatioAt(properties, probe);
+      const width = widthAt(properties, probe);
+      const Q = firstMomentAbove(properties, level);
+      const bendingStress = -n * moment * y / properties.Ix;
+      return {
+        y,
+        width,
+        Q,
+        bendingStress,
+        shearStress: width > 0 ? Math.abs(shear * Q / (properties.Ix * width)) : 0,
+        combinedStress: n * axial / properties.area + bendingStress
+      };
+    });
+};
@@ -0,0 +1,69 @@
+import { calculatePolygonSection, calculatePolygonStresses, widthAt } from './polygonSection';
+
+const rectangle = (x, y, width, height, changes) => ({ id: 'P1', shape: 'rectangle', x, y, width, height, hole: false, modularRatio: 1, ...changes });
+
+const RECTANGLE_POINTS = [{ x: 0, y: 0 }, { x: 0.3, y: 0 }, { x: 0.3, y: 0.5 }, { x: 0, y: 0.5 }];
+
+describe('calculatePolygonSection', () => {
+  test('a polygon gives the same properties in either winding', () => {
+    const polygon = (points) => calculatePolygonSection({ parts: [{ id: 'P1', shape: 'polygon', x: 0, y: 0, points, hole: false }] });
+    const anticlockwise = polygon(RECTANGLE_POINTS);
+    const clockwise = polygon([...RECTANGLE_POINTS].reverse());
+
+    expect(anticlockwise.area).toBeCloseTo(0.15);
+    expect(anticlockwise.Ix).toBeCloseTo(0.3 * 0.5 ** 3 / 12, 12);
+    expect(anticlockwise.Iy).toBeCloseTo(0.5 * 0.3 ** 3 / 12, 12);
+    expect(clockwise.Ix).toBeCloseTo(anticlockwise.Ix, 12);
+    expect(clockwise.centroid.y).toBeCloseTo(0.25);
+  });
+
+  test('a circular hole is subtracted in closed form', () => {
+    const hole = { id: 'P2', shape: 'circle', x: 0.15, y: 0.25, diameter: 0.1, hole: true };
+    const properties = calculatePolygonSection({ parts: [rectangle(0, 0, 0.3, 0.5), hole] });
+
+    expect(properties.grossArea).toBeCloseTo(0.15 - Math.PI * 0.05 ** 2);
+    expect(properties.Ix).toBeCloseTo(0.3 * 0.5 ** 3 / 12 - Math.PI * 0.1 ** 4 / 64, 12);
+    expect(properties.centroid.y).toBeCloseTo(0.25);
+    expect(widthAt(properties, 0.25)).toBeCloseTo(0.2);
+  });
+
+  test('a stiffer part weighs n times its area', () => {
+    const properties = calculatePolygonSection({
+      parts: [rectangle(0, 0, 0.2, 0.1, { modularRatio: 2 }), rectangle(0, 0.1, 0.2, 0.1, { id: 'P2' })]
+    });
+
+    // Transformed areas 0.04 and 0.02 at y = 0.05 and 0.15
+    const centroid = (0.04 * 0.05 + 0.02 * 0.15) / 0.06;
+    expect(properties.grossArea).toBeCloseTo(0.04);
+    expect(properties.area).toBeCloseTo(0.06);
+    expect(properties.centroid.y).toBeCloseTo(centroid);
+    // The stiff part at the bottom has the largest n·|y|
+    expect(properties.stressDistance).toBeCloseTo(2 * centroid);
+  });
+
+  test('rejects sections without solid material', () => {
+    expect(calculatePolygonSection({ parts: [rectangle(0, 0, 0.3, 0.5, { hole: true })] }).error).toMatch(/at least one solid part/);
+    expect(calculatePolygonSection({
+      parts: [rectangle(0, 0, 0.3, 0.5), rectangle(0, 0, 0.3, 0.5, { id: 'P2', hole: true })]
+    }).error).toMatch(/remove the whole section/);
+  });
+
+  test('rejects a polygon with fewer than 3 points', () => {
+    const part = { id: 'P1', shape: 'polygon', x: 0, y: 0, points: RECTANGLE_POINTS.slice(0, 2) };
+    expect(calculatePolygonSection({ parts: [part] }).error).toMatch(/at least 3 points/);
+  });
+});
+
+describe('calculatePolygonStresses', () => {
+  test('a rectangle has the textbook stresses', () => {
+    const properties = calculatePolygonSection({ parts: [rectangle(0, 0, 0.3, 0.5)] });
+    const stresses = calculatePolygonStresses(properties, { moment: 100, shear: 60 });
+    const centre = stresses.find(s => Math.abs(s.y) < 1e-9);
+    const top = stresses[stresses.length - 1];
+
+    // τ = 1.5 V / A at the centroid; sagging compresses the top fibre
+    expect(centre.shearStress).toBeCloseTo(1.5 * 60 / 0.15);
+    expect(top.bendingStress).toBeCloseTo(-100 / (0.3 * 0.5 ** 2 / 6));
+    expect(top.shearStress).toBeCloseTo(0);
+  });
+});
@@ -0,0 +1,539 @@
+// Beam project files (.beam): versioned JSON holding the full model plus the
+// analysis and display settings. The model is always stored in SI units.
+//
+// Bump PROJECT_FILE_VERSION whenever the saved shape changes and add a
+// migration from the previous version to MIGRATIONS.
+
+import {
+  SUPPORT_TYPES,
+  SETTLING_TYPES,
+  DESIGN_MODES,
+  createDefaultBeamData,
+  withSupportType,
+  DEFAULT_ANALYSIS_SETTINGS
+} from './beamModel';
+import { DEFAULT_LOAD_CASE, COMBINATION_TYPES, getLoadCase, hasSupportMovement } from './loadCombinations';
+import { STEEL_GRADES, STEEL_DESIGN_CODES } from './steelDesign';
+import { CONCRETE_DESIGN_CODES } from './concreteDesign';
+import { TIMBER_STRENGTH_CLASSES, SERVICE_CLASSES, LOAD_DURATION_CLASSES } from './timberDesign';
+import { DESIGNABLE_SECTION_TYPES, calculateSectionProperties } from './sectionProperties';
+import { DEFAULT_FOUNDATION } from './foundation';
+import { DEFAULT_THERMAL_EXPANSION } from './thermal';
+import { DEFAULT_DENSITY, DEFAULT_SELF_WEIGHT } from './selfWeight';
+import { UNIT_SYSTEMS, ROTATION_UNITS } from '../contexts/UnitContext';
+
+export const PROJECT_FILE_FORMAT = 'beam-calculator-project';
+export const PROJECT_FILE_VERSION = 7;
+export const PROJECT_FILE_EXTENSION = '.beam';
+
+const MAX_REPORTED_ERRORS = 6;
+
+const SECTION_TYPES = [...DESIGNABLE_SECTION_TYPES, 'polygon', 'custom'];
+const SECTION_DIMENSIONS = ['width', 'height', 'diameter', 'flangeWidth', 'flangeThickness', 'webHeight', 'webThickness', 'thickness'];
+
+const isObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+const isNumber = (value) => typeof value === 'number' && Number.isFinite(value);
+
+// MIGRATIONS[n] upgrades a version n file to version n + 1
+const MIGRATIONS = {
+  // Version 0: a bare beamData object without the project envelope
+  0: (data) => ({
+    format: PROJECT_FILE_FORMAT,
+    version: 1,
+    model: data,
+    settings: {}
+  }),
+  // Version 1: loads without load cases, all treated as dead load
+  1: (data) => {
+    const model = data.model || {};
+    const tag = (loads) => Array.isArray(loads)
+      ? loads.map(load => ({ loadCase: DEFAULT_LOAD_CASE, ...load }))
+      : loads;
+    return {
+      ...data,
+      version: 2,
+      model: {
+        ...model,
+        pointLoads: tag(model.pointLoads),
+        distributedLoads: tag(model.distributedLoads),
+        moments: tag(model.moments)
+      }
+    };
+  },
+  // Version 2: before non-prismatic segments
+  2: (data) => {
+    const model = data.model || {};
+    return {
+      ...data,
+      version: 3,
+      model: { ...model, stiffnessSegments: model.stiffnessSegments ?? [] }
+    };
+  },
+  // Version 3: before elastic foundations
+  3: (data) => {
+    const model = data.model || {};
+    return {
+      ...data,
+      version: 4,
+      model: { ...model, foundation: model.foundation ?? { ...DEFAULT_FOUNDATION, segments: [] } }
+    };
+  },
+  // Version 4: before spring supports and settlements; springs get a
+  // stiffness and only settling supports keep a settlement
+  4: (data) => {
+    const model = data.model || {};
+    const supports = Array.isArray(model.supports)
+      ? model.supports.map(support => (isObject(support) && SUPPORT_TYPES.includes(support.type)
+        ? withSupportType(support, support.type)
+        : support))
+      : model.supports;
+    return { ...data, version: 5, model: { ...model, supports } };
+  },
+  // Version 5: before thermal loads and the coefficient of thermal expansion
+  5: (data) => {
+    const model = data.model || {};
+    const materialProperties = isObject(model.materialProperties)
+      ? { alpha: DEFAULT_THERMAL_EXPANSION, ...model.materialProperties }
+      : model.materialProperties;
+    return {
+      ...data,
+      version: 6,
+      model: { ...model, materialProperties, thermalLoads: model.thermalLoads ?? [] }
+    };
+  },
+  // Version 6: before self-weight and the material density
+  6: (data) => {
+    const model = data.model || {};
+    const materialProperties = isObject(model.materialProperties)
+      ? { density: DEFAULT_DENSITY, ...model.materialProperties }
+      : model.materialProperties;
+    return {
+      ...data,
+      version: 7,
+      model: { ...model, materialProperties, selfWeight: model.selfWeight ?? { ...DEFAULT_SELF_WEIGHT } }
+    };
+  }
+};
+
+export const serializeProject = (beamData, settings) => JSON.stringify({
+  format: PROJECT_FILE_FORMAT,
+  version: PROJECT_FILE_VERSION,
+  savedAt: new Date().toISOString(),
+  model: beamData,
+  settings
+}, null, 2);
+
+const validateModel = (model) => {
+  const errors = [];
+  const requireNumber = (value, path, { positive = false, nonNegative = false } = {}) => {
+    if (!isNumber(value)) {
+      errors.push(`${path} must be a number`);
+    } else if (positive && value <= 0) {
+      errors.push(`${path} must be greater than zero`);
+    } else if (nonNegative && value < 0) {
+      errors.push(`${path} cannot be negative`);
+    }
+  };
+  const requireArray = (value, path) => {
+    if (!Array.isArray(value)) {
+      errors.push(`${path} must be a list`);
+      return [];
+    }
+    return value;
+  };
+
+  // Built-up sections must be valid; the other shapes need positive
+  // dimensions and a custom section a positive I (missing ones take the
+  // defaults)
+  const requireSection = (section, path) => {
+    if (!isObject(section)) {
+      errors.push(`${path} must be an object`);
+      return;
+    }
+    if (!SECTION_TYPES.includes(section.type)) {
+      errors.push(`${path}.type "${section.type}" is not one of ${SECTION_TYPES.join(', ')}`);
+      return;
+    }
+    if (section.type === 'custom') {
+      if (section.momentOfInertia !== undefined) {
+        requireNumber(section.momentOfInertia, `${path}.momentOfInertia`, { positive: true });
+      }
+    } else if (section.type === 'polygon') {
+      const properties = calculateSectionProperties(section);
+      if (properties.error) errors.push(`${path}: ${properties.error}`);
+    } else {
+      SECTION_DIMENSIONS.forEach(key => {
+        if (section[key] !== undefined) requireNumber(section[key], `${path}.${key}`, { positive: true });
+      });
+    }
+  };
+
+  requireNumber(model.length, 'Beam length', { positive: true });
+  requireSection(model.section, 'section');
+
+  requireArray(model.supports, 'supports').forEach((support, i) => {
+    if (!isObject(support)) {
+      errors.push(`supports[${i}] must be an object`);
+      return;
+    }
+    if (!SUPPORT_TYPES.includes(support.type)) {
+      errors.push(`supports[${i}].type "${support.type}" is not one of ${SUPPORT_TYPES.join(', ')}`);
+    }
+    requireNumber(support.position, `supports[${i}].position`);
+    if (support.type === 'Spring') {
+      requireNumber(support.stiffness, `supports[${i}].stiffness`, { nonNegative: true });
+    }
+    if (support.type === 'Rotational Spring') {
+      requireNumber(support.rotationalStiffness, `supports[${i}].rotationalStiffness`, { nonNegative: true });
+    }
+    ['settlement', 'rotation'].forEach(key => {
+      if (support[key] !== undefined) requireNumber(support[key], `supports[${i}].${key}`);
+    });
+    if (support.settlement && !SETTLING_TYPES.includes(support.type)) {
+      errors.push(`supports[${i}] (${support.type}) cannot settle`);
+    }
+    if (support.rotation && support.type !== 'Fixed') {
+      errors.push(`supports[${i}] (${support.type}) cannot rotate, only a Fixed support can`);
+    }
+  });
+
+  const loadCases = requireArray(model.loadCases, 'loadCases');
+  const caseIds = new Set();
+  loadCases.forEach((loadCase, i) => {
+    if (typeof loadCase?.id !== 'string' || loadCase.id === '') {
+      errors.push(`loadCases[${i}].id must be a non-empty text`);
+    } else if (caseIds.has(loadCase.id)) {
+      errors.push(`loadCases[${i}].id "${loadCase.id}" is used twice`);
+    } else {
+      caseIds.add(loadCase.id);
+    }
+  });
+  const requireLoadCase = (load, path) => {
+    if (load && !caseIds.has(getLoadCase(load))) {
+      errors.push(`${path}.loadCase "${getLoadCase(load)}" is not a defined load case`);
+    }
+  };
+
+  (Array.isArray(model.supports) ? model.supports : []).forEach((support, i) => {
+    if (isObject(support) && hasSupportMovement(support)) requireLoadCase(support, `supports[${i}]`);
+  });
+
+  requireArray(model.loadCombinations, 'loadCombinations').forEach((combination, i) => {
+    if (typeof combination?.id !== 'string' || combination.id === '') {
+      errors.push(`loadCombinations[${i}].id must be a non-empty text`);
+    }
+    if (!COMBINATION_TYPES.includes(combination?.type)) {
+      errors.push(`loadCombinations[${i}].type "${combination?.type}" is not one of ${COMBINATION_TYPES.join(', ')}`);
+    }
+    if (!isObject(combination?.factors)) {
+      errors.push(`loadCombinations[${i}].factors must be an object`);
+      return;
+    }
+    Object.entries(combination.factors).forEach(([id, factor]) => {
+      if (!caseIds.has(id)) errors.push(`loadCombinations[${i}] uses undefined load case "${id}"`);
+      requireNumber(factor, `loadCombinations[${i}].factors.${id}`);
+    });
+  });
+
+  requireArray(model.deflectionLimits, 'deflectionLimits').forEach((criterion, i) => {
+    if (typeof criterion?.id !== 'string' || criterion.id === '') {
+      errors.push(`deflectionLimits[${i}].id must be a non-empty text`);
+    }
+    if (typeof criterion?.loadSet !== 'string') {
+      errors.push(`deflectionLimits[${i}].loadSet must be a text`);
+    }
+    ['spanRatio', 'absoluteLimit'].forEach(key => {
+      if (criterion?.[key] !== null) requireNumber(criterion?.[key], `deflectionLimits[${i}].${key}`, { positive: true });
+    });
+    if (criterion?.spanRatio === null && criterion?.absoluteLimit === null) {
+      errors.push(`deflectionLimits[${i}] needs a span ratio or an absolute limit`);
+    }
+  });
+
+  requireArray(model.pointLoads, 'pointLoads').forEach((load, i) => {
+    requireLoadCase(load, `pointLoads[${i}]`);
+    requireNumber(load?.position, `pointLoads[${i}].position`);
+    requireNumber(load?.magnitude, `pointLoads[${i}].magnitude`);
+    if (load?.angle !== undefined) requireNumber(load.angle, `pointLoads[${i}].angle`);
+  });
+
+  requireArray(model.distributedLoads, 'distributedLoads').forEach((load, i) => {
+    requireLoadCase(load, `distributedLoads[${i}]`);
+    ['startPos', 'endPos', 'startMag', 'endMag'].forEach(key => {
+      requireNumber(load?.[key], `distributedLoads[${i}].${key}`);
+    });
+  });
+
+  requireArray(model.moments, 'moments').forEach((moment, i) => {
+    requireLoadCase(moment, `moments[${i}]`);
+    requireNumber(moment?.position, `moments[${i}].position`);
+    requireNumber(moment?.magnitude, `moments[${i}].magnitude`);
+  });
+
+  requireArray(model.thermalLoads, 'thermalLoads').forEach((load, i) => {
+    requireLoadCase(load, `thermalLoads[${i}]`);
+    ['startPos', 'endPos', 'uniform', 'top', 'bottom'].forEach(key => {
+      requireNumber(load?.[key], `thermalLoads[${i}].${key}`);
+    });
+  });
+
+  if (!isObject(model.materialProperties)) {
+    errors.push('materialProperties must be an object');
+  } else {
+    requireNumber(model.materialProperties.E, 'materialProperties.E', { positive: true });
+    requireNumber(model.materialProperties.I, 'materialProperties.I', { positive: true });
+    requireNumber(model.materialProperties.alpha, 'materialProperties.alpha', { positive: true });
+    requireNumber(model.materialProperties.density, 'materialProperties.density', { positive: true });
+  }
+
+  if (!isObject(model.selfWeight)) {
+    errors.push('selfWeight must be an object');
+  } else {
+    if (typeof model.selfWeight.enabled !== 'boolean') errors.push('selfWeight.enabled must be true or false');
+    requireLoadCase(model.selfWeight, 'selfWeight');
+  }
+
+  if (!isObject(model.foundation)) {
+    errors.push('foundation must be an object');
+  } else {
+    if (typeof model.foundation.enabled !== 'boolean') errors.push('foundation.enabled must be true or false');
+    requireNumber(model.foundation.modulus, 'foundation.modulus', { nonNegative: true });
+    requireNumber(model.foundation.width, 'foundation.width', { positive: true });
+    requireArray(model.foundation.segments, 'foundation.segments').forEach((segment, i) => {
+      ['start', 'end'].forEach(key => {
+        requireNumber(segment?.[key], `foundation.segments[${i}].${key}`);
+      });
+      requireNumber(segment?.modulus, `foundation.segments[${i}].modulus`, { nonNegative: true });
+    });
+  }
+
+  requireArray(model.stiffnessSegments, 'stiffnessSegments').forEach((segment, i) => {
+    if (typeof segment?.id !== 'string' || segment.id === '') {
+      errors.push(`stiffnessSegments[${i}].id must be a non-empty text`);
+    }
+    requireNumber(segment?.start, `stiffnessSegments[${i}].start`);
+    requireNumber(segment?.end, `stiffnessSegments[${i}].end`);
+    requireNumber(segment?.E, `stiffnessSegments[${i}].E`, { positive: true });
+    requireSection(segment?.section, `stiffnessSegments[${i}].section`);
+    if (segment?.endDepth !== null && segment?.endDepth !== undefined) {
+      requireNumber(segment.endDepth, `stiffnessSegments[${i}].endDepth`, { positive: true });
+    }
+  });
+
+  if (model.multiSpan?.enabled) {
+    requireArray(model.multiSpan.spans, 'multiSpan.spans').forEach((span, i) => {
+      requireNumber(span, `multiSpan.spans[${i}]`, { positive: true });
+    });
+  }
+
+  const { mode, steel, concrete, timber } = model.design;
+  if (!DESIGN_MODES.includes(mode)) {
+    errors.push(`design.mode "${mode}" is not one of ${DESIGN_MODES.join(', ')}`);
+  }
+  if (!STEEL_DESIGN_CODES[steel.code]) {
+    errors.push(`design.steel.code "${steel.code}" is not one of ${Object.keys(STEEL_DESIGN_CODES).join(', ')}`);
+  }
+  if (!STEEL_GRADES[steel.grade]) {
+    errors.push(`design.steel.grade "${steel.grade}" is not one of ${Object.keys(STEEL_GRADES).join(', ')}`);
+  }
+  if (steel.unbracedLength !== null) {
+    requireNumber(steel.unbracedLength, 'design.steel.unbracedLength', { positive: true });
+  }
+  requireNumber(steel.momentFactor, 'design.steel.momentFactor', { positive: true });
+
+  if (!CONCRETE_DESIGN_CODES[concrete.code]) {
+    errors.push(`design.concrete.code "${concrete.code}" is not one of ${Object.keys(CONCRETE_DESIGN_CODES).join(', ')}`);
+  }
+  ['fck', 'fy', 'cover', 'barDiameter', 'linkDiameter'].forEach(key => {
+    requireNumber(concrete[key], `design.concrete.${key}`, { positive: true });
+  });
+  if (!(Number.isInteger(concrete.linkLegs) && concrete.linkLegs >= 2)) {
+    errors.push('design.concrete.linkLegs must be a whole number of at least 2');
+  }
+
+  if (!TIMBER_STRENGTH_CLASSES[timber.strengthClass]) {
+    errors.push(`design.timber.strengthClass "${timber.strengthClass}" is not one of ${Object.keys(TIMBER_STRENGTH_CLASSES).join(', ')}`);
+  }
+  if (!SERVICE_CLASSES[timber.serviceClass]) {
+    errors.push(`design.timber.serviceClass must be one of ${Object.keys(SERVICE_CLASSES).join(', ')}`);
+  }
+  if (!isObject(timber.durations)) {
+    errors.push('design.timber.durations must be an object');
+  } else {
+    Object.entries(timber.durations).forEach(([id, duration]) => {
+      if (!LOAD_DURATION_CLASSES[duration]) {
+        errors.push(`design.timber.durations.${id} "${duration}" is not one of ${Object.keys(LOAD_DURATION_CLASSES).join(', ')}`);
+      }
+    });
+  }
+  if (!isObject(timber.psi2)) {
+    errors.push('design.timber.psi2 must be an object');
+  } else {
+    Object.entries(timber.psi2).forEach(([id, psi2]) => {
+      requireNumber(psi2, `design.timber.psi2.${id}`);
+    });
+  }
+  ['bearingLength', 'instantLimit', 'finalLimit'].forEach(key => {
+    requireNumber(timber[key], `design.timber.${key}`, { positive: true });
+  });
+
+  return errors;
+};
+
+const validateSettings = (settings) => {
+  const errors = [];
+  if (settings.resolution !== undefined && !(Number.isInteger(settings.resolution) && settings.resolution > 0)) {
+    errors.push('settings.resolution must be a positive whole number');
+  }
+  if (typeof settings.loadSet !== 'string') {
+    errors.push('settings.loadSet must be a text');
+  }
+  if (settings.unitSystem !== undefined && !UNIT_SYSTEMS[settings.unitSystem]) {
+    errors.push(`settings.unitSystem "${settings.unitSystem}" is not one of ${Object.keys(UNIT_SYSTEMS).join(', ')}`);
+  }
+  if (settings.rotationUnit && !ROTATION_UNITS[settings.rotationUnit]) {
+    errors.push(`settings.rotationUnit "${settings.rotationUnit}" is not one of ${Object.keys(ROTATION_UNITS).join(', ')}`);
+  }
+  return errors;
+};
+
+/**
+ * Parse, migrate and validate a project file.
+ * Returns { beamData, settings, migratedFrom } or { error }.
+ */
+export const parseProject = (text) => {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (error) {
+    return { error: `The file is not valid JSON (${error.message})` };
+  }
+
+  if (!isObject(data)) {
+    return { error: "The file does not contain a beam project" };
+  }
+
+  let version;
+  if (data.format === undefined && data.version === undefined && 'length' in data && 'supports' in data) {
+    version = 0;
+  } else if (data.format !== PROJECT_FILE_FORMAT) {
+    return { error: "The file is not a Beam Calculator project" };
+  } else if (!Number.isInteger(data.version) || data.version < 1) {
+    return { error: "The project file has no valid schema version" };
+  } else if (data.version > PROJECT_FILE_VERSION) {
+    return { error: `The project was saved by a newer version of Beam Calculator (schema ${data.version}, this app reads up to ${PROJECT_FILE_VERSION}). Please update the app.` };
+  } else {
+    version = data.version;
+  }
+
+  const migratedFrom = version;
+  let project = data;
+  while (version < PROJECT_FILE_VERSION) {
+    project = MIGRATIONS[version](project);
+    version += 1;
+  }
+
+  if (!isObject(project.model)) {
+    return { error: "The project file has no beam model" };
+  }
+
+  const defaults = createDefaultBeamData();
+  const beamData = {
+    ...defaults,
+    ...project.model,
+    multiSpan: { ...defaults.multiSpan, ...project.model.multiSpan },
+    foundation: { ...defaults.foundation, ...project.model.foundation },
+    selfWeight: { ...defaults.selfWeight, ...project.model.selfWeight },
+    stressAnalysis: { ...defaults.stressAnalysis, ...project.model.stressAnalysis },
+    design: {
+      ...defaults.design,
+      ...project.model.design,
+      steel: { ...defaults.design.steel, ...project.model.design?.steel },
+      concrete: { ...defaults.design.concrete, ...project.model.design?.concrete },
+      timber: { ...defaults.design.timber, ...project.model.design?.timber }
+    }
+  };
+  const settings = { ...DEFAULT_ANALYSIS_SETTINGS, ...(isObject(project.settings) ? project.settings : {}) };
+
+  const errors = [...validateModel(beamData), ...validateSettings(settings)];
+  if (errors.length > 0) {
+    const shown = errors.slice(0, MAX_REPORTED_ERRORS).map(e => `• ${e}`);
+    if (errors.length > MAX_REPORTED_ERRORS) {
+      shown.push(`• ...and ${errors.length - MAX_REPORTED_ERRORS} more`);
+    }
+    return { error: `The project file is invalid:\n${shown.join('\n')}` };
+  }
+
+  return { beamData, settings, migratedFrom: migratedFrom < PROJECT_FILE_VERSION ? migratedFrom : null };
+};
+
+const fileTypes = [{
+  description: 'Beam project',
+  accept: { 'application/json': [PROJECT_FILE_EXTENSION] }
+}];
+
+// Time the file dialog has to report a chosen file after giving the focus back
+const FOCUS_CANCEL_DELAY_MS = 500;
+
+const supportsFilePickers = () => typeof window !== 'undefined' && 'showSaveFilePicker' in window;
+
+// Save to an existing handle, or ask for a location. Returns { handle, fileName },
+// { cancelled: true } or { error }. Without file pickers the file is downloaded.
+export const saveProjectFile = async (contents, handle, suggestedName) => {
+  try {
+    if (supportsFilePickers()) {
+      const target = handle || await window.showSaveFilePicker({ suggestedName, types: fileTypes });
+      const writable = await target.createWritable();
+      await writable.write(contents);
+      await writable.close();
+      return { handle: target, fileName: target.name };
+    }
+
+    const url = URL.createObjectURL(new Blob([contents], { type: 'application/json' }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = suggestedName;
+    link.click();
+    URL.revokeObjectURL(url);
+    return { handle: null, fileName: suggestedName };
+  } catch (error) {
+    if (error.name === 'AbortError') return { cancelled: true };
+    return { error: error.message };
+  }
+};
+
+// Ask for a project file. Returns { contents, handle, fileName }, { cancelled: true } or { error }.
+export const openProjectFile = async () => {
+  try {
+    if (supportsFilePickers()) {
+      const [handle] = await window.showOpenFilePicker({ types: fileTypes });
+      const file = await handle.getFile();
+      return { contents: await file.text(), handle, fileName: file.name };
+    }
+
+    const file = await new Promise(resolve => {
+      const input = document.createElement('input');
+      const settle = (selected) => {
+        window.removeEventListener('focus', handleFocus);
+        resolve(selected);
+      };
+      // Browsers without a cancel event only give the focus back; a chosen
+      // file's change event can follow the focus, so wait for it
+      const handleFocus = () => setTimeout(() => {
+        if (!input.files?.length) settle(null);
+      }, FOCUS_CANCEL_DELAY_MS);
+
+      input.type = 'file';
+      input.accept = `${PROJECT_FILE_EXTENSION},application/json`;
+      input.onchange = () => settle(input.files[0] || null);
+      input.addEventListener('cancel', () => settle(null));
+      window.addEventListener('focus', handleFocus);
+      input.click();
+    });
+    if (!file) return { cancelled: true };
+    return { contents: await file.text(), handle: null, fileName: file.name };
+  } catch (error) {
+    if (error.name === 'AbortError') return { cancelled: true };
+    return { error: error.message };
+  }
+};
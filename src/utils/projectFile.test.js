@@ -0,0 +1,106 @@
+import { parseProject, serializeProject, openProjectFile, PROJECT_FILE_FORMAT, PROJECT_FILE_VERSION } from './projectFile';
+import { createDefaultBeamData, DEFAULT_ANALYSIS_SETTINGS } from './beamModel';
+import { DEFAULT_THERMAL_EXPANSION } from './thermal';
+import { DEFAULT_DENSITY } from './selfWeight';
+
+// A model as saved before the stiffness, foundation, thermal and self-weight fields
+const createVersion2Model = () => {
+  const {
+    stiffnessSegments, foundation, thermalLoads, selfWeight, materialProperties, ...model
+  } = createDefaultBeamData();
+  return { ...model, materialProperties: { E: materialProperties.E, I: materialProperties.I } };
+};
+
+const fileOf = (model, version = PROJECT_FILE_VERSION) => JSON.stringify({
+  format: PROJECT_FILE_FORMAT,
+  version,
+  model,
+  settings: DEFAULT_ANALYSIS_SETTINGS
+});
+
+describe('parseProject', () => {
+  test('reads back a saved project', () => {
+    const beamData = createDefaultBeamData();
+    const project = parseProject(serializeProject(beamData, DEFAULT_ANALYSIS_SETTINGS));
+
+    expect(project.error).toBeUndefined();
+    expect(project.beamData).toEqual(beamData);
+    expect(project.migratedFrom).toBeNull();
+  });
+
+  test('migrates a version 2 file and fills the new fields', () => {
+    const project = parseProject(fileOf(createVersion2Model(), 2));
+
+    expect(project.error).toBeUndefined();
+    expect(project.migratedFrom).toBe(2);
+    expect(project.beamData.stiffnessSegments).toEqual([]);
+    expect(project.beamData.thermalLoads).toEqual([]);
+    expect(project.beamData.foundation.enabled).toBe(false);
+    expect(project.beamData.selfWeight.enabled).toBe(false);
+    expect(project.beamData.materialProperties.alpha).toBe(DEFAULT_THERMAL_EXPANSION);
+    expect(project.beamData.materialProperties.density).toBe(DEFAULT_DENSITY);
+  });
+
+  test('a version 6 file keeps its thermal loads and gains self-weight switched off', () => {
+    const { selfWeight, materialProperties: { density, ...materialProperties }, ...model } = createDefaultBeamData();
+    const thermalLoads = [{ startPos: 0, endPos: 5, uniform: 20, top: 0, bottom: 0, loadCase: 'D' }];
+    const project = parseProject(fileOf({
+      ...model,
+      thermalLoads,
+      materialProperties: { ...materialProperties, alpha: 1e-5 }
+    }, 6));
+
+    expect(project.error).toBeUndefined();
+    expect(project.beamData.thermalLoads).toEqual(thermalLoads);
+    expect(project.beamData.materialProperties.alpha).toBe(1e-5);
+    expect(project.beamData.materialProperties.density).toBe(DEFAULT_DENSITY);
+    expect(project.beamData.selfWeight.enabled).toBe(false);
+  });
+
+  test('rejects a section of an unknown type or with a negative dimension', () => {
+    const unknown = { ...createDefaultBeamData(), section: { type: 'hexagon' } };
+    expect(parseProject(fileOf(unknown)).error).toMatch(/section\.type "hexagon"/);
+
+    const negative = { ...createDefaultBeamData(), section: { type: 'rectangular', width: -0.3, height: 0.5 } };
+    expect(parseProject(fileOf(negative)).error).toMatch(/section\.width must be greater than zero/);
+  });
+
+  test('rejects a negative spring stiffness and a settling hinge', () => {
+    const model = {
+      ...createDefaultBeamData(),
+      supports: [
+        { type: 'Internal Hinge', position: 2, settlement: 0.01 },
+        { type: 'Spring', position: 5, stiffness: -100 }
+      ]
+    };
+    const { error } = parseProject(fileOf(model));
+
+    expect(error).toMatch(/supports\[0\] \(Internal Hinge\) cannot settle/);
+    expect(error).toMatch(/supports\[1\]\.stiffness cannot be negative/);
+  });
+});
+
+describe('openProjectFile without file pickers', () => {
+  // Starts opening and hands the hidden file input to interact
+  const openWith = (interact) => {
+    const createElement = document.createElement.bind(document);
+    let input = null;
+    const spy = jest.spyOn(document, 'createElement').mockImplementation((tag) => {
+      const element = createElement(tag);
+      if (tag === 'input') input = element;
+      return element;
+    });
+    const opened = openProjectFile();
+    spy.mockRestore();
+    interact(input);
+    return opened;
+  };
+
+  test('settles as cancelled when the dialog is cancelled', async () => {
+    await expect(openWith(input => input.dispatchEvent(new Event('cancel')))).resolves.toEqual({ cancelled: true });
+  });
+
+  test('settles as cancelled when the focus returns without a file', async () => {
+    await expect(openWith(() => window.dispatchEvent(new Event('focus')))).resolves.toEqual({ cancelled: true });
+  });
+});
@@ -0,0 +1,305 @@
+// Section sizing: searches a family of sections for the lightest one whose
+// bending stress, shear stress and deflection stay within the limits.
+//
+// Candidates are screened against the current analysis: internal forces are
+// kept and deflections scaled with 1/I, which is exact for a prismatic beam
+// on rigid supports carrying applied loads only. With self-weight on, the
+// screening also adds each candidate's change of weight times the peaks
+// under 1 kN/m of self-weight, an estimate since those peaks need not
+// coincide with the others. Where the forces and deflections depend on the
+// section (self-weight, non-prismatic segments, spring supports, a
+// foundation, settlements or thermal loads), the best screened sections are
+// analysed again with their own section and weight before they are listed.
+
+import { calculateDesignProperties, calculateSectionProperties } from './sectionProperties';
+import { DEFAULT_LOAD_CASE, getDesignEffects } from './loadCombinations';
+import { runAnalysis } from './analysis';
+import { getStiffnessDependentFeatures } from './beamModel';
+import { checkDeflectionLimits, needsLoadCaseResults } from './serviceability';
+import { getSectionWeight, hasSelfWeight } from './selfWeight';
+import { getSectionStretches, getStiffnessSegmentAt } from './stiffness';
+import { STEEL_SECTIONS, createLibrarySection } from './steelSections';
+
+export const OPTIMIZER_FAMILIES = {
+  library: 'Standard steel sections',
+  rectangular: 'Rectangular (b × h)',
+  'i-beam': 'Welded I-beam (plate girder)'
+};
+
+export const DEFAULT_OPTIMIZER_SETTINGS = {
+  family: 'library',
+  libraryFamily: 'all',
+  allowableStress: 165e3,
+  allowableShear: 100e3,
+  deflectionRatio: 360,
+  minAspect: 1.5,
+  maxAspect: 3,
+  maxDepth: 1.0
+};
+
+const MAX_CANDIDATES = 10;
+// Screened sections analysed again at most, lightest first
+const MAX_REANALYSES = 30;
+
+// Plate sizes in m for the generated families
+const DIMENSION_STEP = 0.025;
+const I_BEAM_DEPTH_STEP = 0.05;
+const FLANGE_THICKNESSES = [0.006, 0.008, 0.01, 0.012, 0.015, 0.02, 0.025, 0.03, 0.04];
+const WEB_THICKNESSES = [0.005, 0.006, 0.008, 0.01, 0.012, 0.015, 0.02];
+
+// Proportions kept practical, since local buckling is not part of the check
+const MAX_WEB_SLENDERNESS = 150;
+const MAX_FLANGE_OUTSTAND = 15;
+const MIN_FLANGE_WIDTH_RATIO = 0.25;
+
+// Steps from min to max inclusive, rounded to the millimetre
+const range = (min, max, step) => {
+  const values = [];
+  for (let v = min; v <= max + 1e-9; v += step) values.push(Math.round(v * 1000) / 1000);
+  return values;
+};
+
+const rectangularCandidates = ({ minAspect, maxAspect, maxDepth }) => {
+  const sections = [];
+  range(0.05, maxDepth, DIMENSION_STEP).forEach(width => {
+    range(0.05, maxDepth, DIMENSION_STEP).forEach(height => {
+      const aspect = height / width;
+      if (aspect >= minAspect - 1e-9 && aspect <= maxAspect + 1e-9) {
+        sections.push({ type: 'rectangular', width, height });
+      }
+    });
+  });
+  return sections;
+};
+
+const iBeamCandidates = ({ maxDepth }) => {
+  const sections = [];
+  range(0.15, maxDepth, I_BEAM_DEPTH_STEP).forEach(depth => {
+    range(0.075, Math.min(depth, 0.5), DIMENSION_STEP).forEach(flangeWidth => {
+      if (flangeWidth < MIN_FLANGE_WIDTH_RATIO * depth - 1e-9) return;
+      FLANGE_THICKNESSES.forEach(flangeThickness => {
+        if (flangeWidth / (2 * flangeThickness) > MAX_FLANGE_OUTSTAND) return;
+        WEB_THICKNESSES.forEach(webThickness => {
+          const webHeight = depth - 2 * flangeThickness;
+          if (webThickness > flangeThickness || webHeight / webThickness > MAX_WEB_SLENDERNESS) return;
+          sections.push({ type: 'i-beam', flangeWidth, flangeThickness, webHeight, webThickness });
+        });
+      });
+    });
+  });
+  return sections;
+};
+
+const libraryCandidates = ({ libraryFamily, maxDepth }) => STEEL_SECTIONS
+  .filter(entry => libraryFamily === 'all' || entry.family === libraryFamily)
+  .map(createLibrarySection)
+  .filter(section => calculateDesignProperties(section).depth <= maxDepth + 1e-9);
+
+const CANDIDATE_GENERATORS = {
+  library: libraryCandidates,
+  rectangular: rectangularCandidates,
+  'i-beam': iBeamCandidates
+};
+
+// Largest absolute value of an envelope
+const peakMagnitude = ({ max, min }) => Math.max(...max.map(Math.abs), ...min.map(Math.abs));
+
+// Deflection utilisation of the current section against the model's criteria
+// and the optimizer's span / N, or null when nothing can be checked
+const getDeflectionUtilisation = (beamData, results, settings, notes) => {
+  const criteria = [...(beamData.deflectionLimits || [])];
+  if (settings.deflectionRatio > 0) {
+    criteria.push({
+      id: 'optimizer',
+      name: 'Sizing limit',
+      loadSet: results.loadSet?.id || 'all',
+      spanRatio: settings.deflectionRatio,
+      absoluteLimit: null
+    });
+  }
+  const check = checkDeflectionLimits({ ...beamData, deflectionLimits: criteria }, results);
+  if (!check) return null;
+
+  check.criteria.filter(c => c.error).forEach(c => notes.push(`Deflection limit "${c.name}" skipped: ${c.error}`));
+  return check.governing ? check.governing.utilisation : null;
+};
+
+// Model with a candidate as the beam section, the way the Section tab applies one
+const withSection = (beamData, section) => ({
+  ...beamData,
+  section,
+  materialProperties: { ...beamData.materialProperties, I: calculateSectionProperties(section).momentOfInertia }
+});
+
+// Utilisations of a section under the peak moment and shear, and with the
+// deflection utilisation of a section with moment of inertia baseI
+const evaluateSection = (section, { moment, shear, deflection, baseI }, settings) => {
+  const properties = calculateDesignProperties(section);
+  const { thickness, firstMomentOfArea } = calculateSectionProperties(section);
+  const utilisation = {
+    bending: moment / properties.Wel / settings.allowableStress,
+    shear: shear * firstMomentOfArea / (properties.Iy * thickness) / settings.allowableShear,
+    deflection: deflection === null ? null : deflection * baseI / properties.Iy
+  };
+  const governing = Math.max(utilisation.bending, utilisation.shear, utilisation.deflection || 0);
+  return {
+    section,
+    area: properties.area,
+    mass: section.mass || null,
+    utilisation,
+    governing,
+    passed: governing <= 1
+  };
+};
+
+// Peak effects of 1 kN/m of self-weight where a candidate replaces the beam
+// section, with the current weight, or null when they cannot be solved
+const getUnitWeightResponse = (beamData, settings, options) => {
+  const weight = getSectionWeight(beamData, beamData.section);
+  if (weight === null) return null;
+
+  const loadCase = beamData.selfWeight.loadCase || DEFAULT_LOAD_CASE;
+  const model = {
+    ...beamData,
+    supports: beamData.supports.map(({ settlement, rotation, ...support }) => support),
+    pointLoads: [],
+    distributedLoads: getSectionStretches(beamData)
+      .filter(({ start, end }) => !getStiffnessSegmentAt(beamData, (start + end) / 2))
+      .map(({ start, end }) => ({ startPos: start, endPos: end, startMag: -1, endMag: -1, loadCase })),
+    moments: [],
+    thermalLoads: [],
+    selfWeight: { ...beamData.selfWeight, enabled: false }
+  };
+  const results = runAnalysis(model, { ...options, loadCaseResults: needsLoadCaseResults(beamData, options.loadSet) });
+  const effects = results.error ? null : getDesignEffects(results);
+  if (!effects) return null;
+
+  return {
+    weight,
+    moment: peakMagnitude(effects.moment),
+    shear: peakMagnitude(effects.shear),
+    deflection: getDeflectionUtilisation(model, results, settings, []) || 0
+  };
+};
+
+// Screening effects with a candidate's weight in place of the current one
+const withCandidateWeight = (current, unitWeight, weight) => {
+  if (!unitWeight || weight === null) return current;
+  const change = weight - unitWeight.weight;
+  return {
+    ...current,
+    moment: Math.max(current.moment + change * unitWeight.moment, 0),
+    shear: Math.max(current.shear + change * unitWeight.shear, 0),
+    deflection: current.deflection === null ? null : Math.max(current.deflection + change * unitWeight.deflection, 0)
+  };
+};
+
+// Candidate judged on a new analysis of the model with its section, or null
+// when that model cannot be solved
+const reanalyseSection = (beamData, section, settings, options) => {
+  const model = withSection(beamData, section);
+  const results = runAnalysis(model, { ...options, loadCaseResults: needsLoadCaseResults(beamData, options.loadSet) });
+  const effects = results.error ? null : getDesignEffects(results);
+  if (!effects) return null;
+
+  return evaluateSection(section, {
+    moment: peakMagnitude(effects.moment),
+    shear: peakMagnitude(effects.shear),
+    deflection: getDeflectionUtilisation(model, results, settings, []),
+    baseI: model.materialProperties.I
+  }, settings);
+};
+
+const byWeight = (a, b) => (a.mass || a.area) - (b.mass || b.area) || a.governing - b.governing;
+
+/**
+ * Searches settings.family for sections that satisfy
+ *   M·c / I ≤ allowableStress, V·Q / (I·b) ≤ allowableShear,
+ *   deflection ≤ every limit (span / deflectionRatio and the model's
+ *   deflection limits), with stresses in kN/m² and lengths in m.
+ * options are the analysis options ({ resolution, loadSet }) used where
+ * candidates need a new analysis. Returns { source, checked, reanalysed,
+ * candidates: [{ section, area, mass (kg/m, library sections only),
+ * utilisation: { bending, shear, deflection }, governing, passed }], notes }
+ * or { error }. Candidates are the lightest passing sections, or the least
+ * utilised ones when none passes.
+ */
+export const optimizeSection = (beamData, results, settings, options = {}) => {
+  const generate = CANDIDATE_GENERATORS[settings.family];
+  if (!generate) return { error: `Unknown section family "${settings.family}"` };
+  if (!(settings.allowableStress > 0) || !(settings.allowableShear > 0)) {
+    return { error: "Allowable stresses must be positive" };
+  }
+
+  const effects = getDesignEffects(results);
+  if (!effects) return { error: "No analysis results to size the section for" };
+
+  const notes = [];
+  const current = {
+    moment: peakMagnitude(effects.moment),
+    shear: peakMagnitude(effects.shear),
+    deflection: getDeflectionUtilisation(beamData, results, settings, notes),
+    baseI: beamData.materialProperties.I
+  };
+  if (current.deflection === null) notes.push('Deflection is not checked: no deflection limit applies');
+  if ((results.axialForce?.y || []).some(v => Math.abs(v) > 1e-9)) {
+    notes.push('Axial force is not included in the stress checks');
+  }
+  if ((beamData.stiffnessSegments || []).length > 0) {
+    notes.push('Non-prismatic segments keep their sections: candidates replace the beam section only');
+  }
+  let unitWeight = null;
+  if (hasSelfWeight(beamData)) {
+    unitWeight = getUnitWeightResponse(beamData, settings, options);
+  } else {
+    notes.push('Self-weight is not included: turn it on in the Loads tab to size for it');
+  }
+  if (settings.family === 'i-beam') {
+    notes.push(`Local buckling is not checked; proportions are limited to hw/tw ≤ ${MAX_WEB_SLENDERNESS}, b/(2tf) ≤ ${MAX_FLANGE_OUTSTAND} and b ≥ ${MIN_FLANGE_WIDTH_RATIO}h`);
+  }
+
+  const evaluated = generate(settings).map(section => (
+    evaluateSection(section, withCandidateWeight(current, unitWeight, getSectionWeight(beamData, section)), settings)
+  ));
+  const passing = evaluated.filter(c => c.passed).sort(byWeight);
+  let candidates = passing.length > 0 ? passing : [...evaluated].sort((a, b) => a.governing - b.governing);
+  let reanalysed = 0;
+  let unverified = 0;
+
+  const sectionDependent = [
+    ...(hasSelfWeight(beamData) ? ['self-weight'] : []),
+    ...getStiffnessDependentFeatures(beamData)
+  ];
+  if (sectionDependent.length > 0) {
+    // Walk the screened order until enough sections pass their own analysis.
+    // Past MAX_REANALYSES the walk goes on only while none has passed and the
+    // screening still expects sections to pass.
+    const verified = [];
+    for (const candidate of candidates) {
+      const verifiedCount = verified.filter(c => c.passed).length;
+      if (verifiedCount >= MAX_CANDIDATES) break;
+      if (reanalysed >= MAX_REANALYSES && (verifiedCount > 0 || passing.length === 0)) break;
+      reanalysed += 1;
+      const result = reanalyseSection(beamData, candidate.section, settings, options);
+      if (result) verified.push(result);
+    }
+    const verifiedPassing = verified.filter(c => c.passed).sort(byWeight);
+    unverified = candidates.length - reanalysed;
+    candidates = verifiedPassing.length > 0 ? verifiedPassing : verified.sort((a, b) => a.governing - b.governing);
+    notes.push(`With ${sectionDependent.join(', ')} the forces and deflections depend on the section: the ${reanalysed} best screened sections were analysed again with their own section`);
+  }
+
+  if (!candidates.some(c => c.passed) && unverified > 0) {
+    notes.push(`None of the ${reanalysed} sections analysed again satisfies every check; the least utilised ones are listed and ${unverified} heavier or more utilised sections were not analysed again`);
+  } else if (!candidates.some(c => c.passed) && evaluated.length > 0) {
+    notes.push('No section of the family satisfies every check; the least utilised ones are listed');
+  }
+
+  return {
+    source: effects.label,
+    checked: evaluated.length,
+    reanalysed,
+    candidates: candidates.slice(0, MAX_CANDIDATES),
+    notes
+  };
+};
@@ -0,0 +1,75 @@
+import { DEFAULT_OPTIMIZER_SETTINGS, optimizeSection } from './sectionOptimizer';
+import { calculateSectionProperties } from './sectionProperties';
+import { runAnalysis } from './analysis';
+import { createTestBeam, uniformLoad } from './testModels';
+
+const OPTIONS = { resolution: 100, loadSet: 'all' };
+const SETTINGS = { ...DEFAULT_OPTIMIZER_SETTINGS, family: 'rectangular', deflectionRatio: 300 };
+
+const createModel = (changes) => createTestBeam({ E: 2e7, distributedLoads: [uniformLoad(6, 10)], ...changes });
+
+// The spring splits the 6 m beam into two 3 m spans
+const ON_SPRING = {
+  supports: [
+    { type: 'Hinge', position: 0 },
+    { type: 'Spring', position: 3, stiffness: 2000 },
+    { type: 'Roller', position: 6 }
+  ]
+};
+
+// Deflection utilisation of a section from its own analysis, for spans of
+// equal length
+const deflectionOf = (model, section, span) => {
+  const I = calculateSectionProperties(section).momentOfInertia;
+  const results = runAnalysis({ ...model, section, materialProperties: { ...model.materialProperties, I } }, OPTIONS);
+  return Math.max(...results.deflection.y.map(Math.abs)) / (span / SETTINGS.deflectionRatio);
+};
+
+describe('optimizeSection', () => {
+  test('scales deflections with 1/I on rigid supports', () => {
+    const model = createModel();
+    const result = optimizeSection(model, runAnalysis(model, OPTIONS), SETTINGS, OPTIONS);
+
+    expect(result.reanalysed).toBe(0);
+    expect(result.notes.some(note => note.includes('Self-weight is not included'))).toBe(true);
+    expect(result.candidates[0].passed).toBe(true);
+    expect(result.candidates[0].utilisation.deflection).toBeCloseTo(deflectionOf(model, result.candidates[0].section, 6), 3);
+  });
+
+  test('analyses candidates again where deflections do not scale with 1/I', () => {
+    const model = createModel(ON_SPRING);
+    const result = optimizeSection(model, runAnalysis(model, OPTIONS), SETTINGS, OPTIONS);
+
+    expect(result.reanalysed).toBeGreaterThan(0);
+    expect(result.notes.some(note => note.includes('spring supports'))).toBe(true);
+    // The spring splits the beam into two 3 m spans for the deflection limit
+    result.candidates.slice(0, 3).forEach(candidate => {
+      expect(candidate.utilisation.deflection).toBeCloseTo(deflectionOf(model, candidate.section, 3), 3);
+    });
+  });
+
+  test('sizes each candidate with its own self-weight', () => {
+    const model = createModel({ selfWeight: { enabled: true, loadCase: 'D' } });
+    const result = optimizeSection(model, runAnalysis(model, OPTIONS), SETTINGS, OPTIONS);
+
+    expect(result.reanalysed).toBeGreaterThan(0);
+    expect(result.notes.some(note => note.includes('self-weight'))).toBe(true);
+    const [best] = result.candidates;
+    const { width, height } = best.section;
+    // (10 kN/m + ρ·g·A)·L²/8 over b·h²/6
+    const weight = 7850 * 9.81 * width * height / 1000;
+    const moment = (10 + weight) * 36 / 8;
+    expect(best.utilisation.bending).toBeCloseTo(moment / (width * height ** 2 / 6) / SETTINGS.allowableStress, 3);
+  });
+
+  test('says which sections were not analysed again when none passes', () => {
+    const model = createModel(ON_SPRING);
+    const settings = { ...SETTINGS, allowableStress: 1 };
+    const result = optimizeSection(model, runAnalysis(model, OPTIONS), settings, OPTIONS);
+
+    expect(result.candidates.some(c => c.passed)).toBe(false);
+    expect(result.notes).toContainEqual(expect.stringMatching(
+      new RegExp(`None of the ${result.reanalysed} sections analysed again satisfies every check; .* ${result.checked - result.reanalysed} heavier`)
+    ));
+  });
+});
@@ -0,0 +1,372 @@
+// Cross-section properties for member design and stresses. Sections are
+// stored in m with the SectionTab shapes: rectangular, circular, i-beam
+// (symmetric flanges), t-beam (flange on top, web below), channel (i-beam
+// dimensions, flanges on one side), rhs and chs (hollow, wall thickness) and
+// polygon (built-up parts, see polygonSection). Bending is about the
+// horizontal axis (y); z is the vertical axis. Library sections carry their
+// tabulated properties, which take precedence over the calculated ones.
+
+import { areaAbove, calculatePolygonSection, firstMomentAbove, getPartBounds, widthAt } from './polygonSection';
+
+const DEFAULT_DIMENSIONS = {
+  width: 0.3,
+  height: 0.5,
+  diameter: 0.4,
+  flangeWidth: 0.2,
+  flangeThickness: 0.02,
+  webHeight: 0.4,
+  webThickness: 0.01,
+  thickness: 0.008
+};
+
+const DEFAULT_T_DIMENSIONS = {
+  flangeWidth: 0.3,
+  flangeThickness: 0.05,
+  webHeight: 0.4,
+  webThickness: 0.02
+};
+
+const DEFAULT_HOLLOW_DIMENSIONS = {
+  width: 0.1,
+  height: 0.2,
+  diameter: 0.2
+};
+
+export const DESIGNABLE_SECTION_TYPES = ['rectangular', 'circular', 'i-beam', 't-beam', 'channel', 'rhs', 'chs'];
+
+const SECTION_DEFAULTS = {
+  't-beam': { ...DEFAULT_DIMENSIONS, ...DEFAULT_T_DIMENSIONS },
+  rhs: { ...DEFAULT_DIMENSIONS, ...DEFAULT_HOLLOW_DIMENSIONS },
+  chs: { ...DEFAULT_DIMENSIONS, ...DEFAULT_HOLLOW_DIMENSIONS }
+};
+
+// Section dimensions with the SectionTab defaults filled in
+export const getSectionDimensions = (section) => {
+  const defaults = SECTION_DEFAULTS[section.type] || DEFAULT_DIMENSIONS;
+  const dimensions = {};
+  Object.keys(defaults).forEach(key => {
+    dimensions[key] = section[key] || defaults[key];
+  });
+  return dimensions;
+};
+
+// Horizontal rectangles { b, bottom, top }, measured from the underside
+const getRectangles = (type, d) => {
+  switch (type) {
+    case 'rectangular':
+      return [{ b: d.width, bottom: 0, top: d.height }];
+    case 'i-beam':
+    case 'channel':
+      return [
+        { b: d.flangeWidth, bottom: 0, top: d.flangeThickness },
+        { b: d.webThickness, bottom: d.flangeThickness, top: d.flangeThickness + d.webHeight },
+        { b: d.flangeWidth, bottom: d.flangeThickness + d.webHeight, top: d.webHeight + 2 * d.flangeThickness }
+      ];
+    case 't-beam':
+      return [
+        { b: d.webThickness, bottom: 0, top: d.webHeight },
+        { b: d.flangeWidth, bottom: d.webHeight, top: d.webHeight + d.flangeThickness }
+      ];
+    case 'rhs':
+      return [
+        { b: d.width, bottom: 0, top: d.thickness },
+        { b: 2 * d.thickness, bottom: d.thickness, top: d.height - d.thickness },
+        { b: d.width, bottom: d.height - d.thickness, top: d.height }
+      ];
+    default:
+      return [];
+  }
+};
+
+// ∫|y - axis| dA over one rectangle
+const absoluteFirstMoment = ({ b, bottom, top }, axis) => {
+  if (axis <= bottom) return b * ((top - axis) ** 2 - (bottom - axis) ** 2) / 2;
+  if (axis >= top) return b * ((axis - bottom) ** 2 - (axis - top) ** 2) / 2;
+  return b * ((axis - bottom) ** 2 + (top - axis) ** 2) / 2;
+};
+
+// Height of the plastic neutral axis, which halves the area
+const plasticNeutralAxis = (rectangles, area) => {
+  let below = 0;
+  for (const { b, bottom, top } of rectangles) {
+    const part = b * (top - bottom);
+    if (below + part >= area / 2) {
+      return bottom + (area / 2 - below) / b;
+    }
+    below += part;
+  }
+  return rectangles[rectangles.length - 1].top;
+};
+
+// Saint-Venant torsion constant of a solid rectangle (long side a, short side t)
+const rectangleTorsionConstant = (a, t) => a * t ** 3 * (1 / 3 - 0.21 * (t / a) * (1 - t ** 4 / (12 * a ** 4)));
+
+// Circular solid (t = 0) and hollow sections
+const circularProperties = (type, D, t) => {
+  const d = t > 0 ? Math.max(D - 2 * t, 0) : 0;
+  const I = Math.PI * (D ** 4 - d ** 4) / 64;
+  const W = 2 * I / D;
+  return {
+    type,
+    depth: D,
+    area: Math.PI * (D ** 2 - d ** 2) / 4,
+    centroid: D / 2,
+    Iy: I,
+    Iz: I,
+    Wel: W,
+    WelTop: W,
+    WelBottom: W,
+    Wpl: (D ** 3 - d ** 3) / 6,
+    plasticAxis: D / 2,
+    It: 2 * I,
+    Iw: 0
+  };
+};
+
+// Weak-axis inertia and warping constant of a channel, flanges measured to
+// the web centreline for Iw
+const channelWeakAxis = (d, depth) => {
+  const { flangeWidth: b, flangeThickness: tf, webHeight: hw, webThickness: tw } = d;
+  const area = 2 * b * tf + hw * tw;
+  const xc = (b * b * tf + hw * tw * tw / 2) / area;
+  const Iz = 2 * (tf * b ** 3 / 12 + b * tf * (b / 2 - xc) ** 2) + hw * tw ** 3 / 12 + hw * tw * (tw / 2 - xc) ** 2;
+  const bc = b - tw / 2;
+  const ho = depth - tf;
+  const Iw = tf * bc ** 3 * ho ** 2 / 12 * (3 * bc * tf + 2 * ho * tw) / (6 * bc * tf + ho * tw);
+  return { Iz, Iw };
+};
+
+/**
+ * Design properties of a section, or { error } for shapes without geometry
+ * (custom). Returns in m units:
+ * { type, depth, area, centroid (from the underside), Iy, Iz, Wel (smaller
+ *   elastic modulus), WelTop, WelBottom, Wpl, plasticAxis, It (torsion),
+ *   Iw (warping), dimensions, designation (library sections, else null) }
+ */
+export const calculateDesignProperties = (section) => {
+  const type = section?.type;
+  if (!DESIGNABLE_SECTION_TYPES.includes(type)) {
+    return { error: "Design checks need the section geometry - choose a standard section or a rectangular, circular, I or T section" };
+  }
+
+  const d = getSectionDimensions(section);
+  let calculated;
+
+  if (type === 'circular' || type === 'chs') {
+    calculated = circularProperties(type, d.diameter, type === 'chs' ? d.thickness : 0);
+  } else {
+    const rectangles = getRectangles(type, d);
+    const depth = rectangles[rectangles.length - 1].top;
+    const area = rectangles.reduce((sum, r) => sum + r.b * (r.top - r.bottom), 0);
+    const centroid = rectangles.reduce((sum, r) => sum + r.b * (r.top - r.bottom) * (r.top + r.bottom) / 2, 0) / area;
+    const Iy = rectangles.reduce((sum, r) => {
+      const h = r.top - r.bottom;
+      return sum + r.b * h ** 3 / 12 + r.b * h * ((r.top + r.bottom) / 2 - centroid) ** 2;
+    }, 0);
+    let Iz = rectangles.reduce((sum, r) => sum + (r.top - r.bottom) * r.b ** 3 / 12, 0);
+    const plasticAxis = plasticNeutralAxis(rectangles, area);
+    const Wpl = rectangles.reduce((sum, r) => sum + absoluteFirstMoment(r, plasticAxis), 0);
+
+    // Open thin-walled shapes: It ≈ Σ b t³/3; solid rectangles use the exact
+    // series and closed boxes Bredt's 4Am²t/p on the wall centreline
+    let It;
+    let Iw = 0;
+    if (type === 'rectangular') {
+      It = rectangleTorsionConstant(Math.max(d.width, d.height), Math.min(d.width, d.height));
+    } else if (type === 'rhs') {
+      const t = d.thickness;
+      Iz = (d.height * d.width ** 3 - (d.height - 2 * t) * (d.width - 2 * t) ** 3) / 12;
+      It = 4 * ((d.width - t) * (d.height - t)) ** 2 * t / (2 * (d.width + d.height - 2 * t));
+    } else {
+      It = rectangles.reduce((sum, r) => {
+        const h = r.top - r.bottom;
+        return sum + Math.max(r.b, h) * Math.min(r.b, h) ** 3 / 3;
+      }, 0);
+      if (type === 'i-beam') {
+        Iw = d.flangeThickness * d.flangeWidth ** 3 * (depth - d.flangeThickness) ** 2 / 24;
+      } else if (type === 'channel') {
+        ({ Iz, Iw } = channelWeakAxis(d, depth));
+      }
+    }
+
+    const WelTop = Iy / (depth - centroid);
+    const WelBottom = Iy / centroid;
+    calculated = {
+      type,
+      depth,
+      area,
+      centroid,
+      Iy,
+      Iz,
+      Wel: Math.min(WelTop, WelBottom),
+      WelTop,
+      WelBottom,
+      Wpl,
+      plasticAxis,
+      It,
+      Iw
+    };
+  }
+
+  // Tabulated values of a library section (doubly symmetric about y)
+  const tabulated = section.properties || {};
+  const Wel = tabulated.Wel || calculated.Wel;
+  return {
+    ...calculated,
+    ...tabulated,
+    ...(tabulated.Wel ? { WelTop: Wel, WelBottom: Wel } : {}),
+    dimensions: d,
+    designation: section.designation || null
+  };
+};
+
+// Parts of a section for the built-up section engine, centred on x = 0
+// with the underside at y = 0, or null for shapes without geometry (custom)
+export const getSectionParts = (section) => {
+  const type = section?.type || 'rectangular';
+  if (type === 'polygon') return section.parts || [];
+  if (!DESIGNABLE_SECTION_TYPES.includes(type)) return null;
+
+  const d = getSectionDimensions({ ...section, type });
+  const rectangle = (x, y, width, height, hole = false) => ({ shape: 'rectangle', x, y, width, height, hole });
+  const circle = (diameter, hole = false) => ({ shape: 'circle', x: 0, y: d.diameter / 2, diameter, hole });
+  switch (type) {
+    case 'circular':
+      return [circle(d.diameter)];
+    case 'chs':
+      return [circle(d.diameter), circle(d.diameter - 2 * d.thickness, true)];
+    case 'rhs':
+      return [
+        rectangle(-d.width / 2, 0, d.width, d.height),
+        rectangle(-d.width / 2 + d.thickness, d.thickness, d.width - 2 * d.thickness, d.height - 2 * d.thickness, true)
+      ];
+    default: {
+      // Channels keep the web on the left, the other shapes are symmetric
+      const left = type === 'channel' ? -d.flangeWidth / 2 : null;
+      return getRectangles(type, d).map(r => rectangle(left ?? -r.b / 2, r.bottom, r.b, r.top - r.bottom));
+    }
+  }
+};
+
+// Plastic neutral axis by bisection on the transformed area above it; the
+// plastic modulus is then twice the first moment above about the centroid
+const plasticModulus = (geometry) => {
+  let low = geometry.bottom;
+  let high = geometry.top;
+  for (let i = 0; i < 60; i++) {
+    const mid = (low + high) / 2;
+    if (areaAbove(geometry, mid) > geometry.area / 2) low = mid;
+    else high = mid;
+  }
+  return 2 * firstMomentAbove(geometry, (low + high) / 2);
+};
+
+// Level where V·Q / (I·b) peaks, from the underside datum. Over a band of
+// rectangles the width is constant and Q peaks at the centroid, so only the
+// centroid and both sides of every band edge are candidates; sloped edges
+// and circles are sampled.
+const shearPeakLevel = (geometry) => {
+  const { bottom, top, depth, centroid } = geometry;
+  const delta = depth * 1e-7;
+  const levels = [centroid.y];
+  geometry.parts.forEach(part => {
+    const bounds = getPartBounds(part);
+    levels.push(bounds.bottom - delta, bounds.bottom + delta, bounds.top - delta, bounds.top + delta);
+    if (part.shape !== 'rectangle') {
+      for (let i = 1; i < 100; i++) levels.push(bounds.bottom + (bounds.top - bounds.bottom) * i / 100);
+    }
+  });
+
+  let best = { y: centroid.y, value: -1 };
+  levels.filter(y => y > bottom && y < top).forEach(y => {
+    const width = widthAt(geometry, y);
+    const value = width > 0 ? Math.abs(firstMomentAbove(geometry, y)) / width : 0;
+    if (value > best.value) best = { y, value };
+  });
+  return best.y;
+};
+
+// Indicative values for a custom section, which only has its I
+const CUSTOM_SECTION_PROPERTIES = {
+  area: 0.15,
+  depth: 0.5,
+  centroidHeight: 0.25,
+  maxDistanceFromCentroid: 0.25,
+  thickness: 0.3,
+  firstMomentOfArea: 0.01
+};
+
+/**
+ * Section properties shared by the section, stress and design views and the
+ * PDF report, for every section type, or { error } for an invalid built-up
+ * section. Returns in m:
+ * { type, designation, area, depth, centroidHeight (from the underside),
+ *   momentOfInertia, WelTop, WelBottom, Wel, Wpl, shearArea (I·b / Q where
+ *   the shear stress peaks, so τmax = V / shearArea), maxDistanceFromCentroid,
+ *   stressDistance (n·c of the extreme fibre, c unless composite),
+ *   firstMomentOfArea and thickness (Q and b where the shear stress peaks),
+ *   geometry (the built-up section engine's properties), firstMomentAt(y),
+ *   widthAt(y), indicative }
+ * with y from the centroid, upwards. Built-up sections give transformed
+ * properties. Custom sections have no geometry: their values other than I
+ * are indicative and geometry, firstMomentAt and widthAt are null.
+ */
+export const calculateSectionProperties = (section) => {
+  const type = section?.type || 'rectangular';
+  const parts = getSectionParts({ ...section, type });
+  if (!parts) {
+    const momentOfInertia = section?.momentOfInertia || 1e-4;
+    const c = CUSTOM_SECTION_PROPERTIES.maxDistanceFromCentroid;
+    return {
+      ...CUSTOM_SECTION_PROPERTIES,
+      type,
+      designation: null,
+      momentOfInertia,
+      WelTop: momentOfInertia / c,
+      WelBottom: momentOfInertia / c,
+      Wel: momentOfInertia / c,
+      Wpl: null,
+      shearArea: momentOfInertia * CUSTOM_SECTION_PROPERTIES.thickness / CUSTOM_SECTION_PROPERTIES.firstMomentOfArea,
+      stressDistance: c,
+      geometry: null,
+      firstMomentAt: null,
+      widthAt: null,
+      indicative: true
+    };
+  }
+
+  const geometry = calculatePolygonSection({ parts });
+  if (geometry.error) return { error: geometry.error };
+
+  // Library sections keep their tabulated values
+  const design = type === 'polygon' ? null : calculateDesignProperties({ ...section, type });
+  const area = design ? design.area : geometry.area;
+  const momentOfInertia = design ? design.Iy : geometry.Ix;
+  const centroidHeight = geometry.centroid.y - geometry.bottom;
+  const maxDistanceFromCentroid = Math.max(geometry.top - geometry.centroid.y, centroidHeight);
+  const peak = shearPeakLevel(geometry);
+  const firstMomentOfArea = firstMomentAbove(geometry, peak);
+  const thickness = widthAt(geometry, peak);
+
+  return {
+    type,
+    designation: section?.designation || null,
+    area,
+    depth: geometry.depth,
+    centroidHeight,
+    momentOfInertia,
+    WelTop: design ? design.WelTop : geometry.Wtop,
+    WelBottom: design ? design.WelBottom : geometry.Wbottom,
+    Wel: design ? design.Wel : Math.min(geometry.Wtop, geometry.Wbottom),
+    Wpl: design ? design.Wpl : plasticModulus(geometry),
+    shearArea: momentOfInertia * thickness / firstMomentOfArea,
+    maxDistanceFromCentroid,
+    stressDistance: type === 'polygon' ? geometry.stressDistance : maxDistanceFromCentroid,
+    firstMomentOfArea,
+    thickness,
+    geometry,
+    firstMomentAt: (y) => firstMomentAbove(geometry, geometry.centroid.y + y),
+    widthAt: (y) => widthAt(geometry, geometry.centroid.y + y),
+    indicative: false
+  };
+};
@@ -0,0 +1,69 @@
+import { calculateSectionProperties } from './sectionProperties';
+import { createLibrarySection, getSteelSection } from './steelSections';
+
+describe('calculateSectionProperties', () => {
+  test('a rectangle has the closed-form properties', () => {
+    const properties = calculateSectionProperties({ type: 'rectangular', width: 0.2, height: 0.4 });
+
+    expect(properties.area).toBeCloseTo(0.08);
+    expect(properties.momentOfInertia).toBeCloseTo(0.2 * 0.4 ** 3 / 12, 12);
+    expect(properties.Wel).toBeCloseTo(0.2 * 0.4 ** 2 / 6, 12);
+    expect(properties.Wpl).toBeCloseTo(0.2 * 0.4 ** 2 / 4, 12);
+    // τmax = 1.5 V / A at the centroid
+    expect(properties.shearArea).toBeCloseTo(0.08 / 1.5, 12);
+    expect(properties.firstMomentAt(0)).toBeCloseTo(0.2 * 0.4 ** 2 / 8, 12);
+    expect(properties.indicative).toBe(false);
+  });
+
+  test('a T section has its centroid towards the flange', () => {
+    const section = { type: 't-beam', flangeWidth: 0.3, flangeThickness: 0.05, webHeight: 0.4, webThickness: 0.02 };
+    const properties = calculateSectionProperties(section);
+
+    // Web 0.008 m² at 0.2 m, flange 0.015 m² at 0.425 m
+    const centroid = (0.008 * 0.2 + 0.015 * 0.425) / 0.023;
+    const I = 0.02 * 0.4 ** 3 / 12 + 0.008 * (0.2 - centroid) ** 2 + 0.3 * 0.05 ** 3 / 12 + 0.015 * (0.425 - centroid) ** 2;
+    expect(properties.centroidHeight).toBeCloseTo(centroid);
+    expect(properties.momentOfInertia).toBeCloseTo(I, 10);
+    expect(properties.WelTop).toBeCloseTo(I / (0.45 - centroid), 10);
+    expect(properties.WelBottom).toBeCloseTo(I / centroid, 10);
+    expect(properties.widthAt(0.45 - centroid - 0.01)).toBeCloseTo(0.3);
+  });
+
+  test('the built-up geometry agrees with the design properties', () => {
+    const section = { type: 'i-beam', flangeWidth: 0.15, flangeThickness: 0.0107, webHeight: 0.2786, webThickness: 0.0071 };
+    const properties = calculateSectionProperties(section);
+
+    expect(properties.geometry.Ix).toBeCloseTo(properties.momentOfInertia, 12);
+    expect(properties.geometry.area).toBeCloseTo(properties.area, 12);
+  });
+
+  test('a built-up rectangle finds its plastic modulus', () => {
+    const parts = [{ id: 'P1', shape: 'rectangle', x: 0, y: 0, width: 0.2, height: 0.4, hole: false, modularRatio: 1 }];
+    const properties = calculateSectionProperties({ type: 'polygon', parts });
+
+    expect(properties.Wpl).toBeCloseTo(0.2 * 0.4 ** 2 / 4, 10);
+    expect(properties.stressDistance).toBeCloseTo(0.2);
+  });
+
+  test('a library section keeps its tabulated values', () => {
+    const properties = calculateSectionProperties(createLibrarySection(getSteelSection('IPE 300')));
+
+    expect(properties.designation).toBe('IPE 300');
+    expect(properties.momentOfInertia).toBeCloseTo(8356e-8, 12);
+    expect(properties.Wpl).toBeCloseTo(628e-6, 12);
+  });
+
+  test('a custom section only has its I', () => {
+    const properties = calculateSectionProperties({ type: 'custom', momentOfInertia: 2e-4 });
+
+    expect(properties.momentOfInertia).toBe(2e-4);
+    expect(properties.indicative).toBe(true);
+    expect(properties.geometry).toBeNull();
+    expect(properties.Wpl).toBeNull();
+  });
+
+  test('reports an invalid built-up section', () => {
+    const parts = [{ id: 'P1', shape: 'circle', x: 0, y: 0, diameter: 0, hole: false }];
+    expect(calculateSectionProperties({ type: 'polygon', parts }).error).toMatch(/diameter must be positive/);
+  });
+});
@@ -0,0 +1,75 @@
+// Self-weight: a downward distributed load ρ·g·A from the material density
+// and the section area, generated when the analysis runs so it follows every
+// change of section, segment or length.
+//
+// Non-prismatic segments use their own section; over a taper the area is
+// taken as linear between the segment ends (exact for the flat-sided
+// shapes). The load belongs to the load case chosen for it, 'D' by default.
+
+import { calculateSectionProperties } from './sectionProperties';
+import { getSegmentSection } from './stiffness';
+import { DEFAULT_LOAD_CASE } from './loadCombinations';
+
+const POSITION_TOLERANCE = 1e-9;
+const GRAVITY = 9.81; // m/s²
+
+export const DEFAULT_DENSITY = 7850; // ρ of steel in kg/m³
+
+export const DEFAULT_SELF_WEIGHT = {
+  enabled: false,
+  loadCase: DEFAULT_LOAD_CASE
+};
+
+export const hasSelfWeight = (beamData) => !!beamData.selfWeight?.enabled;
+
+const density = (beamData) => beamData.materialProperties.density ?? DEFAULT_DENSITY;
+
+// Weight of a section in kN/m with the beam's density, or null without a
+// known area
+export const getSectionWeight = (beamData, section) => {
+  const properties = calculateSectionProperties(section || {});
+  if (properties.error || properties.indicative) return null;
+  return density(beamData) * GRAVITY * properties.area / 1000;
+};
+
+/**
+ * Self-weight of the beam as downward distributed loads { startPos, endPos,
+ * startMag, endMag, loadCase, selfWeight: true }, [] when it is off, or
+ * { error } when the density or a section area is missing.
+ */
+export const getSelfWeightLoads = (beamData) => {
+  if (!hasSelfWeight(beamData)) return [];
+  if (!(density(beamData) > 0)) return { error: "The material density must be greater than zero for self-weight" };
+
+  const beamWeight = getSectionWeight(beamData, beamData.section);
+  const loads = [];
+  let missing = false;
+  const addLoad = (startPos, endPos, startWeight, endWeight) => {
+    if (endPos - startPos <= POSITION_TOLERANCE) return;
+    if (startWeight === null || endWeight === null) missing = true;
+    loads.push({
+      startPos,
+      endPos,
+      startMag: -startWeight,
+      endMag: -endWeight,
+      loadCase: beamData.selfWeight.loadCase || DEFAULT_LOAD_CASE,
+      selfWeight: true
+    });
+  };
+
+  let position = 0;
+  [...(beamData.stiffnessSegments || [])].sort((a, b) => a.start - b.start).forEach(segment => {
+    addLoad(position, segment.start, beamWeight, beamWeight);
+    addLoad(
+      segment.start,
+      segment.end,
+      getSectionWeight(beamData, getSegmentSection(segment, segment.start)),
+      getSectionWeight(beamData, getSegmentSection(segment, segment.end))
+    );
+    position = Math.max(position, segment.end);
+  });
+  addLoad(position, beamData.length, beamWeight, beamWeight);
+
+  if (missing) return { error: "Self-weight needs the section area - custom sections only define I" };
+  return loads;
+};
@@ -0,0 +1,123 @@
+// Serviceability deflection limits.
+//
+// A criterion limits the deflection of one load set (all loads, a single
+// case such as live load only, or a combination) to span / N, to an absolute
+// value, or to the smaller of both. Every span between supports is checked
+// on its own. An overhang is a cantilever: its free-end span is checked
+// against twice its length, so L/N reads as 2·Lc/N.
+
+import { combineSegments, findAbsoluteMax } from './piecewisePolynomials';
+import { getLoadSetFactors, getLoadSetLabel, isLoadSetDefined } from './loadCombinations';
+
+// The default checks the analysed loads only, so it needs no load case
+// results (see needsLoadCaseResults)
+export const DEFAULT_DEFLECTION_LIMITS = [
+  { id: 'S1', name: 'Total load', loadSet: 'all', spanRatio: 250, absoluteLimit: null }
+];
+
+// Whether the criteria need each load case solved on its own: only those on
+// another load set than the analysed one do
+export const needsLoadCaseResults = (beamData, loadSetId = 'all') => (
+  (beamData.deflectionLimits || []).some(criterion => (criterion.loadSet || 'all') !== loadSetId)
+);
+
+export const createDeflectionLimitId = (criteria) => {
+  const used = new Set(criteria.map(c => c.id));
+  let n = criteria.length + 1;
+  while (used.has(`S${n}`)) n += 1;
+  return `S${n}`;
+};
+
+// Spans between supports and overhangs beyond them, with the length the
+// limit is based on (twice the overhang for a cantilever)
+export const getDeflectionSpans = (beamData) => {
+  const positions = [...new Set(beamData.supports
+    .filter(s => s.type !== 'Internal Hinge')
+    .map(s => s.position))]
+    .sort((a, b) => a - b);
+  if (positions.length === 0) return [];
+
+  const spans = [];
+  if (positions[0] > 1e-9) {
+    spans.push({ start: 0, end: positions[0], length: 2 * positions[0], cantilever: true });
+  }
+  positions.slice(1).forEach((end, i) => {
+    spans.push({ start: positions[i], end, length: end - positions[i], cantilever: false });
+  });
+  const last = positions[positions.length - 1];
+  if (beamData.length - last > 1e-9) {
+    spans.push({ start: last, end: beamData.length, length: 2 * (beamData.length - last), cantilever: true });
+  }
+  return spans;
+};
+
+// Polynomials of a load set: the analysed set itself, or the load cases
+// superposed; null when neither is available
+const getLoadSetSegments = (beamData, results, loadSetId) => {
+  if ((results.loadSet?.id || 'all') === loadSetId) return results.segments;
+  if (!results.caseResults) return null;
+
+  const factors = getLoadSetFactors(beamData, loadSetId);
+  return combineSegments(
+    results.caseResults.map(c => c.segments),
+    results.caseResults.map(c => (factors ? factors[c.id] || 0 : 1))
+  );
+};
+
+/**
+ * Checks every deflection criterion of the model span by span. Returns
+ * null when there is nothing to check, otherwise { criteria, passed,
+ * governing }, each criterion with { spans: [{ start, end, length,
+ * cantilever, deflection, limit, utilisation, passed }], utilisation,
+ * position, passed } or { error } when it has no limit, refers to a load set
+ * that no longer exists or cannot be evaluated. Such a criterion does not
+ * pass.
+ */
+export const checkDeflectionLimits = (beamData, results) => {
+  const criteria = beamData.deflectionLimits || [];
+  const spans = getDeflectionSpans(beamData);
+  if (criteria.length === 0 || spans.length === 0 || !results.segments?.[0]?.deflection) return null;
+
+  const checked = criteria.map(criterion => {
+    if (!isLoadSetDefined(beamData, criterion.loadSet)) {
+      return { ...criterion, label: criterion.loadSet, error: `Load set "${criterion.loadSet}" no longer exists - choose another one` };
+    }
+    const label = getLoadSetLabel(beamData, criterion.loadSet);
+    if (!(criterion.spanRatio > 0) && !(criterion.absoluteLimit > 0)) {
+      return { ...criterion, label, error: 'No limit set - enter span / N, an absolute limit or both' };
+    }
+    const segments = getLoadSetSegments(beamData, results, criterion.loadSet);
+    if (!segments) return { ...criterion, label, error: 'Load case results are not available' };
+
+    const spanChecks = spans.map(span => {
+      const deflection = segments.length > 0
+        ? findAbsoluteMax(segments, 'deflection', span.start, span.end)
+        : { value: 0, position: span.start };
+      const limits = [];
+      if (criterion.spanRatio > 0) limits.push(span.length / criterion.spanRatio);
+      if (criterion.absoluteLimit > 0) limits.push(criterion.absoluteLimit);
+      const limit = Math.min(...limits);
+      const utilisation = deflection.value / limit;
+      return { ...span, deflection, limit, utilisation, passed: utilisation <= 1 };
+    });
+
+    const worst = spanChecks.reduce((best, span) => (span.utilisation > best.utilisation ? span : best));
+    return {
+      ...criterion,
+      label,
+      spans: spanChecks,
+      utilisation: worst.utilisation,
+      position: worst.deflection.position,
+      passed: spanChecks.every(span => span.passed)
+    };
+  });
+
+  const evaluated = checked.filter(criterion => !criterion.error);
+  return {
+    criteria: checked,
+    passed: checked.every(criterion => criterion.passed),
+    governing: evaluated.length > 0
+      ? evaluated.reduce((best, criterion) => (criterion.utilisation > best.utilisation ? criterion : best))
+      : null
+  };
+};
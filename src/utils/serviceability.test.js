@@ -0,0 +1,62 @@
+import { checkDeflectionLimits, needsLoadCaseResults } from './serviceability';
+import { createDefaultBeamData } from './beamModel';
+import { runAnalysis } from './analysis';
+import { createTestBeam, uniformLoad } from './testModels';
+
+const createModel = (deflectionLimits) => createTestBeam({
+  length: 5,
+  E: 2e8,
+  I: 1e-4,
+  distributedLoads: [uniformLoad(5, 2, 'D'), uniformLoad(5, 3, 'L')],
+  deflectionLimits
+});
+
+const check = (model) => checkDeflectionLimits(model, runAnalysis(model, { resolution: 100, loadCaseResults: true }));
+
+// 5wL⁴ / 384EI
+const midspan = (w) => 5 * w * 5 ** 4 / (384 * 2e8 * 1e-4);
+
+describe('checkDeflectionLimits', () => {
+  test('checks each criterion on its own load set', () => {
+    const result = check(createModel([
+      { id: 'S1', name: 'Total', loadSet: 'all', spanRatio: 250, absoluteLimit: null },
+      { id: 'S2', name: 'Live', loadSet: 'case:L', spanRatio: 360, absoluteLimit: 0.005 }
+    ]));
+
+    expect(result.criteria[0].spans[0].deflection.value).toBeCloseTo(midspan(5), 6);
+    expect(result.criteria[0].utilisation).toBeCloseTo(midspan(5) / (5 / 250), 4);
+    // The absolute limit governs over L/360
+    expect(result.criteria[1].spans[0].limit).toBeCloseTo(0.005);
+    expect(result.criteria[1].utilisation).toBeCloseTo(midspan(3) / 0.005, 4);
+  });
+
+  test('flags a criterion without any limit', () => {
+    const result = check(createModel([{ id: 'S1', name: 'None', loadSet: 'all', spanRatio: null, absoluteLimit: null }]));
+
+    expect(result.criteria[0].error).toMatch(/No limit/);
+    expect(result.passed).toBe(false);
+  });
+
+  test('flags a criterion whose load set was deleted', () => {
+    const model = createModel([{ id: 'S1', name: 'Live', loadSet: 'case:L', spanRatio: 1, absoluteLimit: null }]);
+    model.loadCases = model.loadCases.filter(c => c.id !== 'L');
+    const result = check(model);
+
+    expect(result.criteria[0].error).toMatch(/no longer exists/);
+    expect(result.governing).toBeNull();
+    expect(result.passed).toBe(false);
+  });
+});
+
+describe('needsLoadCaseResults', () => {
+  test('the default criteria check the analysed loads only', () => {
+    expect(needsLoadCaseResults(createDefaultBeamData())).toBe(false);
+  });
+
+  test('a criterion on another load set needs the load cases', () => {
+    const model = createModel([{ id: 'S1', name: 'Live', loadSet: 'case:L', spanRatio: 360, absoluteLimit: null }]);
+
+    expect(needsLoadCaseResults(model)).toBe(true);
+    expect(needsLoadCaseResults(model, 'case:L')).toBe(false);
+  });
+});
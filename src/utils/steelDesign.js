@@ -0,0 +1,378 @@
+// Steel member design checks: cross-section bending and shear resistance and
+// lateral-torsional buckling, to EN 1993-1-1 or AISC 360-16 (LRFD).
+//
+// Stresses are in kN/m² like E. Sagging (positive) moment compresses the top
+// fibre; for a T-beam that is the flange. The unbraced length is treated as a
+// single segment with a uniform moment factor (C1 or Cb) entered by the user.
+
+import { calculateDesignProperties } from './sectionProperties';
+import { getDesignEffects } from './loadCombinations';
+
+export const STEEL_GRADES = {
+  S235: { label: 'S235 (fy = 235 MPa)', fy: 235e3 },
+  S275: { label: 'S275 (fy = 275 MPa)', fy: 275e3 },
+  S355: { label: 'S355 (fy = 355 MPa)', fy: 355e3 },
+  S460: { label: 'S460 (fy = 460 MPa)', fy: 460e3 },
+  A36: { label: 'ASTM A36 (Fy = 250 MPa)', fy: 250e3 },
+  A572: { label: 'ASTM A572 Gr. 50 (Fy = 345 MPa)', fy: 345e3 },
+  A992: { label: 'ASTM A992 (Fy = 345 MPa)', fy: 345e3 }
+};
+
+export const STEEL_DESIGN_CODES = {
+  EC3: 'Eurocode 3 (EN 1993-1-1)',
+  AISC: 'AISC 360-16 (LRFD)'
+};
+
+export const DEFAULT_STEEL_DESIGN = {
+  code: 'EC3',
+  grade: 'S355',
+  unbracedLength: null, // m; null uses getDefaultUnbracedLength
+  momentFactor: 1.0 // C1 (EC3) or Cb (AISC)
+};
+
+const POISSON_RATIO = 0.3;
+const EC3_GAMMA_M0 = 1.0;
+const EC3_GAMMA_M1 = 1.0;
+const AISC_PHI_B = 0.9;
+
+// Longest distance between lateral restraints, taken at the supports and the beam ends
+export const getDefaultUnbracedLength = (beamData) => {
+  const positions = [0, beamData.length, ...beamData.supports
+    .filter(s => s.type !== 'Internal Hinge')
+    .map(s => s.position)]
+    .sort((a, b) => a - b);
+  return Math.max(...positions.slice(1).map((x, i) => x - positions[i]));
+};
+
+// Class 1-4 from a width-to-thickness ratio and the three class limits
+const classify = (ratio, limits) => {
+  const index = limits.findIndex(limit => ratio <= limit);
+  return index === -1 ? 4 : index + 1;
+};
+
+const OUTSTAND_LIMITS = [9, 10, 14];
+const INTERNAL_COMPRESSION_LIMITS = [33, 38, 42];
+const WEB_BENDING_LIMITS = [72, 83, 124];
+const TUBE_LIMITS = [50, 70, 90];
+
+const designEC3 = (p, E, fy, Lb, C1) => {
+  const eps = Math.sqrt(235e3 / fy);
+  const G = E / (2 * (1 + POISSON_RATIO));
+  const d = p.dimensions;
+  const notes = [];
+
+  // Cross-section class for sagging and hogging
+  let sectionClass = { positive: 1, negative: 1 };
+  const symmetricClass = (cls) => ({ positive: cls, negative: cls });
+  if (p.type === 'i-beam' || p.type === 'channel') {
+    const outstand = p.type === 'channel' ? d.flangeWidth - d.webThickness : (d.flangeWidth - d.webThickness) / 2;
+    const flange = classify(outstand / d.flangeThickness, OUTSTAND_LIMITS.map(l => l * eps));
+    const web = classify(d.webHeight / d.webThickness, WEB_BENDING_LIMITS.map(l => l * eps));
+    sectionClass = symmetricClass(Math.max(flange, web));
+  } else if (p.type === 'rhs') {
+    // Flat widths taken as b - 3t (EN 1993-1-1 Table 5.2)
+    const flange = classify((d.width - 3 * d.thickness) / d.thickness, INTERNAL_COMPRESSION_LIMITS.map(l => l * eps));
+    const web = classify((d.height - 3 * d.thickness) / d.thickness, WEB_BENDING_LIMITS.map(l => l * eps));
+    sectionClass = symmetricClass(Math.max(flange, web));
+  } else if (p.type === 'chs') {
+    sectionClass = symmetricClass(classify(d.diameter / d.thickness, TUBE_LIMITS.map(l => l * eps ** 2)));
+  } else if (p.type === 't-beam') {
+    sectionClass = {
+      positive: classify((d.flangeWidth - d.webThickness) / 2 / d.flangeThickness, OUTSTAND_LIMITS.map(l => l * eps)),
+      negative: classify(d.webHeight / d.webThickness, OUTSTAND_LIMITS.map(l => l * eps))
+    };
+  }
+  if (sectionClass.positive === 4 || sectionClass.negative === 4) {
+    notes.push('Class 4 section: the effective section (EN 1993-1-5) is not calculated, the elastic modulus is used');
+  }
+
+  const modulus = (cls) => (cls <= 2 ? p.Wpl : p.Wel);
+  const bending = {
+    positive: modulus(sectionClass.positive) * fy / EC3_GAMMA_M0,
+    negative: modulus(sectionClass.negative) * fy / EC3_GAMMA_M0
+  };
+
+  // Elastic critical moment (mono-symmetry of T-beams is ignored)
+  let Mcr = Infinity;
+  if (p.type === 'i-beam' || p.type === 'channel') {
+    Mcr = C1 * (Math.PI ** 2 * E * p.Iz / Lb ** 2) * Math.sqrt(p.Iw / p.Iz + (Lb ** 2 * G * p.It) / (Math.PI ** 2 * E * p.Iz));
+  } else if (p.type !== 'circular' && p.type !== 'chs') {
+    Mcr = C1 * (Math.PI / Lb) * Math.sqrt(E * p.Iz * G * p.It);
+  }
+
+  // General case (6.3.2.2, Table 6.4): curve a/b for rolled I sections, d otherwise
+  const alphaLT = p.type === 'i-beam' ? (p.depth / d.flangeWidth <= 2 ? 0.21 : 0.34) : 0.76;
+  const buckling = {};
+  const slenderness = {};
+  ['positive', 'negative'].forEach(sign => {
+    const W = modulus(sectionClass[sign]);
+    const lambda = Math.sqrt(W * fy / Mcr);
+    const phi = 0.5 * (1 + alphaLT * (lambda - 0.2) + lambda ** 2);
+    const chi = lambda <= 0.2 ? 1 : Math.min(1, 1 / (phi + Math.sqrt(phi ** 2 - lambda ** 2)));
+    slenderness[sign] = lambda;
+    buckling[sign] = chi * W * fy / EC3_GAMMA_M1;
+  });
+
+  // Shear area (6.2.6), root radii neglected, η = 1
+  let shearArea = p.area;
+  if (p.type === 'i-beam' || p.type === 'channel') {
+    shearArea = Math.max(p.area - 2 * d.flangeWidth * d.flangeThickness + d.webThickness * d.flangeThickness, d.webHeight * d.webThickness);
+  } else if (p.type === 't-beam') {
+    shearArea = p.area - d.flangeWidth * d.flangeThickness + d.webThickness * d.flangeThickness / 2;
+  } else if (p.type === 'rhs') {
+    shearArea = p.area * d.height / (d.width + d.height);
+  } else if (p.type === 'chs') {
+    shearArea = 2 * p.area / Math.PI;
+  }
+  if (['i-beam', 't-beam', 'channel'].includes(p.type) && d.webHeight / d.webThickness > 72 * eps) {
+    notes.push('hw/tw > 72ε: shear buckling of the web (EN 1993-1-5) is not checked');
+  }
+
+  return {
+    classification: {
+      positive: `Class ${sectionClass.positive}`,
+      negative: `Class ${sectionClass.negative}`
+    },
+    bending,
+    buckling,
+    shear: shearArea * (fy / Math.sqrt(3)) / EC3_GAMMA_M0,
+    Mcr,
+    slenderness,
+    notes
+  };
+};
+
+// Compact / noncompact / slender from a ratio and λp, λr
+const compactness = (ratio, lambdaP, lambdaR) => {
+  if (ratio <= lambdaP) return 'Compact';
+  return ratio <= lambdaR ? 'Noncompact' : 'Slender';
+};
+
+// Linear transition between Mp at λp and 0.7FySx at λr
+const interpolateMoment = (Mp, Mr, ratio, lambdaP, lambdaR) => Math.min(Mp, Mp - (Mp - Mr) * (ratio - lambdaP) / (lambdaR - lambdaP));
+
+const designAISC = (p, E, fy, Lb, Cb) => {
+  const d = p.dimensions;
+  const root = Math.sqrt(E / fy);
+  const Sx = p.Wel;
+  const Mp = fy * p.Wpl;
+  const My = fy * Sx;
+  const notes = [];
+  let classification = { positive: 'Compact', negative: 'Compact' };
+  let section = { positive: Math.min(Mp, 1.6 * My), negative: Math.min(Mp, 1.6 * My) };
+  let buckling = { ...section };
+
+  if (p.type === 'i-beam' || p.type === 'channel') {
+    const lambdaF = p.type === 'channel' ? d.flangeWidth / d.flangeThickness : d.flangeWidth / (2 * d.flangeThickness);
+    const flange = compactness(lambdaF, 0.38 * root, 1.0 * root);
+    const web = compactness(d.webHeight / d.webThickness, 3.76 * root, 5.70 * root);
+    const text = `Flange ${flange.toLowerCase()}, web ${web.toLowerCase()}`;
+    classification = { positive: text, negative: text };
+    if (web !== 'Compact') notes.push('Noncompact or slender web (F4/F5) is not covered; the web is treated as compact');
+
+    // F3: flange local buckling
+    let Mn = Mp;
+    if (flange === 'Noncompact') {
+      Mn = interpolateMoment(Mp, 0.7 * fy * Sx, lambdaF, 0.38 * root, 1.0 * root);
+    } else if (flange === 'Slender') {
+      const kc = Math.min(Math.max(4 / Math.sqrt(d.webHeight / d.webThickness), 0.35), 0.76);
+      Mn = 0.9 * E * kc * Sx / lambdaF ** 2;
+    }
+    section = { positive: Mn, negative: Mn };
+
+    // F2: lateral-torsional buckling, c = (ho/2)·√(Iy/Cw) for channels
+    const ry = Math.sqrt(p.Iz / p.area);
+    const rts = Math.sqrt(Math.sqrt(p.Iz * p.Iw) / Sx);
+    const ho = p.depth - d.flangeThickness;
+    const c = p.type === 'channel' ? (ho / 2) * Math.sqrt(p.Iz / p.Iw) : 1;
+    const Jc = p.It * c / (Sx * ho);
+    const Lp = 1.76 * ry * root;
+    const Lr = 1.95 * rts * (E / (0.7 * fy)) * Math.sqrt(Jc + Math.sqrt(Jc ** 2 + 6.76 * (0.7 * fy / E) ** 2));
+    let Mltb = Mp;
+    if (Lb > Lr) {
+      const Fcr = (Cb * Math.PI ** 2 * E / (Lb / rts) ** 2) * Math.sqrt(1 + 0.078 * Jc * (Lb / rts) ** 2);
+      Mltb = Math.min(Fcr * Sx, Mp);
+    } else if (Lb > Lp) {
+      Mltb = Math.min(Cb * (Mp - (Mp - 0.7 * fy * Sx) * (Lb - Lp) / (Lr - Lp)), Mp);
+    }
+    buckling = { positive: Math.min(Mn, Mltb), negative: Math.min(Mn, Mltb) };
+  } else if (p.type === 't-beam') {
+    // F9: stem in tension under sagging, in compression under hogging
+    const lambdaF = d.flangeWidth / (2 * d.flangeThickness);
+    const flange = compactness(lambdaF, 0.38 * root, 1.0 * root);
+    classification = { positive: `Flange ${flange.toLowerCase()}`, negative: 'Stem in compression' };
+    const MpPositive = Math.min(Mp, 1.6 * My);
+    const MpNegative = Math.min(Mp, My);
+    let flangeLimit = MpPositive;
+    if (flange === 'Noncompact') {
+      flangeLimit = interpolateMoment(MpPositive, 0.7 * fy * p.WelTop, lambdaF, 0.38 * root, 1.0 * root);
+    } else if (flange === 'Slender') {
+      flangeLimit = 0.7 * E * p.WelTop / lambdaF ** 2;
+    }
+    section = { positive: flangeLimit, negative: MpNegative };
+
+    const Mcr = (B) => (1.95 * E / Lb) * Math.sqrt(p.Iz * p.It) * (B + Math.sqrt(1 + B ** 2));
+    const B = 2.3 * (p.depth / Lb) * Math.sqrt(p.Iz / p.It);
+    buckling = {
+      positive: Math.min(flangeLimit, Cb * Mcr(B)),
+      negative: Math.min(MpNegative, Cb * Mcr(-B))
+    };
+    if (d.webHeight / d.webThickness > 0.84 * root) {
+      notes.push('Stem local buckling under hogging (F9.4) is not checked');
+    }
+  } else if (p.type === 'rectangular') {
+    // F11: LTB of rectangular bars bent about the major axis
+    const t = Math.min(d.width, d.height);
+    const ratio = d.width < d.height ? Lb * d.height / t ** 2 : 0;
+    let Mn = section.positive;
+    if (ratio > 1.9 * E / fy) {
+      Mn = Math.min(1.9 * E * Cb / ratio * Sx, Mn);
+    } else if (ratio > 0.08 * E / fy) {
+      Mn = Math.min(Cb * (1.52 - 0.274 * ratio * fy / E) * My, Mn);
+    }
+    buckling = { positive: Mn, negative: Mn };
+  } else if (p.type === 'rhs') {
+    // F7: flange and web local buckling; LTB does not govern box sections
+    const t = d.thickness;
+    const lambdaF = (d.width - 3 * t) / t;
+    const lambdaW = (d.height - 3 * t) / t;
+    const flange = compactness(lambdaF, 1.12 * root, 1.40 * root);
+    const web = compactness(lambdaW, 2.42 * root, 5.70 * root);
+    const text = `Flange ${flange.toLowerCase()}, web ${web.toLowerCase()}`;
+    classification = { positive: text, negative: text };
+    let Mn = Mp;
+    if (flange === 'Noncompact') {
+      Mn = Math.min(Mn, Mp - (Mp - My) * (3.57 * lambdaF / root - 4.0));
+    } else if (flange === 'Slender') {
+      Mn = Math.min(Mn, My);
+      notes.push('Slender flange: the effective section modulus (F7.2c) is not calculated, FySx is used');
+    }
+    if (web === 'Noncompact') {
+      Mn = Math.min(Mn, Mp - (Mp - My) * (0.305 * lambdaW / root - 0.738));
+    } else if (web === 'Slender') {
+      notes.push('Slender web (F7.3b) is not covered; the web is treated as noncompact');
+    }
+    section = { positive: Mn, negative: Mn };
+    buckling = { ...section };
+  } else if (p.type === 'chs') {
+    // F8: local buckling of round tubes
+    const ratio = d.diameter / d.thickness;
+    const text = compactness(ratio, 0.07 * E / fy, 0.31 * E / fy);
+    classification = { positive: text, negative: text };
+    let Mn = Mp;
+    if (text === 'Noncompact') {
+      Mn = Math.min(Mp, (0.021 * E / ratio + fy) * Sx);
+    } else if (text === 'Slender') {
+      Mn = Math.min(Mp, 0.33 * E / ratio * Sx);
+      if (ratio > 0.45 * E / fy) notes.push('D/t > 0.45E/Fy is outside the scope of F8');
+    }
+    section = { positive: Mn, negative: Mn };
+    buckling = { ...section };
+  }
+
+  // G2/G3: shear, Aw = d·tw for I, T and channel sections; G4: Aw = 2ht
+  // for boxes; G5: Fcr = 0.6Fy on half the area of round tubes
+  let phiV = 0.9;
+  let Cv = 1;
+  let shearArea = p.area;
+  if (p.type === 'i-beam' || p.type === 't-beam' || p.type === 'channel') {
+    shearArea = p.depth * d.webThickness;
+    const ratio = p.type === 't-beam' ? p.depth / d.webThickness : d.webHeight / d.webThickness;
+    const kv = p.type === 't-beam' ? 1.2 : 5.34;
+    if (p.type === 'i-beam' && ratio <= 2.24 * root) {
+      phiV = 1.0;
+    } else if (ratio > 1.10 * Math.sqrt(kv * E / fy)) {
+      Cv = 1.10 * Math.sqrt(kv * E / fy) / ratio;
+    }
+  } else if (p.type === 'rhs') {
+    const h = d.height - 3 * d.thickness;
+    shearArea = 2 * h * d.thickness;
+    if (h / d.thickness > 1.10 * Math.sqrt(5 * E / fy)) {
+      Cv = 1.10 * Math.sqrt(5 * E / fy) / (h / d.thickness);
+    }
+  } else if (p.type === 'chs') {
+    shearArea = p.area / 2;
+  }
+
+  return {
+    classification,
+    bending: { positive: AISC_PHI_B * section.positive, negative: AISC_PHI_B * section.negative },
+    buckling: { positive: AISC_PHI_B * buckling.positive, negative: AISC_PHI_B * buckling.negative },
+    shear: phiV * 0.6 * fy * shearArea * Cv,
+    notes
+  };
+};
+
+// Utilisation of a signed action against resistances for each sign
+const signedUtilisation = (max, min, resistance) => Math.max(
+  max > 0 ? max / resistance.positive : 0,
+  min < 0 ? -min / resistance.negative : 0
+);
+
+const peak = (x, values) => values.reduce(
+  (best, value, i) => (value > best.value ? { value, position: x[i] } : best),
+  { value: 0, position: 0 }
+);
+
+/**
+ * Steel design check of the whole member.
+ * settings: { code, grade, unbracedLength (m, null for the longest span), momentFactor }
+ * Returns { code, fy, unbracedLength, properties, resistance, source,
+ *   utilisation: { bending: {x, y}, shear: {x, y} }, checks, passed, notes }
+ * or { error }.
+ */
+export const checkSteelMember = (beamData, results, settings) => {
+  const properties = calculateDesignProperties(beamData.section);
+  if (properties.error) return { error: properties.error };
+
+  const grade = STEEL_GRADES[settings.grade];
+  if (!grade) return { error: `Unknown steel grade "${settings.grade}"` };
+
+  const effects = getDesignEffects(results);
+  if (!effects) return { error: "No analysis results to check" };
+
+  const E = beamData.materialProperties.E;
+  const unbracedLength = settings.unbracedLength > 0 ? settings.unbracedLength : getDefaultUnbracedLength(beamData);
+  const momentFactor = settings.momentFactor > 0 ? settings.momentFactor : 1;
+  const design = settings.code === 'AISC' ? designAISC : designEC3;
+  const resistance = design(properties, E, grade.fy, unbracedLength, momentFactor);
+
+  const { moment, shear } = effects;
+  const sectionUtilisation = moment.x.map((_, i) => signedUtilisation(moment.max[i], moment.min[i], resistance.bending));
+  const bucklingUtilisation = moment.x.map((_, i) => signedUtilisation(moment.max[i], moment.min[i], resistance.buckling));
+  const shearUtilisation = shear.x.map((_, i) => Math.max(Math.abs(shear.max[i]), Math.abs(shear.min[i])) / resistance.shear);
+
+  const checks = [
+    { id: 'bending', label: 'Bending (cross-section)', ...peak(moment.x, sectionUtilisation) },
+    { id: 'ltb', label: 'Lateral-torsional buckling', ...peak(moment.x, bucklingUtilisation) },
+    { id: 'shear', label: 'Shear', ...peak(shear.x, shearUtilisation) }
+  ].map(check => ({ ...check, passed: check.value <= 1 }));
+
+  const notes = [...resistance.notes];
+  if (properties.type === 'channel') {
+    notes.push('Channel: the loads are assumed to act through the shear centre, torsion is not checked');
+  }
+  if ((beamData.stiffnessSegments || []).length > 0) {
+    notes.push('Non-prismatic segments are not checked separately: the beam section is used over the whole length');
+  }
+  if (settings.code !== 'AISC' && checks[2].value > 0.5) {
+    notes.push('V > 0.5 Vpl,Rd somewhere: the bending-shear interaction (6.2.8) is not applied');
+  }
+
+  return {
+    code: settings.code,
+    fy: grade.fy,
+    unbracedLength,
+    momentFactor,
+    properties,
+    resistance,
+    source: effects.label,
+    utilisation: {
+      bending: { x: moment.x, y: bucklingUtilisation },
+      shear: { x: shear.x, y: shearUtilisation }
+    },
+    checks,
+    passed: checks.every(check => check.passed),
+    notes
+  };
+};
@@ -0,0 +1,79 @@
+import { checkSteelMember, DEFAULT_STEEL_DESIGN } from './steelDesign';
+import { calculateDesignProperties } from './sectionProperties';
+import { runAnalysis } from './analysis';
+import { createLibrarySection, findSteelSections, getSteelSection } from './steelSections';
+import { createTestBeam, uniformLoad } from './testModels';
+
+// Close to an IPE 300: h/b = 2
+const SECTION = { type: 'i-beam', flangeWidth: 0.15, flangeThickness: 0.0107, webHeight: 0.2786, webThickness: 0.0071 };
+
+const createModel = () => createTestBeam({ section: SECTION, distributedLoads: [uniformLoad(6, 20)] });
+
+// EN 1993-1-1 (6.56)
+const reductionFactor = (lambda, alpha) => {
+  const phi = 0.5 * (1 + alpha * (lambda - 0.2) + lambda ** 2);
+  return lambda <= 0.2 ? 1 : Math.min(1, 1 / (phi + Math.sqrt(phi ** 2 - lambda ** 2)));
+};
+
+describe('checkSteelMember (EC3)', () => {
+  const model = createModel();
+  const results = runAnalysis(model, { resolution: 100 });
+  const check = checkSteelMember(model, results, DEFAULT_STEEL_DESIGN);
+  const { Wpl } = calculateDesignProperties(SECTION);
+
+  test('a class 1 section resists its plastic moment', () => {
+    expect(check.error).toBeUndefined();
+    expect(check.resistance.classification.positive).toBe('Class 1');
+    expect(check.resistance.bending.positive).toBeCloseTo(Wpl * 355e3);
+    // wL²/8 = 90 kNm
+    expect(check.checks.find(c => c.id === 'bending').value).toBeCloseTo(90 / (Wpl * 355e3));
+  });
+
+  test('lateral-torsional buckling of a rolled I section with h/b <= 2 uses curve a', () => {
+    const lambda = check.resistance.slenderness.positive;
+    expect(lambda).toBeGreaterThan(0.2);
+    expect(check.resistance.buckling.positive).toBeCloseTo(reductionFactor(lambda, 0.21) * Wpl * 355e3);
+  });
+
+  test('rejects an unknown grade', () => {
+    expect(checkSteelMember(model, results, { ...DEFAULT_STEEL_DESIGN, grade: 'S999' }).error).toMatch(/Unknown steel grade/);
+  });
+});
+
+describe('checkSteelMember for channels and hollow sections (EC3)', () => {
+  const eps = Math.sqrt(235 / 355);
+  const checkSection = (designation) => {
+    const model = createTestBeam({ section: createLibrarySection(getSteelSection(designation)), distributedLoads: [uniformLoad(6, 5)] });
+    return checkSteelMember(model, runAnalysis(model, { resolution: 100 }), DEFAULT_STEEL_DESIGN);
+  };
+
+  test('a channel flange is an outstand of b - tw', () => {
+    const pfc = findSteelSections({ family: 'PFC' })[0];
+    const { flangeWidth, flangeThickness, webHeight, webThickness } = pfc.dimensions;
+    const check = checkSection(pfc.designation);
+
+    const classOf = (ratio, limits) => (limits.findIndex(limit => ratio <= limit * eps) + 1) || 4;
+    const flange = classOf((flangeWidth - webThickness) / flangeThickness, [9, 10, 14]);
+    const web = classOf(webHeight / webThickness, [72, 83, 124]);
+    expect(check.resistance.classification.positive).toBe(`Class ${Math.max(flange, web)}`);
+    expect(check.notes).toContain('Channel: the loads are assumed to act through the shear centre, torsion is not checked');
+  });
+
+  test('a rectangular hollow section shears on its webs', () => {
+    const check = checkSection('RHS 200x100x8');
+    const { area } = getSteelSection('RHS 200x100x8').properties;
+
+    expect(check.resistance.classification.positive).toBe('Class 1');
+    expect(check.resistance.bending.positive).toBeCloseTo(282e-6 * 355e3);
+    // Av = A h / (b + h)
+    expect(check.resistance.shear).toBeCloseTo(area * 200 / 300 * 355e3 / Math.sqrt(3));
+  });
+
+  test('a circular hollow section does not buckle laterally', () => {
+    const check = checkSection('CHS 219.1x10');
+
+    expect(check.resistance.classification.positive).toBe('Class 1');
+    expect(check.resistance.Mcr).toBe(Infinity);
+    expect(check.resistance.buckling.positive).toBeCloseTo(check.resistance.bending.positive);
+  });
+});
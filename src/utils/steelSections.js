@@ -0,0 +1,265 @@
+// Catalogue of standard hot-rolled and hot-finished steel sections, bundled
+// so it works offline. Rows are typed in the units of the published tables:
+// EU/UK families in mm, cm², cm⁴, cm³, cm⁶ and kg/m, AISC families in in,
+// in², in⁴, in³, in⁶ and lb/ft. They are converted to m and kg/m on load.
+//
+// Root radii and fillets are part of the tabulated properties but not of the
+// stored dimensions, so a library section keeps its tabulated values and the
+// dimensions only serve the drawing, classification and stress plots.
+
+export const STEEL_SECTION_FAMILIES = {
+  IPE: { label: 'IPE (EU)', shape: 'i-beam', units: 'metric' },
+  HEA: { label: 'HEA (EU)', shape: 'i-beam', units: 'metric' },
+  HEB: { label: 'HEB (EU)', shape: 'i-beam', units: 'metric' },
+  UB: { label: 'UB (UK)', shape: 'i-beam', units: 'metric' },
+  UC: { label: 'UC (UK)', shape: 'i-beam', units: 'metric' },
+  W: { label: 'W (AISC)', shape: 'i-beam', units: 'imperial' },
+  PFC: { label: 'PFC channel (UK)', shape: 'channel', units: 'metric' },
+  C: { label: 'C channel (AISC)', shape: 'channel', units: 'imperial' },
+  SHS: { label: 'SHS square hollow', shape: 'rhs', units: 'metric' },
+  RHS: { label: 'RHS rectangular hollow', shape: 'rhs', units: 'metric' },
+  CHS: { label: 'CHS circular hollow', shape: 'chs', units: 'metric' }
+};
+
+// I sections and channels: designation, mass, h, b, tw, tf, A, Iy, Iz, Wel,y, Wpl,y, It, Iw
+const OPEN_SECTIONS = {
+  IPE: [
+    ['IPE 100', 8.1, 100, 55, 4.1, 5.7, 10.3, 171, 15.9, 34.2, 39.4, 1.2, 351],
+    ['IPE 120', 10.4, 120, 64, 4.4, 6.3, 13.2, 318, 27.7, 53.0, 60.7, 1.74, 890],
+    ['IPE 140', 12.9, 140, 73, 4.7, 6.9, 16.4, 541, 44.9, 77.3, 88.3, 2.45, 1980],
+    ['IPE 160', 15.8, 160, 82, 5.0, 7.4, 20.1, 869, 68.3, 109, 124, 3.60, 3960],
+    ['IPE 180', 18.8, 180, 91, 5.3, 8.0, 23.9, 1317, 101, 146, 166, 4.79, 7430],
+    ['IPE 200', 22.4, 200, 100, 5.6, 8.5, 28.5, 1943, 142, 194, 221, 6.98, 12990],
+    ['IPE 220', 26.2, 220, 110, 5.9, 9.2, 33.4, 2772, 205, 252, 285, 9.07, 22670],
+    ['IPE 240', 30.7, 240, 120, 6.2, 9.8, 39.1, 3892, 284, 324, 367, 12.9, 37390],
+    ['IPE 270', 36.1, 270, 135, 6.6, 10.2, 45.9, 5790, 420, 429, 484, 15.9, 70580],
+    ['IPE 300', 42.2, 300, 150, 7.1, 10.7, 53.8, 8356, 604, 557, 628, 20.1, 125900],
+    ['IPE 330', 49.1, 330, 160, 7.5, 11.5, 62.6, 11770, 788, 713, 804, 28.1, 199100],
+    ['IPE 360', 57.1, 360, 170, 8.0, 12.7, 72.7, 16270, 1043, 904, 1019, 37.3, 313600],
+    ['IPE 400', 66.3, 400, 180, 8.6, 13.5, 84.5, 23130, 1318, 1156, 1307, 51.1, 490000],
+    ['IPE 450', 77.6, 450, 190, 9.4, 14.6, 98.8, 33740, 1676, 1500, 1702, 66.9, 791000],
+    ['IPE 500', 90.7, 500, 200, 10.2, 16.0, 116, 48200, 2142, 1928, 2194, 89.3, 1249000],
+    ['IPE 550', 106, 550, 210, 11.1, 17.2, 134, 67120, 2668, 2441, 2787, 123, 1884000],
+    ['IPE 600', 122, 600, 220, 12.0, 19.0, 156, 92080, 3387, 3069, 3512, 165, 2846000]
+  ],
+  HEA: [
+    ['HE 100 A', 16.7, 96, 100, 5.0, 8.0, 21.2, 349, 134, 72.8, 83.0, 5.24, 2580],
+    ['HE 120 A', 19.9, 114, 120, 5.0, 8.0, 25.3, 606, 231, 106, 119, 5.99, 6470],
+    ['HE 140 A', 24.7, 133, 140, 5.5, 8.5, 31.4, 1033, 389, 155, 173, 8.13, 15060],
+    ['HE 160 A', 30.4, 152, 160, 6.0, 9.0, 38.8, 1673, 616, 220, 245, 12.2, 31410],
+    ['HE 180 A', 35.5, 171, 180, 6.0, 9.5, 45.3, 2510, 925, 294, 325, 14.8, 60210],
+    ['HE 200 A', 42.3, 190, 200, 6.5, 10.0, 53.8, 3692, 1336, 389, 430, 21.0, 108000],
+    ['HE 220 A', 50.5, 210, 220, 7.0, 11.0, 64.3, 5410, 1955, 515, 568, 28.5, 193300],
+    ['HE 240 A', 60.3, 230, 240, 7.5, 12.0, 76.8, 7763, 2769, 675, 745, 41.6, 328500],
+    ['HE 260 A', 68.2, 250, 260, 7.5, 12.5, 86.8, 10450, 3668, 836, 920, 52.4, 516400],
+    ['HE 280 A', 76.4, 270, 280, 8.0, 13.0, 97.3, 13670, 4763, 1013, 1112, 62.1, 785400],
+    ['HE 300 A', 88.3, 290, 300, 8.5, 14.0, 112.5, 18260, 6310, 1260, 1383, 85.2, 1200000],
+    ['HE 320 A', 97.6, 310, 300, 9.0, 15.5, 124.4, 22930, 6985, 1479, 1628, 108, 1512000],
+    ['HE 340 A', 105, 330, 300, 9.5, 16.5, 133.5, 27690, 7436, 1678, 1850, 127, 1824000],
+    ['HE 360 A', 112, 350, 300, 10.0, 17.5, 142.8, 33090, 7887, 1891, 2088, 149, 2177000],
+    ['HE 400 A', 125, 390, 300, 11.0, 19.0, 159.0, 45070, 8564, 2311, 2562, 189, 2942000],
+    ['HE 450 A', 140, 440, 300, 11.5, 21.0, 178.0, 63720, 9465, 2896, 3216, 244, 4148000],
+    ['HE 500 A', 155, 490, 300, 12.0, 23.0, 197.5, 86970, 10370, 3550, 3949, 309, 5643000]
+  ],
+  HEB: [
+    ['HE 100 B', 20.4, 100, 100, 6.0, 10.0, 26.0, 450, 167, 89.9, 104, 9.25, 3380],
+    ['HE 120 B', 26.7, 120, 120, 6.5, 11.0, 34.0, 864, 318, 144, 165, 13.8, 9410],
+    ['HE 140 B', 33.7, 140, 140, 7.0, 12.0, 43.0, 1509, 550, 216, 245, 20.1, 22480],
+    ['HE 160 B', 42.6, 160, 160, 8.0, 13.0, 54.3, 2492, 889, 311, 354, 31.2, 47940],
+    ['HE 180 B', 51.2, 180, 180, 8.5, 14.0, 65.3, 3831, 1363, 426, 481, 42.2, 93750],
+    ['HE 200 B', 61.3, 200, 200, 9.0, 15.0, 78.1, 5696, 2003, 570, 643, 59.3, 171100],
+    ['HE 220 B', 71.5, 220, 220, 9.5, 16.0, 91.0, 8091, 2843, 736, 827, 76.6, 295400],
+    ['HE 240 B', 83.2, 240, 240, 10.0, 17.0, 106, 11260, 3923, 938, 1053, 103, 486900],
+    ['HE 260 B', 93.0, 260, 260, 10.0, 17.5, 118.4, 14920, 5135, 1148, 1283, 124, 753700],
+    ['HE 280 B', 103, 280, 280, 10.5, 18.0, 131.4, 19270, 6595, 1376, 1534, 144, 1130000],
+    ['HE 300 B', 117, 300, 300, 11.0, 19.0, 149.1, 25170, 8563, 1678, 1869, 185, 1688000],
+    ['HE 320 B', 127, 320, 300, 11.5, 20.5, 161.3, 30820, 9239, 1926, 2149, 225, 2069000],
+    ['HE 340 B', 134, 340, 300, 12.0, 21.5, 170.9, 36660, 9690, 2156, 2408, 257, 2454000],
+    ['HE 360 B', 142, 360, 300, 12.5, 22.5, 180.6, 43190, 10140, 2400, 2683, 292, 2883000],
+    ['HE 400 B', 155, 400, 300, 13.5, 24.0, 197.8, 57680, 10820, 2884, 3232, 356, 3817000],
+    ['HE 450 B', 171, 450, 300, 14.0, 26.0, 218.0, 79890, 11720, 3551, 3982, 440, 5258000],
+    ['HE 500 B', 187, 500, 300, 14.5, 28.0, 238.6, 107200, 12620, 4287, 4815, 538, 7018000]
+  ],
+  UB: [
+    ['UB 203x133x25', 25.1, 203.2, 133.2, 5.7, 7.8, 32.0, 2340, 308, 230, 258, 5.96, 29400],
+    ['UB 254x146x31', 31.1, 251.4, 146.1, 6.0, 8.6, 39.7, 4410, 448, 351, 393, 8.55, 66000],
+    ['UB 305x165x40', 40.3, 303.4, 165.0, 6.0, 10.2, 51.3, 8500, 764, 560, 623, 14.7, 164000],
+    ['UB 356x171x51', 51.0, 355.0, 171.5, 7.4, 11.5, 64.9, 14100, 968, 796, 895, 23.8, 286000],
+    ['UB 406x178x60', 60.1, 406.4, 177.9, 7.9, 12.8, 76.5, 21600, 1200, 1060, 1200, 33.3, 466000],
+    ['UB 457x191x67', 67.1, 453.4, 189.9, 8.5, 12.7, 85.5, 29400, 1450, 1300, 1470, 37.1, 705000],
+    ['UB 533x210x92', 92.1, 533.1, 209.3, 10.1, 15.6, 117, 55200, 2390, 2070, 2360, 75.7, 1600000],
+    ['UB 610x229x125', 125, 612.2, 229.0, 11.9, 19.6, 159, 98600, 3930, 3220, 3680, 154, 3450000]
+  ],
+  UC: [
+    ['UC 152x152x23', 23.0, 152.4, 152.2, 5.8, 6.8, 29.2, 1250, 400, 164, 182, 4.63, 21200],
+    ['UC 203x203x46', 46.1, 203.2, 203.6, 7.2, 11.0, 58.7, 4570, 1550, 450, 497, 22.2, 143000],
+    ['UC 254x254x73', 73.1, 254.1, 254.6, 8.6, 14.2, 93.1, 11400, 3910, 898, 992, 57.6, 562000],
+    ['UC 305x305x97', 96.9, 307.9, 305.3, 9.9, 15.4, 123, 22200, 7310, 1450, 1590, 91.2, 1560000],
+    ['UC 356x368x129', 129, 355.6, 368.6, 10.4, 17.5, 164, 40200, 14600, 2260, 2480, 153, 4180000]
+  ],
+  W: [
+    ['W8x31', 31, 8.00, 8.00, 0.285, 0.435, 9.13, 110, 37.1, 27.5, 30.4, 0.536, 530],
+    ['W10x33', 33, 9.73, 7.96, 0.290, 0.435, 9.71, 171, 36.6, 35.0, 38.8, 0.583, 791],
+    ['W12x26', 26, 12.2, 6.49, 0.230, 0.380, 7.65, 204, 17.3, 33.4, 37.2, 0.300, 607],
+    ['W14x22', 22, 13.7, 5.00, 0.230, 0.335, 6.49, 199, 7.00, 29.0, 33.2, 0.208, 314],
+    ['W14x90', 90, 14.0, 14.5, 0.440, 0.710, 26.5, 999, 362, 143, 157, 4.06, 16000],
+    ['W16x26', 26, 15.7, 5.50, 0.250, 0.345, 7.68, 301, 9.59, 38.4, 44.2, 0.262, 565],
+    ['W18x35', 35, 17.7, 6.00, 0.300, 0.425, 10.3, 510, 15.3, 57.6, 66.5, 0.506, 1140],
+    ['W21x44', 44, 20.7, 6.50, 0.350, 0.450, 13.0, 843, 20.7, 81.6, 95.4, 0.770, 2110],
+    ['W24x55', 55, 23.6, 7.01, 0.395, 0.505, 16.2, 1350, 29.1, 114, 134, 1.18, 3870],
+    ['W27x84', 84, 26.7, 10.0, 0.460, 0.640, 24.7, 2850, 106, 213, 244, 2.81, 17900]
+  ],
+  PFC: [
+    ['PFC 100x50x10', 10.2, 100, 50, 5.0, 8.5, 13.0, 207, 32.3, 41.5, 49.4, 2.53, 810],
+    ['PFC 150x75x18', 17.9, 150, 75, 5.5, 10.0, 22.9, 861, 131, 115, 132, 6.10, 5300],
+    ['PFC 200x90x30', 29.7, 200, 90, 7.0, 14.0, 37.9, 2520, 318, 252, 291, 19.3, 20400],
+    ['PFC 260x90x35', 34.8, 260, 90, 8.0, 14.0, 44.4, 4730, 353, 364, 425, 20.6, 35700],
+    ['PFC 300x100x46', 45.5, 300, 100, 9.0, 16.5, 58.7, 8230, 568, 549, 641, 36.8, 81300],
+    ['PFC 380x100x54', 54.0, 380, 100, 9.5, 17.5, 69.0, 15000, 643, 791, 933, 45.7, 150000]
+  ],
+  C: [
+    ['C8x11.5', 11.5, 8.00, 2.26, 0.220, 0.390, 3.37, 32.5, 1.31, 8.14, 9.55, 0.130, 16.5],
+    ['C10x20', 20, 10.0, 2.74, 0.379, 0.436, 5.87, 78.9, 2.80, 15.8, 18.7, 0.368, 79.5],
+    ['C12x20.7', 20.7, 12.0, 2.94, 0.282, 0.501, 6.08, 129, 3.86, 21.5, 25.6, 0.369, 112]
+  ]
+};
+
+// Rectangular and square hollow sections (EN 10210, ro = 1.5t):
+// designation, mass, h, b, t, A, Iy, Iz, Wel,y, Wpl,y, It
+const RECTANGULAR_HOLLOW_SECTIONS = {
+  SHS: [
+    ['SHS 100x100x5', 14.7, 100, 100, 5, 18.7, 279, 279, 55.9, 66.4, 442],
+    ['SHS 100x100x8', 22.6, 100, 100, 8, 28.8, 400, 400, 79.9, 98.2, 646],
+    ['SHS 120x120x6.3', 22.2, 120, 120, 6.3, 28.2, 603, 603, 100, 120, 950],
+    ['SHS 150x150x8', 35.1, 150, 150, 8, 44.8, 1490, 1490, 199, 237, 2350],
+    ['SHS 200x200x10', 58.8, 200, 200, 10, 74.9, 4470, 4470, 447, 531, 7110],
+    ['SHS 250x250x12.5', 91.9, 250, 250, 12.5, 117, 10900, 10900, 873, 1040, 17200]
+  ],
+  RHS: [
+    ['RHS 100x50x5', 10.8, 100, 50, 5, 13.7, 167, 54.3, 33.3, 42.6, 135],
+    ['RHS 150x100x6.3', 23.1, 150, 100, 6.3, 29.5, 898, 474, 120, 147, 986],
+    ['RHS 200x100x8', 35.1, 200, 100, 8, 44.8, 2230, 739, 223, 282, 1800],
+    ['RHS 250x150x10', 58.8, 250, 150, 10, 74.9, 6170, 2750, 494, 611, 6090],
+    ['RHS 300x200x10', 74.5, 300, 200, 10, 94.9, 11800, 6280, 788, 956, 12900],
+    ['RHS 400x200x12.5', 112, 400, 200, 12.5, 142, 29100, 9740, 1450, 1810, 23400]
+  ]
+};
+
+// Circular hollow sections (EN 10210): designation, mass, D, t, A, I, Wel, Wpl, It
+const CIRCULAR_HOLLOW_SECTIONS = [
+  ['CHS 60.3x4', 5.55, 60.3, 4, 7.07, 28.2, 9.34, 12.7, 56.3],
+  ['CHS 88.9x5', 10.3, 88.9, 5, 13.2, 116, 26.2, 35.2, 233],
+  ['CHS 114.3x6.3', 16.8, 114.3, 6.3, 21.4, 313, 54.7, 73.6, 625],
+  ['CHS 139.7x6.3', 20.7, 139.7, 6.3, 26.4, 589, 84.3, 112, 1180],
+  ['CHS 168.3x8', 31.6, 168.3, 8, 40.3, 1300, 154, 206, 2590],
+  ['CHS 219.1x10', 51.6, 219.1, 10, 65.7, 3600, 328, 438, 7200],
+  ['CHS 273x10', 64.9, 273, 10, 82.6, 7150, 524, 692, 14300],
+  ['CHS 323.9x12.5', 96.0, 323.9, 12.5, 122, 14800, 917, 1210, 29700]
+];
+
+// Table units to m (length, area, inertia, modulus, warping) and kg/m
+const UNIT_FACTORS = {
+  metric: { length: 1e-3, area: 1e-4, inertia: 1e-8, modulus: 1e-6, warping: 1e-12, mass: 1 },
+  imperial: { length: 0.0254, area: 0.0254 ** 2, inertia: 0.0254 ** 4, modulus: 0.0254 ** 3, warping: 0.0254 ** 6, mass: 1.488164 }
+};
+
+const openSection = (family, [designation, mass, h, b, tw, tf, A, Iy, Iz, Wel, Wpl, It, Iw]) => {
+  const f = UNIT_FACTORS[STEEL_SECTION_FAMILIES[family].units];
+  return {
+    family,
+    designation,
+    mass: mass * f.mass,
+    dimensions: {
+      flangeWidth: b * f.length,
+      flangeThickness: tf * f.length,
+      webHeight: (h - 2 * tf) * f.length,
+      webThickness: tw * f.length
+    },
+    properties: {
+      area: A * f.area,
+      Iy: Iy * f.inertia,
+      Iz: Iz * f.inertia,
+      Wel: Wel * f.modulus,
+      Wpl: Wpl * f.modulus,
+      It: It * f.inertia,
+      Iw: Iw * f.warping
+    }
+  };
+};
+
+const rectangularHollowSection = (family, [designation, mass, h, b, t, A, Iy, Iz, Wel, Wpl, It]) => {
+  const f = UNIT_FACTORS.metric;
+  return {
+    family,
+    designation,
+    mass,
+    dimensions: { width: b * f.length, height: h * f.length, thickness: t * f.length },
+    properties: {
+      area: A * f.area,
+      Iy: Iy * f.inertia,
+      Iz: Iz * f.inertia,
+      Wel: Wel * f.modulus,
+      Wpl: Wpl * f.modulus,
+      It: It * f.inertia,
+      Iw: 0
+    }
+  };
+};
+
+const circularHollowSection = ([designation, mass, D, t, A, I, Wel, Wpl, It]) => {
+  const f = UNIT_FACTORS.metric;
+  return {
+    family: 'CHS',
+    designation,
+    mass,
+    dimensions: { diameter: D * f.length, thickness: t * f.length },
+    properties: {
+      area: A * f.area,
+      Iy: I * f.inertia,
+      Iz: I * f.inertia,
+      Wel: Wel * f.modulus,
+      Wpl: Wpl * f.modulus,
+      It: It * f.inertia,
+      Iw: 0
+    }
+  };
+};
+
+/**
+ * Every catalogued section in m and kg/m:
+ * { family, designation, mass, dimensions, properties: { area, Iy, Iz, Wel,
+ *   Wpl, It, Iw } }, dimensions using the SectionTab keys of its shape.
+ */
+export const STEEL_SECTIONS = [
+  ...Object.entries(OPEN_SECTIONS).flatMap(([family, rows]) => rows.map(row => openSection(family, row))),
+  ...Object.entries(RECTANGULAR_HOLLOW_SECTIONS).flatMap(([family, rows]) => rows.map(row => rectangularHollowSection(family, row))),
+  ...CIRCULAR_HOLLOW_SECTIONS.map(circularHollowSection)
+];
+
+export const getSteelSection = (designation) => STEEL_SECTIONS.find(entry => entry.designation === designation) || null;
+
+// Lower-case text without spaces, so "ipe300" and "HE 200A" match
+const normalise = (text) => text.toLowerCase().replace(/[\s×]/g, '').replace(/\*/g, 'x');
+
+/**
+ * Catalogue search. options: { search (part of the designation), family
+ * ('all' or a STEEL_SECTION_FAMILIES key), sort ('mass-asc' | 'mass-desc') }
+ */
+export const findSteelSections = ({ search = '', family = 'all', sort = 'mass-asc' } = {}) => {
+  const query = normalise(search);
+  const direction = sort === 'mass-desc' ? -1 : 1;
+  return STEEL_SECTIONS
+    .filter(entry => family === 'all' || entry.family === family)
+    .filter(entry => !query || normalise(entry.designation).includes(query))
+    .sort((a, b) => direction * (a.mass - b.mass));
+};
+
+// beamData.section for a catalogue entry; the tabulated properties override
+// the ones calculated from the dimensions
+export const createLibrarySection = (entry) => ({
+  type: STEEL_SECTION_FAMILIES[entry.family].shape,
+  ...entry.dimensions,
+  designation: entry.designation,
+  mass: entry.mass,
+  properties: { ...entry.properties }
+});
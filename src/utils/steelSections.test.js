@@ -0,0 +1,38 @@
+import { createLibrarySection, findSteelSections, getSteelSection } from './steelSections';
+import { calculateDesignProperties } from './sectionProperties';
+
+describe('steel section library', () => {
+  test('converts metric tables to m', () => {
+    const ipe = getSteelSection('IPE 300');
+
+    expect(ipe.dimensions.flangeWidth).toBeCloseTo(0.15);
+    expect(ipe.dimensions.webHeight).toBeCloseTo(0.3 - 2 * 0.0107);
+    expect(ipe.properties.Iy).toBeCloseTo(8356e-8, 12);
+    expect(ipe.properties.Wpl).toBeCloseTo(628e-6, 12);
+  });
+
+  test('converts AISC tables from inches and lb/ft', () => {
+    const w = findSteelSections({ family: 'W' })[0];
+
+    // A steel section weighs about 7850 kg/m³ × A
+    expect(w.mass / (7850 * w.properties.area)).toBeCloseTo(1, 1);
+  });
+
+  test('search ignores case and spaces and sorts by mass', () => {
+    expect(findSteelSections({ search: 'ipe300' }).map(s => s.designation)).toEqual(['IPE 300']);
+
+    const shs = findSteelSections({ family: 'SHS', sort: 'mass-desc' });
+    expect(shs.every(s => s.family === 'SHS')).toBe(true);
+    expect(shs.map(s => s.mass)).toEqual([...shs.map(s => s.mass)].sort((a, b) => b - a));
+  });
+
+  test('a library section keeps its tabulated properties', () => {
+    const section = createLibrarySection(getSteelSection('RHS 200x100x8'));
+    const properties = calculateDesignProperties(section);
+
+    expect(section.type).toBe('rhs');
+    expect(properties.Wpl).toBeCloseTo(282e-6, 12);
+    expect(properties.WelTop).toBeCloseTo(223e-6, 12);
+    expect(properties.WelBottom).toBeCloseTo(223e-6, 12);
+  });
+});
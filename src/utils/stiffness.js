@@ -0,0 +1,203 @@
+// Non-prismatic beams: segments with their own section and E, the section
+// depth optionally tapering linearly from the segment start to its end.
+//
+// Outside the segments the beam has the E and I of materialProperties. The
+// solver and the elastic curve take the flexibility 1/EI(x) as a piecewise
+// polynomial: exact over prismatic parts, and over a taper a quadratic
+// through 1/EI at both ends and the middle of each of TAPER_PIECES pieces.
+
+import { calculateSectionProperties, getSectionDimensions } from './sectionProperties';
+import { evaluatePolynomial } from './piecewisePolynomials';
+
+const POSITION_TOLERANCE = 1e-9;
+const TAPER_PIECES = 8;
+
+// The dimensions that change with the overall depth of each taperable shape
+const TAPER_DIMENSIONS = {
+  rectangular: (d, depth) => ({ height: depth }),
+  circular: (d, depth) => ({ diameter: depth }),
+  'i-beam': (d, depth) => ({ webHeight: depth - 2 * d.flangeThickness }),
+  channel: (d, depth) => ({ webHeight: depth - 2 * d.flangeThickness }),
+  't-beam': (d, depth) => ({ webHeight: depth - d.flangeThickness }),
+  rhs: (d, depth) => ({ height: depth }),
+  chs: (d, depth) => ({ diameter: depth })
+};
+
+export const TAPERED_SECTION_TYPES = Object.keys(TAPER_DIMENSIONS);
+
+export const createStiffnessSegmentId = (segments) => {
+  const used = new Set(segments.map(s => s.id));
+  let n = segments.length + 1;
+  while (used.has(`N${n}`)) n += 1;
+  return `N${n}`;
+};
+
+// Depth of a section in m, or null when it has no geometry
+export const getSectionDepth = (section) => {
+  const properties = calculateSectionProperties(section);
+  return properties.error || properties.indicative ? null : properties.depth;
+};
+
+// Section of a segment at x. A tapered section loses its library values,
+// which only hold for the tabulated depth.
+export const getSegmentSection = (segment, x) => {
+  const section = segment.section || {};
+  if (!(segment.endDepth > 0) || !TAPER_DIMENSIONS[section.type]) return section;
+
+  const startDepth = getSectionDepth(section);
+  const ratio = Math.min(Math.max((x - segment.start) / (segment.end - segment.start), 0), 1);
+  const depth = startDepth + (segment.endDepth - startDepth) * ratio;
+  const { designation, mass, properties, ...userSection } = section;
+  return { ...userSection, ...TAPER_DIMENSIONS[section.type](getSectionDimensions(section), depth) };
+};
+
+// The segment covering x, or null where the beam has its own section
+export const getStiffnessSegmentAt = (beamData, x) => (beamData.stiffnessSegments || []).find(
+  segment => x >= segment.start - POSITION_TOLERANCE && x <= segment.end + POSITION_TOLERANCE
+) || null;
+
+// Section and E at x: { section, E, segment (null outside the segments) }
+export const getSectionAt = (beamData, x) => {
+  const segment = getStiffnessSegmentAt(beamData, x);
+  if (!segment) return { section: beamData.section || {}, E: beamData.materialProperties.E, segment: null };
+  return { section: getSegmentSection(segment, x), E: segment.E, segment };
+};
+
+/**
+ * The beam from start to end in stretches of one section, as
+ * [{ start, end, section, E }] with the section and E at the middle of each
+ * stretch. A taper is split into its TAPER_PIECES pieces. Expects valid
+ * segments (validateStiffnessSegments).
+ */
+export const getSectionStretches = (beamData, start = 0, end = beamData.length) => {
+  const bounds = [start, end];
+  (beamData.stiffnessSegments || []).forEach(segment => {
+    const pieces = segment.endDepth > 0 ? TAPER_PIECES : 1;
+    for (let k = 0; k <= pieces; k++) {
+      bounds.push(segment.start + (segment.end - segment.start) * k / pieces);
+    }
+  });
+  const positions = bounds
+    .filter(x => x > start - POSITION_TOLERANCE && x < end + POSITION_TOLERANCE)
+    .sort((a, b) => a - b)
+    .reduce((kept, x) => (kept.length === 0 || x - kept[kept.length - 1] > POSITION_TOLERANCE ? [...kept, x] : kept), []);
+
+  return positions.slice(1).map((x, i) => {
+    const { section, E } = getSectionAt(beamData, (positions[i] + x) / 2);
+    return { start: positions[i], end: x, section, E };
+  });
+};
+
+const segmentRigidity = (segment, x) => segment.E * calculateSectionProperties(getSegmentSection(segment, x)).momentOfInertia;
+
+/**
+ * First problem with the segments of a beam as a message, or null. Segments
+ * must lie on the beam without overlapping and have a positive E and a valid
+ * section; only TAPERED_SECTION_TYPES can taper.
+ */
+export const validateStiffnessSegments = (beamData) => {
+  const segments = [...(beamData.stiffnessSegments || [])].sort((a, b) => a.start - b.start);
+  for (let i = 0; i < segments.length; i++) {
+    const segment = segments[i];
+    const label = `Segment ${segment.id}`;
+    if (!(segment.start >= 0 && segment.end <= beamData.length + POSITION_TOLERANCE && segment.end - segment.start > POSITION_TOLERANCE)) {
+      return `${label} must lie on the beam and end after it starts`;
+    }
+    if (i > 0 && segment.start < segments[i - 1].end - POSITION_TOLERANCE) {
+      return `Segments ${segments[i - 1].id} and ${segment.id} overlap`;
+    }
+    if (!(segment.E > 0)) return `${label}: E must be greater than zero`;
+
+    const properties = calculateSectionProperties(segment.section || {});
+    if (properties.error) return `${label}: ${properties.error}`;
+    if (segment.endDepth > 0) {
+      if (!TAPER_DIMENSIONS[segment.section?.type]) {
+        return `${label}: only rectangular, circular, I, T, channel and hollow sections can taper`;
+      }
+      const end = calculateSectionProperties(getSegmentSection(segment, segment.end));
+      const dimensions = getSectionDimensions(getSegmentSection(segment, segment.end));
+      if (end.error || !(end.momentOfInertia > 0) || !(dimensions.webHeight > 0)) {
+        return `${label}: the end depth is too small for the section`;
+      }
+    }
+  }
+  return null;
+};
+
+/**
+ * Stiffness of the beam for the solver and the elastic curve: EI as a
+ * number when the beam is prismatic, otherwise the flexibility 1/EI(x) as
+ * [{ start, end, coeffs }] pieces covering the beam, each a polynomial in
+ * t = x - start. Expects valid segments (validateStiffnessSegments).
+ */
+export const getBeamStiffness = (beamData) => {
+  const { E, I } = beamData.materialProperties;
+  const segments = [...(beamData.stiffnessSegments || [])].sort((a, b) => a.start - b.start);
+  if (segments.length === 0) return E * I;
+
+  const pieces = [];
+  const addPiece = (start, end, coeffs) => {
+    if (end - start > POSITION_TOLERANCE) pieces.push({ start, end, coeffs });
+  };
+  let position = 0;
+  segments.forEach(segment => {
+    addPiece(position, segment.start, [1 / (E * I)]);
+    if (segment.endDepth > 0) {
+      const h = (segment.end - segment.start) / TAPER_PIECES;
+      for (let k = 0; k < TAPER_PIECES; k++) {
+        const a = segment.start + k * h;
+        const f0 = 1 / segmentRigidity(segment, a);
+        const fm = 1 / segmentRigidity(segment, a + h / 2);
+        const f1 = 1 / segmentRigidity(segment, a + h);
+        addPiece(a, a + h, [f0, (4 * fm - 3 * f0 - f1) / h, 2 * (f0 - 2 * fm + f1) / (h * h)]);
+      }
+    } else {
+      addPiece(segment.start, segment.end, [1 / segmentRigidity(segment, segment.start)]);
+    }
+    position = segment.end;
+  });
+  addPiece(position, beamData.length, [1 / (E * I)]);
+  return pieces;
+};
+
+// Flexibility 1/EI at x of a getBeamStiffness result
+export const flexibilityAt = (stiffness, x) => {
+  if (!Array.isArray(stiffness)) return 1 / stiffness;
+  const piece = stiffness.find(p => x < p.end - POSITION_TOLERANCE) || stiffness[stiffness.length - 1];
+  return evaluatePolynomial(piece.coeffs, x - piece.start);
+};
+
+/**
+ * Overall depth along a non-prismatic beam for drawing, as [{ x, depth }]
+ * corners from left to right (x repeats where the depth steps), or null for
+ * a prismatic beam. Sections without a depth (custom) get the largest one.
+ */
+export const getDepthProfile = (beamData) => {
+  const segments = [...(beamData.stiffnessSegments || [])].sort((a, b) => a.start - b.start);
+  if (segments.length === 0) return null;
+
+  const beamDepth = getSectionDepth(beamData.section || {});
+  const stretches = [];
+  const addStretch = (start, end, startDepth, endDepth) => {
+    if (end - start > POSITION_TOLERANCE) stretches.push({ start, end, startDepth, endDepth });
+  };
+  let position = 0;
+  segments.forEach(segment => {
+    addStretch(position, segment.start, beamDepth, beamDepth);
+    addStretch(
+      segment.start,
+      segment.end,
+      getSectionDepth(getSegmentSection(segment, segment.start)),
+      getSectionDepth(getSegmentSection(segment, segment.end))
+    );
+    position = Math.max(position, segment.end);
+  });
+  addStretch(position, beamData.length, beamDepth, beamDepth);
+
+  const known = stretches.flatMap(s => [s.startDepth, s.endDepth]).filter(depth => depth > 0);
+  const fallback = known.length > 0 ? Math.max(...known) : 1;
+  return stretches.flatMap(s => [
+    { x: s.start, depth: s.startDepth > 0 ? s.startDepth : fallback },
+    { x: s.end, depth: s.endDepth > 0 ? s.endDepth : fallback }
+  ]);
+};
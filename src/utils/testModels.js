@@ -0,0 +1,41 @@
+// Beam models shared by the unit tests
+
+import { createDefaultBeamData } from './beamModel';
+import { calculateSectionProperties } from './sectionProperties';
+
+const TEST_SECTION = { type: 'rectangular', width: 0.2, height: 0.4 };
+
+/**
+ * A simply supported beam without loads, load combinations or deflection
+ * limits. E and the section set materialProperties (I from the section
+ * unless given); any other field of changes replaces the default.
+ */
+export const createTestBeam = ({ length = 6, section = TEST_SECTION, E = 2.1e8, I, ...changes } = {}) => {
+  const defaults = createDefaultBeamData();
+  return {
+    ...defaults,
+    length,
+    supports: [{ type: 'Hinge', position: 0 }, { type: 'Roller', position: length }],
+    pointLoads: [],
+    distributedLoads: [],
+    moments: [],
+    section,
+    materialProperties: {
+      ...defaults.materialProperties,
+      E,
+      I: I ?? calculateSectionProperties(section).momentOfInertia
+    },
+    loadCombinations: [],
+    deflectionLimits: [],
+    ...changes
+  };
+};
+
+// A downward load of w kN/m over the whole beam
+export const uniformLoad = (length, w, loadCase) => ({
+  startPos: 0,
+  endPos: length,
+  startMag: -w,
+  endMag: -w,
+  ...(loadCase ? { loadCase } : {})
+});
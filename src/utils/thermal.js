@@ -0,0 +1,79 @@
+// Thermal loads: over part of the beam, a temperature change ΔT uniform over
+// the depth plus a linear variation from ΔT bottom to ΔT top. With the
+// coefficient of thermal expansion α of the material and the depth h and
+// centroid of the beam section, the free beam would lengthen by the strain
+// α·ΔT at the centroid and bend by the curvature κ = α·(ΔT bottom - ΔT top)/h
+// (sagging positive). A determinate beam just moves; restraints turn these
+// into axial force and moments.
+//
+// On a non-prismatic beam h, the centroid and the area E·A are those of the
+// segment section, taken at the middle of each taper piece.
+
+import { calculateSectionProperties } from './sectionProperties';
+import { getSectionDepth, getSectionStretches } from './stiffness';
+
+const POSITION_TOLERANCE = 1e-9;
+
+export const DEFAULT_THERMAL_EXPANSION = 1.2e-5; // α of steel in 1/°C
+
+export const hasThermalLoads = (beamData) => (beamData.thermalLoads || []).length > 0;
+
+const thermalExpansion = (beamData) => beamData.materialProperties.alpha ?? DEFAULT_THERMAL_EXPANSION;
+
+/**
+ * First problem with the thermal loads of a beam as a message, or null. Loads
+ * must lie on the beam, α must be positive and the beam and segment sections
+ * need their geometry (not custom) for the depth and area.
+ */
+export const validateThermalLoads = (beamData) => {
+  if (!hasThermalLoads(beamData)) return null;
+  if (!(thermalExpansion(beamData) > 0)) return "The coefficient of thermal expansion must be greater than zero";
+
+  const properties = calculateSectionProperties(beamData.section || {});
+  if (properties.error || properties.indicative) {
+    return "Thermal loads need the section geometry - choose a section other than custom in the Section tab";
+  }
+  const custom = (beamData.stiffnessSegments || []).find(segment => getSectionDepth(segment.section || {}) === null);
+  if (custom) {
+    return `Thermal loads need the section geometry - segment ${custom.id} has a custom section`;
+  }
+  const outside = beamData.thermalLoads.findIndex(load => !(
+    load.startPos >= 0 && load.endPos <= beamData.length + POSITION_TOLERANCE && load.endPos - load.startPos > POSITION_TOLERANCE
+  ));
+  return outside === -1 ? null : `Thermal load ${outside + 1} must lie on the beam and end after it starts`;
+};
+
+/**
+ * Free thermal strain and curvature of each load for the solver, as
+ * [{ startPos, endPos, strain, curvature }], split where the section
+ * changes. Expects valid loads (validateThermalLoads).
+ */
+export const getThermalDeformations = (beamData) => {
+  if (!hasThermalLoads(beamData)) return [];
+  const alpha = thermalExpansion(beamData);
+
+  return beamData.thermalLoads.flatMap(({ startPos, endPos, uniform = 0, top = 0, bottom = 0 }) => (
+    getSectionStretches(beamData, startPos, endPos).map(({ start, end, section }) => {
+      const { depth, centroidHeight } = calculateSectionProperties(section);
+      return {
+        startPos: start,
+        endPos: end,
+        strain: alpha * (uniform + bottom + (top - bottom) * centroidHeight / depth),
+        curvature: alpha * (bottom - top) / depth
+      };
+    })
+  ));
+};
+
+// Axial stiffness E·A, which shares restrained thermal strains between the
+// supports: a number for a prismatic beam, otherwise [{ start, end, EA }]
+export const getAxialStiffness = (beamData) => {
+  if ((beamData.stiffnessSegments || []).length === 0) {
+    return beamData.materialProperties.E * calculateSectionProperties(beamData.section || {}).area;
+  }
+  return getSectionStretches(beamData).map(({ start, end, section, E }) => ({
+    start,
+    end,
+    EA: E * calculateSectionProperties(section).area
+  }));
+};
@@ -0,0 +1,59 @@
+import { DEFAULT_THERMAL_EXPANSION as ALPHA, getThermalDeformations, validateThermalLoads } from './thermal';
+import { runAnalysis } from './analysis';
+import { calculateSectionProperties } from './sectionProperties';
+import { createTestBeam } from './testModels';
+
+const E = 2.1e8;
+const BEAM_SECTION = { type: 'rectangular', width: 0.1, height: 0.4 };
+const SEGMENT_SECTION = { type: 'rectangular', width: 0.1, height: 0.2 };
+
+// A 4 m beam with a shallower section over 0-2 m
+const createModel = (supports, thermalLoad) => createTestBeam({
+  length: 4,
+  supports,
+  section: BEAM_SECTION,
+  E,
+  stiffnessSegments: [{ id: 'N1', start: 0, end: 2, E, section: SEGMENT_SECTION, endDepth: null }],
+  thermalLoads: [{ startPos: 0, endPos: 4, uniform: 0, top: 0, bottom: 0, ...thermalLoad }]
+});
+
+const atPosition = (results, position) => results.reactions.find(r => Math.abs(r.position - position) < 1e-9);
+
+describe('thermal loads on a non-prismatic beam', () => {
+  test('the curvature follows the depth of each segment', () => {
+    const model = createModel([{ type: 'Fixed', position: 0 }], { bottom: 20 });
+    const deformations = getThermalDeformations(model);
+
+    expect(deformations.map(d => [d.startPos, d.endPos])).toEqual([[0, 2], [2, 4]]);
+    expect(deformations[0].curvature).toBeCloseTo(ALPHA * 20 / 0.2);
+    expect(deformations[1].curvature).toBeCloseTo(ALPHA * 20 / 0.4);
+  });
+
+  test('a cantilever bends freely with the stepped curvature', () => {
+    const results = runAnalysis(createModel([{ type: 'Fixed', position: 0 }], { bottom: 20 }), { resolution: 100 });
+
+    expect(results.error).toBeUndefined();
+    // v(L) = ∫κ(x)(L - x)dx = 6κ1 + 2κ2, without moments
+    const tip = results.deflection.y[results.deflection.y.length - 1];
+    expect(Math.abs(tip)).toBeCloseTo(6 * ALPHA * 20 / 0.2 + 2 * ALPHA * 20 / 0.4);
+    expect(atPosition(results, 0).moment).toBeCloseTo(0);
+  });
+
+  test('a restrained uniform temperature change shares E·A of the segments', () => {
+    const supports = [{ type: 'Hinge', position: 0 }, { type: 'Hinge', position: 4 }];
+    const results = runAnalysis(createModel(supports, { uniform: 30 }), { resolution: 100 });
+
+    // N = α·ΔT·L / Σ(Li / EAi)
+    const EA1 = E * calculateSectionProperties(SEGMENT_SECTION).area;
+    const EA2 = E * calculateSectionProperties(BEAM_SECTION).area;
+    const force = ALPHA * 30 * 4 / (2 / EA1 + 2 / EA2);
+    expect(Math.abs(atPosition(results, 0).horizontal)).toBeCloseTo(force, 3);
+    expect(atPosition(results, 0).horizontal + atPosition(results, 4).horizontal).toBeCloseTo(0, 3);
+  });
+
+  test('segments need the section geometry', () => {
+    const model = createModel([{ type: 'Fixed', position: 0 }], { bottom: 20 });
+    model.stiffnessSegments[0].section = { type: 'custom', momentOfInertia: 1e-4 };
+    expect(validateThermalLoads(model)).toMatch(/segment N1 has a custom section/);
+  });
+});
@@ -0,0 +1,270 @@
+// Timber member design checks to EN 1995-1-1: bending, shear and bearing at
+// the ultimate limit state, instantaneous and final (creep) deflection at the
+// serviceability limit state.
+//
+// Strengths and stiffnesses are in kN/m² like E. Every load case has a
+// load-duration class; a combination is checked with the kmod of its
+// shortest-duration case. The cases are superposed from their own analysis
+// results (results.caseResults), so creep can be added per case: the final
+// deflection is Σ w_inst (1 + ψ2 kdef), with ψ2 = 1 for permanent cases.
+
+import { getSectionDimensions } from './sectionProperties';
+import { combineSegments, findAbsoluteMax, sampleEnvelope, samplePiecewise } from './piecewisePolynomials';
+import { getDeflectionSpans } from './serviceability';
+import { getStiffnessDependentFeatures } from './beamModel';
+
+export const TIMBER_DESIGN_CODES = {
+  EC5: 'Eurocode 5 (EN 1995-1-1)'
+};
+
+// EN 338 (solid) and EN 14080 (glulam) characteristic values
+export const TIMBER_STRENGTH_CLASSES = {
+  C16: { label: 'C16 (softwood)', type: 'solid', fm: 16e3, fv: 3.2e3, fc90: 2.2e3, E: 8.0e6, E05: 5.4e6, density: 310 },
+  C24: { label: 'C24 (softwood)', type: 'solid', fm: 24e3, fv: 4.0e3, fc90: 2.5e3, E: 11.0e6, E05: 7.4e6, density: 350 },
+  C30: { label: 'C30 (softwood)', type: 'solid', fm: 30e3, fv: 4.0e3, fc90: 2.7e3, E: 12.0e6, E05: 8.0e6, density: 380 },
+  D30: { label: 'D30 (hardwood)', type: 'solid', fm: 30e3, fv: 3.9e3, fc90: 8.0e3, E: 11.0e6, E05: 9.2e6, density: 530 },
+  GL24h: { label: 'GL24h (glulam)', type: 'glulam', fm: 24e3, fv: 3.5e3, fc90: 2.5e3, E: 11.5e6, E05: 9.6e6, density: 385 },
+  GL28h: { label: 'GL28h (glulam)', type: 'glulam', fm: 28e3, fv: 3.5e3, fc90: 2.5e3, E: 12.6e6, E05: 10.5e6, density: 425 },
+  GL32h: { label: 'GL32h (glulam)', type: 'glulam', fm: 32e3, fv: 3.5e3, fc90: 2.5e3, E: 14.2e6, E05: 11.8e6, density: 440 }
+};
+
+export const LOAD_DURATION_CLASSES = {
+  permanent: 'Permanent (> 10 years)',
+  long: 'Long-term (6 months - 10 years)',
+  medium: 'Medium-term (1 week - 6 months)',
+  short: 'Short-term (< 1 week)',
+  instantaneous: 'Instantaneous'
+};
+
+export const SERVICE_CLASSES = {
+  1: 'Service class 1 (heated interior)',
+  2: 'Service class 2 (covered, unheated)',
+  3: 'Service class 3 (exposed)'
+};
+
+// Table 3.1 (solid timber and glulam)
+const KMOD = {
+  1: { permanent: 0.6, long: 0.7, medium: 0.8, short: 0.9, instantaneous: 1.1 },
+  2: { permanent: 0.6, long: 0.7, medium: 0.8, short: 0.9, instantaneous: 1.1 },
+  3: { permanent: 0.5, long: 0.55, medium: 0.65, short: 0.7, instantaneous: 0.9 }
+};
+
+// Table 3.2
+const KDEF = { 1: 0.6, 2: 0.8, 3: 2.0 };
+
+const GAMMA_M = { solid: 1.3, glulam: 1.25 };
+const K_CR = 0.67;
+const K_C90 = 1.0;
+// Bearing length may be taken 30 mm longer on each side (6.1.5)
+const BEARING_EXTENSION = 0.03;
+const SAMPLE_POINTS = 200;
+const POSITION_TOLERANCE = 1e-9;
+
+export const DEFAULT_TIMBER_DESIGN = {
+  strengthClass: 'C24',
+  serviceClass: 1,
+  durations: { D: 'permanent', L: 'medium', S: 'short', W: 'short' },
+  psi2: { L: 0.3, S: 0, W: 0 },
+  bearingLength: 0.1, // m, along the beam at each support
+  instantLimit: 300, // span / N
+  finalLimit: 250
+};
+
+export const getLoadDuration = (settings, caseId) => settings.durations?.[caseId] || 'medium';
+
+// Quasi-permanent share of a case; permanent loads act in full
+export const getPsi2 = (settings, caseId) => (
+  getLoadDuration(settings, caseId) === 'permanent' ? 1 : (settings.psi2?.[caseId] ?? 0)
+);
+
+// Depth factor for bending (3.2, 3.3)
+const depthFactor = (type, h) => {
+  if (type === 'glulam') return h < 0.6 ? Math.min((0.6 / h) ** 0.1, 1.1) : 1;
+  return h < 0.15 ? Math.min((0.15 / h) ** 0.2, 1.3) : 1;
+};
+
+/**
+ * Timber checks for a rectangular member. Needs results.caseResults (run the
+ * analysis with loadCaseResults). Returns { code, strengthClass, serviceClass,
+ * properties, factors, combinations, utilisation, bearing, deflection,
+ * checks, passed, source, notes } or { error }.
+ */
+export const checkTimberMember = (beamData, results, settings) => {
+  if (beamData.section?.type !== 'rectangular') {
+    return { error: 'Timber design needs a rectangular section' };
+  }
+  const timber = TIMBER_STRENGTH_CLASSES[settings.strengthClass];
+  if (!timber) return { error: `Unknown strength class "${settings.strengthClass}"` };
+  if (!results.caseResults) return { error: 'No load case results yet; they are calculated while timber design is selected' };
+  if (results.caseResults.length === 0) return { error: 'There are no loads to check' };
+
+  const serviceClass = KMOD[settings.serviceClass] ? settings.serviceClass : 1;
+  const { width: b, height: h } = getSectionDimensions(beamData.section);
+  const area = b * h;
+  const W = b * h * h / 6;
+  const I = b * h ** 3 / 12;
+  const gammaM = GAMMA_M[timber.type];
+  const kh = depthFactor(timber.type, h);
+  const kdef = KDEF[serviceClass];
+  const resolution = SAMPLE_POINTS / beamData.length;
+  const notes = [];
+
+  const cases = results.caseResults;
+  const segmentSets = cases.map(c => c.segments);
+
+  // ULS combinations; unfactored loads when none are defined
+  let combinations = (beamData.loadCombinations || []).filter(c => c.type === 'ULS');
+  const source = combinations.length > 0 ? 'ULS load combinations' : 'All loads (unfactored)';
+  if (combinations.length === 0) {
+    combinations = [{ id: 'all', name: 'All loads (unfactored)', factors: Object.fromEntries(cases.map(c => [c.id, 1])) }];
+    notes.push('No ULS combinations are defined, so the strength checks use the unfactored loads');
+  }
+
+  const bearingLengths = results.reactions.map(reaction => {
+    const before = Math.min(BEARING_EXTENSION, reaction.position);
+    const after = Math.min(BEARING_EXTENSION, beamData.length - reaction.position);
+    return settings.bearingLength + before + after;
+  });
+
+  const designed = [];
+  combinations.forEach(combination => {
+    const factors = cases.map(c => combination.factors[c.id] || 0);
+    const loaded = cases.filter((_, i) => factors[i] !== 0);
+    if (loaded.length === 0) return;
+
+    const duration = loaded
+      .map(c => getLoadDuration(settings, c.id))
+      .reduce((shortest, d) => (KMOD[serviceClass][d] > KMOD[serviceClass][shortest] ? d : shortest));
+    const kmod = KMOD[serviceClass][duration];
+    const fmd = kmod * kh * timber.fm / gammaM;
+    const fvd = kmod * timber.fv / gammaM;
+    const fc90d = kmod * timber.fc90 / gammaM;
+
+    // Utilisation polynomials: M / (W fm,d) and 1.5 V / (kcr A fv,d)
+    const bending = combineSegments(segmentSets, factors.map(f => f / (W * fmd)));
+    const shear = combineSegments(segmentSets, factors.map(f => 1.5 * f / (K_CR * area * fvd)));
+
+    // Case reactions are matched to the supports by position, not list order
+    const bearing = results.reactions.map((reaction, j) => {
+      const force = cases.reduce((sum, c, i) => {
+        const caseReaction = c.reactions.find(r => Math.abs(r.position - reaction.position) < POSITION_TOLERANCE);
+        return sum + factors[i] * (caseReaction?.force || 0);
+      }, 0);
+      const stress = Math.abs(force) / (b * bearingLengths[j]);
+      return { position: reaction.position, force, stress, utilisation: stress / (K_C90 * fc90d) };
+    });
+
+    designed.push({
+      id: combination.id,
+      label: combination.name,
+      duration,
+      kmod,
+      strengths: { bending: fmd, shear: fvd, bearing: fc90d },
+      bendingSegments: bending,
+      shearSegments: shear,
+      bending: findAbsoluteMax(bending, 'moment'),
+      shear: findAbsoluteMax(shear, 'shear'),
+      bearing
+    });
+  });
+
+  if (designed.length === 0) return { error: 'No ULS combination includes a loaded case' };
+
+  const governing = (value) => designed.reduce((best, c) => (value(c).value > value(best).value ? c : best));
+  const bendingCombination = governing(c => c.bending);
+  const shearCombination = governing(c => c.shear);
+  const bearingOf = (c) => c.bearing.reduce(
+    (best, support) => (support.utilisation > best.value ? { value: support.utilisation, position: support.position } : best),
+    { value: 0, position: 0 }
+  );
+  const bearingCombination = governing(bearingOf);
+
+  const envelope = (key, sets) => {
+    const { x, max, min } = sampleEnvelope(sets, key, resolution, { closeEnds: true });
+    return { x, y: x.map((_, i) => Math.max(Math.abs(max[i]), Math.abs(min[i]))) };
+  };
+  const utilisation = {
+    bending: envelope('moment', designed.map(c => c.bendingSegments)),
+    shear: envelope('shear', designed.map(c => c.shearSegments))
+  };
+
+  const checks = [
+    { id: 'bending', label: 'Bending', ...bendingCombination.bending, combination: bendingCombination.label },
+    { id: 'shear', label: 'Shear', ...shearCombination.shear, combination: shearCombination.label },
+    { id: 'bearing', label: 'Bearing (compression ⊥ grain)', ...bearingOf(bearingCombination), combination: bearingCombination.label }
+  ];
+
+  // Deflections from the class stiffness instead of the analysis EI, by
+  // scaling with the ratio of the two; only valid where they scale with 1/EI
+  let deflection = null;
+  const hasDeflection = segmentSets.every(segments => segments[0]?.deflection);
+  const stiffnessDependent = getStiffnessDependentFeatures(beamData);
+  if (hasDeflection && stiffnessDependent.length > 0) {
+    notes.push(`The serviceability checks are skipped: with ${stiffnessDependent.join(', ')} the deflections do not scale with the timber stiffness`);
+  } else if (hasDeflection) {
+    const { E: modelE, I: modelI } = beamData.materialProperties;
+    const stiffnessRatio = (modelE * modelI) / (timber.E * I);
+    const instant = combineSegments(segmentSets, cases.map(() => stiffnessRatio));
+    const final = combineSegments(segmentSets, cases.map(c => stiffnessRatio * (1 + getPsi2(settings, c.id) * kdef)));
+
+    const spans = getDeflectionSpans(beamData).map(span => ({
+      ...span,
+      instant: findAbsoluteMax(instant, 'deflection', span.start, span.end),
+      final: findAbsoluteMax(final, 'deflection', span.start, span.end),
+      instantLimit: span.length / settings.instantLimit,
+      finalLimit: span.length / settings.finalLimit
+    }));
+
+    const worst = (key, limitKey) => spans.reduce(
+      (best, span) => {
+        const value = span[key].value / span[limitKey];
+        return value > best.value ? { value, position: span[key].position } : best;
+      },
+      { value: 0, position: 0 }
+    );
+
+    const instantSampled = samplePiecewise(instant, ['deflection'], resolution);
+    const finalSampled = samplePiecewise(final, ['deflection'], resolution);
+    deflection = {
+      x: instantSampled.x,
+      instant: instantSampled.values.deflection,
+      finalX: finalSampled.x,
+      final: finalSampled.values.deflection,
+      spans
+    };
+
+    checks.push(
+      { id: 'deflection-instant', label: `Instantaneous deflection (L/${settings.instantLimit})`, ...worst('instant', 'instantLimit'), combination: 'Characteristic (all cases)' },
+      { id: 'deflection-final', label: `Final deflection (L/${settings.finalLimit})`, ...worst('final', 'finalLimit'), combination: `Including creep, kdef = ${kdef}` }
+    );
+  } else {
+    notes.push('Deflections are not available for this model, so the serviceability checks are skipped');
+  }
+
+  if ((beamData.stiffnessSegments || []).length > 0) {
+    notes.push('Non-prismatic segments are not checked separately: the strength checks use the beam section over the whole length');
+  }
+  notes.push(
+    'Lateral-torsional buckling is not checked (kcrit = 1): the compression edge is assumed restrained',
+    'Bearing uses kc,90 = 1 and the stated bearing length on every support',
+    'Accompanying variable actions are taken at full value in the final deflection (ψ0 = 1); shear deformation is ignored'
+  );
+
+  const finalChecks = checks.map(check => ({ ...check, passed: check.value <= 1 }));
+
+  return {
+    code: 'EC5',
+    strengthClass: settings.strengthClass,
+    serviceClass,
+    properties: { b, h, area, W, I },
+    factors: { gammaM, kh, kcr: K_CR, kdef },
+    combinations: designed.map(({ bendingSegments, shearSegments, ...rest }) => rest),
+    utilisation,
+    bearingLengths,
+    deflection,
+    checks: finalChecks,
+    passed: finalChecks.every(check => check.passed),
+    source,
+    notes
+  };
+};
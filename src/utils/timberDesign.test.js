@@ -0,0 +1,56 @@
+import { checkTimberMember, DEFAULT_TIMBER_DESIGN, TIMBER_STRENGTH_CLASSES } from './timberDesign';
+import { runAnalysis } from './analysis';
+import { createTestBeam, uniformLoad } from './testModels';
+
+const SECTION = { type: 'rectangular', width: 0.1, height: 0.3 };
+const C24 = TIMBER_STRENGTH_CLASSES.C24;
+
+const createModel = (changes = {}) => createTestBeam({
+  length: 4,
+  section: SECTION,
+  E: C24.E,
+  pointLoads: [{ position: 1, magnitude: -8, loadCase: 'L' }],
+  distributedLoads: [uniformLoad(4, 1, 'D')],
+  loadCombinations: [{ id: 'C1', name: '1.35D + 1.5L', type: 'ULS', factors: { D: 1.35, L: 1.5 } }],
+  ...changes
+});
+
+const analyse = (model) => runAnalysis(model, { resolution: 100, loadCaseResults: true });
+
+describe('checkTimberMember', () => {
+  test('bearing forces superpose the cases support by support', () => {
+    const model = createModel();
+    const results = analyse(model);
+    // A case may list its reactions in another order
+    const reordered = {
+      ...results,
+      caseResults: results.caseResults.map(c => ({ ...c, reactions: [...c.reactions].reverse() }))
+    };
+
+    const bearing = checkTimberMember(model, reordered, DEFAULT_TIMBER_DESIGN).combinations[0].bearing;
+    // 1.35 × 2 + 1.5 × 6 at x = 0 and 1.35 × 2 + 1.5 × 2 at x = 4
+    expect(bearing[0].force).toBeCloseTo(11.7);
+    expect(bearing[1].force).toBeCloseTo(5.7);
+  });
+
+  test('deflections of a prismatic beam use the timber stiffness', () => {
+    const model = createModel({ E: 2 * C24.E });
+    const check = checkTimberMember(model, analyse(model), DEFAULT_TIMBER_DESIGN);
+    const sameStiffness = createModel();
+    const reference = checkTimberMember(sameStiffness, analyse(sameStiffness), DEFAULT_TIMBER_DESIGN);
+
+    expect(check.deflection.spans[0].instant.value).toBeCloseTo(reference.deflection.spans[0].instant.value, 6);
+  });
+
+  test('refuses the deflection checks where they do not scale with 1/EI', () => {
+    const model = createModel({
+      supports: [{ type: 'Hinge', position: 0 }, { type: 'Spring', position: 4, stiffness: 500 }]
+    });
+    const check = checkTimberMember(model, analyse(model), DEFAULT_TIMBER_DESIGN);
+
+    expect(check.error).toBeUndefined();
+    expect(check.deflection).toBeNull();
+    expect(check.checks.map(c => c.id)).toEqual(['bending', 'shear', 'bearing']);
+    expect(check.notes.some(note => note.includes('spring supports'))).toBe(true);
+  });
+});
@@ -0,0 +1,29 @@
+// Jobs the analysis worker runs: the analysis pipeline, and the searches
+// behind the views that solve the beam hundreds of times. Each job takes the
+// message payload and a progress callback and returns a plain object.
+
+import { runAnalysis, createEmptyResults } from './analysis';
+import { calculateAbsoluteMaximum, calculateInfluenceLine } from './influenceLines';
+import { optimizeSection } from './sectionOptimizer';
+
+const TASKS = {
+  analysis: ({ beamData, options }, onProgress) => runAnalysis(beamData, options, onProgress),
+  influenceLine: ({ beamData, target }) => calculateInfluenceLine(beamData, target),
+  absoluteMaximum: ({ beamData, axles }) => calculateAbsoluteMaximum(beamData, axles),
+  optimizeSection: ({ beamData, results, settings, options }) => optimizeSection(beamData, results, settings, options)
+};
+
+// Result of a failed job: { error }, or empty results for the analysis
+export const getTaskError = (task, message) => (
+  task === 'analysis' ? createEmptyResults(message) : { error: message }
+);
+
+// Result of a job; a failure becomes getTaskError
+export const runWorkerTask = (task, payload, onProgress = () => {}) => {
+  try {
+    if (!TASKS[task]) return { error: `Unknown task "${task}"` };
+    return TASKS[task](payload, onProgress);
+  } catch (error) {
+    return getTaskError(task, error.message);
+  }
+};